@@ -0,0 +1,132 @@
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { createAppointmentRepository } = require('../appointmentRepository');
+const { createLocalClient } = require('../localStore');
+
+const appointments = [
+    {
+        appointmentId: 'appt_1',
+        locationId: 'Farrish Subaru',
+        appointmentDateTime: '2026-04-27T13:00:00Z',
+        customerId: 'cust_1',
+        vin: '4S4BTANC5M3123456',
+        vehicle: { make: 'Subaru', model: 'Outback', year: 2021 }
+    },
+    {
+        appointmentId: 'appt_2',
+        locationId: 'Farrish Subaru',
+        appointmentDateTime: '2026-04-27T15:30:00Z',
+        customerId: 'cust_2',
+        seriesId: 'series_1',
+        occurrenceIndex: 0
+    },
+    {
+        appointmentId: 'appt_3',
+        locationId: 'Farrish Ford',
+        appointmentDateTime: '2026-04-27T15:30:00Z',
+        customerId: 'cust_1',
+        vin: '4S4BTANC5M3123456',
+        vehicle: { make: 'Subaru', model: 'Outback', year: 2021 }
+    },
+    {
+        appointmentId: 'appt_4',
+        locationId: 'Farrish Subaru',
+        appointmentDateTime: '2026-04-28T14:00:00Z',
+        customerId: 'cust_1',
+        seriesId: 'series_1',
+        occurrenceIndex: 1
+    }
+];
+
+const ids = (items) => items.map(item => item.appointmentId);
+
+beforeAll(() => {
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+});
+
+describe('createAppointmentRepository', () => {
+    // The in-memory store keeps the same indexes as DynamoDB, so these run the real queries
+    describe('on the local store', () => {
+        let repository;
+
+        beforeEach(async () => {
+            const client = createLocalClient();
+            for (const item of appointments) {
+                await client.send(new PutCommand({ TableName: 'appointments-table', Item: item }));
+            }
+            repository = createAppointmentRepository(client);
+        });
+
+        test('should get an appointment by ID, or null', async () => {
+            expect((await repository.getById('appt_2')).customerId).toBe('cust_2');
+            expect(await repository.getById('appt_404')).toBeNull();
+        });
+
+        test('should list a location\'s appointments in a time range', async () => {
+            const start = new Date('2026-04-27T00:00:00Z');
+            const end = new Date('2026-04-27T23:59:59Z');
+            expect(ids(await repository.listByLocation('Farrish Subaru', { start, end }))).toEqual(['appt_1', 'appt_2']);
+            expect(ids(await repository.listByLocation('Farrish Subaru', { start: new Date('2026-04-27T14:00:00Z') }))).toEqual(['appt_2', 'appt_4']);
+            expect(ids(await repository.listByLocation('Farrish Subaru', { end: new Date('2026-04-27T16:00:00Z') }))).toEqual(['appt_1', 'appt_2']);
+            expect(ids(await repository.listByLocation('Farrish Subaru'))).toEqual(['appt_1', 'appt_2', 'appt_4']);
+        });
+
+        test('should list a customer\'s and a series\' appointments', async () => {
+            expect(ids(await repository.listByCustomer('cust_1'))).toEqual(['appt_1', 'appt_3', 'appt_4']);
+            expect(ids(await repository.listBySeries('series_1'))).toEqual(['appt_2', 'appt_4']);
+        });
+
+        test('should page through a location\'s appointments', async () => {
+            const first = await repository.queryPage({ locationId: 'Farrish Subaru', limit: 2 });
+            expect(ids(first.items)).toEqual(['appt_1', 'appt_2']);
+
+            const second = await repository.queryPage({ locationId: 'Farrish Subaru', limit: 2, exclusiveStartKey: first.lastEvaluatedKey });
+            expect(ids(second.items)).toEqual(['appt_4']);
+            expect(second.lastEvaluatedKey).toBeUndefined();
+        });
+
+        test('should find a vehicle at every location, or only the ones given', async () => {
+            expect(ids((await repository.queryPage({ vin: '4s4btanc5m3123456' })).items)).toEqual(['appt_1', 'appt_3']);
+            expect(ids((await repository.queryPage({ vin: '4S4BTANC5M3123456', locationId: 'Farrish Ford' })).items)).toEqual(['appt_3']);
+            expect(ids((await repository.queryPage({ vin: '4S4BTANC5M3123456', locations: ['Farrish Subaru'] })).items)).toEqual(['appt_1']);
+        });
+
+        test('should filter by vehicle fields, time and customer', async () => {
+            const page = await repository.queryPage({
+                locationId: 'Farrish Subaru',
+                start: new Date('2026-04-27T00:00:00Z'),
+                end: new Date('2026-04-28T23:59:59Z'),
+                vehicle: { make: 'Subaru', model: undefined, year: 2021 },
+                customerId: 'cust_1'
+            });
+            expect(ids(page.items)).toEqual(['appt_1']);
+        });
+
+        test('should list the locations with appointments in a time range', async () => {
+            expect(await repository.listLocationIds({
+                start: new Date('2026-04-27T15:00:00Z'),
+                end: new Date('2026-04-27T16:00:00Z')
+            })).toEqual(['Farrish Ford', 'Farrish Subaru']);
+            expect(await repository.listLocationIds({ start: new Date('2026-04-28T00:00:00Z') })).toEqual(['Farrish Subaru']);
+        });
+    });
+
+    describe('on DynamoDB', () => {
+        test('should follow LastEvaluatedKey until every page is read', async () => {
+            const send = jest.fn()
+                .mockResolvedValueOnce({ Items: [appointments[0]], LastEvaluatedKey: { appointmentId: 'appt_1' } })
+                .mockResolvedValueOnce({ Items: [appointments[1]] });
+            const repository = createAppointmentRepository({ send });
+
+            expect(ids(await repository.listByLocation('Farrish Subaru', { start: new Date('2026-04-27T00:00:00Z') }))).toEqual(['appt_1', 'appt_2']);
+            expect(send).toHaveBeenCalledTimes(2);
+            expect(send.mock.calls[1][0]).toBeInstanceOf(QueryCommand);
+            expect(send.mock.calls[1][0].input).toEqual({
+                TableName: 'appointments-table',
+                IndexName: 'locationTime',
+                KeyConditionExpression: 'locationId = :loc AND appointmentDateTime >= :start',
+                ExpressionAttributeValues: { ':loc': 'Farrish Subaru', ':start': '2026-04-27T00:00:00Z' },
+                ExclusiveStartKey: { appointmentId: 'appt_1' }
+            });
+        });
+    });
+});
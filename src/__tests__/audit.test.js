@@ -0,0 +1,255 @@
+const { systemPrincipal, diffAppointments, recordAudit, getAppointmentHistory } = require('../audit');
+const { createHmac } = require('crypto');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    QueryCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    ScanCommand: jest.fn(),
+    DeleteCommand: jest.fn()
+}));
+
+const appointment = {
+    appointmentId: 'appt_1',
+    customerId: 'cust_1',
+    customerName: 'Jane Doe',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime: '2026-04-27T15:30:00Z',
+    status: 'SCHEDULED',
+    createdAt: new Date('2026-01-10T09:00:00Z').getTime(),
+    updatedAt: new Date('2026-01-10T09:00:00Z').getTime(),
+    version: 1
+};
+
+const principal = {
+    principalId: 'key_0123456789abcdef',
+    name: 'Farrish call center',
+    type: 'apiKey',
+    scopes: ['read', 'book'],
+    locations: null,
+    customerId: null
+};
+
+const rootHeaders = { authorization: 'Bearer test-api-key' };
+
+// A portal token for the customer named by sub
+const customerToken = (sub) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+        sub, role: 'customer', iss: process.env.JWT_ISSUER, aud: process.env.JWT_AUDIENCE, exp: Date.now() / 1000 + 300
+    })}`;
+    return `${unsigned}.${createHmac('sha256', 'portal-secret').update(unsigned).digest('base64url')}`;
+};
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+    process.env.AUDIT_TABLE = 'audit-table';
+    process.env.API_KEY = 'test-api-key';
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    DynamoDBDocumentClient.send.mockReset();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe('diffAppointments', () => {
+    test('should list changed, added and removed attributes', () => {
+        const before = { ...appointment, holdExpiresAt: 1 };
+        const after = { ...appointment, status: 'CANCELLED', version: 2, cancelledBy: 'api' };
+        delete after.holdExpiresAt;
+        expect(diffAppointments(before, after)).toEqual({
+            cancelledBy: { before: null, after: 'api' },
+            holdExpiresAt: { before: 1, after: null },
+            status: { before: 'SCHEDULED', after: 'CANCELLED' },
+            version: { before: 1, after: 2 }
+        });
+    });
+
+    test('should compare nested values and leave out updatedAt', () => {
+        const before = { ...appointment, servicesList: ['oil-change'] };
+        expect(diffAppointments(before, { ...before, servicesList: ['oil-change'], updatedAt: 2 })).toEqual({});
+        expect(diffAppointments(before, { ...before, servicesList: ['oil-change', 'tire-rotation'] })).toEqual({
+            servicesList: { before: ['oil-change'], after: ['oil-change', 'tire-rotation'] }
+        });
+    });
+
+    test('should show every attribute of a new appointment as added', () => {
+        const changes = diffAppointments(null, appointment);
+        expect(changes.status).toEqual({ before: null, after: 'SCHEDULED' });
+        expect(changes.updatedAt).toBeUndefined();
+    });
+});
+
+describe('recordAudit', () => {
+    test('should append an entry with the actor, request ID and changes', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const entry = await recordAudit('status_changed', {
+            before: appointment,
+            after: { ...appointment, status: 'CONFIRMED', version: 2 },
+            principal,
+            event: { requestContext: { requestId: 'req-1' } }
+        });
+
+        expect(entry).toEqual({
+            appointmentId: 'appt_1',
+            auditId: expect.stringMatching(/^2026-01-15T12:00:00\.000Z#[0-9a-f-]{36}$/),
+            action: 'status_changed',
+            actor: { principalId: 'key_0123456789abcdef', name: 'Farrish call center', type: 'apiKey' },
+            requestId: 'req-1',
+            recordedAt: new Date('2026-01-15T12:00:00Z').getTime(),
+            changes: {
+                status: { before: 'SCHEDULED', after: 'CONFIRMED' },
+                version: { before: 1, after: 2 }
+            }
+        });
+        expect(PutCommand).toHaveBeenCalledWith({
+            TableName: 'audit-table',
+            Item: entry,
+            ConditionExpression: 'attribute_not_exists(auditId)'
+        });
+    });
+
+    test('should fall back to the X-Request-Id header and then to no request ID', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const fromHeader = await recordAudit('created', { after: appointment, principal, event: { headers: { 'X-Request-Id': 'req-2' } } });
+        expect(fromHeader.requestId).toBe('req-2');
+
+        const withoutEvent = await recordAudit('created', { after: appointment, principal: systemPrincipal('waitlist') });
+        expect(withoutEvent.requestId).toBeNull();
+        expect(withoutEvent.actor).toEqual({ principalId: 'system:waitlist', name: 'waitlist', type: 'system' });
+    });
+
+    test('should give entries from the same millisecond different IDs', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const first = await recordAudit('created', { after: appointment, principal });
+        const second = await recordAudit('updated', { before: appointment, after: appointment, principal });
+        expect(first.auditId).not.toBe(second.auditId);
+    });
+
+    test('should log the entry instead of failing when it cannot be written', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('Throttled'));
+
+        const entry = await recordAudit('cancelled', { before: appointment, after: { ...appointment, status: 'CANCELLED' }, principal });
+
+        expect(entry.action).toBe('cancelled');
+        expect(consoleSpy).toHaveBeenCalledWith('❌ Could not write the audit entry:', {
+            message: 'Throttled',
+            entry: JSON.stringify(entry)
+        });
+        consoleSpy.mockRestore();
+    });
+});
+
+describe('getAppointmentHistory', () => {
+    const entries = [
+        { appointmentId: 'appt_1', auditId: '2026-01-10T09:00:00.000Z#a', recordedAt: Date.parse('2026-01-10T09:00:00.000Z'), action: 'created' },
+        { appointmentId: 'appt_1', auditId: '2026-01-12T09:00:00.000Z#b', recordedAt: Date.parse('2026-01-12T09:00:00.000Z'), action: 'updated' },
+        { appointmentId: 'appt_1', auditId: '2026-01-14T09:00:00.000Z#c', recordedAt: Date.parse('2026-01-14T09:00:00.000Z'), action: 'cancelled' }
+    ];
+
+    const mockTables = (item = appointment) => {
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof GetCommand) {
+                return { Item: item || undefined };
+            }
+            if (command instanceof QueryCommand) {
+                // Two pages, to follow LastEvaluatedKey
+                return command.input.ExclusiveStartKey
+                    ? { Items: entries.slice(2) }
+                    : { Items: entries.slice(0, 2), LastEvaluatedKey: { appointmentId: 'appt_1', auditId: entries[1].auditId } };
+            }
+            return {};
+        });
+    };
+
+    test('should return every entry, oldest first', async () => {
+        mockTables();
+        const response = await getAppointmentHistory({ headers: rootHeaders, pathParameters: { id: 'appt_1' } });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual({ appointmentId: 'appt_1', items: entries });
+        expect(QueryCommand).toHaveBeenCalledWith(expect.objectContaining({
+            TableName: 'audit-table',
+            KeyConditionExpression: 'appointmentId = :appointmentId',
+            ExpressionAttributeValues: { ':appointmentId': 'appt_1' }
+        }));
+        expect(QueryCommand).toHaveBeenCalledTimes(2);
+    });
+
+    test('should require the read scope', async () => {
+        const response = await getAppointmentHistory({ headers: {}, pathParameters: { id: 'appt_1' } });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test('should require an appointment ID', async () => {
+        const response = await getAppointmentHistory({ headers: rootHeaders, pathParameters: {} });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('Appointment ID is required');
+    });
+
+    test('should return 404 for an unknown appointment', async () => {
+        mockTables(null);
+        const response = await getAppointmentHistory({ headers: rootHeaders, pathParameters: { id: 'appt_404' } });
+        expect(response.statusCode).toBe(404);
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+
+    test('should only show customers their own appointments', async () => {
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        process.env.JWT_SECRETS = 'portal-secret';
+        try {
+            mockTables();
+            const own = await getAppointmentHistory({ headers: { authorization: `Bearer ${customerToken('cust_1')}` }, pathParameters: { id: 'appt_1' } });
+            expect(own.statusCode).toBe(200);
+
+            const other = await getAppointmentHistory({ headers: { authorization: `Bearer ${customerToken('cust_2')}` }, pathParameters: { id: 'appt_1' } });
+            expect(other.statusCode).toBe(403);
+        } finally {
+            delete process.env.JWT_ISSUER;
+            delete process.env.JWT_AUDIENCE;
+            delete process.env.JWT_SECRETS;
+        }
+    });
+
+    test('should return 500 when the log cannot be read', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof GetCommand) {
+                return { Item: appointment };
+            }
+            throw new Error('DynamoDB error');
+        });
+
+        const response = await getAppointmentHistory({ headers: rootHeaders, pathParameters: { id: 'appt_1' } });
+
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body)).toEqual({
+            message: 'Could not fetch the appointment history',
+            error: 'DynamoDB error'
+        });
+        consoleSpy.mockRestore();
+    });
+});
@@ -0,0 +1,257 @@
+const { createHmac } = require('crypto');
+const { hashApiKey, authorize, checkLocationAccess, checkAppointmentAccess, checkWaitlistEntryAccess, checkStaffAccess, checkGlobalAccess } = require('../auth');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    GetCommand: jest.fn()
+}));
+
+describe('API key authorization', () => {
+    const token = 'key_0123456789abcdef.secret';
+    const event = (authorization) => ({ headers: authorization === undefined ? {} : { authorization } });
+    const storedKey = (fields) => ({
+        keyId: 'key_0123456789abcdef',
+        keyHash: hashApiKey(token),
+        name: 'Partner',
+        scopes: ['read'],
+        locations: null,
+        expiresAt: null,
+        revoked: false,
+        ...fields
+    });
+    const message = (result) => JSON.parse(result.error.body).message;
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.API_KEYS_TABLE = 'api-keys-table';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockReset();
+    });
+
+    test.each([undefined, 'test-api-key', 'Basic dGVzdA=='])('should return 401 for the header %j', async (authorization) => {
+        const result = await authorize(event(authorization), 'read');
+        expect(result.error.statusCode).toBe(401);
+    });
+
+    test('should accept the root key with every scope', async () => {
+        const result = await authorize(event('Bearer test-api-key'), 'admin');
+        expect(result.principal).toEqual({
+            principalId: 'root',
+            name: 'root',
+            type: 'apiKey',
+            scopes: ['admin'],
+            locations: null,
+            customerId: null
+        });
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should not accept an empty root key', async () => {
+        process.env.API_KEY = '';
+        const result = await authorize(event('Bearer '), 'read');
+        expect(message(result)).toBe('Invalid API key');
+    });
+
+    test('should look up a stored key by its ID', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: storedKey({ locations: ['Farrish Subaru'] }) });
+        const result = await authorize(event(`Bearer ${token}`), 'read');
+        expect(result.principal).toEqual({
+            principalId: 'key_0123456789abcdef',
+            name: 'Partner',
+            type: 'apiKey',
+            scopes: ['read'],
+            locations: ['Farrish Subaru'],
+            customerId: null
+        });
+        expect(GetCommand).toHaveBeenCalledWith({ TableName: 'api-keys-table', Key: { keyId: 'key_0123456789abcdef' } });
+    });
+
+    test('should reject a stored key with the wrong secret', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: storedKey() });
+        const result = await authorize(event('Bearer key_0123456789abcdef.guess'), 'read');
+        expect(result.error.statusCode).toBe(403);
+        expect(message(result)).toBe('Invalid API key');
+    });
+
+    test('should reject an unknown key', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({});
+        const result = await authorize(event(`Bearer ${token}`), 'read');
+        expect(message(result)).toBe('Invalid API key');
+    });
+
+    test.each(['wrong-api-key', 'key_123.secret', '../key_0123456789abcdef.secret'])('should reject %j without a lookup', async (value) => {
+        const result = await authorize(event(`Bearer ${value}`), 'read');
+        expect(message(result)).toBe('Invalid API key');
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['revoked', { revoked: true }, 'API key has been revoked'],
+        ['expired', { expiresAt: '2026-01-15T12:00:00.000Z' }, 'API key has expired'],
+        ['missing the scope', { scopes: ['read', 'cancel'] }, 'API key is missing the book scope']
+    ])('should return 403 when the key is %s', async (name, fields, expected) => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: storedKey(fields) });
+        const result = await authorize(event(`Bearer ${token}`), 'book');
+        expect(result.error.statusCode).toBe(403);
+        expect(message(result)).toBe(expected);
+    });
+
+    test('should accept a key that has not expired yet', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: storedKey({ expiresAt: '2026-01-15T12:00:01.000Z' }) });
+        const result = await authorize(event(`Bearer ${token}`), 'read');
+        expect(result.principal).toBeDefined();
+    });
+
+    test.each(['read', 'book', 'cancel', 'admin'])('should grant the %s scope to admin keys', async (scope) => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: storedKey({ scopes: ['admin'] }) });
+        const result = await authorize(event(`Bearer ${token}`), scope);
+        expect(result.principal).toBeDefined();
+    });
+
+    test('should restrict keys to their locations', () => {
+        const principal = { type: 'apiKey', scopes: ['read'], locations: ['Farrish Subaru'] };
+        expect(checkLocationAccess(principal, 'Farrish Subaru')).toBeNull();
+        const response = checkLocationAccess(principal, 'Berlin');
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('API key is not allowed for location Berlin');
+        expect(checkLocationAccess({ ...principal, locations: null }, 'Berlin')).toBeNull();
+    });
+
+    test('should only allow global changes with unrestricted keys', () => {
+        const principal = { type: 'apiKey', scopes: ['admin'], locations: null };
+        expect(checkGlobalAccess(principal)).toBeNull();
+        expect(checkGlobalAccess({ ...principal, locations: ['Farrish Subaru'] }).statusCode).toBe(403);
+    });
+
+    test('should keep customers out of reads across every appointment', () => {
+        expect(checkStaffAccess({ type: 'apiKey', scopes: ['read'], locations: null })).toBeNull();
+        const response = checkStaffAccess({ type: 'customer', scopes: ['read', 'cancel'], locations: null, customerId: 'cust_1' });
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('Customers may only see their own appointments');
+    });
+
+    test('should limit customers to their own appointments', () => {
+        const customer = { type: 'customer', scopes: ['read', 'cancel'], locations: null, customerId: 'cust_1' };
+        const appointment = { appointmentId: 'appt_1', locationId: 'Berlin', customerId: 'cust_1' };
+        expect(checkAppointmentAccess(customer, appointment)).toBeNull();
+        const response = checkAppointmentAccess(customer, { ...appointment, customerId: 'cust_2' });
+        expect(JSON.parse(response.body).message).toBe('Appointment belongs to another customer');
+        expect(checkAppointmentAccess(customer, { appointmentId: 'appt_2', locationId: 'Berlin' }).statusCode).toBe(403);
+    });
+
+    test('should check the location of appointments for staff', () => {
+        const staff = { type: 'staff', scopes: ['read'], locations: ['Farrish Subaru'], customerId: null };
+        expect(checkAppointmentAccess(staff, { locationId: 'Farrish Subaru', customerId: 'cust_2' })).toBeNull();
+        const response = checkAppointmentAccess(staff, { locationId: 'Berlin' });
+        expect(JSON.parse(response.body).message).toBe('Token is not allowed for location Berlin');
+    });
+
+    test('should check waitlist entries like appointments', () => {
+        const customer = { type: 'customer', scopes: ['read', 'cancel'], locations: null, customerId: 'cust_1' };
+        const entry = { entryId: 'wait_1', locationId: 'Berlin', customerId: 'cust_1' };
+        expect(checkWaitlistEntryAccess(customer, entry)).toBeNull();
+        const response = checkWaitlistEntryAccess(customer, { ...entry, customerId: 'cust_2' });
+        expect(JSON.parse(response.body).message).toBe('Waitlist entry belongs to another customer');
+        const staff = { type: 'staff', scopes: ['read'], locations: ['Farrish Subaru'], customerId: null };
+        expect(checkWaitlistEntryAccess(staff, entry).statusCode).toBe(403);
+    });
+});
+
+describe('Token authorization', () => {
+    const now = new Date('2026-01-15T12:00:00Z').getTime() / 1000;
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signToken = (claims) => {
+        const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+            iss: 'https://portal.example.com',
+            aud: 'appointment-scheduler',
+            exp: now + 300,
+            ...claims
+        })}`;
+        return `${signingInput}.${createHmac('sha256', 'portal-secret').update(signingInput).digest('base64url')}`;
+    };
+    const event = (claims) => ({ headers: { authorization: `Bearer ${signToken(claims)}` } });
+    const message = (result) => JSON.parse(result.error.body).message;
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.JWT_SECRETS = 'portal-secret';
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockReset();
+    });
+
+    test('should map customer tokens to a customer principal', async () => {
+        const result = await authorize(event({ sub: 'cust_1', role: 'customer', name: 'Jane Doe' }), 'read');
+        expect(result.principal).toEqual({
+            principalId: 'customer:cust_1',
+            name: 'Jane Doe',
+            type: 'customer',
+            scopes: ['read', 'cancel'],
+            locations: null,
+            customerId: 'cust_1'
+        });
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should not let customers book', async () => {
+        const result = await authorize(event({ sub: 'cust_1', role: 'customer' }), 'book');
+        expect(message(result)).toBe('Token is missing the book scope');
+    });
+
+    test.each([
+        ['staff', ['read', 'book', 'cancel']],
+        ['admin', ['admin']]
+    ])('should map the %s role to its scopes', async (role, scopes) => {
+        const result = await authorize(event({ sub: 'emp_7', role, locations: ['Farrish Subaru'] }), 'read');
+        expect(result.principal).toEqual({
+            principalId: 'staff:emp_7',
+            name: 'emp_7',
+            type: 'staff',
+            scopes,
+            locations: ['Farrish Subaru'],
+            customerId: null
+        });
+    });
+
+    test.each([
+        ['an unknown role', { sub: 'emp_7', role: 'owner' }],
+        ['an inherited property as role', { sub: 'emp_7', role: 'toString' }],
+        ['no subject', { role: 'staff' }]
+    ])('should reject tokens with %s', async (name, claims) => {
+        const result = await authorize(event(claims), 'read');
+        expect(result.error.statusCode).toBe(403);
+        expect(message(result)).toBe('Token has no recognised role');
+    });
+
+    test('should return 403 with the reason for invalid tokens', async () => {
+        const result = await authorize(event({ sub: 'cust_1', role: 'customer', exp: now - 60 }), 'read');
+        expect(result.error.statusCode).toBe(403);
+        expect(message(result)).toBe('Token has expired');
+    });
+});
@@ -0,0 +1,273 @@
+const { escapeText, foldLine, buildCalendar, getAppointmentCalendar, getLocationCalendar } = require('../calendar');
+const { createHmac } = require('crypto');
+const { hashApiKey } = require('../auth');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(),
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    QueryCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    ScanCommand: jest.fn(),
+    DeleteCommand: jest.fn()
+}));
+
+const appointment = {
+    appointmentId: 'appt_1',
+    customerId: 'cust_1',
+    customerName: 'Jane Doe',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime: '2026-04-27T15:30:00Z',
+    appointmentEndDateTime: '2026-04-27T16:30:00Z',
+    vehicleDetails: '2021 Subaru Forester',
+    servicesList: ['oil-change', 'tire-rotation'],
+    serviceDetails: [{ name: 'Oil Change' }, { name: 'Tire Rotation' }],
+    status: 'SCHEDULED',
+    createdAt: new Date('2026-01-10T09:00:00Z').getTime(),
+    updatedAt: new Date('2026-01-12T09:00:00Z').getTime(),
+    version: 2
+};
+
+const newYork = { timeZone: 'America/New_York', slotMinutes: 30 };
+
+// Content lines with folding undone, as a calendar app reads them
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+// Sub-components of the VTIMEZONE, e.g. [['DAYLIGHT', 'DTSTART:20260308T020000', ...]]
+const observances = (lines) => (lines.join('\n').match(/^BEGIN:(STANDARD|DAYLIGHT)\n[\s\S]*?\nEND:\1$/gm) || [])
+    .map(block => block.split('\n').slice(0, -1).map((line, index) => index === 0 ? line.replace('BEGIN:', '') : line));
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+    process.env.LOCATIONS_TABLE = 'locations-table';
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    DynamoDBDocumentClient.send.mockReset();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe('iCalendar formatting', () => {
+    test('should escape text values', () => {
+        expect(escapeText('Jane; Doe, Jr.\\Sr.\nLine two')).toBe('Jane\\; Doe\\, Jr.\\\\Sr.\\nLine two');
+    });
+
+    test('should fold lines at 75 octets without splitting characters', () => {
+        const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`).split('\r\n');
+        expect(folded.length).toBeGreaterThan(1);
+        folded.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        folded.slice(1).forEach(line => expect(line.startsWith(' ')).toBe(true));
+        expect(folded.map((line, index) => index === 0 ? line : line.slice(1)).join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+        expect(foldLine('SUMMARY:Oil Change')).toBe('SUMMARY:Oil Change');
+    });
+
+    test('should build an event in the location time zone', () => {
+        const ics = buildCalendar([appointment], newYork);
+        expect(ics.endsWith('\r\n')).toBe(true);
+        const lines = unfold(ics);
+        expect(lines.slice(0, 5)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Appointment Scheduler//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH']);
+        expect(lines[lines.length - 1]).toBe('END:VCALENDAR');
+        expect(lines).toEqual(expect.arrayContaining([
+            'UID:appt_1@appointment-scheduler',
+            'DTSTAMP:20260115T120000Z',
+            'DTSTART;TZID=America/New_York:20260427T113000',
+            'DTEND;TZID=America/New_York:20260427T123000',
+            'SUMMARY:Oil Change\\, Tire Rotation at Farrish Subaru',
+            'LOCATION:Farrish Subaru',
+            'DESCRIPTION:Customer: Jane Doe\\nVehicle: 2021 Subaru Forester\\nServices: Oil Change\\, Tire Rotation\\nStatus: SCHEDULED\\nAppointment ID: appt_1',
+            'STATUS:CONFIRMED',
+            'SEQUENCE:2',
+            'CREATED:20260110T090000Z',
+            'LAST-MODIFIED:20260112T090000Z'
+        ]));
+        expect(lines).not.toContain('X-WR-CALNAME:Farrish Subaru appointments');
+    });
+
+    test('should mark cancelled appointments and fall back to one slot without a recorded end', () => {
+        const { appointmentEndDateTime, serviceDetails, servicesList, createdAt, updatedAt, version, ...legacy } = appointment;
+        const lines = unfold(buildCalendar([{ ...legacy, status: 'CANCELLED' }], newYork));
+        expect(lines).toEqual(expect.arrayContaining([
+            'STATUS:CANCELLED',
+            'SEQUENCE:0',
+            'SUMMARY:Appointment at Farrish Subaru',
+            'DTEND;TZID=America/New_York:20260427T120000'
+        ]));
+        expect(lines.some(line => line.startsWith('CREATED:'))).toBe(false);
+    });
+
+    test('should mark appointments held for the waitlist as tentative', () => {
+        expect(unfold(buildCalendar([{ ...appointment, status: 'HELD' }], newYork))).toContain('STATUS:TENTATIVE');
+    });
+
+    test('should describe daylight saving time changes in the VTIMEZONE', () => {
+        const lines = unfold(buildCalendar([appointment], newYork));
+        expect(lines).toContain('TZID:America/New_York');
+        expect(observances(lines)).toEqual([
+            ['STANDARD', 'DTSTART:20251231T190000', 'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0500', 'TZNAME:EST'],
+            ['DAYLIGHT', 'DTSTART:20260308T020000', 'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0400', 'TZNAME:EDT'],
+            ['STANDARD', 'DTSTART:20261101T020000', 'TZOFFSETFROM:-0400', 'TZOFFSETTO:-0500', 'TZNAME:EST']
+        ]);
+    });
+
+    test('should cover every year with appointments', () => {
+        const nextYear = { ...appointment, appointmentDateTime: '2027-07-01T15:00:00Z' };
+        const kinds = observances(unfold(buildCalendar([appointment, nextYear], newYork))).map(observance => observance[0]);
+        expect(kinds).toEqual(['STANDARD', 'DAYLIGHT', 'STANDARD', 'DAYLIGHT', 'STANDARD']);
+    });
+
+    test('should handle zones without and with southern daylight saving time', () => {
+        expect(observances(unfold(buildCalendar([appointment], { timeZone: 'Asia/Tokyo', slotMinutes: 30 })))).toEqual([
+            ['STANDARD', 'DTSTART:20260101T090000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900', expect.stringMatching(/^TZNAME:/)]
+        ]);
+        const sydney = observances(unfold(buildCalendar([appointment], { timeZone: 'Australia/Sydney', slotMinutes: 30 })));
+        expect(sydney.map(observance => observance.slice(0, 4))).toEqual([
+            ['DAYLIGHT', 'DTSTART:20260101T110000', 'TZOFFSETFROM:+1100', 'TZOFFSETTO:+1100'],
+            ['STANDARD', 'DTSTART:20260405T030000', 'TZOFFSETFROM:+1100', 'TZOFFSETTO:+1000'],
+            ['DAYLIGHT', 'DTSTART:20261004T020000', 'TZOFFSETFROM:+1000', 'TZOFFSETTO:+1100']
+        ]);
+    });
+});
+
+describe('Calendar handlers', () => {
+    const token = 'key_0123456789abcdef.secret';
+    const apiKey = (fields = {}) => ({
+        Item: { keyId: 'key_0123456789abcdef', keyHash: hashApiKey(token), scopes: ['read'], revoked: false, ...fields }
+    });
+
+    // Answers API key and location lookups, the appointment lookup and the location index query
+    const mockTables = ({ key = apiKey(), appointments = [appointment] } = {}) => {
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof GetCommand) {
+                if (command.input.Key.keyId) {
+                    return key;
+                }
+                if (command.input.Key.appointmentId) {
+                    return { Item: appointments.find(item => item.appointmentId === command.input.Key.appointmentId) };
+                }
+                return {};
+            }
+            return { Items: appointments };
+        });
+    };
+
+    beforeEach(() => {
+        process.env.API_KEYS_TABLE = 'api-keys-table';
+        delete process.env.API_KEY;
+    });
+
+    test('should export a single appointment', async () => {
+        mockTables();
+        const response = await getAppointmentCalendar({
+            headers: { authorization: `Bearer ${token}` },
+            pathParameters: { id: 'appt_1.ics' }
+        });
+        expect(response.statusCode).toBe(200);
+        expect(response.headers).toEqual({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="appt_1.ics"'
+        });
+        expect(unfold(response.body)).toContain('UID:appt_1@appointment-scheduler');
+    });
+
+    test('should return 404 for an unknown appointment', async () => {
+        mockTables({ appointments: [] });
+        const response = await getAppointmentCalendar({ headers: { authorization: `Bearer ${token}` }, pathParameters: { id: 'appt_404.ics' } });
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should check access to the appointment', async () => {
+        mockTables({ key: apiKey({ locations: ['Other Location'] }) });
+        const response = await getAppointmentCalendar({ headers: { authorization: `Bearer ${token}` }, pathParameters: { id: 'appt_1.ics' } });
+        expect(response.statusCode).toBe(403);
+        expect((await getAppointmentCalendar({ headers: {}, pathParameters: { id: 'appt_1.ics' } })).statusCode).toBe(401);
+    });
+
+    test('should publish the location feed from the start of the local day', async () => {
+        mockTables({ appointments: [appointment, { ...appointment, appointmentId: 'appt_2', status: 'CANCELLED' }] });
+        const response = await getLocationCalendar({
+            headers: { authorization: `Bearer ${token}` },
+            pathParameters: { id: 'Farrish Subaru' }
+        });
+        expect(response.statusCode).toBe(200);
+        expect(response.headers['Content-Disposition']).toBe('attachment; filename="calendar.ics"');
+        const lines = unfold(response.body);
+        expect(lines).toEqual(expect.arrayContaining([
+            'X-WR-CALNAME:Farrish Subaru appointments',
+            'X-WR-TIMEZONE:America/New_York',
+            'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+            'UID:appt_2@appointment-scheduler',
+            'STATUS:CANCELLED'
+        ]));
+        expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'locationTime',
+            KeyConditionExpression: 'locationId = :loc AND appointmentDateTime >= :start',
+            ExpressionAttributeValues: { ':loc': 'Farrish Subaru', ':start': '2026-01-15T05:00:00Z' }
+        });
+    });
+
+    test('should accept the credential as a query parameter for subscriptions', async () => {
+        mockTables();
+        const response = await getLocationCalendar({
+            queryStringParameters: { token },
+            pathParameters: { id: 'Farrish Subaru' }
+        });
+        expect(response.statusCode).toBe(200);
+    });
+
+    test('should only list a customer their own appointments', async () => {
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        process.env.JWT_SECRETS = 'portal-secret';
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+            sub: 'cust_1', role: 'customer', iss: process.env.JWT_ISSUER, aud: process.env.JWT_AUDIENCE, exp: Date.now() / 1000 + 300
+        })}`;
+        const jwt = `${unsigned}.${createHmac('sha256', 'portal-secret').update(unsigned).digest('base64url')}`;
+        try {
+            mockTables({ appointments: [appointment, { ...appointment, appointmentId: 'appt_2', customerId: 'cust_2' }] });
+            const response = await getLocationCalendar({ queryStringParameters: { token: jwt }, pathParameters: { id: 'Farrish Subaru' } });
+            expect(response.statusCode).toBe(200);
+            const uids = unfold(response.body).filter(line => line.startsWith('UID:'));
+            expect(uids).toEqual(['UID:appt_1@appointment-scheduler']);
+        } finally {
+            delete process.env.JWT_ISSUER;
+            delete process.env.JWT_AUDIENCE;
+            delete process.env.JWT_SECRETS;
+        }
+    });
+
+    test('should reject keys for other locations and missing IDs', async () => {
+        mockTables({ key: apiKey({ locations: ['Other Location'] }) });
+        const event = { headers: { authorization: `Bearer ${token}` }, pathParameters: { id: 'Farrish Subaru' } };
+        expect((await getLocationCalendar(event)).statusCode).toBe(403);
+        expect((await getLocationCalendar({ ...event, pathParameters: {} })).statusCode).toBe(400);
+        expect((await getAppointmentCalendar({ ...event, pathParameters: {} })).statusCode).toBe(400);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+        mockTables();
+        const event = { headers: { authorization: `Bearer ${token}` }, pathParameters: { id: 'appt_1.ics' } };
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(apiKey()).mockRejectedValueOnce(new Error('DynamoDB error'));
+        expect((await getAppointmentCalendar(event)).statusCode).toBe(500);
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(apiKey()).mockRejectedValueOnce(new Error('DynamoDB error'));
+        expect((await getLocationCalendar({ ...event, pathParameters: { id: 'Farrish Subaru' } })).statusCode).toBe(500);
+    });
+});
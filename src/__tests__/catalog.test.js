@@ -0,0 +1,181 @@
+const { putService, getService, listServices, deleteService, validateServiceDefinition, getServicesByIds } = require('../catalog');
+const { DynamoDBDocumentClient, PutCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(),
+    GetCommand: jest.fn(),
+    ScanCommand: jest.fn(),
+    DeleteCommand: jest.fn(),
+    BatchGetCommand: jest.fn()
+}));
+
+describe('Service definition validation', () => {
+    test('should trim the name and default price to null', () => {
+        const result = validateServiceDefinition({ name: ' Oil Change ', durationMinutes: 30 });
+        expect(result).toEqual({ valid: true, service: { name: 'Oil Change', durationMinutes: 30, price: null } });
+    });
+
+    test('should keep a price', () => {
+        const result = validateServiceDefinition({ name: 'Alignment', durationMinutes: 60, price: 99.5 });
+        expect(result.service.price).toBe(99.5);
+    });
+
+    test.each([
+        [{ durationMinutes: 30 }, 'name', 'required', 'name is required'],
+        [{ name: ' ', durationMinutes: 30 }, 'name', 'too_short', 'name must be between 1 and 100 characters'],
+        [{ name: 'Oil Change' }, 'durationMinutes', 'required', 'durationMinutes is required'],
+        [{ name: 'Oil Change', durationMinutes: 2 }, 'durationMinutes', 'too_small', 'durationMinutes must be an integer between 5 and 600'],
+        [{ name: 'Oil Change', durationMinutes: 22.5 }, 'durationMinutes', 'type', 'durationMinutes must be an integer'],
+        [{ name: 'Oil Change', durationMinutes: 30, price: -1 }, 'price', 'too_small', 'price must be a number of at least 0'],
+        [{ name: 'Oil Change', durationMinutes: 30, price: '49.99' }, 'price', 'type', 'price must be a number or null']
+    ])('should reject %j', (body, field, code, message) => {
+        expect(validateServiceDefinition(body)).toEqual({ valid: false, errors: [{ field, code, message }] });
+    });
+});
+
+describe('Service lookup', () => {
+    beforeEach(() => {
+        process.env.SERVICES_TABLE = 'services-table';
+        jest.clearAllMocks();
+    });
+
+    test('should return found services keyed by ID and retry unprocessed keys', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({
+                Responses: { 'services-table': [{ serviceId: 'oil-change', durationMinutes: 30 }] },
+                UnprocessedKeys: { 'services-table': { Keys: [{ serviceId: 'alignment' }] } }
+            })
+            .mockResolvedValueOnce({
+                Responses: { 'services-table': [{ serviceId: 'alignment', durationMinutes: 60 }] },
+                UnprocessedKeys: {}
+            });
+        const found = await getServicesByIds(['oil-change', 'alignment', 'oil-change', 'unknown']);
+        expect([...found.keys()]).toEqual(['oil-change', 'alignment']);
+        expect(BatchGetCommand.mock.calls[0][0].RequestItems['services-table'].Keys).toEqual([
+            { serviceId: 'oil-change' },
+            { serviceId: 'alignment' },
+            { serviceId: 'unknown' }
+        ]);
+        expect(BatchGetCommand.mock.calls[1][0].RequestItems).toEqual({ 'services-table': { Keys: [{ serviceId: 'alignment' }] } });
+    });
+
+    test('should split large lookups into batches of 100', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const ids = Array.from({ length: 150 }, (_, i) => `service-${i}`);
+        const found = await getServicesByIds(ids);
+        expect(found.size).toBe(0);
+        expect(BatchGetCommand).toHaveBeenCalledTimes(2);
+        expect(BatchGetCommand.mock.calls[1][0].RequestItems['services-table'].Keys).toHaveLength(50);
+    });
+});
+
+describe('Service handlers', () => {
+    const serviceEvent = (body) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'oil-change'
+        },
+        body: body && JSON.stringify(body)
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.SERVICES_TABLE = 'services-table';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+    });
+
+    test('should create a service', async () => {
+        const response = await putService(serviceEvent({ name: 'Oil Change', durationMinutes: 30, price: 49.99 }));
+        expect(response.statusCode).toBe(200);
+        const saved = PutCommand.mock.calls[0][0];
+        expect(saved.TableName).toBe('services-table');
+        expect(saved.Item).toMatchObject({ serviceId: 'oil-change', name: 'Oil Change', durationMinutes: 30, price: 49.99 });
+        expect(saved.Item.createdAt).toBe(saved.Item.updatedAt);
+    });
+
+    test('should keep createdAt when replacing a service', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { serviceId: 'oil-change', createdAt: 1 } });
+        await putService(serviceEvent({ name: 'Oil Change', durationMinutes: 45 }));
+        expect(PutCommand.mock.calls[0][0].Item.createdAt).toBe(1);
+    });
+
+    test('should reject an invalid service with every problem', async () => {
+        const response = await putService(serviceEvent({ name: '', durationMinutes: '30' }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body)).toEqual({
+            message: 'name must be between 1 and 100 characters, and 1 more problem',
+            errors: [
+                { field: 'name', code: 'too_short', message: 'name must be between 1 and 100 characters' },
+                { field: 'durationMinutes', code: 'type', message: 'durationMinutes must be an integer' }
+            ]
+        });
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should return a stored service', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { serviceId: 'oil-change' } });
+        const response = await getService(serviceEvent());
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).serviceId).toBe('oil-change');
+    });
+
+    test('should return 404 for unknown services', async () => {
+        const response = await getService(serviceEvent());
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should list every page of services', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Items: [{ serviceId: 'a' }], LastEvaluatedKey: { serviceId: 'a' } })
+            .mockResolvedValueOnce({ Items: [{ serviceId: 'b' }] });
+        const response = await listServices(serviceEvent());
+        expect(JSON.parse(response.body).items).toEqual([{ serviceId: 'a' }, { serviceId: 'b' }]);
+    });
+
+    test('should delete a service', async () => {
+        const response = await deleteService(serviceEvent());
+        expect(response.statusCode).toBe(200);
+    });
+
+    test.each([
+        ['putService', putService],
+        ['getService', getService],
+        ['deleteService', deleteService]
+    ])('%s should reject missing service ID', async (name, handler) => {
+        const response = await handler({ ...serviceEvent({}), pathParameters: {} });
+        expect(response.statusCode).toBe(400);
+    });
+
+    test.each([
+        ['putService', putService],
+        ['getService', getService],
+        ['listServices', listServices],
+        ['deleteService', deleteService]
+    ])('%s should reject missing authorization header', async (name, handler) => {
+        const response = await handler({ ...serviceEvent({}), headers: {} });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test.each([
+        ['putService', putService, { name: 'Oil Change', durationMinutes: 30 }],
+        ['getService', getService, {}],
+        ['listServices', listServices, {}],
+        ['deleteService', deleteService, {}]
+    ])('%s should handle DynamoDB errors', async (name, handler, body) => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        const response = await handler(serviceEvent(body));
+        expect(response.statusCode).toBe(500);
+    });
+});
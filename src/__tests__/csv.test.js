@@ -0,0 +1,64 @@
+const { parseCsv, parseCsvObjects, formatCsv } = require('../csv');
+
+describe('parseCsv', () => {
+    test('should split records and fields', () => {
+        expect(parseCsv('a,b,c\n1,2,3\n')).toEqual({ valid: true, records: [['a', 'b', 'c'], ['1', '2', '3']] });
+    });
+
+    test('should accept CRLF line endings, a missing final newline and blank lines', () => {
+        expect(parseCsv('a,b\r\n\r\n1,2').records).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should read quoted fields with commas, quotes and line breaks', () => {
+        expect(parseCsv('name,note\n"Rivera, Alex","Said ""call first""\nafter 5"\n').records).toEqual([
+            ['name', 'note'],
+            ['Rivera, Alex', 'Said "call first"\nafter 5']
+        ]);
+    });
+
+    test('should keep empty fields', () => {
+        expect(parseCsv('a,,c\n,,\n').records).toEqual([['a', '', 'c'], ['', '', '']]);
+    });
+
+    test('should drop a byte order mark', () => {
+        expect(parseCsv('\uFEFFa,b\n1,2').records[0]).toEqual(['a', 'b']);
+    });
+
+    test('should reject malformed quoting', () => {
+        expect(parseCsv('a\n"open')).toEqual({ valid: false, message: 'CSV has a quoted field that is never closed' });
+        expect(parseCsv('a\n"closed"x')).toEqual({ valid: false, message: 'CSV has text after a closing quote in record 2' });
+    });
+});
+
+describe('parseCsvObjects', () => {
+    const columns = ['name', 'city', 'notes'];
+
+    test('should key records by the header', () => {
+        expect(parseCsvObjects(' name ,city\nAlex,Boston\nSam\n', columns)).toEqual({
+            valid: true,
+            objects: [{ name: 'Alex', city: 'Boston' }, { name: 'Sam' }]
+        });
+    });
+
+    test.each([
+        ['', 'CSV needs a header line'],
+        ['name,country\nAlex,US', 'Unknown CSV column: country'],
+        ['name,name\nAlex,Sam', 'Duplicate CSV column: name'],
+        ['name\nAlex,Boston', 'CSV row 1 has more fields than the header'],
+        ['name\n"Alex', 'CSV has a quoted field that is never closed']
+    ])('should reject %j', (text, message) => {
+        expect(parseCsvObjects(text, columns)).toEqual({ valid: false, message });
+    });
+});
+
+describe('formatCsv', () => {
+    test('should write records with CRLF, quoting only the fields that need it', () => {
+        expect(formatCsv([['name', 'note', 'count'], ['Rivera, Alex', 'Said "call first"\nafter 5', 3], ['Sam', null, undefined]]))
+            .toBe('name,note,count\r\n"Rivera, Alex","Said ""call first""\nafter 5",3\r\nSam,,\r\n');
+    });
+
+    test('should write what parseCsv reads back', () => {
+        const records = [['a', 'b,c'], ['"quoted"', 'line\r\nbreak']];
+        expect(parseCsv(formatCsv(records)).records).toEqual(records);
+    });
+});
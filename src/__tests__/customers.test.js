@@ -0,0 +1,361 @@
+const {
+    createCustomer,
+    getCustomer,
+    findCustomers,
+    updateCustomer,
+    deleteCustomer,
+    getCustomerAppointments,
+    validateCustomer
+} = require('../customers');
+const { hashApiKey } = require('../auth');
+const { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(),
+    GetCommand: jest.fn(),
+    QueryCommand: jest.fn(),
+    UpdateCommand: jest.fn(),
+    DeleteCommand: jest.fn()
+}));
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+describe('Customer validation', () => {
+    test('should normalize contact details', () => {
+        expect(validateCustomer({ name: ' Jane Doe ', email: ' Jane@Example.COM ', phone: '+49 (30) 1234-5678' })).toEqual({
+            valid: true,
+            customer: { name: 'Jane Doe', email: 'jane@example.com', phone: '+493012345678', vehicles: [] }
+        });
+    });
+
+    test('should validate saved vehicles', () => {
+        const result = validateCustomer({ name: 'Jane Doe', phone: '+15550100199', vehicles: [{ make: 'Subaru', model: 'Forester', year: 2021 }] });
+        expect(result.customer.vehicles).toEqual([{ make: 'Subaru', model: 'Forester', year: 2021, mileage: null, vin: null }]);
+    });
+
+    test.each([
+        [{ email: 'jane@example.com' }, 'name', 'required', 'name is required'],
+        [{ name: 'Jane Doe' }, 'email', 'required', 'email or phone is required'],
+        [{ name: 'Jane Doe', email: 'jane.example.com' }, 'email', 'format', 'email must be a valid email address'],
+        [{ name: 'Jane Doe', phone: '555 0199' }, 'phone', 'format', 'phone must be an international number such as +1 555 010 0199'],
+        [{ name: 'Jane Doe', phone: 15550100199 }, 'phone', 'type', 'phone must be a string or null'],
+        [{ name: 'Jane Doe', phone: '+15550100199', vehicles: {} }, 'vehicles', 'type', 'vehicles must be an array'],
+        [{ name: 'Jane Doe', phone: '+15550100199', vehicles: [{ make: 'Subaru', model: 'Forester', year: 1850 }] }, 'vehicles[0].year', 'too_small', 'vehicles[0].year must be an integer of at least 1900'],
+        [[], 'body', 'type', 'body must be an object']
+    ])('should reject %j', (body, field, code, message) => {
+        expect(validateCustomer(body)).toEqual({ valid: false, errors: [{ field, code, message }] });
+    });
+
+    test('should report every problem under the field given', () => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+        expect(validateCustomer({ name: 42, email: 'jane', vehicles: [{ make: 'Subaru', model: 'Forester', year: 2031 }] }, { field: 'customer' }).errors).toEqual([
+            { field: 'customer.name', code: 'type', message: 'customer.name must be a string' },
+            { field: 'customer.email', code: 'format', message: 'customer.email must be a valid email address' }
+        ]);
+        expect(validateCustomer({ name: 'Jane Doe', email: 'jane@example.com', vehicles: [{ make: 'Subaru', model: 'Forester', year: 2031 }] }, { field: 'customer' }).errors).toEqual([
+            { field: 'customer.vehicles[0].year', code: 'too_large', message: 'customer.vehicles[0].year must be an integer between 1900 and 2027' }
+        ]);
+        jest.useRealTimers();
+    });
+
+    test('should only check present fields for partial updates', () => {
+        expect(validateCustomer({ phone: null }, { partial: true })).toEqual({ valid: true, customer: { phone: null } });
+        expect(validateCustomer({ name: '' }, { partial: true }).valid).toBe(false);
+    });
+});
+
+describe('Customer handlers', () => {
+    const customer = { customerId: 'cust_1', name: 'Jane Doe', email: 'jane@example.com', vehicles: [], createdAt: 1, updatedAt: 1 };
+    const customerEvent = (fields) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'cust_1'
+        },
+        ...fields
+    });
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.API_KEYS_TABLE = 'api-keys-table';
+        process.env.CUSTOMERS_TABLE = 'customers-table';
+        process.env.APPOINTMENTS_TABLE = 'appointments-table';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockReset();
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+    });
+
+    test('should create a customer', async () => {
+        const response = await createCustomer(customerEvent({ body: JSON.stringify({ name: 'Jane Doe', email: 'jane@example.com' }) }));
+        expect(response.statusCode).toBe(200);
+        const saved = PutCommand.mock.calls[0][0];
+        expect(saved).toMatchObject({ TableName: 'customers-table', ConditionExpression: 'attribute_not_exists(customerId)' });
+        expect(saved.Item).toEqual({
+            customerId: expect.stringMatching(/^cust_/),
+            name: 'Jane Doe',
+            email: 'jane@example.com',
+            vehicles: [],
+            createdAt: new Date('2026-01-15T12:00:00Z').getTime(),
+            updatedAt: new Date('2026-01-15T12:00:00Z').getTime()
+        });
+        expect(JSON.parse(response.body)).toEqual(saved.Item);
+    });
+
+    test('should reject an invalid customer', async () => {
+        const response = await createCustomer(customerEvent({ body: JSON.stringify({ name: 'Jane Doe' }) }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body)).toEqual({
+            message: 'email or phone is required',
+            errors: [{ field: 'email', code: 'required', message: 'email or phone is required' }]
+        });
+        expect(PutCommand).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed JSON', async () => {
+        const response = await createCustomer(customerEvent({ body: '{"name": "Jane' }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors).toEqual([{ field: 'body', code: 'invalid_json', message: 'Request body must be valid JSON' }]);
+    });
+
+    test('should return a customer', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: customer });
+        const response = await getCustomer(customerEvent());
+        expect(JSON.parse(response.body)).toEqual(customer);
+    });
+
+    test('should return 404 for unknown customers', async () => {
+        const response = await getCustomer(customerEvent());
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should find customers by normalized email', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Items: [customer], LastEvaluatedKey: { customerId: 'cust_1' } })
+            .mockResolvedValueOnce({ Items: [{ ...customer, customerId: 'cust_2' }] });
+        const response = await findCustomers(customerEvent({ queryStringParameters: { email: 'JANE@example.com' } }));
+        expect(JSON.parse(response.body).items.map(item => item.customerId)).toEqual(['cust_1', 'cust_2']);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'email',
+            KeyConditionExpression: 'email = :value',
+            ExpressionAttributeValues: { ':value': 'jane@example.com' }
+        });
+    });
+
+    test('should find customers by phone', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [] });
+        await findCustomers(customerEvent({ queryStringParameters: { phone: '+1 555 010 0199' } }));
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({ IndexName: 'phone', ExpressionAttributeValues: { ':value': '+15550100199' } });
+    });
+
+    test.each([
+        [undefined, 'Exactly one of the email or phone query parameters is required'],
+        [{ email: 'jane@example.com', phone: '+15550100199' }, 'Exactly one of the email or phone query parameters is required'],
+        [{ email: 'jane' }, 'email must be a valid email address']
+    ])('should reject the search %j', async (query, message) => {
+        const response = await findCustomers(customerEvent({ queryStringParameters: query }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe(message);
+    });
+
+    test('should update a customer and clear a contact field', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { ...customer, phone: '+15550100199' } })
+            .mockResolvedValueOnce({ Attributes: { ...customer, name: 'Jane Smith' } });
+        const response = await updateCustomer(customerEvent({ body: JSON.stringify({ name: 'Jane Smith', phone: null }) }));
+        expect(response.statusCode).toBe(200);
+        expect(UpdateCommand.mock.calls[0][0]).toMatchObject({
+            UpdateExpression: 'SET #updatedAt = :updatedAt, #name = :name REMOVE #phone',
+            ConditionExpression: 'attribute_exists(customerId)',
+            ExpressionAttributeValues: { ':updatedAt': new Date('2026-01-15T12:00:00Z').getTime(), ':name': 'Jane Smith' }
+        });
+    });
+
+    test('should not remove the last contact field', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: customer });
+        const response = await updateCustomer(customerEvent({ body: JSON.stringify({ email: null }) }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('email or phone is required');
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        [{}, 'At least one of name, email, phone, vehicles is required'],
+        [{ email: 'jane' }, 'email must be a valid email address']
+    ])('should reject the update %j', async (body, message) => {
+        const response = await updateCustomer(customerEvent({ body: JSON.stringify(body) }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe(message);
+    });
+
+    test.each([
+        ['missing', () => DynamoDBDocumentClient.send.mockResolvedValueOnce({})],
+        ['deleted in between', () => DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: customer }).mockRejectedValueOnce(conditionFailed())]
+    ])('should return 404 when updating a %s customer', async (name, mock) => {
+        mock();
+        const response = await updateCustomer(customerEvent({ body: JSON.stringify({ name: 'Jane Smith' }) }));
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should delete a customer', async () => {
+        const response = await deleteCustomer(customerEvent());
+        expect(response.statusCode).toBe(200);
+    });
+
+    test('should return 404 when deleting an unknown customer', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(conditionFailed());
+        const response = await deleteCustomer(customerEvent());
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should split appointment history into upcoming and past', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({
+                Items: [
+                    { appointmentId: 'appt_1', locationId: 'Berlin', appointmentDateTime: '2025-11-03T10:00:00Z' },
+                    { appointmentId: 'appt_2', locationId: 'Berlin', appointmentDateTime: '2025-12-01T10:00:00Z' }
+                ],
+                LastEvaluatedKey: { appointmentId: 'appt_2' }
+            })
+            .mockResolvedValueOnce({
+                Items: [
+                    { appointmentId: 'appt_3', locationId: 'Berlin', appointmentDateTime: '2026-01-15T12:00:00Z' },
+                    { appointmentId: 'appt_4', locationId: 'Berlin', appointmentDateTime: '2026-03-02T10:00:00Z' }
+                ]
+            });
+        const response = await getCustomerAppointments(customerEvent());
+        const body = JSON.parse(response.body);
+        expect(body.upcoming.map(item => item.appointmentId)).toEqual(['appt_3', 'appt_4']);
+        expect(body.past.map(item => item.appointmentId)).toEqual(['appt_2', 'appt_1']);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            TableName: 'appointments-table',
+            IndexName: 'customerTime',
+            KeyConditionExpression: 'customerId = :customerId',
+            ExpressionAttributeValues: { ':customerId': 'cust_1' }
+        });
+    });
+
+    test('should leave out appointments at locations a restricted key cannot see', async () => {
+        const token = 'key_0123456789abcdef.secret';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { keyId: 'key_0123456789abcdef', keyHash: hashApiKey(token), scopes: ['read'], locations: ['Berlin'] } })
+            .mockResolvedValueOnce({
+                Items: [
+                    { appointmentId: 'appt_1', locationId: 'Berlin', appointmentDateTime: '2026-03-02T10:00:00Z' },
+                    { appointmentId: 'appt_2', locationId: 'Chicago Subaru', appointmentDateTime: '2026-03-03T10:00:00Z' }
+                ]
+            });
+        const response = await getCustomerAppointments(customerEvent({ headers: { authorization: `Bearer ${token}` } }));
+        expect(JSON.parse(response.body).upcoming.map(item => item.appointmentId)).toEqual(['appt_1']);
+    });
+
+    describe('with a customer token', () => {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const token = (() => {
+            const signingInput = `${encode({ alg: 'HS256' })}.${encode({
+                sub: 'cust_2',
+                role: 'customer',
+                iss: 'https://portal.example.com',
+                aud: 'appointment-scheduler',
+                exp: new Date('2026-01-15T13:00:00Z').getTime() / 1000
+            })}`;
+            return `${signingInput}.${require('crypto').createHmac('sha256', 'portal-secret').update(signingInput).digest('base64url')}`;
+        })();
+        const tokenEvent = (fields) => customerEvent({ headers: { authorization: `Bearer ${token}` }, ...fields });
+
+        beforeEach(() => {
+            process.env.JWT_SECRETS = 'portal-secret';
+            process.env.JWT_ISSUER = 'https://portal.example.com';
+            process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        });
+
+        test.each([
+            ['getCustomer', getCustomer],
+            ['getCustomerAppointments', getCustomerAppointments]
+        ])('%s should not show other customers', async (name, handler) => {
+            const response = await handler(tokenEvent());
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).message).toBe('Customer profile belongs to another customer');
+            expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+        });
+
+        test('should show the customer their own profile', async () => {
+            DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { ...customer, customerId: 'cust_2' } });
+            const response = await getCustomer(tokenEvent({ pathParameters: { id: 'cust_2' } }));
+            expect(response.statusCode).toBe(200);
+        });
+
+        test('should only find the customer themselves', async () => {
+            DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [customer, { ...customer, customerId: 'cust_2' }] });
+            const response = await findCustomers(tokenEvent({ queryStringParameters: { email: 'jane@example.com' } }));
+            expect(JSON.parse(response.body).items.map(item => item.customerId)).toEqual(['cust_2']);
+        });
+
+        test.each([
+            ['createCustomer', createCustomer, 'book'],
+            ['updateCustomer', updateCustomer, 'book'],
+            ['deleteCustomer', deleteCustomer, 'admin']
+        ])('%s should need the %s scope', async (name, handler, scope) => {
+            const response = await handler(tokenEvent({ body: JSON.stringify({ name: 'Jane Doe' }) }));
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).message).toBe(`Token is missing the ${scope} scope`);
+        });
+    });
+
+    test.each([
+        ['getCustomer', getCustomer],
+        ['updateCustomer', updateCustomer],
+        ['deleteCustomer', deleteCustomer],
+        ['getCustomerAppointments', getCustomerAppointments]
+    ])('%s should reject missing customer ID', async (name, handler) => {
+        const response = await handler(customerEvent({ pathParameters: {}, body: JSON.stringify({ name: 'Jane Doe' }) }));
+        expect(response.statusCode).toBe(400);
+    });
+
+    test.each([
+        ['createCustomer', createCustomer],
+        ['getCustomer', getCustomer],
+        ['findCustomers', findCustomers],
+        ['updateCustomer', updateCustomer],
+        ['deleteCustomer', deleteCustomer],
+        ['getCustomerAppointments', getCustomerAppointments]
+    ])('%s should reject missing authorization header', async (name, handler) => {
+        const response = await handler(customerEvent({ headers: {} }));
+        expect(response.statusCode).toBe(401);
+    });
+
+    test.each([
+        ['createCustomer', createCustomer],
+        ['getCustomer', getCustomer],
+        ['findCustomers', findCustomers],
+        ['updateCustomer', updateCustomer],
+        ['deleteCustomer', deleteCustomer],
+        ['getCustomerAppointments', getCustomerAppointments]
+    ])('%s should handle DynamoDB errors', async (name, handler) => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DB Error'));
+        const response = await handler(customerEvent({
+            queryStringParameters: { email: 'jane@example.com' },
+            body: JSON.stringify({ name: 'Jane Doe', email: 'jane@example.com' })
+        }));
+        expect(response.statusCode).toBe(500);
+    });
+});
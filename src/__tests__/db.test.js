@@ -0,0 +1,63 @@
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createLocalClient } = require('../localStore');
+
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn(() => ({ send: jest.fn() }))
+    }
+}));
+
+jest.mock('../localStore', () => ({
+    createLocalClient: jest.fn(() => ({ send: jest.fn() }))
+}));
+
+// db.js picks its client when loaded, so each test loads it afresh
+const loadClient = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+        let client;
+        jest.isolateModules(() => {
+            client = require('../db').dynamoDb;
+        });
+        return client;
+    } finally {
+        process.env = saved;
+    }
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.STORAGE_FILE;
+});
+
+describe('dynamoDb', () => {
+    test('should use DynamoDB by default', () => {
+        loadClient({});
+        expect(DynamoDBDocumentClient.from).toHaveBeenCalled();
+        expect(createLocalClient).not.toHaveBeenCalled();
+    });
+
+    test('should keep the tables in memory', () => {
+        loadClient({ STORAGE_BACKEND: 'memory' });
+        expect(createLocalClient).toHaveBeenCalledWith();
+        expect(DynamoDBDocumentClient.from).not.toHaveBeenCalled();
+    });
+
+    test('should keep the tables in a file, by default under .data', () => {
+        loadClient({ STORAGE_BACKEND: 'file', STORAGE_FILE: '/tmp/tables.json' });
+        expect(createLocalClient).toHaveBeenCalledWith({ file: '/tmp/tables.json' });
+
+        loadClient({ STORAGE_BACKEND: 'file' });
+        expect(createLocalClient).toHaveBeenLastCalledWith({ file: '.data/tables.json' });
+    });
+
+    test('should reject backends it does not know', () => {
+        expect(() => loadClient({ STORAGE_BACKEND: 'postgres' })).toThrow('Unknown storage backend: postgres');
+    });
+});
@@ -1,30 +1,47 @@
 require('dotenv').config();
 const axios = require('axios');
+const { getZonedParts, zonedTimeToUtc } = require('../timezone');
 
-const API_URL = process.env.API_URL;
-const API_KEY = process.env.API_KEY;
-
-if (!API_URL) {
-    throw new Error('API_URL environment variable is not set');
-}
+// Runs against a deployed stack when API_URL is set, and otherwise against the local server
+let API_URL = process.env.API_URL;
+const API_KEY = process.env.API_KEY || 'test-api-key';
 
 describe('Appointment Scheduler E2E Tests', () => {
     let createdAppointmentId;
+    let localServer;
+
+    beforeAll(async () => {
+        if (API_URL) {
+            return;
+        }
+        process.env.API_KEY = API_KEY;
+        localServer = require('../localServer').createServer();
+        await new Promise(resolve => localServer.listen(0, '127.0.0.1', resolve));
+        API_URL = `http://127.0.0.1:${localServer.address().port}`;
+    });
 
-    // Calculate a valid future appointment time (next business day at 2 PM EST)
-    const getValidAppointmentTime = () => {
-        const date = new Date();
-        date.setDate(date.getDate() + 1);  // tomorrow
-        date.setHours(14, 0, 0, 0);  // 2 PM
-        return date.toISOString().split('.')[0] + 'Z';
+    afterAll(async () => {
+        if (localServer) {
+            await new Promise(resolve => localServer.close(resolve));
+        }
+    });
+
+    // Tomorrow at a wall-clock time in New York, where locations without their own hours are open
+    // 9 AM to 7 PM every day, whatever the time zone of the machine running the tests
+    const tomorrowAt = (hours, minutes = 0) => {
+        const tomorrow = getZonedParts(new Date(Date.now() + 24 * 60 * 60000), 'America/New_York').date;
+        return zonedTimeToUtc(tomorrow, hours * 60 + minutes, 'America/New_York').toISOString().split('.')[0] + 'Z';
     };
 
+    // Calculate a valid future appointment time (tomorrow at 2 PM Eastern)
+    const getValidAppointmentTime = () => tomorrowAt(14);
+
     const validAppointment = {
         fullName: "E2E Test User",
         location: "Farrish Subaru",
         appointmentTime: getValidAppointmentTime(),
         car: "Subaru Outback",
-        services: ["Oil Change"]
+        services: ["oil-change"]
     };
 
     const headers = {
@@ -32,6 +49,15 @@ describe('Appointment Scheduler E2E Tests', () => {
         'Content-Type': 'application/json'
     };
 
+    // Bookings only accept services from the catalog
+    beforeAll(async () => {
+        await axios.put(
+            `${API_URL}/services/oil-change`,
+            { name: 'Oil Change', durationMinutes: 30 },
+            { headers }
+        );
+    });
+
     test('should create and delete an appointment', async () => {
         try {
             // Create appointment
@@ -97,13 +123,9 @@ describe('Appointment Scheduler E2E Tests', () => {
 
     test('should fail with non-business hours appointment', async () => {
         expect.assertions(1);
-        const date = new Date();
-        date.setDate(date.getDate() + 1);
-        date.setHours(22, 0, 0, 0); // 10 PM
-
         const invalidAppointment = {
             ...validAppointment,
-            appointmentTime: date.toISOString().split('.')[0] + 'Z'
+            appointmentTime: tomorrowAt(22) // 10 PM
         };
 
         try {
@@ -120,13 +142,9 @@ describe('Appointment Scheduler E2E Tests', () => {
 
     test('should fail with non-30-minute interval appointment', async () => {
         expect.assertions(1);
-        const date = new Date();
-        date.setDate(date.getDate() + 1);
-        date.setHours(14, 45, 0, 0); // 2:45 PM
-
         const invalidAppointment = {
             ...validAppointment,
-            appointmentTime: date.toISOString().split('.')[0] + 'Z'
+            appointmentTime: tomorrowAt(14, 45) // 2:45 PM
         };
 
         try {
@@ -192,16 +210,49 @@ describe('Appointment Scheduler E2E Tests', () => {
         }
     });
 
+    test('should store times sent with an offset in UTC, so range queries find them', async () => {
+        // The same instants written four hours behind UTC, as New York is in summer
+        const withOffset = (utcTime) => new Date(new Date(utcTime).getTime() - 4 * 60 * 60000).toISOString().split('.')[0] + '-04:00';
+        const appointmentTime = tomorrowAt(11, 30);
+        const appointmentEndTime = tomorrowAt(12);
+        const createResponse = await axios.post(
+            `${API_URL}/appointments`,
+            { ...validAppointment, appointmentTime: withOffset(appointmentTime) },
+            { headers }
+        );
+        const appointmentId = createResponse.data.appointmentId;
+
+        try {
+            expect(createResponse.status).toBe(200);
+            expect(createResponse.data).toMatchObject({
+                appointmentDateTime: appointmentTime,
+                appointmentEndDateTime: appointmentEndTime
+            });
+
+            const listResponse = await axios.get(`${API_URL}/appointments`, {
+                headers,
+                params: { location: 'Farrish Subaru', from: tomorrowAt(11), to: appointmentEndTime }
+            });
+            expect(listResponse.data.items.map(item => item.appointmentId)).toContain(appointmentId);
+
+            const movedTime = tomorrowAt(13);
+            const updateResponse = await axios.patch(
+                `${API_URL}/appointments/${appointmentId}`,
+                { appointmentTime: withOffset(movedTime) },
+                { headers }
+            );
+            expect(updateResponse.data.appointmentDateTime).toBe(movedTime);
+        } finally {
+            await axios.delete(`${API_URL}/appointments/${appointmentId}`, { headers });
+        }
+    });
+
     test('should fail when creating appointment outside business hours', async () => {
         expect.assertions(2);
-        // Create an appointment for 8 PM EST (outside 9 AM - 7 PM EST window)
-        const date = new Date();
-        date.setDate(date.getDate() + 1);  // tomorrow
-        date.setHours(20, 0, 0, 0);  // 8 PM EST
-
+        // Create an appointment for 8 PM Eastern (outside the 9 AM - 7 PM window)
         const afterHoursAppointment = {
             ...validAppointment,
-            appointmentTime: date.toISOString().split('.')[0] + 'Z'
+            appointmentTime: tomorrowAt(20) // 8 PM
         };
 
         try {
@@ -213,7 +264,8 @@ describe('Appointment Scheduler E2E Tests', () => {
             throw new Error('Expected request to fail');
         } catch (error) {
             expect(error.response.status).toBe(400);
-            expect(error.response.data.message).toBe('Appointments must be between 9 AM and 7 PM EST');
+            // EST or EDT, depending on the date
+            expect(error.response.data.message).toMatch(/^Appointments must be between 9 AM and 7 PM E[SD]T$/);
         }
     });
 
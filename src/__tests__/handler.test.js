@@ -1,5 +1,26 @@
-const { appointmentScheduler, deleteAppointment } = require('../handler');
-const { DynamoDBDocumentClient} = require('@aws-sdk/lib-dynamodb');
+const {
+    appointmentScheduler,
+    deleteAppointment,
+    getAppointment,
+    listAppointments,
+    getAvailability,
+    updateAppointment,
+    updateAppointmentStatus
+} = require('../handler');
+const { createHmac } = require('crypto');
+const { hashApiKey } = require('../auth');
+const { notifyAppointment } = require('../notifications');
+const { addToWaitlist, releaseToWaitlist } = require('../waitlist');
+const { recordAudit } = require('../audit');
+const {
+    DynamoDBDocumentClient,
+    QueryCommand,
+    UpdateCommand,
+    PutCommand,
+    GetCommand,
+    BatchGetCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
 
 // Mock DynamoDB
 jest.mock('@aws-sdk/client-dynamodb', () => ({
@@ -11,11 +32,88 @@ jest.mock('@aws-sdk/lib-dynamodb', () => ({
         from: jest.fn().mockReturnThis(),
         send: jest.fn()
     },
-    PutCommand: jest.fn(),
+    PutCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
     QueryCommand: jest.fn(),
-    DeleteCommand: jest.fn()
+    UpdateCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    DeleteCommand: jest.fn(),
+    BatchGetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    TransactWriteCommand: jest.fn(function (input) {
+        this.input = input;
+    })
 }));
 
+// Notifications have their own tests; here it only matters which ones are sent
+jest.mock('../notifications', () => ({
+    notifyAppointment: jest.fn()
+}));
+
+// Audit entries have their own tests; here it only matters which changes are recorded
+jest.mock('../audit', () => ({
+    recordAudit: jest.fn()
+}));
+
+// Queueing and promotion have their own tests in waitlist.test.js
+jest.mock('../waitlist', () => ({
+    ...jest.requireActual('../waitlist'),
+    addToWaitlist: jest.fn(async (appointment, window) => ({ entryId: 'wait_1', status: 'WAITING', ...window })),
+    releaseToWaitlist: jest.fn()
+}));
+
+const catalog = {
+    'oil-change': { serviceId: 'oil-change', name: 'Oil Change', durationMinutes: 30, price: 49.99 },
+    'tire-rotation': { serviceId: 'tire-rotation', name: 'Tire Rotation', durationMinutes: 20, price: null },
+    'brake-service': { serviceId: 'brake-service', name: 'Brake Service', durationMinutes: 90, price: 249 },
+    'alignment': { serviceId: 'alignment', name: 'Alignment', durationMinutes: 60, price: 99 }
+};
+
+// BatchGet response for the service catalog lookup
+const servicesResponse = (...serviceIds) => ({
+    Responses: { 'services-table': serviceIds.map(serviceId => catalog[serviceId]) }
+});
+
+// Items of the n-th transaction; the appointment write comes first, then the slot reservations
+const transactionItems = (call = 0) => TransactWriteCommand.mock.calls[call][0].TransactItems;
+
+// Answers catalog lookups from the catalog above, location lookups with the given
+// configuration and every other call with an empty result
+const mockEmptyTables = (locationConfig) => {
+    DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+        if (command instanceof BatchGetCommand) {
+            const { Keys } = command.input.RequestItems['services-table'];
+            return servicesResponse(...Keys.map(key => key.serviceId).filter(serviceId => catalog[serviceId]));
+        }
+        if (command instanceof GetCommand) {
+            return { Item: locationConfig };
+        }
+        return { Items: [] };
+    });
+};
+
+// Fixtures use fixed 2026 dates, so pin "now" before them
+beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    process.env.SERVICES_TABLE = 'services-table';
+    process.env.CUSTOMERS_TABLE = 'customers-table';
+});
+
+// Drop queued responses a failing test may have left behind
+beforeEach(() => {
+    DynamoDBDocumentClient.send.mockReset();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
 describe('Appointment Scheduler', () => {
     const validEvent = {
         headers: {
@@ -26,7 +124,7 @@ describe('Appointment Scheduler', () => {
             location: "Farrish Subaru",
             appointmentTime: "2026-04-27T15:30:00Z",
             car: "Subaru Outback",
-            services: ["Oil Change"]
+            services: ["oil-change"]
         })
     };
 
@@ -34,13 +132,176 @@ describe('Appointment Scheduler', () => {
         process.env.API_KEY = 'test-api-key';
         process.env.APPOINTMENTS_TABLE = 'test-table';
         jest.clearAllMocks();
-        DynamoDBDocumentClient.send.mockResolvedValue({ Items: [] });
+        mockEmptyTables();
     });
 
     test('should successfully create appointment', async () => {
         const response = await appointmentScheduler(validEvent);
         expect(response.statusCode).toBe(200);
         expect(JSON.parse(response.body)).toHaveProperty('appointmentId');
+        expect(notifyAppointment).toHaveBeenCalledWith('confirmation', JSON.parse(response.body));
+        expect(recordAudit).toHaveBeenCalledWith('created', {
+            after: JSON.parse(response.body),
+            principal: expect.objectContaining({ principalId: 'root' }),
+            event: validEvent
+        });
+    });
+
+    test('should store a structured vehicle', async () => {
+        const event = {
+            headers: validEvent.headers,
+            body: JSON.stringify({
+                ...JSON.parse(validEvent.body),
+                car: undefined,
+                vehicle: { make: 'Subaru', model: 'Forester', year: 2021, mileage: 42000, vin: 'jf2skaec0mh400001' }
+            })
+        };
+        const response = await appointmentScheduler(event);
+        expect(response.statusCode).toBe(200);
+        expect(transactionItems()[0].Put.Item).toMatchObject({
+            vehicleDetails: '2021 Subaru Forester',
+            vehicle: { make: 'Subaru', model: 'Forester', year: 2021, mileage: 42000, vin: 'JF2SKAEC0MH400001' },
+            vin: 'JF2SKAEC0MH400001'
+        });
+    });
+
+    test('should book for an existing customer profile', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { customerId: 'cust_1', name: 'Jane Doe', email: 'jane@example.com' } });
+        const { fullName, ...rest } = JSON.parse(validEvent.body);
+        const response = await appointmentScheduler({ ...validEvent, body: JSON.stringify({ ...rest, customerId: 'cust_1' }) });
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toMatchObject({ customerId: 'cust_1', customerName: 'Jane Doe' });
+        expect(GetCommand.mock.calls[0][0]).toEqual({ TableName: 'customers-table', Key: { customerId: 'cust_1' } });
+    });
+
+    test('should create a customer profile from inline details with the booking', async () => {
+        const { fullName, ...rest } = JSON.parse(validEvent.body);
+        const response = await appointmentScheduler({
+            ...validEvent,
+            body: JSON.stringify({ ...rest, customer: { name: 'Jane Doe', email: 'Jane@Example.com', phone: '+1 (555) 010-0199' } })
+        });
+        expect(response.statusCode).toBe(200);
+        const appointment = JSON.parse(response.body);
+        expect(appointment.customerId).toMatch(/^cust_[0-9a-f-]{36}$/);
+        expect(appointment.customerName).toBe('Jane Doe');
+
+        const items = transactionItems();
+        expect(items[items.length - 1].Put).toEqual({
+            TableName: 'customers-table',
+            Item: expect.objectContaining({
+                customerId: appointment.customerId,
+                name: 'Jane Doe',
+                email: 'jane@example.com',
+                phone: '+15550100199',
+                vehicles: []
+            })
+        });
+    });
+
+    test.each([
+        [{ customerId: 'cust_404' }, 'customerId does not match a customer'],
+        [{ customerId: 42 }, 'customerId must be a string'],
+        [{ customer: { name: 'Jane Doe', email: 'jane@' } }, 'customer.email must be a valid email address'],
+        [{ customer: { name: 'Jane Doe' } }, 'customer.email or customer.phone is required'],
+        [{ customer: 'Jane Doe' }, 'customer must be an object'],
+        [{ customerId: 'cust_1', customer: { name: 'Jane Doe', phone: '+15550100199' } }, 'Send either customerId or customer, not both']
+    ])('should reject the customer fields %j', async (fields, message) => {
+        const { fullName, ...rest } = JSON.parse(validEvent.body);
+        const response = await appointmentScheduler({ ...validEvent, body: JSON.stringify({ ...rest, ...fields }) });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe(message);
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
+    test('should keep the legacy car string without vehicle attributes', async () => {
+        await appointmentScheduler(validEvent);
+        const item = transactionItems()[0].Put.Item;
+        expect(item.vehicleDetails).toBe('Subaru Outback');
+        expect(item).not.toHaveProperty('vehicle');
+        expect(item).not.toHaveProperty('vin');
+    });
+
+    test('should reject an invalid vehicle', async () => {
+        const event = {
+            headers: validEvent.headers,
+            body: JSON.stringify({
+                ...JSON.parse(validEvent.body),
+                car: undefined,
+                vehicle: { make: 'Subaru', model: 'Forester', year: 2021, vin: 'JF2SKAEC1MH400001' }
+            })
+        };
+        const response = await appointmentScheduler(event);
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('vehicle.vin has an invalid check digit');
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
+    test('should block consecutive slots for the total service duration', async () => {
+        const event = {
+            headers: validEvent.headers,
+            body: JSON.stringify({
+                ...JSON.parse(validEvent.body),
+                services: ['brake-service', 'tire-rotation']
+            })
+        };
+        const response = await appointmentScheduler(event);
+        expect(response.statusCode).toBe(200);
+        const appointment = JSON.parse(response.body);
+        expect(appointment.durationMinutes).toBe(110);
+        expect(appointment.appointmentEndDateTime).toBe('2026-04-27T17:30:00Z'); // 4 slots
+        expect(appointment.serviceDetails).toEqual([
+            { serviceId: 'brake-service', name: 'Brake Service', durationMinutes: 90, price: 249 },
+            { serviceId: 'tire-rotation', name: 'Tire Rotation', durationMinutes: 20, price: null }
+        ]);
+    });
+
+    test('should reject unknown and duplicate services', async () => {
+        for (const [services, message] of [
+            [['oil-change', 'Oil Change, Tire Rotation'], 'Unknown services: Oil Change, Tire Rotation'],
+            [['oil-change', 'oil-change'], 'services cannot contain duplicates']
+        ]) {
+            const event = {
+                headers: validEvent.headers,
+                body: JSON.stringify({ ...JSON.parse(validEvent.body), services })
+            };
+            const response = await appointmentScheduler(event);
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).message).toBe(message);
+        }
+        expect(PutCommand).not.toHaveBeenCalled();
+    });
+
+    test('should reject appointments whose services run past closing', async () => {
+        const event = {
+            headers: validEvent.headers,
+            body: JSON.stringify({
+                ...JSON.parse(validEvent.body),
+                appointmentTime: '2026-04-27T21:30:00Z', // 5:30 PM EDT, 90 minutes before closing
+                services: ['brake-service', 'tire-rotation']
+            })
+        };
+        const response = await appointmentScheduler(event);
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('Appointments must be between 9 AM and 7 PM EST');
+    });
+
+    test('should conflict with a longer appointment that started earlier', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({
+                Items: [{
+                    appointmentId: 'existing',
+                    appointmentDateTime: '2026-04-27T14:30:00Z',
+                    appointmentEndDateTime: '2026-04-27T16:00:00Z'
+                }]
+            });
+        const response = await appointmentScheduler(validEvent);
+        expect(response.statusCode).toBe(409);
+        expect(QueryCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({
+            ':start': '2026-04-27T05:30:00Z', // longest opening day before the start
+            ':end': '2026-04-27T15:59:59Z'
+        });
     });
 
     test('should reject missing authorization header', async () => {
@@ -71,6 +332,34 @@ describe('Appointment Scheduler', () => {
         };
         const response = await appointmentScheduler(event);
         expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors).toEqual([{ field: 'location', code: 'required', message: 'location is required' }]);
+    });
+
+    test('should report every problem with the body at once', async () => {
+        const response = await appointmentScheduler({
+            headers: validEvent.headers,
+            body: JSON.stringify({ fullName: 42, location: 'Farrish Subaru', appointmentTime: '2026-04-27 15:30', services: ['oil-change', 7] })
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body)).toEqual({
+            message: 'vehicle or car is required, and 3 more problems',
+            errors: [
+                { field: 'vehicle', code: 'required', message: 'vehicle or car is required' },
+                { field: 'fullName', code: 'type', message: 'fullName must be a string' },
+                { field: 'appointmentTime', code: 'format', message: 'appointmentTime must be an ISO-8601 date-time with a time zone, such as 2026-04-27T15:30:00Z' },
+                { field: 'services[1]', code: 'type', message: 'services[1] must be a string' }
+            ]
+        });
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed JSON', async () => {
+        const response = await appointmentScheduler({ headers: validEvent.headers, body: '{"fullName": "Test User",' });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body)).toEqual({
+            message: 'Request body must be valid JSON',
+            errors: [{ field: 'body', code: 'invalid_json', message: 'Request body must be valid JSON' }]
+        });
     });
 
     test('should reject past appointment times', async () => {
@@ -99,11 +388,76 @@ describe('Appointment Scheduler', () => {
     });
 
     test('should reject conflicting appointments', async () => {
-        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [{ appointmentId: 'existing' }] });
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({}) // no stored location configuration
+            .mockResolvedValueOnce({ Items: [{ appointmentId: 'existing', appointmentDateTime: '2026-04-27T15:30:00Z' }] });
         const response = await appointmentScheduler(validEvent);
         expect(response.statusCode).toBe(409);
     });
 
+    test('should add a booking that does not fit to the waitlist when asked to', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [{ appointmentId: 'existing', appointmentDateTime: '2026-04-27T15:30:00Z' }] })
+            .mockResolvedValue({ Items: [] });
+        const window = { windowStart: '2026-04-27T13:00:00Z', windowEnd: '2026-04-27T18:00:00Z' };
+        const response = await appointmentScheduler({
+            ...validEvent,
+            body: JSON.stringify({ ...JSON.parse(validEvent.body), waitlist: window })
+        });
+
+        expect(response.statusCode).toBe(202);
+        const body = JSON.parse(response.body);
+        expect(body.waitlistEntry).toEqual({ entryId: 'wait_1', status: 'WAITING', ...window });
+        expect(body.nearbySlots).toBeDefined();
+        expect(addToWaitlist).toHaveBeenCalledWith(
+            expect.objectContaining({ locationId: 'Farrish Subaru', appointmentDateTime: '2026-04-27T15:30:00Z', servicesList: ['oil-change'] }),
+            window,
+            null
+        );
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+        expect(notifyAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should book normally when a booking that opted into the waitlist fits', async () => {
+        const response = await appointmentScheduler({
+            ...validEvent,
+            body: JSON.stringify({ ...JSON.parse(validEvent.body), waitlist: true })
+        });
+        expect(response.statusCode).toBe(200);
+        expect(addToWaitlist).not.toHaveBeenCalled();
+    });
+
+    test('should treat waitlist false as not opting in', async () => {
+        const response = await appointmentScheduler({
+            ...validEvent,
+            body: JSON.stringify({ ...JSON.parse(validEvent.body), waitlist: false })
+        });
+        expect(response.statusCode).toBe(200);
+        expect(addToWaitlist).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid waitlist option', async () => {
+        const response = await appointmentScheduler({
+            ...validEvent,
+            body: JSON.stringify({ ...JSON.parse(validEvent.body), waitlist: 'yes' })
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('waitlist must be a boolean or an object');
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+
+    test('should ignore cancelled appointments when checking conflicts', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [{ appointmentId: 'existing', appointmentDateTime: '2026-04-27T15:30:00Z', status: 'CANCELLED' }] });
+        const response = await appointmentScheduler(validEvent);
+        expect(response.statusCode).toBe(200);
+    });
+
     test('should handle DynamoDB errors', async () => {
         DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
         const response = await appointmentScheduler(validEvent);
@@ -123,6 +477,19 @@ describe('Appointment Scheduler', () => {
         expect(JSON.parse(response.body).message).toBe('Appointments must be scheduled on 30-minute intervals');
     });
 
+    test.each([
+        '2026-04-27T11:30:00.900-04:00',
+        '2026-04-27T15:30:30Z'
+    ])('should reject %s rather than round it to the second it is stored in', async (appointmentTime) => {
+        const response = await appointmentScheduler({
+            headers: validEvent.headers,
+            body: JSON.stringify({ ...JSON.parse(validEvent.body), appointmentTime })
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('Appointments must be scheduled on 30-minute intervals');
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
     test('should reject empty services array', async () => {
         const event = {
             headers: validEvent.headers,
@@ -133,7 +500,7 @@ describe('Appointment Scheduler', () => {
         };
         const response = await appointmentScheduler(event);
         expect(response.statusCode).toBe(400);
-        expect(JSON.parse(response.body).message).toBe('Services array cannot be empty');
+        expect(JSON.parse(response.body).message).toBe('services cannot be empty');
     });
 
     test('should reject services array with empty strings', async () => {
@@ -146,7 +513,7 @@ describe('Appointment Scheduler', () => {
         };
         const response = await appointmentScheduler(event);
         expect(response.statusCode).toBe(400);
-        expect(JSON.parse(response.body).message).toBe('Services cannot contain empty values');
+        expect(JSON.parse(response.body).message).toBe('services[1] cannot be empty');
     });
 
     test('should reject services array with whitespace-only strings', async () => {
@@ -159,7 +526,7 @@ describe('Appointment Scheduler', () => {
         };
         const response = await appointmentScheduler(event);
         expect(response.statusCode).toBe(400);
-        expect(JSON.parse(response.body).message).toBe('Services cannot contain empty values');
+        expect(JSON.parse(response.body).message).toBe('services[1] cannot be empty');
     });
 
     test('should reject appointments outside business hours', async () => {
@@ -186,6 +553,8 @@ describe('Delete Appointment', () => {
         }
     };
 
+    const scheduled = { appointmentId: 'test-appointment-id', status: 'SCHEDULED', version: 1 };
+
     beforeEach(() => {
         process.env.API_KEY = 'test-api-key';
         process.env.APPOINTMENTS_TABLE = 'test-table';
@@ -193,10 +562,78 @@ describe('Delete Appointment', () => {
         DynamoDBDocumentClient.send.mockResolvedValue({});
     });
 
-    test('should successfully delete appointment', async () => {
-        const response = await deleteAppointment(validEvent);
+    test('should soft cancel the appointment, recording the caller rather than a cancelledBy sent', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: scheduled })
+            .mockResolvedValueOnce({ Attributes: { ...scheduled, status: 'CANCELLED' } });
+        const event = {
+            ...validEvent,
+            body: JSON.stringify({ reason: 'Customer called', cancelledBy: 'front-desk' })
+        };
+        const response = await deleteAppointment(event);
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).message).toBe('Appointment cancelled successfully');
+        expect(notifyAppointment).toHaveBeenCalledWith('cancellation', { ...scheduled, status: 'CANCELLED' });
+        expect(releaseToWaitlist).toHaveBeenCalledWith(scheduled);
+        expect(recordAudit).toHaveBeenCalledWith('cancelled', {
+            before: scheduled,
+            after: { ...scheduled, status: 'CANCELLED' },
+            principal: expect.objectContaining({ principalId: 'root' }),
+            event
+        });
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({
+            ':status': 'CANCELLED',
+            ':currentStatus': 'SCHEDULED',
+            ':currentVersion': 1,
+            ':cancelledBy': 'root',
+            ':cancellationReason': 'Customer called',
+            ':cancelledAt': new Date('2026-01-15T12:00:00Z').getTime()
+        });
+    });
+
+    test('should accept cancellation details as query parameters', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { appointmentId: 'test-appointment-id', status: 'CONFIRMED' } })
+            .mockResolvedValueOnce({ Attributes: { appointmentId: 'test-appointment-id', status: 'CANCELLED' } });
+        const response = await deleteAppointment({ ...validEvent, queryStringParameters: { reason: 'Sick' } });
         expect(response.statusCode).toBe(200);
-        expect(JSON.parse(response.body).message).toBe('Appointment deleted successfully');
+        const update = UpdateCommand.mock.calls[0][0];
+        expect(update.ConditionExpression).toBe('#status = :currentStatus AND attribute_not_exists(#version)');
+        expect(update.ExpressionAttributeValues).toMatchObject({ ':cancelledBy': 'root', ':cancellationReason': 'Sick' });
+    });
+
+    test('should reject malformed cancellation details', async () => {
+        const malformed = await deleteAppointment({ ...validEvent, body: 'reason=Sick' });
+        expect(malformed.statusCode).toBe(400);
+        expect(JSON.parse(malformed.body).errors[0].code).toBe('invalid_json');
+
+        const invalid = await deleteAppointment({ ...validEvent, body: JSON.stringify({ reason: 42 }) });
+        expect(invalid.statusCode).toBe(400);
+        expect(JSON.parse(invalid.body).errors).toEqual([{ field: 'reason', code: 'type', message: 'reason must be a string or null' }]);
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown appointment', async () => {
+        const response = await deleteAppointment(validEvent);
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should reject cancelling a finished appointment', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { ...scheduled, status: 'COMPLETED' } });
+        const response = await deleteAppointment(validEvent);
+        expect(response.statusCode).toBe(409);
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when a concurrent change wins', async () => {
+        const conditionError = new Error('The conditional request failed');
+        conditionError.name = 'ConditionalCheckFailedException';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: scheduled })
+            .mockRejectedValueOnce(conditionError);
+        const response = await deleteAppointment(validEvent);
+        expect(response.statusCode).toBe(409);
+        expect(recordAudit).not.toHaveBeenCalled();
     });
 
     test('should reject missing authorization header', async () => {
@@ -234,4 +671,1334 @@ describe('Delete Appointment', () => {
             error: 'DB Error'
         });
     });
-}); 
\ No newline at end of file
+});
+
+describe('Get Appointment', () => {
+    const validEvent = {
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'appt_1'
+        }
+    };
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        jest.clearAllMocks();
+    });
+
+    test('should return an existing appointment', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { appointmentId: 'appt_1', status: 'SCHEDULED' } });
+        const response = await getAppointment(validEvent);
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).appointmentId).toBe('appt_1');
+    });
+
+    test('should return an iCalendar file for IDs ending in .ics', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({
+                Item: { appointmentId: 'appt_1', locationId: 'Farrish Subaru', appointmentDateTime: '2026-04-27T15:30:00Z', status: 'SCHEDULED' }
+            })
+            .mockResolvedValueOnce({});
+        const response = await getAppointment({ ...validEvent, pathParameters: { id: 'appt_1.ics' } });
+        expect(response.statusCode).toBe(200);
+        expect(response.headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+        expect(GetCommand.mock.calls[0][0].Key).toEqual({ appointmentId: 'appt_1' });
+    });
+
+    test('should return 404 for unknown appointment', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({});
+        const response = await getAppointment(validEvent);
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should reject missing authorization header', async () => {
+        const response = await getAppointment({ ...validEvent, headers: {} });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test('should reject missing appointment ID', async () => {
+        const response = await getAppointment({ headers: validEvent.headers, pathParameters: {} });
+        expect(response.statusCode).toBe(400);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        const response = await getAppointment(validEvent);
+        expect(response.statusCode).toBe(500);
+    });
+});
+
+describe('List Appointments', () => {
+    const listEvent = (query) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        queryStringParameters: query
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        jest.clearAllMocks();
+    });
+
+    test('should query the location index for a date range', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [{ appointmentId: 'appt_1' }] });
+        const response = await listAppointments(listEvent({
+            location: 'Farrish Subaru',
+            from: '2026-04-27T00:00:00Z',
+            to: '2026-04-28T00:00:00Z'
+        }));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual({ items: [{ appointmentId: 'appt_1' }], nextCursor: null });
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'locationTime',
+            KeyConditionExpression: 'locationId = :loc AND appointmentDateTime BETWEEN :start AND :end',
+            Limit: 50
+        });
+    });
+
+    test('should look up a VIN at every location', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [] });
+        const response = await listAppointments(listEvent({ vin: 'jf2skaec0mh400001' }));
+        expect(response.statusCode).toBe(200);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'vinTime',
+            KeyConditionExpression: 'vin = :vin',
+            ExpressionAttributeValues: { ':vin': 'JF2SKAEC0MH400001' }
+        });
+        expect(QueryCommand.mock.calls[0][0].FilterExpression).toBeUndefined();
+    });
+
+    test('should filter by the structured vehicle fields', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [] });
+        await listAppointments(listEvent({ location: 'Farrish Subaru', vin: 'JF2SKAEC0MH400001', make: 'Subaru', year: '2021' }));
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'vinTime',
+            FilterExpression: 'locationId = :loc AND #vehicle.#make = :make AND #vehicle.#year = :year',
+            ExpressionAttributeNames: { '#vehicle': 'vehicle', '#make': 'make', '#year': 'year' },
+            ExpressionAttributeValues: { ':vin': 'JF2SKAEC0MH400001', ':loc': 'Farrish Subaru', ':make': 'Subaru', ':year': 2021 }
+        });
+    });
+
+    test('should reject a malformed year filter', async () => {
+        const response = await listAppointments(listEvent({ location: 'Farrish Subaru', year: '21' }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('year must be a four-digit year');
+    });
+
+    test('should round-trip the pagination cursor', async () => {
+        const lastKey = { appointmentId: 'appt_1', locationId: 'Farrish Subaru', appointmentDateTime: '2026-04-27T15:30:00Z' };
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [], LastEvaluatedKey: lastKey });
+        const first = await listAppointments(listEvent({ location: 'Farrish Subaru', from: '2026-04-27T00:00:00Z', limit: '1' }));
+        const { nextCursor } = JSON.parse(first.body);
+        expect(nextCursor).toEqual(expect.any(String));
+
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [] });
+        const second = await listAppointments(listEvent({ location: 'Farrish Subaru', to: '2026-04-28T00:00:00Z', cursor: nextCursor }));
+        expect(second.statusCode).toBe(200);
+        expect(QueryCommand.mock.calls[1][0].ExclusiveStartKey).toEqual(lastKey);
+    });
+
+    test('should reject missing location', async () => {
+        const response = await listAppointments(listEvent(undefined));
+        expect(response.statusCode).toBe(400);
+    });
+
+    test('should reject invalid date range', async () => {
+        const invalid = await listAppointments(listEvent({ location: 'Farrish Subaru', from: 'not-a-date' }));
+        expect(invalid.statusCode).toBe(400);
+        const reversed = await listAppointments(listEvent({
+            location: 'Farrish Subaru',
+            from: '2026-04-28T00:00:00Z',
+            to: '2026-04-27T00:00:00Z'
+        }));
+        expect(reversed.statusCode).toBe(400);
+    });
+
+    test('should reject invalid limit and cursor', async () => {
+        const badLimit = await listAppointments(listEvent({ location: 'Farrish Subaru', limit: '500' }));
+        expect(badLimit.statusCode).toBe(400);
+        const badCursor = await listAppointments(listEvent({ location: 'Farrish Subaru', cursor: '%%%' }));
+        expect(badCursor.statusCode).toBe(400);
+        expect(JSON.parse(badCursor.body).message).toBe('Invalid cursor');
+    });
+
+    test('should reject invalid API key', async () => {
+        const event = { ...listEvent({ location: 'Farrish Subaru' }), headers: { authorization: 'Bearer wrong-key' } };
+        const response = await listAppointments(event);
+        expect(response.statusCode).toBe(403);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        const response = await listAppointments(listEvent({ location: 'Farrish Subaru' }));
+        expect(response.statusCode).toBe(500);
+    });
+});
+
+describe('Availability', () => {
+    const availabilityEvent = (date) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'Farrish Subaru'
+        },
+        queryStringParameters: { date }
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        jest.clearAllMocks();
+    });
+
+    test('should list every open 30-minute slot between 9 AM and 7 PM Eastern', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({}).mockResolvedValueOnce({
+            Items: [{ appointmentId: 'appt_1', appointmentDateTime: '2026-04-27T15:30:00Z' }]
+        });
+        const response = await getAvailability(availabilityEvent('2026-04-27'));
+        expect(response.statusCode).toBe(200);
+        const { slots, timeZone } = JSON.parse(response.body);
+        const times = slots.map(slot => slot.appointmentTime);
+        expect(timeZone).toBe('America/New_York');
+        expect(times).toHaveLength(19);
+        expect(times[0]).toBe('2026-04-27T13:00:00Z');           // 9:00 AM EDT
+        expect(times[times.length - 1]).toBe('2026-04-27T22:30:00Z'); // 6:30 PM EDT
+        expect(times).not.toContain('2026-04-27T15:30:00Z');
+    });
+
+    test('should only list slots that booking accepts', async () => {
+        mockEmptyTables();
+        const response = await getAvailability(availabilityEvent('2026-01-15'));
+        const times = JSON.parse(response.body).slots.map(slot => slot.appointmentTime);
+        expect(times[0]).toBe('2026-01-15T14:00:00Z'); // 9:00 AM EST
+
+        for (const appointmentTime of [times[0], times[times.length - 1]]) {
+            const booking = await appointmentScheduler({
+                headers: { authorization: 'Bearer test-api-key' },
+                body: JSON.stringify({
+                    fullName: 'Test User',
+                    location: 'Farrish Subaru',
+                    appointmentTime,
+                    car: 'Subaru Outback',
+                    services: ['oil-change']
+                })
+            });
+            expect(booking.statusCode).toBe(200);
+        }
+    });
+
+    test('should list slots held only by cancelled appointments', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({}).mockResolvedValueOnce({
+            Items: [{ appointmentDateTime: '2026-04-27T15:30:00Z', status: 'CANCELLED' }]
+        });
+        const response = await getAvailability(availabilityEvent('2026-04-27'));
+        expect(JSON.parse(response.body).slots).toHaveLength(20);
+    });
+
+    test('should follow pagination when collecting booked slots', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [{ appointmentDateTime: '2026-04-27T13:00:00Z' }], LastEvaluatedKey: { appointmentId: 'appt_1' } })
+            .mockResolvedValueOnce({ Items: [{ appointmentDateTime: '2026-04-27T13:30:00Z' }] });
+        const response = await getAvailability(availabilityEvent('2026-04-27'));
+        expect(JSON.parse(response.body).slots).toHaveLength(18);
+        expect(QueryCommand.mock.calls[1][0].ExclusiveStartKey).toEqual({ appointmentId: 'appt_1' });
+    });
+
+    test('should return no slots for a past date without querying appointments', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({});
+        const response = await getAvailability(availabilityEvent('2025-04-27'));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).slots).toEqual([]);
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid dates', async () => {
+        for (const date of [undefined, '2026-4-27', '2026-02-30']) {
+            const response = await getAvailability(availabilityEvent(date));
+            expect(response.statusCode).toBe(400);
+        }
+    });
+
+    test('should reject missing location', async () => {
+        const response = await getAvailability({ ...availabilityEvent('2026-04-27'), pathParameters: {} });
+        expect(response.statusCode).toBe(400);
+    });
+
+    test('should reject missing authorization header', async () => {
+        const response = await getAvailability({ ...availabilityEvent('2026-04-27'), headers: {} });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        const response = await getAvailability(availabilityEvent('2026-04-27'));
+        expect(response.statusCode).toBe(500);
+    });
+});
+
+describe('Update Appointment', () => {
+    const existing = {
+        appointmentId: 'appt_1',
+        customerName: 'Test User',
+        locationId: 'Farrish Subaru',
+        appointmentDateTime: '2026-04-27T15:30:00Z',
+        vehicleDetails: 'Subaru Outback',
+        servicesList: ['oil-change'],
+        reservedSlots: ['Farrish Subaru#2026-04-27T15:30:00Z'],
+        status: 'SCHEDULED',
+        createdAt: 1,
+        updatedAt: 1,
+        version: 3
+    };
+
+    const patchEvent = (changes) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'appt_1'
+        },
+        body: JSON.stringify(changes)
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        jest.clearAllMocks();
+    });
+
+    test('should reschedule and bump version and updatedAt', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [] })
+            .mockResolvedValueOnce({});
+        const response = await updateAppointment(patchEvent({ appointmentTime: '2026-04-27T16:00:00Z' }));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toMatchObject({
+            appointmentDateTime: '2026-04-27T16:00:00Z',
+            reservedSlots: ['Farrish Subaru#2026-04-27T16:00:00Z'],
+            version: 4
+        });
+        expect(notifyAppointment).toHaveBeenCalledWith('reschedule', JSON.parse(response.body));
+        expect(recordAudit).toHaveBeenCalledWith('updated', expect.objectContaining({
+            before: existing,
+            after: JSON.parse(response.body)
+        }));
+
+        const [{ Update: update }, release, reserve] = transactionItems();
+        expect(update.ConditionExpression).toBe('attribute_exists(appointmentId) AND #version = :currentVersion');
+        // Reminders start over for the new time
+        expect(update.UpdateExpression).toMatch(/ REMOVE #remindersSent$/);
+        expect(update.ExpressionAttributeValues).toMatchObject({
+            ':currentVersion': 3,
+            ':nextVersion': 4,
+            ':appointmentDateTime': '2026-04-27T16:00:00Z',
+            ':updatedAt': new Date('2026-01-15T12:00:00Z').getTime()
+        });
+        // The old slot is given back and the new one reserved in the same transaction
+        expect(release.Update.Key).toEqual({ slotId: 'Farrish Subaru#2026-04-27T15:30:00Z' });
+        expect(release.Update.ExpressionAttributeValues).toMatchObject({ ':baysDelta': -1, ':service0Delta': -1 });
+        expect(release.Update.ConditionExpression).toBeUndefined();
+        expect(reserve.Update.Key).toEqual({ slotId: 'Farrish Subaru#2026-04-27T16:00:00Z' });
+        expect(reserve.Update.ExpressionAttributeValues).toMatchObject({ ':baysDelta': 1, ':baysLimit': 1 });
+    });
+
+    test('should ignore the appointment own slot when checking conflicts', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [{ appointmentId: 'appt_1' }] })
+            .mockResolvedValueOnce({});
+        const response = await updateAppointment(patchEvent({ appointmentTime: '2026-04-27T15:30:00Z' }));
+        expect(response.statusCode).toBe(200);
+        expect(transactionItems()).toHaveLength(1); // it keeps its own reservation
+        expect(transactionItems()[0].Update.UpdateExpression).not.toMatch(/remindersSent/);
+        expect(notifyAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should reject rescheduling onto a booked slot', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [{ appointmentId: 'appt_2', appointmentDateTime: '2026-04-27T16:00:00Z' }] })
+            .mockResolvedValue({ Items: [] });
+        const response = await updateAppointment(patchEvent({ appointmentTime: '2026-04-27T16:00:00Z' }));
+        expect(response.statusCode).toBe(409);
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test('should edit details without a conflict check', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({ Attributes: existing });
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name', car: 'Subaru Forester' }));
+        expect(response.statusCode).toBe(200);
+        expect(QueryCommand).not.toHaveBeenCalled();
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({
+            ':customerName': 'New Name',
+            ':vehicleDetails': 'Subaru Forester'
+        });
+    });
+
+    test('should recheck capacity at the current time when services change', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('brake-service'))
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [] })
+            .mockResolvedValueOnce({});
+        const response = await updateAppointment(patchEvent({ services: ['brake-service'] }));
+        expect(response.statusCode).toBe(200);
+        expect(QueryCommand.mock.calls[0][0].ExpressionAttributeValues[':end']).toBe('2026-04-27T16:59:59Z');
+        expect(transactionItems().map(item => (item.Update.Key.slotId || item.Update.Key.appointmentId))).toEqual([
+            'appt_1',
+            'Farrish Subaru#2026-04-27T15:30:00Z',
+            'Farrish Subaru#2026-04-27T16:00:00Z',
+            'Farrish Subaru#2026-04-27T16:30:00Z'
+        ]);
+        expect(transactionItems()[0].Update.ExpressionAttributeValues).toMatchObject({
+            ':servicesList': ['brake-service'],
+            ':durationMinutes': 90,
+            ':appointmentEndDateTime': '2026-04-27T17:00:00Z',
+            ':serviceDetails': [catalog['brake-service']].map(({ serviceId, name, durationMinutes, price }) => ({ serviceId, name, durationMinutes, price }))
+        });
+    });
+
+    test('should conflict when longer services overlap the next booking', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('brake-service'))
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [{ appointmentId: 'appt_2', appointmentDateTime: '2026-04-27T16:30:00Z' }] })
+            .mockResolvedValue({ Items: [] });
+        const response = await updateAppointment(patchEvent({ services: ['brake-service'] }));
+        expect(response.statusCode).toBe(409);
+    });
+
+    test('should reject unknown services', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(servicesResponse());
+        const response = await updateAppointment(patchEvent({ services: ['Tire Rotation'] }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('Unknown services: Tire Rotation');
+    });
+
+    test('should guard unversioned records with attribute_not_exists', async () => {
+        const { version, ...legacy } = existing;
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: legacy })
+            .mockResolvedValueOnce({ Attributes: { ...legacy, version: 1 } });
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name' }));
+        expect(response.statusCode).toBe(200);
+        expect(UpdateCommand.mock.calls[0][0].ConditionExpression).toBe('attribute_exists(appointmentId) AND attribute_not_exists(#version)');
+    });
+
+    test('should return 409 when a concurrent edit wins', async () => {
+        const conditionError = new Error('The conditional request failed');
+        conditionError.name = 'ConditionalCheckFailedException';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockRejectedValueOnce(conditionError);
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name' }));
+        expect(response.statusCode).toBe(409);
+    });
+
+    test('should return 409 when the client version is stale', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: existing });
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name', version: 2 }));
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.body).version).toBe(3);
+    });
+
+    test('should replace a legacy car with a structured vehicle', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({ Attributes: { ...existing, vehicleDetails: '2020 Subaru Outback' } });
+        const response = await updateAppointment(patchEvent({ vehicle: { make: 'Subaru', model: 'Outback', year: 2020 } }));
+        expect(response.statusCode).toBe(200);
+        const update = UpdateCommand.mock.calls[0][0];
+        expect(update.UpdateExpression).toBe('SET #version = :nextVersion, #updatedAt = :updatedAt, #vehicleDetails = :vehicleDetails, #vehicle = :vehicle REMOVE #vin');
+        expect(update.ExpressionAttributeValues).toMatchObject({
+            ':vehicleDetails': '2020 Subaru Outback',
+            ':vehicle': { make: 'Subaru', model: 'Outback', year: 2020, mileage: null, vin: null }
+        });
+    });
+
+    test('should drop the structured vehicle when going back to a car string', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { ...existing, vehicle: { make: 'Subaru' }, vin: 'JF2SKAEC0MH400001' } })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce({ Items: [] })
+            .mockResolvedValueOnce({});
+        const response = await updateAppointment(patchEvent({ car: 'Loaner', appointmentTime: '2026-04-27T16:00:00Z' }));
+        expect(response.statusCode).toBe(200);
+        const appointment = JSON.parse(response.body);
+        expect(appointment.vehicleDetails).toBe('Loaner');
+        expect(appointment).not.toHaveProperty('vehicle');
+        expect(appointment).not.toHaveProperty('vin');
+        expect(transactionItems()[0].Update.UpdateExpression).toMatch(/ REMOVE #vehicle, #vin, #remindersSent$/);
+    });
+
+    test('should validate changed fields', async () => {
+        const invalid = [
+            [{}, 'At least one of fullName, appointmentTime, car, vehicle, services is required'],
+            [{ fullName: '  ' }, 'fullName must be between 1 and 100 characters'],
+            [{ car: '' }, 'car must be between 1 and 100 characters'],
+            [{ car: 'Outback', vehicle: { make: 'Subaru', model: 'Outback', year: 2021 } }, 'Send either car or vehicle, not both'],
+            [{ vehicle: { make: 'Subaru', model: 'Outback', year: 1850 } }, 'vehicle.year must be an integer of at least 1900'],
+            [{ services: [] }, 'services cannot be empty'],
+            [{ appointmentTime: 'tomorrow' }, 'appointmentTime must be an ISO-8601 date-time with a time zone, such as 2026-04-27T15:30:00Z'],
+            [{ fullName: 'Jane Doe', version: '3' }, 'version must be an integer']
+        ];
+        for (const [changes, message] of invalid) {
+            const response = await updateAppointment(patchEvent(changes));
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).message).toBe(message);
+        }
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should validate a new time against the location rules', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockResolvedValueOnce({});
+        const response = await updateAppointment(patchEvent({ appointmentTime: '2026-04-27T15:45:00Z' }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('Appointments must be scheduled on 30-minute intervals');
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown appointment', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({});
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name' }));
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should reject edits to cancelled appointments', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { ...existing, status: 'CANCELLED' } });
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name' }));
+        expect(response.statusCode).toBe(409);
+    });
+
+    test('should reject missing appointment ID and authorization', async () => {
+        const noId = await updateAppointment({ ...patchEvent({ fullName: 'New Name' }), pathParameters: {} });
+        expect(noId.statusCode).toBe(400);
+        const noAuth = await updateAppointment({ ...patchEvent({ fullName: 'New Name' }), headers: {} });
+        expect(noAuth.statusCode).toBe(401);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: existing })
+            .mockRejectedValueOnce(new Error('DB Error'));
+        const response = await updateAppointment(patchEvent({ fullName: 'New Name' }));
+        expect(response.statusCode).toBe(500);
+    });
+});
+
+describe('Update Appointment Status', () => {
+    const statusEvent = (body) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'appt_1'
+        },
+        body: JSON.stringify(body)
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        jest.clearAllMocks();
+    });
+
+    test.each([
+        ['SCHEDULED', 'CONFIRMED'],
+        ['CONFIRMED', 'CHECKED_IN'],
+        ['CHECKED_IN', 'IN_PROGRESS'],
+        ['IN_PROGRESS', 'COMPLETED'],
+        ['SCHEDULED', 'NO_SHOW'],
+        ['CONFIRMED', 'CANCELLED'],
+        ['HELD', 'CANCELLED']
+    ])('should allow %s → %s', async (from, to) => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { appointmentId: 'appt_1', status: from, version: 2 } })
+            .mockResolvedValueOnce({ Attributes: { appointmentId: 'appt_1', status: to, version: 3 } });
+        const response = await updateAppointmentStatus(statusEvent({ status: to }));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).status).toBe(to);
+        expect(notifyAppointment).toHaveBeenCalledTimes(to === 'CANCELLED' ? 1 : 0);
+        expect(releaseToWaitlist).toHaveBeenCalledTimes(to === 'CANCELLED' ? 1 : 0);
+        expect(recordAudit).toHaveBeenCalledWith(to === 'CANCELLED' ? 'cancelled' : 'status_changed', expect.objectContaining({
+            before: { appointmentId: 'appt_1', status: from, version: 2 },
+            after: { appointmentId: 'appt_1', status: to, version: 3 }
+        }));
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({
+            ':status': to,
+            ':currentStatus': from,
+            ':nextVersion': 3
+        });
+    });
+
+    test('should record cancellation details, with the caller as cancelledBy', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { appointmentId: 'appt_1', status: 'SCHEDULED', version: 1 } })
+            .mockResolvedValueOnce({ Attributes: { appointmentId: 'appt_1', status: 'CANCELLED', version: 2 } });
+        await updateAppointmentStatus(statusEvent({ status: 'CANCELLED', reason: 'Duplicate', cancelledBy: 'call-center' }));
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({
+            ':cancelledBy': 'root',
+            ':cancellationReason': 'Duplicate'
+        });
+    });
+
+    test.each([
+        ['SCHEDULED', 'COMPLETED'],
+        ['COMPLETED', 'SCHEDULED'],
+        ['CANCELLED', 'CONFIRMED'],
+        ['NO_SHOW', 'CHECKED_IN']
+    ])('should reject %s → %s', async (from, to) => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { appointmentId: 'appt_1', status: from } });
+        const response = await updateAppointmentStatus(statusEvent({ status: to }));
+        expect(response.statusCode).toBe(409);
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown statuses', async () => {
+        const response = await updateAppointmentStatus(statusEvent({ status: 'DONE' }));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors).toEqual([{
+            field: 'status',
+            code: 'enum',
+            message: 'status must be one of SCHEDULED, CONFIRMED, CHECKED_IN, IN_PROGRESS, COMPLETED, CANCELLED, NO_SHOW'
+        }]);
+    });
+
+    test('should reject a malformed body after authorizing', async () => {
+        const response = await updateAppointmentStatus({ ...statusEvent({}), body: '{"status":' });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors[0].code).toBe('invalid_json');
+
+        const unauthorized = await updateAppointmentStatus({ ...statusEvent({}), headers: {}, body: '{"status":' });
+        expect(unauthorized.statusCode).toBe(401);
+    });
+
+    test('should return 404 for unknown appointment', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({});
+        const response = await updateAppointmentStatus(statusEvent({ status: 'CONFIRMED' }));
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should return 409 when a concurrent change wins', async () => {
+        const conditionError = new Error('The conditional request failed');
+        conditionError.name = 'ConditionalCheckFailedException';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: { appointmentId: 'appt_1', status: 'SCHEDULED' } })
+            .mockRejectedValueOnce(conditionError);
+        const response = await updateAppointmentStatus(statusEvent({ status: 'CONFIRMED' }));
+        expect(response.statusCode).toBe(409);
+    });
+
+    test('should reject missing appointment ID and authorization', async () => {
+        const noId = await updateAppointmentStatus({ ...statusEvent({ status: 'CONFIRMED' }), pathParameters: {} });
+        expect(noId.statusCode).toBe(400);
+        const noAuth = await updateAppointmentStatus({ ...statusEvent({ status: 'CONFIRMED' }), headers: {} });
+        expect(noAuth.statusCode).toBe(401);
+    });
+
+    test('should handle DynamoDB errors', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        const response = await updateAppointmentStatus(statusEvent({ status: 'CONFIRMED' }));
+        expect(response.statusCode).toBe(500);
+    });
+});
+
+describe('Per-location rules', () => {
+    const chicagoConfig = {
+        locationId: 'Chicago Subaru',
+        timeZone: 'America/Chicago',
+        slotMinutes: 45,
+        weeklyHours: {
+            monday: { open: '08:00', close: '17:00' },
+            tuesday: { open: '08:00', close: '17:00' },
+            wednesday: { open: '08:00', close: '17:00' },
+            thursday: { open: '08:00', close: '17:00' },
+            friday: { open: '08:00', close: '17:00' },
+            saturday: { open: '08:00', close: '12:00' },
+            sunday: null
+        },
+        holidays: ['2026-05-25']
+    };
+
+    const bookingEvent = (appointmentTime) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        body: JSON.stringify({
+            fullName: 'Test User',
+            location: 'Chicago Subaru',
+            appointmentTime,
+            car: 'Subaru Outback',
+            services: ['oil-change']
+        })
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        process.env.LOCATIONS_TABLE = 'locations-table';
+        jest.clearAllMocks();
+        mockEmptyTables(chicagoConfig);
+    });
+
+    test.each([
+        ['2026-04-26T15:00:00Z', 'Location is closed on sundays'],
+        ['2026-05-25T15:00:00Z', 'Location is closed on 2026-05-25'],
+        ['2026-04-25T17:00:00Z', 'Appointments must be between 8 AM and 12 PM CST'],
+        ['2026-04-25T13:30:00Z', 'Appointments must be scheduled on 45-minute intervals']
+    ])('should reject %s', async (appointmentTime, message) => {
+        const response = await appointmentScheduler(bookingEvent(appointmentTime));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe(message);
+    });
+
+    test('should accept a slot that fits before closing', async () => {
+        const response = await appointmentScheduler(bookingEvent('2026-04-25T16:00:00Z')); // 11:00 AM CDT
+        expect(response.statusCode).toBe(200);
+        expect(QueryCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({
+            ':start': '2026-04-25T07:00:00Z',
+            ':end': '2026-04-25T16:44:59Z'
+        });
+    });
+
+    test('should generate availability from the location hours', async () => {
+        const response = await getAvailability({
+            headers: { authorization: 'Bearer test-api-key' },
+            pathParameters: { id: 'Chicago Subaru' },
+            queryStringParameters: { date: '2026-04-25' }
+        });
+        const body = JSON.parse(response.body);
+        expect(body.timeZone).toBe('America/Chicago');
+        expect(body.slots.map(slot => slot.appointmentTime)).toEqual([
+            '2026-04-25T13:00:00Z',
+            '2026-04-25T13:45:00Z',
+            '2026-04-25T14:30:00Z',
+            '2026-04-25T15:15:00Z',
+            '2026-04-25T16:00:00Z'
+        ]);
+    });
+
+    test.each(['2026-04-26', '2026-05-25'])('should list no slots on closed day %s', async (date) => {
+        const response = await getAvailability({
+            headers: { authorization: 'Bearer test-api-key' },
+            pathParameters: { id: 'Chicago Subaru' },
+            queryStringParameters: { date }
+        });
+        expect(JSON.parse(response.body).slots).toEqual([]);
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+});
+
+describe('Bay capacity', () => {
+    const shopConfig = {
+        locationId: 'Farrish Subaru',
+        timeZone: 'America/New_York',
+        slotMinutes: 30,
+        weeklyHours: {
+            monday: { open: '09:00', close: '19:00' }
+        },
+        holidays: [],
+        bayCapacity: 3,
+        serviceCapacity: { alignment: 1 }
+    };
+
+    const booking = (appointmentDateTime, servicesList = ['oil-change'], status = 'SCHEDULED') => ({
+        appointmentId: `appt_${Math.random()}`,
+        appointmentDateTime,
+        servicesList,
+        status
+    });
+
+    const bookingEvent = (services) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        body: JSON.stringify({
+            fullName: 'Test User',
+            location: 'Farrish Subaru',
+            appointmentTime: '2026-04-27T15:30:00Z',
+            car: 'Subaru Outback',
+            services
+        })
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+    });
+
+    test('should accept bookings while bays are free', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({ Item: shopConfig })
+            .mockResolvedValueOnce({ Items: [booking('2026-04-27T15:30:00Z'), booking('2026-04-27T15:30:00Z')] });
+        const response = await appointmentScheduler(bookingEvent(['oil-change']));
+        expect(response.statusCode).toBe(200);
+    });
+
+    test('should not count cancelled bookings against capacity', async () => {
+        const slot = '2026-04-27T15:30:00Z';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({ Item: shopConfig })
+            .mockResolvedValueOnce({ Items: [booking(slot), booking(slot), booking(slot, ['oil-change'], 'CANCELLED')] });
+        const response = await appointmentScheduler(bookingEvent(['oil-change']));
+        expect(response.statusCode).toBe(200);
+    });
+
+    test('should report free bays in nearby slots when all bays are taken', async () => {
+        const slot = '2026-04-27T15:30:00Z';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({ Item: shopConfig })
+            .mockResolvedValueOnce({ Items: [booking(slot), booking(slot), booking(slot)] })
+            .mockResolvedValueOnce({
+                Items: [
+                    booking(slot), booking(slot), booking(slot),
+                    booking('2026-04-27T15:00:00Z'),
+                    booking('2026-04-27T16:00:00Z'), booking('2026-04-27T16:00:00Z')
+                ]
+            });
+        const response = await appointmentScheduler(bookingEvent(['oil-change']));
+        expect(response.statusCode).toBe(409);
+        const body = JSON.parse(response.body);
+        expect(body.message).toBe('This time slot is already booked');
+        expect(body.nearbySlots).toEqual([
+            { appointmentTime: '2026-04-27T14:30:00Z', baysFree: 3 },
+            { appointmentTime: '2026-04-27T15:00:00Z', baysFree: 2 },
+            { appointmentTime: '2026-04-27T15:30:00Z', baysFree: 0 },
+            { appointmentTime: '2026-04-27T16:00:00Z', baysFree: 1 },
+            { appointmentTime: '2026-04-27T16:30:00Z', baysFree: 3 }
+        ]);
+        expect(QueryCommand.mock.calls[1][0].ExpressionAttributeValues).toMatchObject({
+            ':start': '2026-04-27T04:30:00Z',
+            ':end': '2026-04-27T16:59:59Z'
+        });
+    });
+
+    test('should enforce per-service capacity only for the services being booked', async () => {
+        const slot = '2026-04-27T15:30:00Z';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('alignment', 'oil-change'))
+            .mockResolvedValueOnce({ Item: shopConfig })
+            .mockResolvedValueOnce({ Items: [booking(slot, ['alignment'])] });
+        const alignment = await appointmentScheduler(bookingEvent(['alignment', 'oil-change']));
+        expect(alignment.statusCode).toBe(409);
+        expect(JSON.parse(alignment.body).message).toBe('No capacity left for Alignment in this time slot');
+
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('oil-change'))
+            .mockResolvedValueOnce({ Item: shopConfig })
+            .mockResolvedValueOnce({ Items: [booking(slot, ['alignment'])] });
+        const oilChange = await appointmentScheduler(bookingEvent(['oil-change']));
+        expect(oilChange.statusCode).toBe(200);
+    });
+
+    test('should list free bays per slot in availability', async () => {
+        const slot = '2026-04-27T15:30:00Z';
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(servicesResponse('alignment'))
+            .mockResolvedValueOnce({ Item: shopConfig })
+            .mockResolvedValueOnce({
+                Items: [booking(slot, ['alignment']), booking(slot), booking('2026-04-27T16:00:00Z'), booking('2026-04-27T16:00:00Z'), booking('2026-04-27T16:00:00Z')]
+            });
+        const response = await getAvailability({
+            headers: { authorization: 'Bearer test-api-key' },
+            pathParameters: { id: 'Farrish Subaru' },
+            queryStringParameters: { date: '2026-04-27', services: 'alignment' }
+        });
+        const slots = JSON.parse(response.body).slots;
+        // An hour-long alignment needs two free slots in a row, so the last start is 6 PM
+        expect(slots).toHaveLength(16);
+        expect(slots[0]).toEqual({ appointmentTime: '2026-04-27T13:00:00Z', baysFree: 3 });
+        expect(slots[slots.length - 1].appointmentTime).toBe('2026-04-27T22:00:00Z');
+        expect(slots.map(s => s.appointmentTime)).not.toContain('2026-04-27T15:00:00Z'); // runs into the full alignment lane
+        expect(slots.map(s => s.appointmentTime)).not.toContain(slot);                   // alignment lane full
+        expect(slots.map(s => s.appointmentTime)).not.toContain('2026-04-27T16:00:00Z'); // all bays taken
+    });
+});
+
+describe('Scoped API keys', () => {
+    const token = 'key_0123456789abcdef.secret';
+    const storedKey = (fields) => ({
+        Item: {
+            keyId: 'key_0123456789abcdef',
+            keyHash: hashApiKey(token),
+            name: 'Farrish partner',
+            scopes: ['read', 'book'],
+            locations: ['Farrish Subaru'],
+            ...fields
+        }
+    });
+    const keyEvent = (fields) => ({
+        headers: {
+            authorization: `Bearer ${token}`
+        },
+        ...fields
+    });
+    const bookingBody = (location) => JSON.stringify({
+        fullName: 'Test User',
+        location: location,
+        appointmentTime: '2026-04-27T15:30:00Z',
+        car: 'Subaru Outback',
+        services: ['oil-change']
+    });
+    const appointment = { appointmentId: 'appt_1', locationId: 'Chicago Subaru', status: 'SCHEDULED', version: 1 };
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        process.env.API_KEYS_TABLE = 'api-keys-table';
+        jest.clearAllMocks();
+        mockEmptyTables();
+    });
+
+    test('should book at an allowed location', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(storedKey());
+        const response = await appointmentScheduler(keyEvent({ body: bookingBody('Farrish Subaru') }));
+        expect(response.statusCode).toBe(200);
+    });
+
+    test('should not book at another location', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(storedKey());
+        const response = await appointmentScheduler(keyEvent({ body: bookingBody('Chicago Subaru') }));
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('API key is not allowed for location Chicago Subaru');
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
+    test('should not book with a read-only key', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(storedKey({ scopes: ['read'] }));
+        const response = await appointmentScheduler(keyEvent({ body: bookingBody('Farrish Subaru') }));
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('API key is missing the book scope');
+    });
+
+    test('should need the cancel scope to cancel through a status change', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(storedKey());
+        const response = await updateAppointmentStatus(keyEvent({
+            pathParameters: { id: 'appt_1' },
+            body: JSON.stringify({ status: 'CANCELLED' })
+        }));
+        expect(JSON.parse(response.body).message).toBe('API key is missing the cancel scope');
+    });
+
+    test.each([
+        ['getAppointment', getAppointment, {}],
+        ['deleteAppointment', deleteAppointment, {}],
+        ['updateAppointment', updateAppointment, { body: JSON.stringify({ car: 'Subaru Forester' }) }],
+        ['updateAppointmentStatus', updateAppointmentStatus, { body: JSON.stringify({ status: 'CONFIRMED' }) }]
+    ])('%s should hide appointments at other locations', async (name, handler, fields) => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(storedKey({ scopes: ['admin'] }))
+            .mockResolvedValueOnce({ Item: appointment });
+        const response = await handler(keyEvent({ pathParameters: { id: 'appt_1' }, ...fields }));
+        expect(response.statusCode).toBe(403);
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test('should limit VIN lookups to allowed locations', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce(storedKey())
+            .mockResolvedValueOnce({ Items: [] });
+        const response = await listAppointments(keyEvent({ queryStringParameters: { vin: 'JF2SKAEC0MH400001' } }));
+        expect(response.statusCode).toBe(200);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            FilterExpression: 'locationId IN (:allowed0)',
+            ExpressionAttributeValues: { ':vin': 'JF2SKAEC0MH400001', ':allowed0': 'Farrish Subaru' }
+        });
+    });
+
+    test.each([
+        ['listAppointments', listAppointments, { queryStringParameters: { location: 'Chicago Subaru', from: '2026-04-27T00:00:00Z', to: '2026-04-28T00:00:00Z' } }],
+        ['getAvailability', getAvailability, { pathParameters: { id: 'Chicago Subaru' }, queryStringParameters: { date: '2026-04-27' } }]
+    ])('%s should reject other locations', async (name, handler, fields) => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce(storedKey());
+        const response = await handler(keyEvent(fields));
+        expect(response.statusCode).toBe(403);
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+});
+
+describe('Customer tokens', () => {
+    const customerToken = (customerId) => {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+            sub: customerId,
+            role: 'customer',
+            iss: 'https://portal.example.com',
+            aud: 'appointment-scheduler',
+            exp: new Date('2026-01-15T13:00:00Z').getTime() / 1000
+        })}`;
+        return `${signingInput}.${createHmac('sha256', 'portal-secret').update(signingInput).digest('base64url')}`;
+    };
+    const customerEvent = (fields) => ({
+        headers: {
+            authorization: `Bearer ${customerToken('cust_1')}`
+        },
+        pathParameters: { id: 'appt_1' },
+        ...fields
+    });
+    const own = { appointmentId: 'appt_1', locationId: 'Farrish Subaru', customerId: 'cust_1', status: 'SCHEDULED', version: 1 };
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        process.env.JWT_SECRETS = 'portal-secret';
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+    });
+
+    afterAll(() => {
+        delete process.env.JWT_SECRETS;
+    });
+
+    test('should store the customer a booking is for', async () => {
+        mockEmptyTables();
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { customerId: 'cust_1', name: 'Test User' } });
+        const response = await appointmentScheduler({
+            headers: { authorization: 'Bearer test-api-key' },
+            body: JSON.stringify({
+                fullName: 'Test User',
+                customerId: 'cust_1',
+                location: 'Farrish Subaru',
+                appointmentTime: '2026-04-27T15:30:00Z',
+                car: 'Subaru Outback',
+                services: ['oil-change']
+            })
+        });
+        expect(JSON.parse(response.body).customerId).toBe('cust_1');
+        expect(transactionItems()[0].Put.Item.customerId).toBe('cust_1');
+    });
+
+    test('should reject an invalid customerId', async () => {
+        const response = await appointmentScheduler({
+            headers: { authorization: 'Bearer test-api-key' },
+            body: JSON.stringify({
+                fullName: 'Test User',
+                customerId: 42,
+                location: 'Farrish Subaru',
+                appointmentTime: '2026-04-27T15:30:00Z',
+                car: 'Subaru Outback',
+                services: ['oil-change']
+            })
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe('customerId must be a string');
+    });
+
+    test('should show customers their own appointment', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: own });
+        const response = await getAppointment(customerEvent());
+        expect(response.statusCode).toBe(200);
+    });
+
+    test.each([
+        ['another customer', { ...own, customerId: 'cust_2' }],
+        ['no customer', { ...own, customerId: undefined }]
+    ])('should hide appointments of %s', async (name, appointment) => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: appointment });
+        const response = await getAppointment(customerEvent());
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('Appointment belongs to another customer');
+    });
+
+    test('should let customers cancel their own appointment', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Item: own })
+            .mockResolvedValueOnce({ Attributes: { ...own, status: 'CANCELLED' } });
+        const response = await deleteAppointment(customerEvent());
+        expect(response.statusCode).toBe(200);
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues[':status']).toBe('CANCELLED');
+    });
+
+    test('should not let customers cancel appointments of others', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { ...own, customerId: 'cust_2' } });
+        const response = await updateAppointmentStatus(customerEvent({ body: JSON.stringify({ status: 'CANCELLED' }) }));
+        expect(response.statusCode).toBe(403);
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['updateAppointment', updateAppointment, { car: 'Subaru Forester' }],
+        ['updateAppointmentStatus', updateAppointmentStatus, { status: 'CONFIRMED' }]
+    ])('%s should be refused for customers', async (name, handler, body) => {
+        const response = await handler(customerEvent({ body: JSON.stringify(body) }));
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('Token is missing the book scope');
+    });
+
+    test('should only list the customer\'s appointments', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Items: [own] });
+        const response = await listAppointments(customerEvent({ queryStringParameters: { location: 'Farrish Subaru' } }));
+        expect(JSON.parse(response.body).items).toEqual([own]);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            FilterExpression: 'customerId = :customerId',
+            ExpressionAttributeValues: { ':loc': 'Farrish Subaru', ':customerId': 'cust_1' }
+        });
+    });
+});
+
+describe('Concurrent bookings', () => {
+    const bookingEvent = (appointmentTime = '2026-04-27T15:30:00Z') => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        body: JSON.stringify({
+            fullName: 'Test User',
+            location: 'Farrish Subaru',
+            appointmentTime,
+            car: 'Subaru Outback',
+            services: ['oil-change']
+        })
+    });
+
+    // A minimal in-memory DynamoDB with the appointments table and the slot counters. Every request
+    // reads the same bookings before any of them writes, so only the transactions can tell them apart.
+    const createFakeTables = (locationConfig) => {
+        const appointments = new Map();
+        const counters = new Map();
+        const idempotencyKeys = new Map();
+
+        const applyUpdate = (item, { UpdateExpression, ExpressionAttributeNames: names, ExpressionAttributeValues: values }) => {
+            const [assignments, additions = ''] = UpdateExpression.replace(/^SET /, '').split(' ADD ');
+            [...assignments.matchAll(/(#?\w+) = (:\w+)/g)].forEach(([, name, value]) => {
+                item[names[name] || name] = values[value];
+            });
+            [...additions.matchAll(/(#\w+) (:\w+)/g)].forEach(([, name, delta]) => {
+                item[names[name]] = (item[names[name]] || 0) + values[delta];
+            });
+            return item;
+        };
+
+        // Counter conditions have the form (attribute_not_exists(#a) OR #a < :limit) AND ...
+        const counterConditionHolds = (counter, { ConditionExpression = '', ExpressionAttributeNames: names, ExpressionAttributeValues: values }) => {
+            return [...ConditionExpression.matchAll(/(#\w+) < (:\w+)/g)]
+                .every(([, name, limit]) => (counter[names[name]] || 0) < values[limit]);
+        };
+
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof BatchGetCommand) {
+                return servicesResponse(...command.input.RequestItems['services-table'].Keys.map(key => key.serviceId));
+            }
+            if (command instanceof GetCommand) {
+                if (command.input.TableName === 'idempotency-table') {
+                    return { Item: idempotencyKeys.get(command.input.Key.idempotencyKey) };
+                }
+                return command.input.TableName === 'test-table'
+                    ? { Item: appointments.get(command.input.Key.appointmentId) }
+                    : { Item: locationConfig };
+            }
+            if (command instanceof PutCommand) {
+                const { Item } = command.input;
+                if (idempotencyKeys.has(Item.idempotencyKey)) {
+                    throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+                }
+                idempotencyKeys.set(Item.idempotencyKey, Item);
+                return {};
+            }
+            if (command instanceof UpdateCommand) {
+                const { Key, ExpressionAttributeValues: values } = command.input;
+                const record = idempotencyKeys.get(Key.idempotencyKey);
+                idempotencyKeys.set(Key.idempotencyKey, { ...record, statusCode: values[':statusCode'], responseBody: values[':responseBody'] });
+                return {};
+            }
+            if (command instanceof QueryCommand) {
+                return { Items: [...appointments.values()] };
+            }
+            if (command instanceof TransactWriteCommand) {
+                const [appointmentWrite, ...reservations] = command.input.TransactItems;
+                const reasons = reservations.map(({ Update }) => ({
+                    Code: counterConditionHolds(counters.get(Update.Key.slotId) || {}, Update) ? 'None' : 'ConditionalCheckFailed'
+                }));
+                if (reasons.some(reason => reason.Code !== 'None')) {
+                    throw Object.assign(new Error('Transaction cancelled'), {
+                        name: 'TransactionCanceledException',
+                        CancellationReasons: [{ Code: 'None' }, ...reasons]
+                    });
+                }
+                reservations.forEach(({ Update }) => {
+                    counters.set(Update.Key.slotId, applyUpdate({ ...counters.get(Update.Key.slotId) }, Update));
+                });
+                if (appointmentWrite.Put) {
+                    appointments.set(appointmentWrite.Put.Item.appointmentId, appointmentWrite.Put.Item);
+                } else {
+                    const { Key } = appointmentWrite.Update;
+                    appointments.set(Key.appointmentId, applyUpdate({ ...appointments.get(Key.appointmentId) }, appointmentWrite.Update));
+                }
+                return {};
+            }
+            throw new Error('Unexpected command');
+        });
+        return { appointments, counters };
+    };
+
+    const retryEvent = (idempotencyKey, appointmentTime) => ({
+        ...bookingEvent(appointmentTime),
+        headers: { authorization: 'Bearer test-api-key', 'idempotency-key': idempotencyKey }
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.APPOINTMENTS_TABLE = 'test-table';
+        process.env.LOCATIONS_TABLE = 'locations-table';
+        process.env.IDEMPOTENCY_TABLE = 'idempotency-table';
+        jest.clearAllMocks();
+    });
+
+    test('should accept exactly one of several simultaneous bookings for a single bay', async () => {
+        const { appointments, counters } = createFakeTables();
+        const responses = await Promise.all(Array.from({ length: 5 }, () => appointmentScheduler(bookingEvent())));
+
+        expect(responses.map(response => response.statusCode).sort()).toEqual([200, 409, 409, 409, 409]);
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(5); // every request got past the capacity check
+        expect(appointments.size).toBe(1);
+        expect(counters.get('Farrish Subaru#2026-04-27T15:30:00Z')).toMatchObject({ bookedBays: 1, 'service:oil-change': 1 });
+
+        const rejected = JSON.parse(responses.find(response => response.statusCode === 409).body);
+        expect(rejected.message).toBe('This time slot is already booked');
+        expect(rejected.nearbySlots).toContainEqual({ appointmentTime: '2026-04-27T15:30:00Z', baysFree: 0 });
+    });
+
+    test('should fill every bay but no more', async () => {
+        const { appointments } = createFakeTables({ bayCapacity: 2, serviceCapacity: {} });
+        const responses = await Promise.all(Array.from({ length: 6 }, () => appointmentScheduler(bookingEvent())));
+
+        expect(responses.filter(response => response.statusCode === 200)).toHaveLength(2);
+        expect(responses.filter(response => response.statusCode === 409)).toHaveLength(4);
+        expect(appointments.size).toBe(2);
+    });
+
+    test('should reserve every slot of a multi-slot booking', async () => {
+        const { counters } = createFakeTables();
+        const longBooking = {
+            ...bookingEvent(),
+            body: JSON.stringify({ ...JSON.parse(bookingEvent().body), services: ['brake-service'] })
+        };
+        const [long, overlapping] = await Promise.all([
+            appointmentScheduler(longBooking),
+            appointmentScheduler(bookingEvent('2026-04-27T16:30:00Z'))
+        ]);
+
+        expect(long.statusCode).toBe(200);
+        expect(overlapping.statusCode).toBe(409);
+        expect([...counters.keys()]).toEqual([
+            'Farrish Subaru#2026-04-27T15:30:00Z',
+            'Farrish Subaru#2026-04-27T16:00:00Z',
+            'Farrish Subaru#2026-04-27T16:30:00Z'
+        ]);
+    });
+
+    test('should put bookings that lose the race on the waitlist when they asked for it', async () => {
+        createFakeTables();
+        const waitlisted = {
+            ...bookingEvent(),
+            body: JSON.stringify({ ...JSON.parse(bookingEvent().body), waitlist: true })
+        };
+        const responses = await Promise.all([appointmentScheduler(waitlisted), appointmentScheduler(waitlisted)]);
+
+        expect(responses.map(response => response.statusCode).sort()).toEqual([200, 202]);
+        expect(addToWaitlist).toHaveBeenCalledTimes(1);
+        expect(addToWaitlist.mock.calls[0][1]).toEqual({ windowStart: '2026-04-27T15:30:00Z', windowEnd: '2026-04-27T15:30:00Z' });
+    });
+
+    test('should give distinct IDs to bookings made in the same millisecond', async () => {
+        const { appointments } = createFakeTables();
+        const responses = await Promise.all([
+            appointmentScheduler(bookingEvent('2026-04-27T15:30:00Z')),
+            appointmentScheduler(bookingEvent('2026-04-27T16:00:00Z'))
+        ]);
+
+        const [first, second] = responses.map(response => JSON.parse(response.body));
+        expect(first.createdAt).toBe(second.createdAt);
+        expect(first.appointmentId).not.toBe(second.appointmentId);
+        expect(first.appointmentId).toMatch(/^appt_[0-9a-f-]{36}$/);
+        expect(appointments.size).toBe(2);
+        expect(TransactWriteCommand.mock.calls[0][0].TransactItems[0].Put.ConditionExpression).toBe('attribute_not_exists(appointmentId)');
+    });
+
+    test('should free the slot when an appointment is cancelled', async () => {
+        const { counters } = createFakeTables();
+        const booked = JSON.parse((await appointmentScheduler(bookingEvent())).body);
+
+        const cancelled = await deleteAppointment({
+            headers: { authorization: 'Bearer test-api-key' },
+            pathParameters: { id: booked.appointmentId }
+        });
+        expect(cancelled.statusCode).toBe(200);
+        expect(JSON.parse(cancelled.body).appointment).toMatchObject({ status: 'CANCELLED', version: 2 });
+        expect(counters.get('Farrish Subaru#2026-04-27T15:30:00Z')).toMatchObject({ bookedBays: 0, 'service:oil-change': 0 });
+
+        const rebooked = await appointmentScheduler(bookingEvent());
+        expect(rebooked.statusCode).toBe(200);
+    });
+
+    test('should let only one of two simultaneous reschedules onto the last bay through', async () => {
+        const { appointments } = createFakeTables();
+        const first = JSON.parse((await appointmentScheduler(bookingEvent('2026-04-27T15:30:00Z'))).body);
+        const second = JSON.parse((await appointmentScheduler(bookingEvent('2026-04-27T16:30:00Z'))).body);
+
+        const reschedule = (appointmentId) => updateAppointment({
+            headers: { authorization: 'Bearer test-api-key' },
+            pathParameters: { id: appointmentId },
+            body: JSON.stringify({ appointmentTime: '2026-04-27T16:00:00Z' })
+        });
+        const responses = await Promise.all([reschedule(first.appointmentId), reschedule(second.appointmentId)]);
+
+        expect(responses.map(response => response.statusCode).sort()).toEqual([200, 409]);
+        const times = [...appointments.values()].map(item => item.appointmentDateTime).sort();
+        expect(times).toHaveLength(2);
+        expect(times).toContain('2026-04-27T16:00:00Z');
+    });
+
+    test('should book once when a request is retried with the same Idempotency-Key', async () => {
+        const { appointments } = createFakeTables();
+        const first = await appointmentScheduler(retryEvent('retry-1'));
+        const retry = await appointmentScheduler(retryEvent('retry-1'));
+
+        expect(first.statusCode).toBe(200);
+        expect(retry.statusCode).toBe(200);
+        expect(retry.body).toBe(first.body);
+        expect(retry.headers).toEqual({ 'Idempotent-Replayed': 'true' });
+        expect(appointments.size).toBe(1);
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not book twice when retries arrive simultaneously', async () => {
+        const { appointments } = createFakeTables({ bayCapacity: 5, serviceCapacity: {} });
+        const responses = await Promise.all([appointmentScheduler(retryEvent('retry-1')), appointmentScheduler(retryEvent('retry-1'))]);
+
+        expect(responses.map(response => response.statusCode).sort()).toEqual([200, 409]);
+        expect(JSON.parse(responses.find(response => response.statusCode === 409).body).message)
+            .toBe('A request with this Idempotency-Key is still being processed');
+        expect(appointments.size).toBe(1);
+    });
+
+    test('should reject reusing an Idempotency-Key for a different booking', async () => {
+        createFakeTables();
+        await appointmentScheduler(retryEvent('retry-1'));
+        const response = await appointmentScheduler(retryEvent('retry-1', '2026-04-27T16:00:00Z'));
+        expect(response.statusCode).toBe(422);
+    });
+});
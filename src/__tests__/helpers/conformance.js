@@ -0,0 +1,63 @@
+const { validate } = require('../../validation');
+
+// Checks handler responses against the OpenAPI document in src/openapi.js. setupConformance.js runs
+// every response the suites see through checkResponse, so a handler and the document cannot drift apart.
+
+// Follows "#/components/..." references, so the result can go to validate()
+const resolveRefs = (document, value) => {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveRefs(document, item));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (value.$ref) {
+        const target = value.$ref.slice(2).split('/').reduce((node, key) => node[key], document);
+        return resolveRefs(document, target);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, resolveRefs(document, child)]));
+};
+
+const getContentType = (headers = {}) => {
+    const name = Object.keys(headers).find(header => header.toLowerCase() === 'content-type');
+    return name ? headers[name].split(';')[0].trim().toLowerCase() : 'application/json';
+};
+
+// What is wrong with a handler's response to method and path, a route as written in serverless.yml:
+// a status code the operation does not document, a content type it does not list, or a JSON body
+// that does not fit the schema. An empty array when the response conforms.
+const checkResponse = (document, method, path, response) => {
+    const route = `${method} ${path}`;
+    const operation = (document.paths[path] || {})[method.toLowerCase()];
+    if (!operation) {
+        return [`${route} is not in the OpenAPI document`];
+    }
+    if (!response || typeof response.statusCode !== 'number') {
+        return [`${route} responded without a status code`];
+    }
+
+    const status = String(response.statusCode);
+    const documented = operation.responses[status];
+    if (!documented) {
+        return [`${route} responded ${status}, which is not documented (${Object.keys(operation.responses).join(', ')})`];
+    }
+
+    const content = resolveRefs(document, documented).content || {};
+    const contentType = getContentType(response.headers);
+    if (!content[contentType]) {
+        return [`${route} ${status} responded with ${contentType}, which is not documented`];
+    }
+    if (contentType !== 'application/json') {
+        return [];
+    }
+
+    let body;
+    try {
+        body = JSON.parse(response.body);
+    } catch (error) {
+        return [`${route} ${status} body is not valid JSON`];
+    }
+    return validate(body, content[contentType].schema || {}).map(error => `${route} ${status}: ${error.message}`);
+};
+
+module.exports = { resolveRefs, checkResponse };
@@ -0,0 +1,38 @@
+const path = require('path');
+const { ROUTES } = jest.requireActual('../../routes');
+const { checkResponse } = require('./conformance');
+
+// Wraps each handler that serves a route, so every response it gives in a test is checked against the
+// OpenAPI document; a response that does not conform fails the test. Tests that mock a handler module
+// themselves replace the wrapper. The document is loaded on the first check rather than here, so the
+// modules it loads see each test's own mocks.
+const routesByModule = new Map();
+ROUTES.forEach(route => {
+    const [moduleName] = route.handler.split('.');
+    routesByModule.set(moduleName, [...(routesByModule.get(moduleName) || []), route]);
+});
+
+const conform = (route, response) => {
+    const { document } = require('../../openapi');
+    const problems = checkResponse(document, route.method, route.path, response);
+    if (problems.length > 0) {
+        throw new Error(`Response does not match the OpenAPI document:\n${problems.join('\n')}`);
+    }
+};
+
+routesByModule.forEach((routes, moduleName) => {
+    const modulePath = path.join(__dirname, '../..', moduleName);
+    jest.doMock(modulePath, () => {
+        const actual = jest.requireActual(modulePath);
+        const wrapped = { ...actual };
+        routes.forEach(route => {
+            const exportName = route.handler.split('.')[1];
+            wrapped[exportName] = async (...args) => {
+                const response = await actual[exportName](...args);
+                conform(route, response);
+                return response;
+            };
+        });
+        return wrapped;
+    });
+});
@@ -0,0 +1,152 @@
+const { withIdempotency } = require('../idempotency');
+const { DynamoDBDocumentClient, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(),
+    GetCommand: jest.fn(),
+    UpdateCommand: jest.fn(),
+    DeleteCommand: jest.fn()
+}));
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+describe('Idempotency keys', () => {
+    const body = JSON.stringify({ fullName: 'Test User' });
+    const event = (headers, requestBody = body) => ({
+        headers: { authorization: 'Bearer test-api-key', ...headers },
+        body: requestBody
+    });
+    const created = { statusCode: 200, body: JSON.stringify({ appointmentId: 'appt_1' }) };
+
+    // The hash stored for `body`, taken from the first claim
+    const storedHash = async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        await withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn().mockResolvedValue(created), 'key_1');
+        const hash = PutCommand.mock.calls[0][0].Item.requestHash;
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockReset();
+        return hash;
+    };
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+        process.env.IDEMPOTENCY_TABLE = 'idempotency-table';
+        delete process.env.IDEMPOTENCY_TTL_HOURS;
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockReset();
+    });
+
+    test('should run the handler directly without a key', async () => {
+        const handler = jest.fn().mockResolvedValue(created);
+        const response = await withIdempotency(event({}), handler, 'key_1');
+        expect(response).toBe(created);
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should claim the key and store the response', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const handler = jest.fn().mockResolvedValue(created);
+        const response = await withIdempotency(event({ 'Idempotency-Key': 'key-1' }), handler, 'key_1');
+
+        expect(response).toBe(created);
+        const claim = PutCommand.mock.calls[0][0];
+        const now = new Date('2026-01-15T12:00:00Z').getTime() / 1000;
+        expect(claim.TableName).toBe('idempotency-table');
+        expect(claim.Item).toMatchObject({ idempotencyKey: 'key_1#key-1', lockedUntil: now + 30, expiresAt: now + 24 * 60 * 60 });
+        expect(claim.Item.requestHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues).toEqual({
+            ':statusCode': 200,
+            ':responseBody': created.body
+        });
+    });
+
+    test('should keep keys for the configured number of hours', async () => {
+        process.env.IDEMPOTENCY_TTL_HOURS = '2';
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        await withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn().mockResolvedValue(created), 'key_1');
+        const { Item } = PutCommand.mock.calls[0][0];
+        expect(Item.expiresAt - Item.createdAt / 1000).toBe(2 * 60 * 60);
+    });
+
+    test('should keep the same key from different callers apart', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        await withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn().mockResolvedValue(created), 'key_2');
+        expect(PutCommand.mock.calls[0][0].Item.idempotencyKey).toBe('key_2#key-1');
+    });
+
+    test('should replay the stored response for the same body', async () => {
+        const requestHash = await storedHash();
+        DynamoDBDocumentClient.send
+            .mockRejectedValueOnce(conditionFailed())
+            .mockResolvedValueOnce({ Item: { idempotencyKey: 'key-1', requestHash, statusCode: 200, responseBody: created.body } });
+        const handler = jest.fn();
+        const response = await withIdempotency(event({ 'idempotency-key': 'key-1' }), handler, 'key_1');
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(response).toEqual({ statusCode: 200, headers: { 'Idempotent-Replayed': 'true' }, body: created.body });
+    });
+
+    test('should reject a reused key with a different body', async () => {
+        const requestHash = await storedHash();
+        DynamoDBDocumentClient.send
+            .mockRejectedValueOnce(conditionFailed())
+            .mockResolvedValueOnce({ Item: { idempotencyKey: 'key-1', requestHash, statusCode: 200, responseBody: created.body } });
+        const response = await withIdempotency(event({ 'idempotency-key': 'key-1' }, JSON.stringify({ fullName: 'Someone Else' })), jest.fn(), 'key_1');
+        expect(response.statusCode).toBe(422);
+    });
+
+    test.each([
+        ['still in progress', async () => ({ Item: { idempotencyKey: 'key-1', requestHash: await storedHash() } })],
+        ['expired since the claim', async () => ({})]
+    ])('should return 409 while the first request is %s', async (name, record) => {
+        const result = await record();
+        DynamoDBDocumentClient.send
+            .mockRejectedValueOnce(conditionFailed())
+            .mockResolvedValueOnce(result);
+        const response = await withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn(), 'key_1');
+        expect(response.statusCode).toBe(409);
+    });
+
+    test.each(['', ' ', 'k'.repeat(256)])('should reject the key %j', async (key) => {
+        const response = await withIdempotency(event({ 'idempotency-key': key }), jest.fn(), 'key_1');
+        expect(response.statusCode).toBe(400);
+    });
+
+    test('should release the key when the handler fails', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const error = new Error('DB Error');
+        await expect(withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn().mockRejectedValue(error), 'key_1')).rejects.toBe(error);
+        expect(DeleteCommand).toHaveBeenCalledTimes(1);
+        expect(UpdateCommand).not.toHaveBeenCalled();
+    });
+
+    test('should not store server errors', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const response = await withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn().mockResolvedValue({ statusCode: 500, body: '{}' }), 'key_1');
+        expect(response.statusCode).toBe(500);
+        expect(DeleteCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test('should rethrow errors while claiming the key', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        await expect(withIdempotency(event({ 'idempotency-key': 'key-1' }), jest.fn(), 'key_1')).rejects.toThrow('DB Error');
+    });
+});
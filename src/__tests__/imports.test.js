@@ -0,0 +1,415 @@
+const { importAppointments } = require('../imports');
+const { recordAudit } = require('../audit');
+const { createHmac } = require('crypto');
+const {
+    DynamoDBDocumentClient,
+    QueryCommand,
+    GetCommand,
+    BatchGetCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    QueryCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    UpdateCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    DeleteCommand: jest.fn(),
+    BatchGetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    TransactWriteCommand: jest.fn(function (input) {
+        this.input = input;
+    })
+}));
+
+jest.mock('../audit', () => ({
+    recordAudit: jest.fn()
+}));
+
+const catalog = {
+    'oil-change': { serviceId: 'oil-change', name: 'Oil Change', durationMinutes: 30, price: 49.99 },
+    'tire-rotation': { serviceId: 'tire-rotation', name: 'Tire Rotation', durationMinutes: 20, price: null }
+};
+
+const slotTaken = () => Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: [{ Code: 'None' }, { Code: 'ConditionalCheckFailed' }]
+});
+
+// Answers catalog, location and customer lookups; bookings are what is stored at the location
+const mockTables = ({ locationConfig, bookings = [], customers = {}, transaction } = {}) => {
+    DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+        if (command instanceof BatchGetCommand) {
+            const { Keys } = command.input.RequestItems['services-table'];
+            return { Responses: { 'services-table': Keys.map(key => catalog[key.serviceId]).filter(Boolean) } };
+        }
+        if (command instanceof GetCommand) {
+            return { Item: command.input.TableName === 'customers-table' ? customers[command.input.Key.customerId] : locationConfig };
+        }
+        if (command instanceof QueryCommand) {
+            return { Items: bookings };
+        }
+        if (command instanceof TransactWriteCommand && transaction) {
+            return transaction(command);
+        }
+        return {};
+    });
+};
+
+const headers = { authorization: 'Bearer test-api-key' };
+
+const booking = (fields = {}) => ({
+    fullName: 'Alex Rivera',
+    location: 'Farrish Subaru',
+    appointmentTime: '2026-04-27T15:30:00Z',
+    car: 'Subaru Outback',
+    services: ['oil-change'],
+    ...fields
+});
+
+const importEvent = (rows, fields = {}) => ({ headers, body: JSON.stringify(rows), ...fields });
+
+const report = (response) => JSON.parse(response.body);
+
+// Items of the n-th transaction; each row writes its appointment, then its slot reservations
+const transactionItems = (call = 0) => TransactWriteCommand.mock.calls[call][0].TransactItems;
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    process.env.SERVICES_TABLE = 'services-table';
+    process.env.CUSTOMERS_TABLE = 'customers-table';
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+    process.env.RESERVATIONS_TABLE = 'reservations-table';
+});
+
+beforeEach(() => {
+    process.env.API_KEY = 'test-api-key';
+    jest.clearAllMocks();
+    DynamoDBDocumentClient.send.mockReset();
+    mockTables();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe('importAppointments', () => {
+    test('should create every valid row in one transaction', async () => {
+        const response = await importAppointments(importEvent([
+            booking(),
+            booking({ appointmentTime: '2026-04-27T16:00:00Z', services: ['oil-change', 'tire-rotation'] })
+        ]));
+        expect(response.statusCode).toBe(200);
+
+        const body = report(response);
+        expect(body.dryRun).toBe(false);
+        expect(body.summary).toEqual({ total: 2, created: 2, rejected: 0, duplicate: 0 });
+        expect(body.rows).toEqual([
+            { row: 1, status: 'created', appointmentId: expect.stringMatching(/^appt_/), appointmentTime: '2026-04-27T15:30:00Z' },
+            { row: 2, status: 'created', appointmentId: expect.stringMatching(/^appt_/), appointmentTime: '2026-04-27T16:00:00Z' }
+        ]);
+
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(1);
+        const puts = transactionItems().filter(item => item.Put).map(item => item.Put.Item);
+        expect(puts.map(item => item.appointmentId)).toEqual(body.rows.map(row => row.appointmentId));
+        expect(puts[1]).toMatchObject({
+            customerName: 'Alex Rivera',
+            locationId: 'Farrish Subaru',
+            durationMinutes: 50,
+            appointmentEndDateTime: '2026-04-27T17:00:00Z',
+            servicesList: ['oil-change', 'tire-rotation'],
+            status: 'SCHEDULED',
+            version: 1
+        });
+        // The stored bookings are read once for the location and the catalog once per set of services
+        expect(QueryCommand).toHaveBeenCalledTimes(1);
+        expect(BatchGetCommand).toHaveBeenCalledTimes(2);
+    });
+
+    test('should read CSV with a structured vehicle and semicolon-separated services', async () => {
+        const csv = [
+            'fullName,location,appointmentTime,make,model,year,mileage,vin,services',
+            '"Rivera, Alex",Farrish Subaru,2026-04-27T15:30:00Z,Subaru,Forester,2021,42000,jf2skaec0mh400001,oil-change; tire-rotation',
+            'Sam Lee,Farrish Subaru,2026-04-27T16:30:00Z,,,,,,oil-change'
+        ].join('\r\n');
+
+        const response = await importAppointments({
+            headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8' },
+            body: Buffer.from(csv).toString('base64'),
+            isBase64Encoded: true
+        });
+        expect(response.statusCode).toBe(200);
+        expect(report(response).rows).toEqual([
+            expect.objectContaining({ row: 1, status: 'created' }),
+            {
+                row: 2,
+                status: 'rejected',
+                message: 'vehicle or car is required',
+                errors: [{ field: 'vehicle', code: 'required', message: 'vehicle or car is required' }]
+            }
+        ]);
+
+        const [put] = transactionItems().filter(item => item.Put).map(item => item.Put.Item);
+        expect(put).toMatchObject({
+            customerName: 'Rivera, Alex',
+            vehicleDetails: '2021 Subaru Forester',
+            vehicle: { make: 'Subaru', model: 'Forester', year: 2021, mileage: 42000, vin: 'JF2SKAEC0MH400001' },
+            vin: 'JF2SKAEC0MH400001',
+            servicesList: ['oil-change', 'tire-rotation']
+        });
+    });
+
+    test('should take a car column as the plain vehicle description', async () => {
+        const response = await importAppointments({
+            headers: { ...headers, 'content-type': 'text/csv' },
+            body: 'fullName,location,appointmentTime,car,services\nSam Lee,Farrish Subaru,2026-04-27T15:30:00Z,Subaru Outback,oil-change\n'
+        });
+        expect(report(response).summary.created).toBe(1);
+        expect(transactionItems()[0].Put.Item.vehicleDetails).toBe('Subaru Outback');
+    });
+
+    test('should reject rows that fail validation with their reason', async () => {
+        mockTables({ customers: { cust_1: { customerId: 'cust_1', name: 'Fleet Co' } } });
+
+        const response = await importAppointments(importEvent([
+            booking({ location: undefined }),
+            booking({ appointmentTime: 'next tuesday' }),
+            booking({ services: ['detailing'] }),
+            booking({ appointmentTime: '2026-04-27T23:30:00Z' }),
+            booking({ customerId: 'cust_missing' }),
+            booking({ car: undefined, vehicle: { make: 'Subaru' } }),
+            'not a booking',
+            booking({ fullName: undefined, customerId: 'cust_1' })
+        ]));
+
+        const body = report(response);
+        expect(body.rows.slice(0, 7).map(row => row.message)).toEqual([
+            'location is required',
+            'appointmentTime must be an ISO-8601 date-time with a time zone, such as 2026-04-27T15:30:00Z',
+            'Unknown services: detailing',
+            'Appointments must be between 9 AM and 7 PM EST',
+            'customerId does not match a customer',
+            'vehicle.model is required, and 1 more problem',
+            'Row must be an object'
+        ]);
+        // Rows rejected by a field check list every problem, like a 400 from POST /appointments
+        expect(body.rows[5].errors.map(error => error.field)).toEqual(['vehicle.model', 'vehicle.year']);
+        expect(body.rows[6].errors).toBeUndefined();
+        expect(body.rows[7]).toMatchObject({ row: 8, status: 'created' });
+        expect(body.summary).toEqual({ total: 8, created: 1, rejected: 7, duplicate: 0 });
+        expect(transactionItems()[0].Put.Item).toMatchObject({ customerId: 'cust_1', customerName: 'Fleet Co' });
+    });
+
+    test('should check capacity against stored bookings and earlier rows', async () => {
+        mockTables({
+            locationConfig: { bayCapacity: 2, serviceCapacity: { 'tire-rotation': 1 } },
+            bookings: [
+                { appointmentId: 'appt_stored', appointmentDateTime: '2026-04-27T15:30:00Z', durationMinutes: 30, vehicleDetails: 'Honda Civic', servicesList: ['oil-change'], status: 'SCHEDULED' },
+                { appointmentId: 'appt_cancelled', appointmentDateTime: '2026-04-27T16:00:00Z', durationMinutes: 30, vehicleDetails: 'Honda Civic', servicesList: ['oil-change'], status: 'CANCELLED' }
+            ]
+        });
+
+        const response = await importAppointments(importEvent([
+            booking({ car: 'Car 1' }),
+            booking({ car: 'Car 2' }),
+            booking({ car: 'Car 3', appointmentTime: '2026-04-27T16:00:00Z', services: ['tire-rotation'] }),
+            booking({ car: 'Car 4', appointmentTime: '2026-04-27T16:00:00Z', services: ['tire-rotation'] })
+        ]));
+
+        expect(report(response).rows.map(row => row.message || row.status)).toEqual([
+            'created',
+            'This time slot is already booked',
+            'created',
+            'No capacity left for Tire Rotation in this time slot'
+        ]);
+    });
+
+    test('should skip duplicates of stored bookings and earlier rows', async () => {
+        mockTables({
+            locationConfig: { bayCapacity: 5 },
+            bookings: [
+                { appointmentId: 'appt_stored', locationId: 'Farrish Subaru', appointmentDateTime: '2026-04-27T15:30:00.000Z', durationMinutes: 30, vehicleDetails: '2021 Subaru Forester', vin: 'JF2SKAEC0MH400001', status: 'SCHEDULED' },
+                { appointmentId: 'appt_cancelled', locationId: 'Farrish Subaru', appointmentDateTime: '2026-04-27T16:00:00Z', durationMinutes: 30, vehicleDetails: 'subaru outback', status: 'CANCELLED' }
+            ]
+        });
+        const forester = { make: 'Subaru', model: 'Forester', year: 2021, vin: 'JF2SKAEC0MH400001' };
+
+        const response = await importAppointments(importEvent([
+            booking({ car: undefined, vehicle: forester }),
+            booking({ appointmentTime: '2026-04-27T16:00:00Z' }),
+            booking({ appointmentTime: '2026-04-27T16:00:00Z', car: 'SUBARU OUTBACK', fullName: 'Someone Else' }),
+            booking({ appointmentTime: '2026-04-27T17:00:00Z' })
+        ]));
+
+        const body = report(response);
+        expect(body.rows[0]).toEqual({ row: 1, status: 'duplicate', duplicateOf: 'appt_stored' });
+        expect(body.rows[1]).toMatchObject({ row: 2, status: 'created' });
+        expect(body.rows[2]).toEqual({ row: 3, status: 'duplicate', duplicateOfRow: 2 });
+        expect(body.rows[3]).toMatchObject({ row: 4, status: 'created' });
+        expect(body.summary).toEqual({ total: 4, created: 2, rejected: 0, duplicate: 2 });
+    });
+
+    test('should check everything without writing in a dry run', async () => {
+        const response = await importAppointments(importEvent([booking(), booking({ appointmentTime: '2026-04-26T12:00:00Z', services: [] })], {
+            queryStringParameters: { dryRun: 'true' }
+        }));
+
+        const body = report(response);
+        expect(body.dryRun).toBe(true);
+        expect(body.summary).toEqual({ total: 2, valid: 1, rejected: 1, duplicate: 0 });
+        expect(body.rows[0]).toMatchObject({ row: 1, status: 'valid', appointmentTime: '2026-04-27T15:30:00Z' });
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+        expect(recordAudit).not.toHaveBeenCalled();
+    });
+
+    test('should split transactions at the item limit and between rows sharing a slot', async () => {
+        mockTables({ locationConfig: { bayCapacity: 2 } });
+        // 60 half-hour rows over three days write 120 items, and the last row shares a slot with one in the second transaction
+        const rows = Array.from({ length: 60 }, (_, index) => booking({
+            car: `Car ${index}`,
+            appointmentTime: new Date(Date.UTC(2026, 3, 27 + Math.floor(index / 20), 13, 0) + (index % 20) * 30 * 60000).toISOString()
+        }));
+        rows.push(booking({ car: 'Car 60', appointmentTime: rows[55].appointmentTime }));
+
+        const response = await importAppointments(importEvent(rows));
+        expect(report(response).summary.created).toBe(61);
+        expect(TransactWriteCommand.mock.calls.map(([input]) => input.TransactItems.length)).toEqual([100, 20, 2]);
+    });
+
+    test('should import as many rows as an import may have', async () => {
+        // 500 half-hour rows, every slot of 25 days
+        const rows = Array.from({ length: 500 }, (_, index) => booking({
+            car: `Car ${index}`,
+            appointmentTime: new Date(Date.UTC(2026, 3, 27 + Math.floor(index / 20), 13, 0) + (index % 20) * 30 * 60000).toISOString()
+        }));
+
+        const response = await importAppointments(importEvent(rows));
+        expect(response.statusCode).toBe(200);
+        expect(report(response).summary).toEqual({ total: 500, created: 500, rejected: 0, duplicate: 0 });
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(10);
+    });
+
+    test('should write rows one by one to find those that no longer fit', async () => {
+        let transactions = 0;
+        mockTables({
+            transaction: () => {
+                transactions++;
+                // The batch fails, then the second row on its own
+                if (transactions === 1 || transactions === 3) {
+                    throw slotTaken();
+                }
+                return {};
+            }
+        });
+
+        const response = await importAppointments(importEvent([
+            booking(),
+            booking({ appointmentTime: '2026-04-27T16:00:00Z' }),
+            booking({ appointmentTime: '2026-04-27T16:30:00Z' })
+        ]));
+
+        const body = report(response);
+        expect(body.rows.map(row => row.status)).toEqual(['created', 'rejected', 'created']);
+        expect(body.rows[1]).toEqual({ row: 2, status: 'rejected', message: 'This time slot is already booked' });
+        expect(body.summary).toEqual({ total: 3, created: 2, rejected: 1, duplicate: 0 });
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(4);
+        // Only the rows that were written get an audit entry
+        expect(recordAudit.mock.calls.map(([action, { after }]) => [action, after.appointmentId])).toEqual([
+            ['created', body.rows[0].appointmentId],
+            ['created', body.rows[2].appointmentId]
+        ]);
+    });
+
+    test('should reject a single-row batch that no longer fits', async () => {
+        mockTables({ transaction: () => { throw slotTaken(); } });
+
+        const response = await importAppointments(importEvent([booking()]));
+        expect(report(response).rows).toEqual([{ row: 1, status: 'rejected', message: 'This time slot is already booked' }]);
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test('should write a new customer profile with its row', async () => {
+        const response = await importAppointments(importEvent([
+            booking({ fullName: undefined, customer: { name: 'Fleet Co', email: 'fleet@example.com' } })
+        ]));
+
+        const customerPut = transactionItems().find(item => item.Put && item.Put.TableName === 'customers-table');
+        expect(customerPut.Put.Item).toMatchObject({ name: 'Fleet Co', email: 'fleet@example.com' });
+        expect(transactionItems()[0].Put.Item.customerId).toBe(customerPut.Put.Item.customerId);
+        expect(report(response).summary.created).toBe(1);
+    });
+
+    test('should reject rows for locations the caller may not book', async () => {
+        process.env.JWT_SECRETS = 'portal-secret';
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+            sub: 'advisor_1',
+            role: 'staff',
+            locations: ['Farrish Subaru'],
+            iss: 'https://portal.example.com',
+            aud: 'appointment-scheduler',
+            exp: new Date('2026-01-15T13:00:00Z').getTime() / 1000
+        })}`;
+        const token = `${signingInput}.${createHmac('sha256', 'portal-secret').update(signingInput).digest('base64url')}`;
+
+        const response = await importAppointments({
+            headers: { authorization: `Bearer ${token}` },
+            body: JSON.stringify([booking(), booking({ location: 'Farrish Ford' })])
+        });
+
+        delete process.env.JWT_SECRETS;
+        expect(report(response).rows.map(row => row.message || row.status)).toEqual([
+            'created',
+            'Token is not allowed for location Farrish Ford'
+        ]);
+    });
+
+    test.each([
+        ['{"rows": []}', {}, 'Body must be a JSON array of bookings, or CSV with Content-Type: text/csv'],
+        ['not json', {}, 'Body must be a JSON array of bookings, or CSV with Content-Type: text/csv'],
+        ['[]', {}, 'An import must have between 1 and 500 rows'],
+        [JSON.stringify(Array.from({ length: 501 }, () => booking())), {}, 'An import must have between 1 and 500 rows'],
+        ['fullName,colour\nAlex,red', { 'content-type': 'text/csv' }, 'Unknown CSV column: colour'],
+        ['fullName\n', { 'content-type': 'text/csv' }, 'An import must have between 1 and 500 rows']
+    ])('should reject the body %#', async (body, extraHeaders, message) => {
+        const response = await importAppointments({ headers: { ...headers, ...extraHeaders }, body });
+        expect(response.statusCode).toBe(400);
+        expect(report(response).message).toBe(message);
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should require authorization', async () => {
+        const response = await importAppointments({ headers: {}, body: '[]' });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test('should return 500 when the database fails', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB unavailable'));
+
+        const response = await importAppointments(importEvent([booking()]));
+        expect(response.statusCode).toBe(500);
+        expect(report(response)).toEqual({
+            message: 'Could not import the appointments',
+            error: 'DynamoDB unavailable'
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHmac, generateKeyPairSync, sign } = require('crypto');
+const { isJwt, verifyJwt } = require('../jwt');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Builds a token the way the customer portal would
+const signToken = (claims, { alg = 'HS256', secret = 'portal-secret', privateKey, kid } = {}) => {
+    const signingInput = `${encode({ alg, typ: 'JWT', ...(kid && { kid }) })}.${encode(claims)}`;
+    const signature = alg === 'RS256'
+        ? sign('RSA-SHA256', Buffer.from(signingInput), privateKey)
+        : createHmac('sha256', secret).update(signingInput).digest();
+    return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+describe('JWT verification', () => {
+    const now = new Date('2026-01-15T12:00:00Z').getTime() / 1000;
+    const claims = (fields) => ({
+        sub: 'cust_1',
+        role: 'customer',
+        iss: 'https://portal.example.com',
+        aud: 'appointment-scheduler',
+        exp: now + 300,
+        ...fields
+    });
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const other = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let jwksDir;
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+        jwksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+        fs.writeFileSync(path.join(jwksDir, 'jwks.json'), JSON.stringify({
+            keys: [
+                { ...publicKey.export({ format: 'jwk' }), kid: 'portal-1', use: 'sig' },
+                { ...other.publicKey.export({ format: 'jwk' }), kid: 'portal-2', use: 'enc' }
+            ]
+        }));
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+        fs.rmSync(jwksDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        process.env.JWT_SECRETS = 'old-secret, portal-secret';
+        process.env.JWT_JWKS_FILE = path.join(jwksDir, 'jwks.json');
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+    });
+
+    test('should tell tokens from API keys', () => {
+        expect(isJwt(signToken(claims()))).toBe(true);
+        expect(isJwt('key_0123456789abcdef.secret')).toBe(false);
+        expect(isJwt('test-api-key')).toBe(false);
+    });
+
+    test('should accept HS256 tokens signed with any configured secret', () => {
+        expect(verifyJwt(signToken(claims()))).toEqual({ claims: claims() });
+        expect(verifyJwt(signToken(claims(), { secret: 'old-secret' })).claims).toBeDefined();
+    });
+
+    test('should accept RS256 tokens signed with a key from the JWKS file', () => {
+        const token = signToken(claims(), { alg: 'RS256', privateKey, kid: 'portal-1' });
+        expect(verifyJwt(token)).toEqual({ claims: claims() });
+        expect(verifyJwt(signToken(claims(), { alg: 'RS256', privateKey })).claims).toBeDefined();
+    });
+
+    test.each([
+        ['an unknown secret', () => signToken(claims(), { secret: 'guess' })],
+        ['a key that is not in the JWKS file', () => signToken(claims(), { alg: 'RS256', privateKey: generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey })],
+        ['a key that is not for signatures', () => signToken(claims(), { alg: 'RS256', privateKey: other.privateKey, kid: 'portal-2' })],
+        ['a different kid', () => signToken(claims(), { alg: 'RS256', privateKey, kid: 'portal-2' })],
+        ['the public key as HMAC secret', () => signToken(claims(), { secret: publicKey.export({ format: 'pem', type: 'spki' }) })],
+        ['no signature', () => `${encode({ alg: 'none' })}.${encode(claims())}.`],
+        ['alg none', () => `${encode({ alg: 'none' })}.${encode(claims())}.c2ln`],
+        ['a payload that is not JSON', () => `${encode({ alg: 'HS256' })}.bm90LWpzb24.c2ln`]
+    ])('should reject tokens with %s', (name, token) => {
+        expect(verifyJwt(token())).toEqual({ error: 'Invalid token' });
+    });
+
+    test('should ignore RS256 tokens when no JWKS file is configured', () => {
+        delete process.env.JWT_JWKS_FILE;
+        expect(verifyJwt(signToken(claims(), { alg: 'RS256', privateKey, kid: 'portal-1' }))).toEqual({ error: 'Invalid token' });
+    });
+
+    test.each([
+        ['no exp', { exp: undefined }, 'Token has expired'],
+        ['an exp in the past', { exp: now - 31 }, 'Token has expired'],
+        ['an nbf in the future', { nbf: now + 31 }, 'Token is not valid yet'],
+        ['another issuer', { iss: 'https://evil.example.com' }, 'Token has the wrong issuer'],
+        ['another audience', { aud: ['billing'] }, 'Token has the wrong audience'],
+        ['no audience', { aud: undefined }, 'Token has the wrong audience']
+    ])('should reject tokens with %s', (name, fields, error) => {
+        expect(verifyJwt(signToken(claims(fields)))).toEqual({ error });
+    });
+
+    test('should allow for clock skew and audience lists', () => {
+        const token = signToken(claims({ exp: now - 10, nbf: now + 10, aud: ['billing', 'appointment-scheduler'] }));
+        expect(verifyJwt(token).claims).toBeDefined();
+    });
+
+    test.each(['JWT_ISSUER', 'JWT_AUDIENCE'])('should reject every token without %s', (name) => {
+        delete process.env[name];
+        expect(verifyJwt(signToken(claims()))).toEqual({ error: 'Token authentication is not configured' });
+    });
+});
@@ -0,0 +1,130 @@
+const { matchRoute, toEvent, createServer } = require('../localServer');
+const { getAppointment, appointmentScheduler, listAppointments } = require('../handler');
+
+jest.mock('../handler', () => ({
+    getAppointment: jest.fn(),
+    appointmentScheduler: jest.fn(),
+    listAppointments: jest.fn()
+}));
+
+describe('matchRoute', () => {
+    test('should match a route and decode its path parameters', () => {
+        const match = matchRoute('GET', '/locations/Farrish%20Subaru/availability');
+        expect(match.route.handler).toBe('handler.getAvailability');
+        expect(match.pathParameters).toEqual({ id: 'Farrish Subaru' });
+    });
+
+    test('should prefer literal segments to parameters', () => {
+        expect(matchRoute('POST', '/appointments/import').route.handler).toBe('imports.importAppointments');
+        expect(matchRoute('GET', '/locations/loc_1/calendar.ics').route.handler).toBe('calendar.getLocationCalendar');
+        expect(matchRoute('GET', '/appointments/appt_1.ics').pathParameters).toEqual({ id: 'appt_1.ics' });
+    });
+
+    test('should not match other methods, lengths or empty parameters', () => {
+        expect(matchRoute('PUT', '/appointments')).toBeNull();
+        expect(matchRoute('GET', '/appointments/appt_1/status/extra')).toBeNull();
+        expect(matchRoute('GET', '/appointments/')).toBeNull();
+    });
+});
+
+describe('toEvent', () => {
+    test('should build an HTTP API event', () => {
+        const request = {
+            method: 'GET',
+            url: '/appointments?location=Farrish%20Subaru&status=SCHEDULED&status=CONFIRMED',
+            httpVersion: '1.1',
+            headers: { authorization: 'Bearer test-api-key', 'user-agent': 'jest' },
+            socket: { remoteAddress: '127.0.0.1' }
+        };
+        const event = toEvent(request, Buffer.alloc(0), matchRoute('GET', '/appointments'));
+
+        expect(event).toEqual({
+            version: '2.0',
+            routeKey: 'GET /appointments',
+            rawPath: '/appointments',
+            rawQueryString: 'location=Farrish%20Subaru&status=SCHEDULED&status=CONFIRMED',
+            headers: { authorization: 'Bearer test-api-key', 'user-agent': 'jest' },
+            queryStringParameters: { location: 'Farrish Subaru', status: 'SCHEDULED,CONFIRMED' },
+            pathParameters: undefined,
+            requestContext: {
+                requestId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+                routeKey: 'GET /appointments',
+                stage: '$default',
+                timeEpoch: expect.any(Number),
+                http: { method: 'GET', path: '/appointments', protocol: 'HTTP/1.1', sourceIp: '127.0.0.1', userAgent: 'jest' }
+            },
+            body: undefined,
+            isBase64Encoded: false
+        });
+    });
+});
+
+describe('createServer', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should hand the request to its handler and send back the response', async () => {
+        appointmentScheduler.mockResolvedValue({ statusCode: 200, body: JSON.stringify({ appointmentId: 'appt_1' }) });
+
+        const response = await fetch(`${baseUrl}/appointments`, {
+            method: 'POST',
+            headers: { Authorization: 'Bearer test-api-key', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fullName: 'Jane Doe' })
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('application/json');
+        expect(await response.json()).toEqual({ appointmentId: 'appt_1' });
+        expect(appointmentScheduler).toHaveBeenCalledWith(expect.objectContaining({
+            headers: expect.objectContaining({ authorization: 'Bearer test-api-key', 'content-type': 'application/json' }),
+            body: JSON.stringify({ fullName: 'Jane Doe' })
+        }));
+    });
+
+    test('should keep the headers the handler sets', async () => {
+        getAppointment.mockResolvedValue({ statusCode: 200, headers: { 'Content-Type': 'text/calendar; charset=utf-8' }, body: 'BEGIN:VCALENDAR' });
+
+        const response = await fetch(`${baseUrl}/appointments/appt_1.ics`);
+
+        expect(response.headers.get('content-type')).toBe('text/calendar; charset=utf-8');
+        expect(await response.text()).toBe('BEGIN:VCALENDAR');
+        expect(getAppointment.mock.calls[0][0].pathParameters).toEqual({ id: 'appt_1.ics' });
+    });
+
+    test('should decode base64 bodies', async () => {
+        listAppointments.mockResolvedValue({ statusCode: 200, body: Buffer.from('plain text').toString('base64'), isBase64Encoded: true });
+        const response = await fetch(`${baseUrl}/appointments`);
+        expect(await response.text()).toBe('plain text');
+    });
+
+    test('should answer 404 for routes that do not exist', async () => {
+        const response = await fetch(`${baseUrl}/appointments`, { method: 'PUT' });
+        expect(response.status).toBe(404);
+        expect(await response.json()).toEqual({ message: 'Not Found' });
+    });
+
+    test('should answer 500 like API Gateway when a handler throws', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        listAppointments.mockRejectedValue(new Error('Boom'));
+
+        const response = await fetch(`${baseUrl}/appointments`);
+
+        expect(response.status).toBe(500);
+        expect(await response.json()).toEqual({ message: 'Internal Server Error' });
+        consoleSpy.mockRestore();
+    });
+});
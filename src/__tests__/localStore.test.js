@@ -0,0 +1,394 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    GetCommand,
+    PutCommand,
+    UpdateCommand,
+    DeleteCommand,
+    QueryCommand,
+    ScanCommand,
+    BatchGetCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { TABLES, createLocalClient } = require('../localStore');
+
+const appointment = (appointmentId, locationId, appointmentDateTime, attributes = {}) => ({
+    appointmentId,
+    locationId,
+    appointmentDateTime,
+    status: 'SCHEDULED',
+    ...attributes
+});
+
+beforeAll(() => {
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+    process.env.RESERVATIONS_TABLE = 'reservations-table';
+    process.env.AUDIT_TABLE = 'audit-table';
+});
+
+describe('TABLES', () => {
+    // Table name suffixes, keys and indexes as serverless.yml declares them
+    const readServerlessTables = () => {
+        const yaml = fs.readFileSync(path.join(__dirname, '../../serverless.yml'), 'utf8');
+        const variables = {};
+        for (const [, variable, suffix] of yaml.matchAll(/^ {4}(\w+_TABLE): \$\{self:service\}-([\w-]+)-/gm)) {
+            variables[suffix] = variable;
+        }
+        const keys = (text) => [...text.matchAll(/AttributeName: (\w+)\s+KeyType: (?:HASH|RANGE)/g)].map(match => match[1]);
+        return yaml.split('TableName: ').slice(1).map(chunk => {
+            const [table, ...indexes] = chunk.split('- IndexName: ');
+            const definition = { key: keys(table) };
+            if (indexes.length > 0) {
+                definition.indexes = Object.fromEntries(indexes.map(index => [index.match(/^\w+/)[0], keys(index)]));
+            }
+            return [variables[chunk.match(/^\$\{self:service\}-([\w-]+)-/)[1]], definition];
+        });
+    };
+
+    test('should match the tables in serverless.yml', () => {
+        const tables = readServerlessTables();
+        expect(tables.length).toBeGreaterThan(0);
+        expect(Object.fromEntries(tables)).toEqual(TABLES);
+    });
+});
+
+describe('createLocalClient', () => {
+    let client;
+
+    beforeEach(() => {
+        client = createLocalClient();
+    });
+
+    const put = (item, table = 'appointments-table') => client.send(new PutCommand({ TableName: table, Item: item }));
+
+    describe('items', () => {
+        test('should put, get and delete an item', async () => {
+            await put(appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z'));
+            const result = await client.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }));
+            expect(result.Item.locationId).toBe('Farrish Subaru');
+
+            await client.send(new DeleteCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }));
+            expect(await client.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }))).toEqual({});
+        });
+
+        test('should hand out copies, so callers cannot change what is stored', async () => {
+            const item = appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z', { servicesList: ['oil-change'] });
+            await put(item);
+            item.servicesList.push('detailing');
+            const { Item } = await client.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }));
+            Item.status = 'CANCELLED';
+
+            const again = await client.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }));
+            expect(again.Item).toMatchObject({ status: 'SCHEDULED', servicesList: ['oil-change'] });
+        });
+
+        test('should fail a write whose condition does not hold and leave the item alone', async () => {
+            const item = appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z');
+            const create = () => client.send(new PutCommand({
+                TableName: 'appointments-table',
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(appointmentId)'
+            }));
+            await create();
+            await expect(create()).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+
+            await expect(client.send(new UpdateCommand({
+                TableName: 'appointments-table',
+                Key: { appointmentId: 'appt_1' },
+                UpdateExpression: 'SET #status = :status',
+                ConditionExpression: '#status = :expected',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: { ':status': 'CANCELLED', ':expected': 'CONFIRMED' }
+            }))).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+            const { Item } = await client.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }));
+            expect(Item.status).toBe('SCHEDULED');
+        });
+
+        test('should report unknown tables and commands like DynamoDB', async () => {
+            await expect(put({ appointmentId: 'appt_1' }, 'missing-table')).rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+            class DescribeTableCommand {}
+            await expect(client.send(new DescribeTableCommand())).rejects.toThrow('The local store does not support DescribeTableCommand');
+        });
+    });
+
+    describe('updates', () => {
+        const update = (input) => client.send(new UpdateCommand({
+            TableName: 'appointments-table',
+            Key: { appointmentId: 'appt_1' },
+            ReturnValues: 'ALL_NEW',
+            ...input
+        }));
+
+        test('should SET and REMOVE attributes and return the new item', async () => {
+            await put(appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z', { holdExpiresAt: 1, version: 1 }));
+            const result = await update({
+                UpdateExpression: 'SET #status = :status, #version = :version REMOVE holdExpiresAt',
+                ExpressionAttributeNames: { '#status': 'status', '#version': 'version' },
+                ExpressionAttributeValues: { ':status': 'CONFIRMED', ':version': 2 }
+            });
+            expect(result.Attributes).toEqual(appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z', { status: 'CONFIRMED', version: 2 }));
+        });
+
+        test('should append to lists that may not exist yet', async () => {
+            await put(appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z'));
+            const append = (offsets) => update({
+                UpdateExpression: 'SET #remindersSent = list_append(if_not_exists(#remindersSent, :none), :offsets)',
+                ExpressionAttributeNames: { '#remindersSent': 'remindersSent' },
+                ExpressionAttributeValues: { ':none': [], ':offsets': offsets }
+            });
+            await append([1440]);
+            expect((await append([60])).Attributes.remindersSent).toEqual([1440, 60]);
+        });
+
+        test('should ADD to counters, creating the item when it does not exist', async () => {
+            const reserve = () => client.send(new UpdateCommand({
+                TableName: 'reservations-table',
+                Key: { slotId: 'Farrish Subaru#2026-04-27T15:30:00Z' },
+                UpdateExpression: 'SET expiresAt = :expiresAt ADD #bays :delta, #service :delta',
+                ExpressionAttributeNames: { '#bays': 'bookedBays', '#service': 'service:oil-change' },
+                ExpressionAttributeValues: { ':expiresAt': 1000, ':delta': 1 },
+                ReturnValues: 'ALL_NEW'
+            }));
+            await reserve();
+            expect((await reserve()).Attributes).toEqual({
+                slotId: 'Farrish Subaru#2026-04-27T15:30:00Z',
+                expiresAt: 1000,
+                bookedBays: 2,
+                'service:oil-change': 2
+            });
+        });
+
+        test('should reject placeholders that were not defined', async () => {
+            await expect(update({
+                UpdateExpression: 'SET #status = :status',
+                ExpressionAttributeValues: { ':status': 'CONFIRMED' }
+            })).rejects.toMatchObject({ name: 'ValidationException' });
+        });
+    });
+
+    describe('conditions', () => {
+        const matches = async (item, expression, names, values) => {
+            await put({ appointmentId: 'appt_1', ...item });
+            try {
+                await client.send(new PutCommand({
+                    TableName: 'appointments-table',
+                    Item: { appointmentId: 'appt_1' },
+                    ConditionExpression: expression,
+                    ExpressionAttributeNames: names,
+                    ExpressionAttributeValues: values
+                }));
+                return true;
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                return false;
+            }
+        };
+
+        test.each([
+            [{ status: 'CONFIRMED' }, '#status IN (:a, :b)', true],
+            [{ status: 'CANCELLED' }, '#status IN (:a, :b)', false],
+            [{ remindersSent: [60] }, 'NOT contains(remindersSent, :one)', true],
+            [{ remindersSent: [60, 1] }, 'NOT contains(remindersSent, :one)', false],
+            [{ expiresAt: 5 }, 'attribute_not_exists(lockedUntil) OR (expiresAt < :ten AND lockedUntil < :ten)', true],
+            [{ expiresAt: 5, lockedUntil: 20 }, 'attribute_not_exists(lockedUntil) OR (expiresAt < :ten AND lockedUntil < :ten)', false],
+            [{ expiresAt: 10 }, 'expiresAt BETWEEN :one AND :ten', true],
+            [{ expiresAt: '5' }, 'expiresAt < :ten', false],
+            [{ vehicle: { make: 'Subaru' } }, '#vehicle.#make = :make', true],
+            [{ servicesList: ['oil-change'] }, 'servicesList[0] = :service', true]
+        ])('should evaluate %j against %s', async (item, expression, expected) => {
+            const usedNames = { '#status': 'status', '#vehicle': 'vehicle', '#make': 'make' };
+            const names = Object.fromEntries(Object.entries(usedNames).filter(([name]) => expression.includes(name)));
+            const values = { ':a': 'SCHEDULED', ':b': 'CONFIRMED', ':one': 1, ':ten': 10, ':make': 'Subaru', ':service': 'oil-change' };
+            const used = Object.fromEntries(Object.entries(values).filter(([name]) => expression.includes(name)));
+            expect(await matches(item, expression, Object.keys(names).length > 0 ? names : undefined, used)).toBe(expected);
+        });
+    });
+
+    describe('queries', () => {
+        beforeEach(async () => {
+            await put(appointment('appt_3', 'Farrish Subaru', '2026-04-27T17:00:00Z', { vehicle: { make: 'Subaru' } }));
+            await put(appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z', { vehicle: { make: 'Ford' } }));
+            await put(appointment('appt_2', 'Farrish Subaru', '2026-04-27T16:00:00Z', { vehicle: { make: 'Subaru' } }));
+            await put(appointment('appt_4', 'Farrish Ford', '2026-04-27T16:00:00Z'));
+            await put(appointment('appt_5', 'Farrish Subaru', '2026-04-28T09:00:00Z'));
+        });
+
+        const query = (input) => client.send(new QueryCommand({
+            TableName: 'appointments-table',
+            IndexName: 'locationTime',
+            KeyConditionExpression: 'locationId = :loc AND appointmentDateTime BETWEEN :start AND :end',
+            ExpressionAttributeValues: { ':loc': 'Farrish Subaru', ':start': '2026-04-27T00:00:00Z', ':end': '2026-04-27T23:59:59Z' },
+            ...input
+        }));
+
+        test('should return a location\'s appointments in a time range, in time order', async () => {
+            const result = await query();
+            expect(result.Items.map(item => item.appointmentId)).toEqual(['appt_1', 'appt_2', 'appt_3']);
+            expect(result.LastEvaluatedKey).toBeUndefined();
+        });
+
+        test('should page with Limit and continue from LastEvaluatedKey', async () => {
+            const first = await query({ Limit: 2 });
+            expect(first.Items.map(item => item.appointmentId)).toEqual(['appt_1', 'appt_2']);
+            expect(first.LastEvaluatedKey).toEqual({
+                appointmentId: 'appt_2',
+                locationId: 'Farrish Subaru',
+                appointmentDateTime: '2026-04-27T16:00:00Z'
+            });
+
+            const second = await query({ Limit: 2, ExclusiveStartKey: first.LastEvaluatedKey });
+            expect(second.Items.map(item => item.appointmentId)).toEqual(['appt_3']);
+            expect(second.LastEvaluatedKey).toBeUndefined();
+        });
+
+        test('should read backwards with ScanIndexForward false', async () => {
+            const first = await query({ ScanIndexForward: false, Limit: 2 });
+            expect(first.Items.map(item => item.appointmentId)).toEqual(['appt_3', 'appt_2']);
+
+            const second = await query({ ScanIndexForward: false, Limit: 2, ExclusiveStartKey: first.LastEvaluatedKey });
+            expect(second.Items.map(item => item.appointmentId)).toEqual(['appt_1']);
+            expect(second.LastEvaluatedKey).toBeUndefined();
+        });
+
+        test('should filter after Limit, so filtered pages may be short', async () => {
+            const result = await query({
+                Limit: 2,
+                FilterExpression: '#vehicle.#make = :make',
+                ExpressionAttributeNames: { '#vehicle': 'vehicle', '#make': 'make' },
+                ExpressionAttributeValues: { ':loc': 'Farrish Subaru', ':start': '2026-04-27T00:00:00Z', ':end': '2026-04-27T23:59:59Z', ':make': 'Subaru' }
+            });
+            expect(result.Items.map(item => item.appointmentId)).toEqual(['appt_2']);
+            expect(result).toMatchObject({ Count: 1, ScannedCount: 2 });
+            expect(result.LastEvaluatedKey).toBeDefined();
+        });
+
+        test('should leave items without the index keys out of the index', async () => {
+            await put(appointment('appt_6', 'Farrish Subaru', '2026-04-27T18:00:00Z', { vin: '4S4BTANC5M3123456' }));
+            const result = await client.send(new QueryCommand({
+                TableName: 'appointments-table',
+                IndexName: 'vinTime',
+                KeyConditionExpression: 'vin = :vin',
+                ExpressionAttributeValues: { ':vin': '4S4BTANC5M3123456' }
+            }));
+            expect(result.Items.map(item => item.appointmentId)).toEqual(['appt_6']);
+        });
+
+        test('should query tables by their own hash and range keys', async () => {
+            await put({ appointmentId: 'appt_1', auditId: '2026-01-12T09:00:00.000Z#b' }, 'audit-table');
+            await put({ appointmentId: 'appt_1', auditId: '2026-01-10T09:00:00.000Z#a' }, 'audit-table');
+            await put({ appointmentId: 'appt_2', auditId: '2026-01-11T09:00:00.000Z#c' }, 'audit-table');
+            const result = await client.send(new QueryCommand({
+                TableName: 'audit-table',
+                KeyConditionExpression: 'appointmentId = :appointmentId',
+                ExpressionAttributeValues: { ':appointmentId': 'appt_1' }
+            }));
+            expect(result.Items.map(item => item.auditId)).toEqual(['2026-01-10T09:00:00.000Z#a', '2026-01-12T09:00:00.000Z#b']);
+        });
+
+        test('should reject indexes the table does not have', async () => {
+            await expect(query({ IndexName: 'makeTime' })).rejects.toMatchObject({ name: 'ValidationException' });
+        });
+
+        test('should scan a table with a filter', async () => {
+            const result = await client.send(new ScanCommand({
+                TableName: 'appointments-table',
+                FilterExpression: 'locationId = :loc',
+                ExpressionAttributeValues: { ':loc': 'Farrish Ford' }
+            }));
+            expect(result.Items.map(item => item.appointmentId)).toEqual(['appt_4']);
+        });
+
+        test('should get several items at once', async () => {
+            const result = await client.send(new BatchGetCommand({
+                RequestItems: {
+                    'appointments-table': { Keys: [{ appointmentId: 'appt_4' }, { appointmentId: 'appt_404' }] }
+                }
+            }));
+            expect(result.Responses['appointments-table'].map(item => item.appointmentId)).toEqual(['appt_4']);
+            expect(result.UnprocessedKeys).toEqual({});
+        });
+    });
+
+    describe('transactions', () => {
+        const reserve = (limit) => ({
+            Update: {
+                TableName: 'reservations-table',
+                Key: { slotId: 'Farrish Subaru#2026-04-27T15:30:00Z' },
+                UpdateExpression: 'ADD #bays :one',
+                ConditionExpression: 'attribute_not_exists(#bays) OR #bays < :limit',
+                ExpressionAttributeNames: { '#bays': 'bookedBays' },
+                ExpressionAttributeValues: { ':one': 1, ':limit': limit }
+            }
+        });
+
+        const book = (appointmentId) => ({
+            Put: {
+                TableName: 'appointments-table',
+                Item: appointment(appointmentId, 'Farrish Subaru', '2026-04-27T15:30:00Z'),
+                ConditionExpression: 'attribute_not_exists(appointmentId)'
+            }
+        });
+
+        test('should apply every write together', async () => {
+            await client.send(new TransactWriteCommand({ TransactItems: [book('appt_1'), reserve(1)] }));
+            const slot = await client.send(new GetCommand({ TableName: 'reservations-table', Key: { slotId: 'Farrish Subaru#2026-04-27T15:30:00Z' } }));
+            expect(slot.Item.bookedBays).toBe(1);
+        });
+
+        test('should apply nothing when a condition fails, with a reason for each item', async () => {
+            await client.send(new TransactWriteCommand({ TransactItems: [book('appt_1'), reserve(1)] }));
+
+            await expect(client.send(new TransactWriteCommand({ TransactItems: [book('appt_2'), reserve(1)] }))).rejects.toMatchObject({
+                name: 'TransactionCanceledException',
+                CancellationReasons: [{ Code: 'None' }, { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' }]
+            });
+            const result = await client.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_2' } }));
+            expect(result.Item).toBeUndefined();
+        });
+
+        test('should check conditions on items it does not write', async () => {
+            await expect(client.send(new TransactWriteCommand({
+                TransactItems: [{
+                    ConditionCheck: {
+                        TableName: 'appointments-table',
+                        Key: { appointmentId: 'appt_1' },
+                        ConditionExpression: 'attribute_exists(appointmentId)'
+                    }
+                }, book('appt_2')]
+            }))).rejects.toMatchObject({ CancellationReasons: [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }] });
+        });
+    });
+
+    describe('with a file', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-store-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('should keep the tables between clients', async () => {
+            const file = path.join(directory, 'data', 'tables.json');
+            const first = createLocalClient({ file });
+            await first.send(new PutCommand({ TableName: 'appointments-table', Item: appointment('appt_1', 'Farrish Subaru', '2026-04-27T15:30:00Z') }));
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))['appointments-table']).toHaveLength(1);
+
+            const second = createLocalClient({ file });
+            const result = await second.send(new GetCommand({ TableName: 'appointments-table', Key: { appointmentId: 'appt_1' } }));
+            expect(result.Item.locationId).toBe('Farrish Subaru');
+        });
+
+        test('should keep tables it has no name for', async () => {
+            const file = path.join(directory, 'tables.json');
+            fs.writeFileSync(file, JSON.stringify({ 'other-stage-table': [{ id: 1 }] }));
+            await createLocalClient({ file }).send(new PutCommand({ TableName: 'audit-table', Item: { appointmentId: 'appt_1', auditId: 'a' } }));
+            expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual(['other-stage-table', 'audit-table']);
+        });
+    });
+});
@@ -0,0 +1,219 @@
+const { putLocation, getLocation, listLocations, deleteLocation, validateLocationConfig } = require('../locations');
+const { hashApiKey } = require('../auth');
+const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(),
+    GetCommand: jest.fn(),
+    ScanCommand: jest.fn(),
+    DeleteCommand: jest.fn()
+}));
+
+describe('Location configuration validation', () => {
+    test('should fill in defaults for omitted fields', () => {
+        const result = validateLocationConfig({ timeZone: 'Europe/Berlin' });
+        expect(result.valid).toBe(true);
+        expect(result.config.timeZone).toBe('Europe/Berlin');
+        expect(result.config.slotMinutes).toBe(30);
+        expect(result.config.weeklyHours.sunday).toEqual({ open: '09:00', close: '19:00' });
+        expect(result.config.bayCapacity).toBe(1);
+        expect(result.config.serviceCapacity).toEqual({});
+        expect(result.config.waitlist).toEqual({ mode: 'hold', holdMinutes: 30 });
+    });
+
+    test('should accept bay and service capacity', () => {
+        const result = validateLocationConfig({ bayCapacity: 6, serviceCapacity: { Alignment: 1 } });
+        expect(result.config).toMatchObject({ bayCapacity: 6, serviceCapacity: { Alignment: 1 } });
+    });
+
+    test('should validate notification settings', () => {
+        const result = validateLocationConfig({
+            notifications: { reminderOffsetsMinutes: [120, 1440, 120], templates: { reminder: { sms: 'See you {{appointmentTime}}' } } }
+        });
+        expect(result.config.notifications).toEqual({
+            channels: ['email', 'sms'],
+            reminderOffsetsMinutes: [1440, 120],
+            templates: { reminder: { sms: 'See you {{appointmentTime}}' } }
+        });
+        expect(validateLocationConfig({ notifications: { templates: { reminder: { sms: '{{price}}' } } } }).errors).toEqual([
+            { field: 'notifications', code: 'invalid', message: 'notifications.templates.reminder.sms has an unknown placeholder: price' }
+        ]);
+    });
+
+    test('should accept waitlist settings', () => {
+        expect(validateLocationConfig({ waitlist: { mode: 'book' } }).config.waitlist).toEqual({ mode: 'book', holdMinutes: 30 });
+        expect(validateLocationConfig({ waitlist: { holdMinutes: 120 } }).config.waitlist).toEqual({ mode: 'hold', holdMinutes: 120 });
+    });
+
+    test('should close weekdays missing from weeklyHours', () => {
+        const result = validateLocationConfig({
+            weeklyHours: { monday: { open: '08:00', close: '17:00' }, saturday: { open: '08:00', close: '12:00' } },
+            holidays: ['2026-12-25', '2026-01-01', '2026-12-25']
+        });
+        expect(result.config.weeklyHours.sunday).toBeNull();
+        expect(result.config.weeklyHours.saturday).toEqual({ open: '08:00', close: '12:00' });
+        expect(result.config.holidays).toEqual(['2026-01-01', '2026-12-25']);
+    });
+
+    test.each([
+        [{ timeZone: 'Mars/Olympus' }, 'timeZone', 'format', 'timeZone must be a valid IANA time zone'],
+        [{ slotMinutes: 7.5 }, 'slotMinutes', 'type', 'slotMinutes must be an integer'],
+        [{ weeklyHours: [] }, 'weeklyHours', 'type', 'weeklyHours must be an object'],
+        [{ weeklyHours: { funday: null } }, 'weeklyHours.funday', 'unknown_field', 'weeklyHours.funday is not allowed'],
+        [{ weeklyHours: { monday: { open: '9am', close: '17:00' } } }, 'weeklyHours.monday.open', 'format', 'weeklyHours.monday.open must be a time of day in HH:MM'],
+        [{ weeklyHours: { monday: 'closed' } }, 'weeklyHours.monday', 'type', 'weeklyHours.monday must be an object or null'],
+        [{ slotMinutes: 60, weeklyHours: { monday: { open: '09:00', close: '09:30' } } }, 'weeklyHours.monday', 'invalid', 'weeklyHours.monday must close at least one slot (60 minutes) after it opens'],
+        [{ holidays: ['2026-13-01'] }, 'holidays[0]', 'format', 'holidays[0] must be a YYYY-MM-DD date'],
+        [{ bayCapacity: 0 }, 'bayCapacity', 'too_small', 'bayCapacity must be an integer between 1 and 100'],
+        [{ serviceCapacity: ['Oil Change'] }, 'serviceCapacity', 'type', 'serviceCapacity must be an object'],
+        [{ serviceCapacity: { Alignment: 0 } }, 'serviceCapacity.Alignment', 'too_small', 'serviceCapacity.Alignment must be an integer of at least 1'],
+        [{ waitlist: 'hold' }, 'waitlist', 'type', 'waitlist must be an object'],
+        [{ waitlist: { mode: 'auto' } }, 'waitlist.mode', 'enum', 'waitlist.mode must be one of hold, book'],
+        [{ waitlist: { holdMinutes: 2 } }, 'waitlist.holdMinutes', 'too_small', 'waitlist.holdMinutes must be an integer between 5 and 1440']
+    ])('should reject %j', (body, field, code, message) => {
+        expect(validateLocationConfig(body)).toEqual({ valid: false, errors: [{ field, code, message }] });
+    });
+
+    test('should report every problem at once', () => {
+        expect(validateLocationConfig({ timeZone: 'Mars/Olympus', bayCapacity: '2', holidays: 'none' }).errors.map(error => error.field))
+            .toEqual(['timeZone', 'bayCapacity', 'holidays']);
+    });
+});
+
+describe('Location handlers', () => {
+    const locationEvent = (body) => ({
+        headers: {
+            authorization: 'Bearer test-api-key'
+        },
+        pathParameters: {
+            id: 'Chicago Subaru'
+        },
+        body: body && JSON.stringify(body)
+    });
+
+    beforeEach(() => {
+        process.env.API_KEY = 'test-api-key';
+        process.env.LOCATIONS_TABLE = 'locations-table';
+        jest.clearAllMocks();
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+    });
+
+    test('should create a location configuration', async () => {
+        const response = await putLocation(locationEvent({ timeZone: 'America/Chicago', slotMinutes: 45 }));
+        expect(response.statusCode).toBe(200);
+        const saved = PutCommand.mock.calls[0][0];
+        expect(saved.TableName).toBe('locations-table');
+        expect(saved.Item).toMatchObject({ locationId: 'Chicago Subaru', timeZone: 'America/Chicago', slotMinutes: 45 });
+        expect(saved.Item.createdAt).toBe(saved.Item.updatedAt);
+    });
+
+    test('should keep createdAt when replacing a configuration', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { locationId: 'Chicago Subaru', createdAt: 1 } });
+        await putLocation(locationEvent({ timeZone: 'America/Chicago' }));
+        expect(PutCommand.mock.calls[0][0].Item.createdAt).toBe(1);
+    });
+
+    test('should reject invalid configuration', async () => {
+        const response = await putLocation(locationEvent({ timeZone: 'Nowhere' }));
+        expect(response.statusCode).toBe(400);
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+    });
+
+    test('should return a stored configuration', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({ Item: { locationId: 'Chicago Subaru' } });
+        const response = await getLocation(locationEvent());
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).locationId).toBe('Chicago Subaru');
+    });
+
+    test('should return 404 for unconfigured locations', async () => {
+        const response = await getLocation(locationEvent());
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should list every page of locations', async () => {
+        DynamoDBDocumentClient.send
+            .mockResolvedValueOnce({ Items: [{ locationId: 'a' }], LastEvaluatedKey: { locationId: 'a' } })
+            .mockResolvedValueOnce({ Items: [{ locationId: 'b' }] });
+        const response = await listLocations(locationEvent());
+        expect(JSON.parse(response.body).items).toEqual([{ locationId: 'a' }, { locationId: 'b' }]);
+    });
+
+    test('should delete a configuration', async () => {
+        const response = await deleteLocation(locationEvent());
+        expect(response.statusCode).toBe(200);
+    });
+
+    describe('with a key restricted to other locations', () => {
+        const token = 'key_0123456789abcdef.secret';
+        const restrictedKey = (scopes) => ({
+            Item: { keyId: 'key_0123456789abcdef', keyHash: hashApiKey(token), scopes, locations: ['Farrish Subaru'] }
+        });
+        const restrictedEvent = (body) => ({ ...locationEvent(body), headers: { authorization: `Bearer ${token}` } });
+
+        test('should only list allowed locations', async () => {
+            DynamoDBDocumentClient.send
+                .mockResolvedValueOnce(restrictedKey(['read']))
+                .mockResolvedValueOnce({ Items: [{ locationId: 'Farrish Subaru' }, { locationId: 'Chicago Subaru' }] });
+            const response = await listLocations(restrictedEvent());
+            expect(JSON.parse(response.body).items).toEqual([{ locationId: 'Farrish Subaru' }]);
+        });
+
+        test.each([
+            ['putLocation', putLocation, ['admin']],
+            ['getLocation', getLocation, ['read']],
+            ['deleteLocation', deleteLocation, ['admin']]
+        ])('%s should return 403', async (name, handler, scopes) => {
+            DynamoDBDocumentClient.send.mockResolvedValueOnce(restrictedKey(scopes));
+            const response = await handler(restrictedEvent({ timeZone: 'America/Chicago' }));
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).message).toBe('API key is not allowed for location Chicago Subaru');
+            expect(DynamoDBDocumentClient.send).toHaveBeenCalledTimes(1);
+        });
+
+        test('putLocation should require the admin scope', async () => {
+            DynamoDBDocumentClient.send.mockResolvedValueOnce(restrictedKey(['read', 'book', 'cancel']));
+            const response = await putLocation(restrictedEvent({}));
+            expect(JSON.parse(response.body).message).toBe('API key is missing the admin scope');
+        });
+    });
+
+    test.each([
+        ['putLocation', putLocation],
+        ['getLocation', getLocation],
+        ['deleteLocation', deleteLocation]
+    ])('%s should reject missing location ID', async (name, handler) => {
+        const response = await handler({ ...locationEvent({}), pathParameters: {} });
+        expect(response.statusCode).toBe(400);
+    });
+
+    test.each([
+        ['putLocation', putLocation],
+        ['getLocation', getLocation],
+        ['listLocations', listLocations],
+        ['deleteLocation', deleteLocation]
+    ])('%s should reject missing authorization header', async (name, handler) => {
+        const response = await handler({ ...locationEvent({}), headers: {} });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test.each([
+        ['putLocation', putLocation],
+        ['getLocation', getLocation],
+        ['listLocations', listLocations],
+        ['deleteLocation', deleteLocation]
+    ])('%s should handle DynamoDB errors', async (name, handler) => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(new Error('DB Error'));
+        const response = await handler(locationEvent({}));
+        expect(response.statusCode).toBe(500);
+    });
+});
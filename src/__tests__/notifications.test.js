@@ -0,0 +1,273 @@
+const { notifyAppointment, sendReminders, getDueOffsets } = require('../notifications');
+const { registerTransport } = require('../transports');
+const { DynamoDBDocumentClient, GetCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(),
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    QueryCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    ScanCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    UpdateCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    DeleteCommand: jest.fn()
+}));
+
+const sent = [];
+const memoryTransport = { send: jest.fn(async (message) => sent.push(message)) };
+registerTransport('memory', () => memoryTransport);
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+const customer = { customerId: 'cust_1', name: 'Jane Doe', email: 'jane@example.com', phone: '+15550100199' };
+
+const appointment = {
+    appointmentId: 'appt_1',
+    customerId: 'cust_1',
+    customerName: 'Jane Doe',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime: '2026-01-16T11:00:00.000Z',
+    vehicleDetails: 'Subaru Outback',
+    servicesList: ['oil-change'],
+    serviceDetails: [{ name: 'Oil Change' }],
+    status: 'SCHEDULED',
+    createdAt: new Date('2026-01-01T00:00:00Z').getTime()
+};
+
+// Answers location and customer lookups, the location scans and the location index query from the given data
+const mockTables = ({ locations = [], booked = [], appointments = [], customers = [customer] } = {}) => {
+    DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+        if (command instanceof GetCommand) {
+            const { customerId, locationId } = command.input.Key;
+            return { Item: customerId ? customers.find(item => item.customerId === customerId) : locations.find(item => item.locationId === locationId) };
+        }
+        if (command instanceof ScanCommand) {
+            return { Items: command.input.TableName === 'booked-locations-table' ? booked.map(locationId => ({ locationId })) : locations };
+        }
+        if (command instanceof QueryCommand) {
+            return { Items: appointments.filter(item => item.locationId === command.input.ExpressionAttributeValues[':loc']) };
+        }
+        return {};
+    });
+};
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+    process.env.LOCATIONS_TABLE = 'locations-table';
+    process.env.BOOKED_LOCATIONS_TABLE = 'booked-locations-table';
+    process.env.CUSTOMERS_TABLE = 'customers-table';
+    process.env.EMAIL_TRANSPORT = 'memory';
+    process.env.SMS_TRANSPORT = 'memory';
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    DynamoDBDocumentClient.send.mockReset();
+    sent.length = 0;
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.SMS_TRANSPORT;
+});
+
+describe('Appointment notifications', () => {
+    test('should send the customer an email and a text', async () => {
+        mockTables();
+        await notifyAppointment('confirmation', appointment);
+        expect(sent).toEqual([
+            expect.objectContaining({ channel: 'email', to: 'jane@example.com', type: 'confirmation', subject: 'Your appointment at Farrish Subaru is booked' }),
+            expect.objectContaining({ channel: 'sms', to: '+15550100199', type: 'confirmation', appointmentId: 'appt_1' })
+        ]);
+        expect(sent[1].text).toMatch(/^Booked: Oil Change at Farrish Subaru on Friday, January 16, 2026.* 6:00 AM EST/);
+    });
+
+    test('should use the location templates and channels', async () => {
+        mockTables({
+            locations: [{
+                locationId: 'Farrish Subaru',
+                timeZone: 'America/Los_Angeles',
+                notifications: { channels: ['sms'], templates: { cancellation: { sms: 'Cancelled {{appointmentTime}}' } } }
+            }]
+        });
+        await notifyAppointment('cancellation', appointment);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].text).toMatch(/^Cancelled Friday, January 16, 2026.* 3:00 AM PST$/);
+    });
+
+    test('should only use the contact details the customer has', async () => {
+        mockTables({ customers: [{ ...customer, phone: undefined }] });
+        await notifyAppointment('reschedule', appointment);
+        expect(sent.map(message => message.channel)).toEqual(['email']);
+    });
+
+    test('should skip appointments without a customer profile', async () => {
+        await notifyAppointment('confirmation', { ...appointment, customerId: undefined });
+        expect(DynamoDBDocumentClient.send).not.toHaveBeenCalled();
+
+        mockTables({ customers: [] });
+        await notifyAppointment('confirmation', appointment);
+        expect(sent).toHaveLength(0);
+    });
+
+    test('should keep going when a channel fails and never throw', async () => {
+        mockTables();
+        memoryTransport.send.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+        await notifyAppointment('confirmation', appointment);
+        expect(sent.map(message => message.channel)).toEqual(['sms']);
+
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB error'));
+        await expect(notifyAppointment('confirmation', appointment)).resolves.toBeUndefined();
+    });
+});
+
+describe('Reminder offsets', () => {
+    const now = new Date('2026-01-15T12:00:00Z').getTime();
+
+    test.each([
+        ['2026-01-16T11:00:00Z', [], [1440]],
+        ['2026-01-16T13:00:00Z', [], []],
+        ['2026-01-15T13:00:00Z', [1440], [120]],
+        ['2026-01-15T13:00:00Z', [], [1440, 120]],
+        ['2026-01-15T13:00:00Z', [1440, 120], []]
+    ])('should find the offsets due for %s after %j', (appointmentDateTime, remindersSent, due) => {
+        expect(getDueOffsets({ ...appointment, appointmentDateTime, remindersSent }, [1440, 120], now)).toEqual(due);
+    });
+
+    test('should skip reminders that were already due when the appointment was booked', () => {
+        const bookedLate = { ...appointment, appointmentDateTime: '2026-01-15T13:00:00Z', createdAt: new Date('2026-01-15T10:30:00Z').getTime() };
+        expect(getDueOffsets(bookedLate, [1440, 120], now)).toEqual([120]);
+    });
+});
+
+describe('Scheduled reminders', () => {
+    const location = { locationId: 'Farrish Subaru', notifications: { reminderOffsetsMinutes: [1440, 120] } };
+
+    test('should claim due reminders and send one per appointment', async () => {
+        mockTables({
+            locations: [location],
+            appointments: [
+                appointment,
+                { ...appointment, appointmentId: 'appt_2', status: 'CANCELLED' },
+                { ...appointment, appointmentId: 'appt_3', customerId: undefined },
+                { ...appointment, appointmentId: 'appt_4', remindersSent: [1440] }
+            ]
+        });
+
+        const result = await sendReminders();
+        expect(result).toEqual({ reminded: 1, failedLocations: 0 });
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'locationTime',
+            ExpressionAttributeValues: {
+                ':loc': 'Farrish Subaru',
+                ':start': '2026-01-15T12:00:00Z',
+                ':end': '2026-01-16T12:00:00Z'
+            }
+        });
+
+        expect(UpdateCommand).toHaveBeenCalledTimes(1);
+        const claim = UpdateCommand.mock.calls[0][0];
+        expect(claim.Key).toEqual({ appointmentId: 'appt_1' });
+        expect(claim.UpdateExpression).toBe('SET #remindersSent = list_append(if_not_exists(#remindersSent, :none), :offsets)');
+        expect(claim.ConditionExpression).toBe('#appointmentDateTime = :appointmentDateTime AND #status IN (:status0, :status1) AND NOT contains(#remindersSent, :offset0)');
+        expect(claim.ExpressionAttributeValues).toMatchObject({ ':offsets': [1440], ':offset0': 1440 });
+
+        expect(sent.map(message => [message.type, message.appointmentId])).toEqual([['reminder', 'appt_1'], ['reminder', 'appt_1']]);
+    });
+
+    test('should remind at booked locations without a stored configuration, with the default offsets', async () => {
+        const kia = { ...appointment, locationId: 'Farrish Kia' };
+        mockTables({ locations: [location], booked: ['Farrish Subaru', 'Farrish Kia'], appointments: [kia] });
+
+        expect(await sendReminders()).toEqual({ reminded: 1, failedLocations: 0 });
+        // One query per location, through the location index
+        expect(QueryCommand.mock.calls.map(([input]) => [input.IndexName, input.ExpressionAttributeValues[':loc']])).toEqual([
+            ['locationTime', 'Farrish Subaru'],
+            ['locationTime', 'Farrish Kia']
+        ]);
+        expect(UpdateCommand.mock.calls[0][0].ExpressionAttributeValues).toMatchObject({ ':offsets': [1440] });
+    });
+
+    test('should not send reminders another run already claimed', async () => {
+        mockTables({ locations: [location], appointments: [appointment] });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof UpdateCommand) {
+                throw conditionFailed();
+            }
+            return send(command);
+        });
+
+        expect(await sendReminders()).toEqual({ reminded: 0, failedLocations: 0 });
+        expect(sent).toHaveLength(0);
+    });
+
+    test('should give the claim back when no message could be sent', async () => {
+        mockTables({ locations: [location], appointments: [{ ...appointment, remindersSent: [10080] }] });
+        memoryTransport.send.mockRejectedValue(new Error('Provider down'));
+        try {
+            expect(await sendReminders()).toEqual({ reminded: 0, failedLocations: 0 });
+        } finally {
+            memoryTransport.send.mockImplementation(async (message) => sent.push(message));
+        }
+        expect(UpdateCommand).toHaveBeenCalledTimes(2);
+        expect(UpdateCommand.mock.calls[1][0]).toMatchObject({
+            UpdateExpression: 'SET #remindersSent = :previous',
+            ExpressionAttributeValues: { ':previous': [10080] }
+        });
+    });
+
+    test('should remove a first claim when the customer lookup fails', async () => {
+        mockTables({ locations: [location], appointments: [appointment] });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof GetCommand) {
+                throw new Error('DynamoDB error');
+            }
+            return send(command);
+        });
+
+        expect(await sendReminders()).toEqual({ reminded: 0, failedLocations: 0 });
+        expect(UpdateCommand.mock.calls[1][0].UpdateExpression).toBe('REMOVE #remindersSent');
+    });
+
+    test('should skip locations with reminders turned off and carry on after a failing one', async () => {
+        mockTables({
+            locations: [
+                { locationId: 'Quiet Motors', notifications: { reminderOffsetsMinutes: [] } },
+                { locationId: 'Broken Motors' },
+                location
+            ],
+            appointments: [appointment]
+        });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof QueryCommand && command.input.ExpressionAttributeValues[':loc'] === 'Broken Motors') {
+                throw new Error('DynamoDB error');
+            }
+            return send(command);
+        });
+
+        expect(await sendReminders()).toEqual({ reminded: 1, failedLocations: 1 });
+        expect(QueryCommand).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,104 @@
+const { document, getOpenApi } = require('../openapi');
+const { ROUTES } = require('../routes');
+const { APPOINTMENT_SCHEMA } = require('../booking');
+const { resolveRefs, checkResponse } = require('./helpers/conformance');
+
+jest.mock('@aws-sdk/lib-dynamodb');
+
+// Every $ref in a part of the document
+const findRefs = (value) => {
+    if (!value || typeof value !== 'object') {
+        return [];
+    }
+    return [
+        ...(value.$ref ? [value.$ref] : []),
+        ...Object.values(value).flatMap(findRefs)
+    ];
+};
+
+const jsonResponse = (statusCode, body) => ({ statusCode, body: JSON.stringify(body) });
+
+describe('document', () => {
+    test('should describe every route the API serves, named after its handler', () => {
+        const operations = Object.entries(document.paths).flatMap(([path, item]) => Object.keys(item)
+            .filter(method => method !== 'parameters')
+            .map(method => `${method.toUpperCase()} ${path} ${item[method].operationId}`));
+
+        expect(operations.sort()).toEqual(ROUTES.map(route => `${route.method} ${route.path} ${route.handler.split('.')[1]}`).sort());
+    });
+
+    test('should declare the parameters in each path', () => {
+        Object.entries(document.paths).forEach(([path, item]) => {
+            const names = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+            expect((item.parameters || []).filter(parameter => parameter.in === 'path').map(parameter => parameter.name)).toEqual(names);
+        });
+    });
+
+    test('should document the failures of every operation', () => {
+        Object.entries(document.paths).forEach(([path, item]) => {
+            Object.entries(item).filter(([method]) => method !== 'parameters').forEach(([method, operation]) => {
+                expect({ route: `${method} ${path}`, codes: Object.keys(operation.responses) })
+                    .toEqual({ route: `${method} ${path}`, codes: expect.arrayContaining(path === '/openapi.json' ? ['200'] : ['200', '401', '403', '429', '500']) });
+            });
+        });
+    });
+
+    test('should only refer to components it has', () => {
+        findRefs(document).forEach(target => {
+            expect(resolveRefs(document, { $ref: target })).toEqual(expect.any(Object));
+        });
+    });
+
+    test('should take request bodies from the schemas the handlers validate with', () => {
+        expect(document.paths['/appointments'].post.requestBody.content['application/json'].schema).toBe(APPOINTMENT_SCHEMA);
+    });
+
+    test('should spell out the default opening hours', () => {
+        expect(document.paths['/appointments'].post.description).toContain('9:00 AM to 7:00 PM in America/New_York (EST or EDT');
+    });
+});
+
+describe('getOpenApi', () => {
+    test('should serve the document without credentials', async () => {
+        const response = await getOpenApi({ headers: {} });
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual(JSON.parse(JSON.stringify(document)));
+        expect(JSON.parse(response.body).openapi).toBe('3.1.0');
+    });
+});
+
+describe('checkResponse', () => {
+    test('should accept responses that fit their operation', () => {
+        expect(checkResponse(document, 'GET', '/appointments/{id}', jsonResponse(200, { appointmentId: 'appt_1', status: 'SCHEDULED' }))).toEqual([]);
+        expect(checkResponse(document, 'GET', '/appointments/{id}', jsonResponse(404, { message: 'Appointment not found' }))).toEqual([]);
+        expect(checkResponse(document, 'GET', '/appointments/{id}', {
+            statusCode: 200,
+            headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+            body: 'BEGIN:VCALENDAR'
+        })).toEqual([]);
+    });
+
+    test('should report bodies that do not fit the schema', () => {
+        const response = jsonResponse(200, { items: [{ appointmentId: 42 }], nextCursor: 7 });
+        expect(checkResponse(document, 'GET', '/appointments', response)).toEqual([
+            'GET /appointments 200: items[0].appointmentId must be a string',
+            'GET /appointments 200: nextCursor must be a string or null'
+        ]);
+        expect(checkResponse(document, 'POST', '/appointments', jsonResponse(400, { errors: [] }))).toEqual(['POST /appointments 400: message is required']);
+    });
+
+    test('should report undocumented status codes and content types', () => {
+        expect(checkResponse(document, 'GET', '/locations', jsonResponse(404, { message: 'Not found' }))).toEqual([
+            'GET /locations responded 404, which is not documented (200, 401, 403, 429, 500)'
+        ]);
+        expect(checkResponse(document, 'GET', '/locations', { statusCode: 200, headers: { 'content-type': 'text/csv' }, body: 'locationId' })).toEqual([
+            'GET /locations 200 responded with text/csv, which is not documented'
+        ]);
+    });
+
+    test('should report routes and responses it cannot check', () => {
+        expect(checkResponse(document, 'PUT', '/appointments', jsonResponse(200, {}))).toEqual(['PUT /appointments is not in the OpenAPI document']);
+        expect(checkResponse(document, 'GET', '/locations', undefined)).toEqual(['GET /locations responded without a status code']);
+        expect(checkResponse(document, 'GET', '/locations', { statusCode: 200, body: '{' })).toEqual(['GET /locations 200 body is not valid JSON']);
+    });
+});
@@ -0,0 +1,275 @@
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Limits and quotas are counted in the datastore, so these tests run the handlers on the in-memory
+// tables. The storage has to be chosen before the handlers load.
+require('../localServer').useLocalEnvironment();
+process.env.API_KEY = 'test-api-key';
+
+const { appointmentScheduler } = require('../handler');
+const { createSeries, updateSeries, cancelSeries } = require('../series');
+const { importAppointments } = require('../imports');
+const { listServices } = require('../catalog');
+const { createApiKey } = require('../apiKeys');
+const { putLocation } = require('../locations');
+const { QUOTA_REACHED } = require('../rateLimits');
+const { dynamoDb } = require('../db');
+const { getZonedParts, zonedTimeToUtc } = require('../timezone');
+
+const adminHeaders = { authorization: 'Bearer test-api-key' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Issues a key with the scopes to book, and whatever limits it should have
+const issueKey = async (fields = {}) => {
+    const response = await createApiKey({
+        headers: adminHeaders,
+        body: JSON.stringify({ name: 'Partner', scopes: ['read', 'book'], ...fields })
+    });
+    return { authorization: `Bearer ${JSON.parse(response.body).apiKey}` };
+};
+
+const listServicesAs = (headers) => listServices({ routeKey: 'GET /services', headers });
+
+// Tomorrow at a wall-clock hour in New York, within the default opening hours
+const tomorrowAt = (hours) => {
+    const tomorrow = getZonedParts(new Date(Date.now() + DAY_MS), 'America/New_York').date;
+    return zonedTimeToUtc(tomorrow, hours * 60, 'America/New_York').toISOString().split('.')[0] + 'Z';
+};
+
+const booking = (location, hours, fields = {}) => ({
+    fullName: 'Alex Rivera',
+    location,
+    appointmentTime: tomorrowAt(hours),
+    car: 'Subaru Outback',
+    services: ['oil-change'],
+    ...fields
+});
+
+const book = (headers, body) => appointmentScheduler({ routeKey: 'POST /appointments', headers, body: JSON.stringify(body) });
+
+const nextUtcMidnight = () => new Date(`${new Date().toISOString().split('T')[0]}T00:00:00Z`).getTime() + DAY_MS;
+
+beforeAll(async () => {
+    await dynamoDb.send(new PutCommand({
+        TableName: process.env.SERVICES_TABLE,
+        Item: { serviceId: 'oil-change', name: 'Oil Change', durationMinutes: 30 }
+    }));
+});
+
+afterEach(() => {
+    delete process.env.RATE_LIMITS;
+    jest.restoreAllMocks();
+});
+
+describe('Rate limits', () => {
+    test('should not count requests when no limit is configured', async () => {
+        const headers = await issueKey();
+        const sendSpy = jest.spyOn(dynamoDb, 'send');
+        for (let request = 0; request < 5; request++) {
+            expect((await listServicesAs(headers)).statusCode).toBe(200);
+        }
+        const tables = sendSpy.mock.calls.map(([command]) => command.input.TableName);
+        expect(tables).not.toContain(process.env.RATE_LIMITS_TABLE);
+    });
+
+    test('should turn requests down once the bucket is empty, and let them through as it refills', async () => {
+        const headers = await issueKey();
+        process.env.RATE_LIMITS = JSON.stringify({ '*': { limit: 2, windowSeconds: 60 } });
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        expect((await listServicesAs(headers)).statusCode).toBe(200);
+        expect((await listServicesAs(headers)).statusCode).toBe(200);
+        const limited = await listServicesAs(headers);
+        expect(limited.statusCode).toBe(429);
+        expect(JSON.parse(limited.body).message).toBe('Rate limit of 2 requests per 60 seconds reached');
+        // A token comes back every 30 seconds, and the bucket is full again after a minute
+        expect(limited.headers).toEqual({
+            'Retry-After': '30',
+            'X-RateLimit-Limit': '2',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(Math.ceil((now + 60000) / 1000))
+        });
+
+        clock.mockReturnValue(now + 30000);
+        expect((await listServicesAs(headers)).statusCode).toBe(200);
+        expect((await listServicesAs(headers)).statusCode).toBe(429);
+    });
+
+    test('should keep a bucket per caller, and one per route with its own limit', async () => {
+        const first = await issueKey();
+        const second = await issueKey();
+        process.env.RATE_LIMITS = JSON.stringify({
+            '*': { limit: 1, windowSeconds: 60 },
+            'POST /appointments': { limit: 1, windowSeconds: 3600 }
+        });
+
+        expect((await listServicesAs(first)).statusCode).toBe(200);
+        expect((await listServicesAs(first)).statusCode).toBe(429);
+        expect((await listServicesAs(second)).statusCode).toBe(200);
+
+        // Bookings count in their own bucket, so the key that used up "*" can still book once
+        expect((await book(first, booking('Rate Limit Motors', 9))).statusCode).toBe(200);
+        const limited = await book(first, booking('Rate Limit Motors', 10));
+        expect(limited.statusCode).toBe(429);
+        expect(limited.headers['Retry-After']).toBe('3600');
+    });
+
+    test('should let a key\'s own limits replace the configured ones route by route', async () => {
+        const generous = await issueKey({ rateLimits: { 'GET /services': { limit: 3, windowSeconds: 60 } } });
+        const unlimited = await issueKey({ rateLimits: { '*': null } });
+        process.env.RATE_LIMITS = JSON.stringify({ '*': { limit: 1, windowSeconds: 60 } });
+
+        for (let request = 0; request < 3; request++) {
+            expect((await listServicesAs(generous)).statusCode).toBe(200);
+        }
+        const limited = await listServicesAs(generous);
+        expect(limited.statusCode).toBe(429);
+        expect(limited.headers['X-RateLimit-Limit']).toBe('3');
+
+        for (let request = 0; request < 3; request++) {
+            expect((await listServicesAs(unlimited)).statusCode).toBe(200);
+        }
+    });
+
+    test('should count a change to a whole series once, however many occurrences it has', async () => {
+        const headers = await issueKey({ scopes: ['read', 'book', 'cancel'] });
+        const created = await createSeries({
+            routeKey: 'POST /appointment-series',
+            headers,
+            body: JSON.stringify({ ...booking('Series Limit Motors', 9), recurrence: 'FREQ=DAILY;COUNT=8' })
+        });
+        const { seriesId } = JSON.parse(created.body);
+        process.env.RATE_LIMITS = JSON.stringify({ '*': { limit: 2, windowSeconds: 60 } });
+
+        const updated = await updateSeries({
+            routeKey: 'PATCH /appointment-series/{id}',
+            headers,
+            pathParameters: { id: seriesId },
+            body: JSON.stringify({ occurrence: 0, scope: 'following', fullName: 'Fleet Manager' })
+        });
+        expect(updated.statusCode).toBe(200);
+        expect(JSON.parse(updated.body)).toMatchObject({ failed: [] });
+        expect(JSON.parse(updated.body).updated).toHaveLength(8);
+
+        const cancelled = await cancelSeries({
+            routeKey: 'DELETE /appointment-series/{id}',
+            headers,
+            pathParameters: { id: seriesId },
+            queryStringParameters: { occurrence: '0', scope: 'following' }
+        });
+        expect(cancelled.statusCode).toBe(200);
+        expect(JSON.parse(cancelled.body)).toMatchObject({ failed: [] });
+        expect(JSON.parse(cancelled.body).cancelled).toHaveLength(8);
+
+        // Both series requests were counted, so the bucket is now empty
+        expect((await listServicesAs(headers)).statusCode).toBe(429);
+    });
+
+    test('should apply no limits when RATE_LIMITS is invalid', async () => {
+        const headers = await issueKey();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        for (const setting of ['{"*": {"limit": 0, "windowSeconds": 60}}', '{"GET /bookings": {"limit": 1, "windowSeconds": 60}}', 'not json']) {
+            process.env.RATE_LIMITS = setting;
+            expect((await listServicesAs(headers)).statusCode).toBe(200);
+            expect((await listServicesAs(headers)).statusCode).toBe(200);
+        }
+        expect(console.error).toHaveBeenCalledTimes(6);
+    });
+
+    test('should let requests through when the counter cannot be reached', async () => {
+        const headers = await issueKey();
+        process.env.RATE_LIMITS = JSON.stringify({ '*': { limit: 1, windowSeconds: 60 } });
+        const send = dynamoDb.send.bind(dynamoDb);
+        jest.spyOn(dynamoDb, 'send').mockImplementation((command) => (command.input.TableName === process.env.RATE_LIMITS_TABLE
+            ? Promise.reject(new Error('Throughput exceeded'))
+            : send(command)));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await listServicesAs(headers)).statusCode).toBe(200);
+        expect((await listServicesAs(headers)).statusCode).toBe(200);
+    });
+});
+
+describe('Daily booking quotas', () => {
+    test('should cap the appointments a key books per UTC day', async () => {
+        const headers = await issueKey({ dailyBookingQuota: 2 });
+        expect((await book(headers, booking('Quota Motors', 9))).statusCode).toBe(200);
+        expect((await book(headers, booking('Quota Motors', 10))).statusCode).toBe(200);
+
+        const limited = await book(headers, booking('Quota Motors', 11));
+        expect(limited.statusCode).toBe(429);
+        expect(JSON.parse(limited.body).message).toBe('Daily booking quota reached for this API key');
+        expect(limited.headers).toMatchObject({
+            'X-RateLimit-Limit': '2',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(nextUtcMidnight() / 1000)
+        });
+        expect(Math.abs(Number(limited.headers['Retry-After']) - (nextUtcMidnight() - Date.now()) / 1000)).toBeLessThan(2);
+
+        // Other keys still have theirs
+        expect((await book(await issueKey(), booking('Quota Motors', 11))).statusCode).toBe(200);
+    });
+
+    test('should cap the appointments booked at a location per day in its time zone', async () => {
+        await putLocation({
+            headers: adminHeaders,
+            pathParameters: { id: 'Quota Subaru' },
+            body: JSON.stringify({ timeZone: 'America/New_York', dailyBookingQuota: 1 })
+        });
+        expect((await book(await issueKey(), booking('Quota Subaru', 9))).statusCode).toBe(200);
+
+        const limited = await book(await issueKey(), booking('Quota Subaru', 10));
+        expect(limited.statusCode).toBe(429);
+        expect(JSON.parse(limited.body).message).toBe('Daily booking quota reached for location Quota Subaru');
+        const today = getZonedParts(new Date(), 'America/New_York').date;
+        expect(limited.headers['X-RateLimit-Reset']).toBe(String(zonedTimeToUtc(today, 24 * 60, 'America/New_York').getTime() / 1000));
+
+        // Nothing was written for the booking that was turned down
+        expect((await book(await issueKey(), booking('Quota Ford', 10))).statusCode).toBe(200);
+    });
+
+    test('should not replay a 429 for a retried Idempotency-Key', async () => {
+        const headers = await issueKey({ dailyBookingQuota: 1 });
+        expect((await book(headers, booking('Idempotent Motors', 9))).statusCode).toBe(200);
+
+        const retried = { ...headers, 'idempotency-key': 'booking-2' };
+        expect((await book(retried, booking('Idempotent Motors', 10))).statusCode).toBe(429);
+        const again = await book(retried, booking('Idempotent Motors', 10));
+        expect(again.statusCode).toBe(429);
+        expect(again.headers['Idempotent-Replayed']).toBeUndefined();
+    });
+
+    test('should list series occurrences over the quota as failed', async () => {
+        const headers = await issueKey({ dailyBookingQuota: 2 });
+        const series = (hours) => createSeries({
+            routeKey: 'POST /appointment-series',
+            headers,
+            body: JSON.stringify({ ...booking('Series Motors', hours), recurrence: 'FREQ=DAILY;COUNT=3' })
+        });
+
+        const response = await series(9);
+        expect(response.statusCode).toBe(200);
+        const body = JSON.parse(response.body);
+        expect(body.booked).toHaveLength(2);
+        expect(body.failed).toEqual([{ occurrenceIndex: 2, appointmentTime: expect.any(String), message: QUOTA_REACHED }]);
+
+        // With nothing left to book, the series is turned down as a whole
+        const limited = await series(10);
+        expect(limited.statusCode).toBe(429);
+        expect(limited.headers['X-RateLimit-Limit']).toBe('2');
+    });
+
+    test('should reject import rows over the quota', async () => {
+        const headers = await issueKey({ dailyBookingQuota: 2 });
+        const response = await importAppointments({
+            routeKey: 'POST /appointments/import',
+            headers,
+            body: JSON.stringify([9, 10, 11].map(hours => booking('Import Motors', hours)))
+        });
+        expect(response.statusCode).toBe(200);
+        const body = JSON.parse(response.body);
+        expect(body.rows.map(row => row.status)).toEqual(['created', 'created', 'rejected']);
+        expect(body.rows[2].message).toBe(QUOTA_REACHED);
+        expect(body.summary).toMatchObject({ created: 2, rejected: 1 });
+    });
+});
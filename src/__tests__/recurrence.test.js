@@ -0,0 +1,128 @@
+const { parseRecurrence, expandRecurrence, addDays, MAX_OCCURRENCES } = require('../recurrence');
+
+describe('parseRecurrence', () => {
+    test('should accept the object form and default the interval to 1', () => {
+        expect(parseRecurrence({ frequency: 'weekly', count: 4 })).toEqual({
+            valid: true,
+            rule: { frequency: 'weekly', interval: 1, count: 4 }
+        });
+    });
+
+    test('should turn an RRULE into the object form', () => {
+        expect(parseRecurrence('FREQ=WEEKLY;INTERVAL=2;COUNT=6')).toEqual({
+            valid: true,
+            rule: { frequency: 'weekly', interval: 2, count: 6 }
+        });
+        expect(parseRecurrence('RRULE:FREQ=MONTHLY;UNTIL=20261231').rule).toEqual({
+            frequency: 'monthly', interval: 1, until: '2026-12-31'
+        });
+        expect(parseRecurrence('FREQ=DAILY;UNTIL=20260220T180000Z').rule).toEqual({
+            frequency: 'daily', interval: 1, until: '2026-02-20T18:00:00Z'
+        });
+    });
+
+    test('should reject RRULE parts outside the supported subset', () => {
+        expect(parseRecurrence('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4')).toEqual({
+            valid: false,
+            message: 'Unsupported RRULE part: BYDAY'
+        });
+        expect(parseRecurrence('FREQ=WEEKLY;COUNT').message).toBe('RRULE part COUNT needs a value');
+        expect(parseRecurrence('FREQ=WEEKLY;UNTIL=2026-12-31').message).toBe('RRULE UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+        expect(parseRecurrence('FREQ=YEARLY;COUNT=2').message).toBe('recurrence.frequency must be one of daily, weekly, monthly');
+        expect(parseRecurrence('FREQ=WEEKLY;COUNT=two').message).toBe(`recurrence.count must be an integer between 1 and ${MAX_OCCURRENCES}`);
+    });
+
+    test.each([
+        [null, 'recurrence must be an RRULE string or an object with frequency, interval and count or until'],
+        [[], 'recurrence must be an RRULE string or an object with frequency, interval and count or until'],
+        [{ frequency: 'hourly', count: 2 }, 'recurrence.frequency must be one of daily, weekly, monthly'],
+        [{ frequency: 'daily', interval: 0, count: 2 }, 'recurrence.interval must be an integer between 1 and 99'],
+        [{ frequency: 'daily', interval: 1.5, count: 2 }, 'recurrence.interval must be an integer between 1 and 99'],
+        [{ frequency: 'daily' }, 'recurrence needs exactly one of count and until'],
+        [{ frequency: 'daily', count: 2, until: '2026-03-01' }, 'recurrence needs exactly one of count and until'],
+        [{ frequency: 'daily', count: 53 }, 'recurrence.count must be an integer between 1 and 52'],
+        [{ frequency: 'daily', until: '2026-02-30' }, 'recurrence.until must be a YYYY-MM-DD date or an ISO-8601 date-time'],
+        [{ frequency: 'daily', until: 'next month' }, 'recurrence.until must be a YYYY-MM-DD date or an ISO-8601 date-time']
+    ])('should reject %j', (recurrence, message) => {
+        expect(parseRecurrence(recurrence)).toEqual({ valid: false, message });
+    });
+});
+
+describe('expandRecurrence', () => {
+    const timeZone = 'America/New_York';
+
+    test('should step weekly with the interval', () => {
+        const rule = parseRecurrence('FREQ=WEEKLY;INTERVAL=2;COUNT=3').rule;
+        expect(expandRecurrence('2026-02-02T14:00:00Z', rule, timeZone)).toEqual({
+            valid: true,
+            occurrences: ['2026-02-02T14:00:00Z', '2026-02-16T14:00:00Z', '2026-03-02T14:00:00Z']
+        });
+    });
+
+    test('should keep the local time across a DST change', () => {
+        // Clocks go forward on 8 March 2026 in New York, so 9 AM moves from 14:00Z to 13:00Z
+        const rule = { frequency: 'weekly', interval: 1, count: 2 };
+        expect(expandRecurrence('2026-03-02T14:00:00Z', rule, timeZone).occurrences).toEqual([
+            '2026-03-02T14:00:00Z',
+            '2026-03-09T13:00:00Z'
+        ]);
+    });
+
+    test('should skip months without the day', () => {
+        const rule = { frequency: 'monthly', interval: 1, count: 3 };
+        expect(expandRecurrence('2026-01-31T15:00:00Z', rule, timeZone).occurrences).toEqual([
+            '2026-01-31T15:00:00Z',
+            '2026-03-31T14:00:00Z',
+            '2026-05-31T14:00:00Z'
+        ]);
+    });
+
+    test('should include an until date in the location time zone', () => {
+        // 21:00 EST on 20 February is already 21 February in UTC
+        const rule = { frequency: 'daily', interval: 1, until: '2026-02-20' };
+        expect(expandRecurrence('2026-02-18T02:00:00Z', rule, timeZone).occurrences).toEqual([
+            '2026-02-18T02:00:00Z',
+            '2026-02-19T02:00:00Z',
+            '2026-02-20T02:00:00Z',
+            '2026-02-21T02:00:00Z'
+        ]);
+    });
+
+    test('should include an until date-time', () => {
+        const rule = { frequency: 'daily', interval: 3, until: '2026-02-08T14:00:00Z' };
+        expect(expandRecurrence('2026-02-02T14:00:00Z', rule, timeZone).occurrences).toEqual([
+            '2026-02-02T14:00:00Z',
+            '2026-02-05T14:00:00Z',
+            '2026-02-08T14:00:00Z'
+        ]);
+    });
+
+    test('should reject an until before the first occurrence', () => {
+        expect(expandRecurrence('2026-02-02T14:00:00Z', { frequency: 'daily', interval: 1, until: '2026-02-01' }, timeZone))
+            .toEqual({ valid: false, message: 'recurrence.until cannot be before appointmentTime' });
+        expect(expandRecurrence('2026-02-02T14:00:00Z', { frequency: 'daily', interval: 1, until: '2026-02-02T13:00:00Z' }, timeZone).valid)
+            .toBe(false);
+    });
+
+    test('should reject rules with too many occurrences', () => {
+        const rule = { frequency: 'daily', interval: 1, until: '2026-12-31' };
+        expect(expandRecurrence('2026-02-02T14:00:00Z', rule, timeZone)).toEqual({
+            valid: false,
+            message: 'recurrence cannot have more than 52 occurrences'
+        });
+    });
+
+    test('should reject an invalid first time', () => {
+        expect(expandRecurrence('not a date', { frequency: 'daily', interval: 1, count: 2 }, timeZone)).toEqual({
+            valid: false,
+            message: 'appointmentTime must be a valid ISO-8601 date-time'
+        });
+    });
+});
+
+describe('addDays', () => {
+    test('should add days across month ends', () => {
+        expect(addDays('2026-02-27', 3)).toBe('2026-03-02');
+        expect(addDays('2026-03-02', -3)).toBe('2026-02-27');
+    });
+});
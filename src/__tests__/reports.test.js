@@ -0,0 +1,233 @@
+const { createHmac } = require('crypto');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Reports read whole ranges of appointments, so these tests seed the in-memory tables rather than
+// mocking each query. The storage has to be chosen before the handlers load.
+require('../localServer').useLocalEnvironment();
+process.env.API_KEY = 'test-api-key';
+
+const { getUtilizationReport, CSV_COLUMNS } = require('../reports');
+const { createApiKey } = require('../apiKeys');
+const { parseCsvObjects } = require('../csv');
+const { dynamoDb } = require('../db');
+const { WEEKDAYS } = require('../timezone');
+
+const adminHeaders = { authorization: 'Bearer test-api-key' };
+const HOUR_MS = 60 * 60 * 1000;
+
+const put = (tableName, item) => dynamoDb.send(new PutCommand({ TableName: process.env[tableName], Item: item }));
+
+// Booked `hoursAhead` hours before it starts
+const appointment = (appointmentId, appointmentDateTime, attributes = {}, hoursAhead = 24) => ({
+    appointmentId,
+    locationId: 'Farrish Subaru',
+    appointmentDateTime,
+    status: 'SCHEDULED',
+    servicesList: ['oil-change'],
+    createdAt: new Date(appointmentDateTime).getTime() - hoursAhead * HOUR_MS,
+    ...attributes
+});
+
+const report = async (query, headers = adminHeaders) => {
+    const response = await getUtilizationReport({ headers, queryStringParameters: query });
+    return { statusCode: response.statusCode, headers: response.headers, body: response.body };
+};
+
+beforeAll(async () => {
+    // Two bays, weekdays 9 to 11 AM Eastern: two slots an hour for each bay
+    await put('LOCATIONS_TABLE', {
+        locationId: 'Farrish Subaru',
+        timeZone: 'America/New_York',
+        slotMinutes: 30,
+        weeklyHours: WEEKDAYS.reduce((hours, day) => ({
+            ...hours,
+            [day]: ['saturday', 'sunday'].includes(day) ? null : { open: '09:00', close: '11:00' }
+        }), {}),
+        holidays: ['2026-03-03'],
+        bayCapacity: 2
+    });
+    await put('LOCATIONS_TABLE', { locationId: 'Farrish Ford' });
+
+    // Monday 2026-03-02, when New York is on EST (UTC-5)
+    await put('APPOINTMENTS_TABLE', appointment('appt_1', '2026-03-02T14:00:00Z', {
+        appointmentEndDateTime: '2026-03-02T15:00:00Z',
+        status: 'COMPLETED',
+        servicesList: ['oil-change', 'tire-rotation']
+    }, 48));
+    await put('APPOINTMENTS_TABLE', appointment('appt_2', '2026-03-02T14:30:00Z', {
+        appointmentEndDateTime: '2026-03-02T15:00:00Z',
+        status: 'NO_SHOW'
+    }));
+    await put('APPOINTMENTS_TABLE', appointment('appt_3', '2026-03-02T15:00:00Z', {
+        appointmentEndDateTime: '2026-03-02T15:30:00Z',
+        status: 'CANCELLED',
+        servicesList: ['brake-inspection']
+    }, 2));
+    // Imported after it happened, and booked before appointments had an end
+    await put('APPOINTMENTS_TABLE', appointment('appt_4', '2026-03-02T15:30:00Z', {}, -24));
+    // Outside the reports' dates
+    await put('APPOINTMENTS_TABLE', appointment('appt_5', '2026-03-05T14:00:00Z'));
+    await put('APPOINTMENTS_TABLE', appointment('appt_6', '2026-03-02T15:00:00Z', { locationId: 'Farrish Ford' }));
+});
+
+describe('getUtilizationReport', () => {
+    test('should report each day and hour in the location\'s time zone', async () => {
+        const response = await report({ location: 'Farrish Subaru', from: '2026-03-01', to: '2026-03-03' });
+        expect(response.statusCode).toBe(200);
+        const body = JSON.parse(response.body);
+        expect(body).toMatchObject({ from: '2026-03-01', to: '2026-03-03', slots: 8, bookedSlots: 4, appointments: 4 });
+
+        const [location] = body.locations;
+        expect(location).toMatchObject({ locationId: 'Farrish Subaru', timeZone: 'America/New_York', utilization: 0.5 });
+        expect(location.days.map(day => [day.date, day.slots])).toEqual([['2026-03-01', 0], ['2026-03-02', 8], ['2026-03-03', 0]]);
+
+        // Closed on Sundays and holidays
+        expect(location.days[0]).toMatchObject({ utilization: null, cancellationRate: null, hours: [] });
+
+        const monday = location.days[1];
+        expect(monday).toMatchObject({
+            slots: 8,
+            bookedSlots: 4,
+            utilization: 0.5,
+            appointments: 4,
+            cancelled: 1,
+            noShows: 1,
+            cancellationRate: 0.25,
+            noShowRate: 0.3333,
+            services: { 'oil-change': 3, 'tire-rotation': 1 },
+            leadTime: { averageHours: 24.7, medianHours: 24 }
+        });
+        expect(monday.hours).toEqual([
+            {
+                hour: 9,
+                slots: 4,
+                bookedSlots: 3,
+                utilization: 0.75,
+                appointments: 2,
+                cancelled: 0,
+                noShows: 1,
+                cancellationRate: 0,
+                noShowRate: 0.5,
+                services: { 'oil-change': 2, 'tire-rotation': 1 },
+                leadTime: { averageHours: 36, medianHours: 36 }
+            },
+            {
+                hour: 10,
+                slots: 4,
+                bookedSlots: 1,
+                utilization: 0.25,
+                appointments: 2,
+                cancelled: 1,
+                noShows: 0,
+                cancellationRate: 0.5,
+                noShowRate: 0,
+                services: { 'oil-change': 1 },
+                leadTime: { averageHours: 2, medianHours: 2 }
+            }
+        ]);
+    });
+
+    test('should cover every configured location and add them up for all', async () => {
+        const body = JSON.parse((await report({ location: 'all', from: '2026-03-02', to: '2026-03-02' })).body);
+        expect(body.locations.map(location => location.locationId)).toEqual(['Farrish Ford', 'Farrish Subaru']);
+
+        // Farrish Ford is open 9 AM to 7 PM with one bay, on the defaults
+        const ford = body.locations[0];
+        expect(ford).toMatchObject({ slots: 20, bookedSlots: 1, appointments: 1 });
+        expect(ford.days[0].hours.map(hour => hour.hour)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+        expect(body).toMatchObject({ slots: 28, bookedSlots: 5, appointments: 5, utilization: 0.1786 });
+    });
+
+    test('should also cover locations booked on the default configuration for all', async () => {
+        // Monday 2026-03-09, 10 AM in New York
+        await put('APPOINTMENTS_TABLE', appointment('appt_7', '2026-03-09T14:00:00Z', { locationId: 'Farrish Kia' }));
+
+        const body = JSON.parse((await report({ location: 'all', from: '2026-03-09', to: '2026-03-09' })).body);
+        expect(body.locations.map(location => location.locationId)).toEqual(['Farrish Ford', 'Farrish Kia', 'Farrish Subaru']);
+        expect(body.locations[1]).toMatchObject({ slots: 20, bookedSlots: 1, appointments: 1 });
+
+        // Only around the dates asked for
+        const earlier = JSON.parse((await report({ location: 'all', from: '2026-03-02', to: '2026-03-02' })).body);
+        expect(earlier.locations.map(location => location.locationId)).not.toContain('Farrish Kia');
+    });
+
+    test('should write one CSV line per location, day and hour', async () => {
+        const response = await report({ location: 'Farrish Subaru', from: '2026-03-02', to: '2026-03-02', format: 'csv' });
+        expect(response.statusCode).toBe(200);
+        expect(response.headers).toEqual({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="utilization-2026-03-02-2026-03-02.csv"'
+        });
+        expect(response.body.split('\r\n')[0]).toBe(CSV_COLUMNS.join(','));
+
+        const { objects } = parseCsvObjects(response.body, CSV_COLUMNS);
+        expect(objects).toEqual([
+            {
+                locationId: 'Farrish Subaru',
+                date: '2026-03-02',
+                hour: '9',
+                slots: '4',
+                bookedSlots: '3',
+                utilization: '0.75',
+                appointments: '2',
+                cancelled: '0',
+                noShows: '1',
+                cancellationRate: '0',
+                noShowRate: '0.5',
+                averageLeadTimeHours: '36',
+                medianLeadTimeHours: '36',
+                services: 'oil-change:2;tire-rotation:1'
+            },
+            expect.objectContaining({ hour: '10', averageLeadTimeHours: '2', services: 'oil-change:1' })
+        ]);
+    });
+
+    test('should reject missing and invalid parameters with every problem', async () => {
+        const response = await report({ from: '2026-02-30', to: '2026-03-01', format: 'xlsx' });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors.map(error => error.field)).toEqual(['location', 'from', 'format']);
+
+        const backwards = await report({ location: 'Farrish Subaru', from: '2026-03-02', to: '2026-03-01' });
+        expect(JSON.parse(backwards.body).errors).toEqual([{ field: 'to', code: 'invalid', message: 'to must not be before from' }]);
+
+        const tooLong = await report({ location: 'Farrish Subaru', from: '2026-01-01', to: '2026-04-03' });
+        expect(JSON.parse(tooLong.body).errors[0].message).toBe('A report can cover at most 92 days');
+        expect((await report({ location: 'Farrish Subaru', from: '2026-01-01', to: '2026-04-02' })).statusCode).toBe(200);
+    });
+
+    test('should keep keys to their own locations', async () => {
+        const issued = await createApiKey({
+            headers: adminHeaders,
+            body: JSON.stringify({ name: 'Ford service desk', scopes: ['read'], locations: ['Farrish Ford'] })
+        });
+        const headers = { authorization: `Bearer ${JSON.parse(issued.body).apiKey}` };
+
+        expect((await report({ location: 'Farrish Subaru', from: '2026-03-02', to: '2026-03-02' }, headers)).statusCode).toBe(403);
+        const all = JSON.parse((await report({ location: 'all', from: '2026-03-02', to: '2026-03-02' }, headers)).body);
+        expect(all.locations.map(location => location.locationId)).toEqual(['Farrish Ford']);
+    });
+
+    test('should not be available to customers', async () => {
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        process.env.JWT_SECRETS = 'portal-secret';
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+            sub: 'cust_1', role: 'customer', iss: process.env.JWT_ISSUER, aud: process.env.JWT_AUDIENCE, exp: Date.now() / 1000 + 300
+        })}`;
+        const jwt = `${unsigned}.${createHmac('sha256', 'portal-secret').update(unsigned).digest('base64url')}`;
+        try {
+            const response = await report({ location: 'Farrish Subaru', from: '2026-03-02', to: '2026-03-02' }, { authorization: `Bearer ${jwt}` });
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).message).toBe('Customers may only see their own appointments');
+        } finally {
+            delete process.env.JWT_ISSUER;
+            delete process.env.JWT_AUDIENCE;
+            delete process.env.JWT_SECRETS;
+        }
+    });
+
+    test('should need credentials', async () => {
+        expect((await report({ location: 'all', from: '2026-03-02', to: '2026-03-02' }, {})).statusCode).toBe(401);
+    });
+});
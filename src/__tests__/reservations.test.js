@@ -0,0 +1,129 @@
+const { getSlotIds, getReservationUpdates, writeWithReservations } = require('../reservations');
+const { DynamoDBDocumentClient, TransactWriteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    QueryCommand: jest.fn(),
+    UpdateCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    TransactWriteCommand: jest.fn()
+}));
+
+const config = {
+    slotMinutes: 30,
+    bayCapacity: 3,
+    serviceCapacity: { alignment: 1 }
+};
+
+const transactionCancelled = (...codes) => Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: codes.map(code => ({ Code: code }))
+});
+
+describe('Slot reservations', () => {
+    beforeEach(() => {
+        process.env.RESERVATIONS_TABLE = 'reservations-table';
+        process.env.APPOINTMENTS_TABLE = 'appointments-table';
+        process.env.BOOKED_LOCATIONS_TABLE = 'booked-locations-table';
+        jest.clearAllMocks();
+    });
+
+    test('should name one counter per slot the appointment takes', () => {
+        expect(getSlotIds('Berlin', '2026-04-27T15:30:00Z', 50, config)).toEqual([
+            'Berlin#2026-04-27T15:30:00Z',
+            'Berlin#2026-04-27T16:00:00Z'
+        ]);
+    });
+
+    test('should condition new bookings on bay and service capacity', () => {
+        const [update] = getReservationUpdates({ reserve: ['Berlin#2026-04-27T15:30:00Z'], services: ['alignment', 'oil-change'] }, config);
+        expect(update.Update).toEqual({
+            TableName: 'reservations-table',
+            Key: { slotId: 'Berlin#2026-04-27T15:30:00Z' },
+            UpdateExpression: 'SET expiresAt = :expiresAt ADD #bays :baysDelta, #service0 :service0Delta, #service1 :service1Delta',
+            ExpressionAttributeNames: { '#bays': 'bookedBays', '#service0': 'service:alignment', '#service1': 'service:oil-change' },
+            ExpressionAttributeValues: {
+                ':baysDelta': 1,
+                ':baysLimit': 3,
+                ':service0Delta': 1,
+                ':service0Limit': 1,
+                ':service1Delta': 1,
+                ':expiresAt': new Date('2026-04-27T15:30:00Z').getTime() / 1000 + 30 * 24 * 60 * 60
+            },
+            ConditionExpression: '(attribute_not_exists(#bays) OR #bays < :baysLimit) AND (attribute_not_exists(#service0) OR #service0 < :service0Limit)'
+        });
+    });
+
+    test('should only change service counts on slots an appointment keeps', () => {
+        const updates = getReservationUpdates({
+            reserve: ['Berlin#2026-04-27T15:30:00Z'],
+            services: ['alignment'],
+            release: ['Berlin#2026-04-27T15:30:00Z'],
+            releasedServices: ['oil-change']
+        }, config);
+        expect(updates).toHaveLength(1);
+        expect(updates[0].Update.ExpressionAttributeNames).toEqual({ '#service0': 'service:oil-change', '#service1': 'service:alignment' });
+        expect(updates[0].Update.ConditionExpression).toBe('(attribute_not_exists(#service1) OR #service1 < :service1Limit)');
+    });
+
+    test('should skip slots whose counters do not change', () => {
+        const slots = ['Berlin#2026-04-27T15:30:00Z'];
+        expect(getReservationUpdates({ reserve: slots, services: ['oil-change'], release: slots, releasedServices: ['oil-change'] }, config)).toEqual([]);
+    });
+
+    test('should write the appointment and its reservations in one transaction', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValueOnce({});
+        const failed = await writeWithReservations({ Put: { Item: {} } }, [{ Update: {} }]);
+        expect(failed).toBeNull();
+        expect(TransactWriteCommand).toHaveBeenCalledWith({ TransactItems: [{ Put: { Item: {} } }, { Update: {} }] });
+    });
+
+    test('should register the locations of new appointments once per instance, before booking them', async () => {
+        const put = (locationId) => ({ Put: { TableName: 'appointments-table', Item: { locationId } } });
+        await writeWithReservations(put('Farrish Kia'), [put('Farrish Kia'), put('Farrish Mazda'), { Update: {} }]);
+        await writeWithReservations({ Update: { TableName: 'appointments-table' } }, [put('Farrish Kia')]);
+
+        expect(UpdateCommand.mock.calls.map(([input]) => input.Key.locationId)).toEqual(['Farrish Kia', 'Farrish Mazda']);
+        expect(UpdateCommand.mock.calls[0][0]).toMatchObject({
+            TableName: 'booked-locations-table',
+            UpdateExpression: 'SET firstBookedAt = if_not_exists(firstBookedAt, :now)'
+        });
+        expect(DynamoDBDocumentClient.send.mock.calls.map(([command]) => command.constructor))
+            .toEqual([UpdateCommand, UpdateCommand, TransactWriteCommand, TransactWriteCommand]);
+    });
+
+    test.each([
+        [['ConditionalCheckFailed', 'None'], 'appointment'],
+        [['TransactionConflict', 'None'], 'appointment'],
+        [['None', 'ConditionalCheckFailed'], 'slot'],
+        [['None', 'None', 'TransactionConflict'], 'slot']
+    ])('should report cancellation reasons %j as a %s conflict', async (codes, conflict) => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(transactionCancelled(...codes));
+        await expect(writeWithReservations({ Put: {} }, [])).resolves.toBe(conflict);
+    });
+
+    test('should write quota counters last and report a full quota', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(transactionCancelled('None', 'None', 'ConditionalCheckFailed'));
+        await expect(writeWithReservations({ Put: {} }, [{ Update: { Key: 'slot' } }], [{ Update: { Key: 'quota' } }])).resolves.toBe('quota');
+        expect(TransactWriteCommand).toHaveBeenCalledWith({
+            TransactItems: [{ Put: {} }, { Update: { Key: 'slot' } }, { Update: { Key: 'quota' } }]
+        });
+    });
+
+    test.each([
+        ['other errors', new Error('DB Error')],
+        ['cancellations for other reasons', transactionCancelled('None', 'ThrottlingError')]
+    ])('should rethrow %s', async (name, error) => {
+        DynamoDBDocumentClient.send.mockRejectedValueOnce(error);
+        await expect(writeWithReservations({ Put: {} }, [])).rejects.toBe(error);
+    });
+});
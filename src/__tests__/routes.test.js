@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+const { ROUTES } = require('../routes');
+
+describe('ROUTES', () => {
+    test('should serve every httpApi route in serverless.yml with the handler it names', () => {
+        const yaml = fs.readFileSync(path.join(__dirname, '../../serverless.yml'), 'utf8');
+        const declared = [...yaml.matchAll(/handler: src\/(\S+)\s+events:\s+- httpApi:\s+path: (\S+)\s+method: (\w+)/g)]
+            .map(([, handler, routePath, method]) => `${method.toUpperCase()} ${routePath} ${handler}`);
+        expect(declared.length).toBeGreaterThan(0);
+        expect(ROUTES.map(route => `${route.method} ${route.path} ${route.handler}`).sort()).toEqual(declared.sort());
+    });
+});
@@ -0,0 +1,517 @@
+const { createSeries, getSeries, updateSeries, cancelSeries } = require('../series');
+const { createHmac } = require('crypto');
+const { notifyAppointment } = require('../notifications');
+const { editAppointment, cancelAppointment } = require('../handler');
+const { recordAudit } = require('../audit');
+const {
+    DynamoDBDocumentClient,
+    QueryCommand,
+    GetCommand,
+    BatchGetCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    PutCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    QueryCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    UpdateCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    ScanCommand: jest.fn(),
+    DeleteCommand: jest.fn(),
+    BatchGetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    TransactWriteCommand: jest.fn(function (input) {
+        this.input = input;
+    })
+}));
+
+jest.mock('../notifications', () => ({
+    notifyAppointment: jest.fn()
+}));
+
+jest.mock('../audit', () => ({
+    recordAudit: jest.fn()
+}));
+
+// Single-appointment updates and cancellations have their own tests in handler.test.js
+jest.mock('../handler', () => ({
+    editAppointment: jest.fn(async (event) => ({
+        statusCode: 200,
+        body: JSON.stringify({ appointmentId: event.pathParameters.id, ...JSON.parse(event.body) })
+    })),
+    cancelAppointment: jest.fn(async (event) => ({
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Appointment cancelled successfully',
+            appointment: { appointmentId: event.pathParameters.id, status: 'CANCELLED' }
+        })
+    }))
+}));
+
+const catalog = {
+    'oil-change': { serviceId: 'oil-change', name: 'Oil Change', durationMinutes: 30, price: 49.99 }
+};
+
+const slotTaken = () => Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: [{ Code: 'None' }, { Code: 'ConditionalCheckFailed' }]
+});
+
+// Answers catalog, location and series lookups; bookings are what the capacity check finds at the location
+const mockTables = ({ locationConfig, bookings = [], seriesItems = [], transaction } = {}) => {
+    DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+        if (command instanceof BatchGetCommand) {
+            const { Keys } = command.input.RequestItems['services-table'];
+            return { Responses: { 'services-table': Keys.map(key => catalog[key.serviceId]).filter(Boolean) } };
+        }
+        if (command instanceof GetCommand) {
+            return { Item: locationConfig };
+        }
+        if (command instanceof QueryCommand) {
+            return { Items: command.input.IndexName === 'seriesTime' ? seriesItems : bookings };
+        }
+        if (command instanceof TransactWriteCommand && transaction) {
+            return transaction(command);
+        }
+        return {};
+    });
+};
+
+const customerToken = (customerId) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+        sub: customerId,
+        role: 'customer',
+        iss: 'https://portal.example.com',
+        aud: 'appointment-scheduler',
+        exp: new Date('2026-01-15T13:00:00Z').getTime() / 1000
+    })}`;
+    return `${signingInput}.${createHmac('sha256', 'portal-secret').update(signingInput).digest('base64url')}`;
+};
+
+const headers = { authorization: 'Bearer test-api-key' };
+
+// Weekly at 9 AM New York time; clocks go forward on 8 March, so occurrences from then on are at 13:00Z
+const seriesItems = [
+    '2026-03-02T14:00:00Z',
+    '2026-03-09T13:00:00Z',
+    '2026-03-16T13:00:00Z',
+    '2026-03-23T13:00:00Z'
+].map((appointmentDateTime, occurrenceIndex) => ({
+    appointmentId: `appt_${occurrenceIndex}`,
+    seriesId: 'series_1',
+    occurrenceIndex,
+    customerId: 'cust_1',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime,
+    status: 'SCHEDULED',
+    version: 1
+}));
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    process.env.SERVICES_TABLE = 'services-table';
+    process.env.CUSTOMERS_TABLE = 'customers-table';
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+});
+
+beforeEach(() => {
+    process.env.API_KEY = 'test-api-key';
+    jest.clearAllMocks();
+    DynamoDBDocumentClient.send.mockReset();
+    mockTables();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe('createSeries', () => {
+    const seriesEvent = (fields = {}) => ({
+        headers,
+        body: JSON.stringify({
+            fullName: 'Fleet Manager',
+            location: 'Farrish Subaru',
+            appointmentTime: '2026-02-02T14:00:00Z',
+            car: 'Subaru Outback',
+            services: ['oil-change'],
+            recurrence: 'FREQ=WEEKLY;INTERVAL=2;COUNT=3',
+            ...fields
+        })
+    });
+
+    test('should book every occurrence of the series', async () => {
+        const response = await createSeries(seriesEvent());
+        expect(response.statusCode).toBe(200);
+
+        const body = JSON.parse(response.body);
+        expect(body.seriesId).toMatch(/^series_[0-9a-f-]{36}$/);
+        expect(body.recurrence).toEqual({ frequency: 'weekly', interval: 2, count: 3 });
+        expect(body.failed).toEqual([]);
+        expect(body.booked.map(appointment => [appointment.occurrenceIndex, appointment.appointmentDateTime])).toEqual([
+            [0, '2026-02-02T14:00:00Z'],
+            [1, '2026-02-16T14:00:00Z'],
+            [2, '2026-03-02T14:00:00Z']
+        ]);
+        body.booked.forEach(appointment => {
+            expect(appointment).toMatchObject({ seriesId: body.seriesId, status: 'SCHEDULED', customerName: 'Fleet Manager' });
+        });
+        expect(new Set(body.booked.map(appointment => appointment.appointmentId)).size).toBe(3);
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(3);
+        // One confirmation for the whole series
+        expect(notifyAppointment).toHaveBeenCalledTimes(1);
+        expect(notifyAppointment).toHaveBeenCalledWith('confirmation', body.booked[0]);
+        // Each occurrence has its own history
+        expect(recordAudit.mock.calls.map(([action, { after }]) => [action, after])).toEqual(body.booked.map(appointment => ['created', appointment]));
+    });
+
+    test('should report the occurrences that could not be booked', async () => {
+        let transactions = 0;
+        mockTables({
+            locationConfig: { holidays: ['2026-02-16'] },
+            // Another customer already has 9 AM on 2 March
+            bookings: [{ appointmentId: 'appt_other', appointmentDateTime: '2026-03-02T14:00:00Z', durationMinutes: 30, status: 'SCHEDULED' }],
+            // ... and someone takes 16 March between the check and the write
+            transaction: () => {
+                transactions++;
+                if (transactions === 2) {
+                    throw slotTaken();
+                }
+                return {};
+            }
+        });
+
+        const response = await createSeries(seriesEvent({ recurrence: { frequency: 'weekly', interval: 2, count: 5 } }));
+        expect(response.statusCode).toBe(200);
+
+        const body = JSON.parse(response.body);
+        expect(body.booked.map(appointment => appointment.occurrenceIndex)).toEqual([0, 4]);
+        expect(body.booked[1].appointmentDateTime).toBe('2026-03-30T13:00:00Z');
+        expect(body.failed).toEqual([
+            { occurrenceIndex: 1, appointmentTime: '2026-02-16T14:00:00Z', message: 'Location is closed on 2026-02-16' },
+            { occurrenceIndex: 2, appointmentTime: '2026-03-02T14:00:00Z', message: 'This time slot is already booked' },
+            { occurrenceIndex: 3, appointmentTime: '2026-03-16T13:00:00Z', message: 'This time slot is already booked' }
+        ]);
+    });
+
+    test('should return 409 when no occurrence can be booked', async () => {
+        mockTables({ transaction: () => { throw slotTaken(); } });
+
+        const response = await createSeries(seriesEvent({ recurrence: 'FREQ=DAILY;COUNT=2' }));
+        expect(response.statusCode).toBe(409);
+        const body = JSON.parse(response.body);
+        expect(body.message).toBe('No occurrence of the series could be booked');
+        expect(body.failed).toHaveLength(2);
+        expect(notifyAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should write a new customer profile with the first booked occurrence only', async () => {
+        const response = await createSeries(seriesEvent({
+            fullName: undefined,
+            customer: { name: 'Fleet Co', email: 'fleet@example.com' },
+            recurrence: 'FREQ=WEEKLY;COUNT=2'
+        }));
+        expect(response.statusCode).toBe(200);
+
+        const customerPuts = TransactWriteCommand.mock.calls.map(([input]) =>
+            input.TransactItems.filter(item => item.Put && item.Put.TableName === 'customers-table')
+        );
+        expect(customerPuts[0]).toHaveLength(1);
+        expect(customerPuts[1]).toHaveLength(0);
+
+        const { booked } = JSON.parse(response.body);
+        expect(booked[0].customerId).toBe(customerPuts[0][0].Put.Item.customerId);
+        expect(booked[1].customerId).toBe(booked[0].customerId);
+        expect(booked[0].customerName).toBe('Fleet Co');
+    });
+
+    test.each([
+        [{ recurrence: undefined }, 'recurrence is required'],
+        [{ recurrence: 7 }, 'recurrence must be a string or an object'],
+        [{ recurrence: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4' }, 'Unsupported RRULE part: BYDAY'],
+        [{ recurrence: { frequency: 'daily', until: '2026-12-31' } }, 'recurrence cannot have more than 52 occurrences'],
+        [{ services: [] }, 'services cannot be empty'],
+        [{ car: undefined, vehicle: { make: '', model: 'Outback', year: 2021 } }, 'vehicle.make must be between 1 and 50 characters'],
+        [{ customerId: 'cust_1', customer: { name: 'Fleet Co', phone: '+15550100199' } }, 'Send either customerId or customer, not both']
+    ])('should reject %j', async (fields, message) => {
+        const response = await createSeries(seriesEvent(fields));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toEqual(message);
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
+    test('should require authorization', async () => {
+        const response = await createSeries({ ...seriesEvent(), headers: {} });
+        expect(response.statusCode).toBe(401);
+    });
+
+    test('should return 500 when the database fails', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB unavailable'));
+
+        const response = await createSeries(seriesEvent());
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body)).toEqual({
+            message: 'Could not create the appointment series',
+            error: 'DynamoDB unavailable'
+        });
+    });
+});
+
+describe('getSeries', () => {
+    test('should list the series in occurrence order', async () => {
+        mockTables({ seriesItems: [seriesItems[2], seriesItems[0], seriesItems[1]] });
+
+        const response = await getSeries({ headers, pathParameters: { id: 'series_1' } });
+        expect(response.statusCode).toBe(200);
+        const body = JSON.parse(response.body);
+        expect(body.seriesId).toBe('series_1');
+        expect(body.items.map(item => item.occurrenceIndex)).toEqual([0, 1, 2]);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            IndexName: 'seriesTime',
+            ExpressionAttributeValues: { ':seriesId': 'series_1' }
+        });
+    });
+
+    test('should return 404 for an unknown series', async () => {
+        const response = await getSeries({ headers, pathParameters: { id: 'series_missing' } });
+        expect(response.statusCode).toBe(404);
+        expect(JSON.parse(response.body).message).toBe('Appointment series not found');
+    });
+
+    test('should not show customers another customer\'s series', async () => {
+        process.env.JWT_SECRETS = 'portal-secret';
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+        mockTables({ seriesItems });
+
+        const own = await getSeries({ headers: { authorization: `Bearer ${customerToken('cust_1')}` }, pathParameters: { id: 'series_1' } });
+        const other = await getSeries({ headers: { authorization: `Bearer ${customerToken('cust_2')}` }, pathParameters: { id: 'series_1' } });
+
+        delete process.env.JWT_SECRETS;
+        expect(own.statusCode).toBe(200);
+        expect(other.statusCode).toBe(403);
+    });
+
+    test('should return 500 when the database fails', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB unavailable'));
+
+        const response = await getSeries({ headers, pathParameters: { id: 'series_1' } });
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body).message).toBe('Could not fetch the appointment series');
+    });
+});
+
+describe('updateSeries', () => {
+    const updateEvent = (body) => ({ headers, pathParameters: { id: 'series_1' }, body: JSON.stringify(body) });
+
+    beforeEach(() => {
+        mockTables({ seriesItems: [...seriesItems.slice(0, 3), { ...seriesItems[3], status: 'CANCELLED' }] });
+    });
+
+    test('should update a single occurrence like a single appointment', async () => {
+        const response = await updateSeries({
+            ...updateEvent({ occurrence: 1, fullName: 'New Driver', version: 1 }),
+            requestContext: { requestId: 'req-1' }
+        });
+        expect(response.statusCode).toBe(200);
+        expect(editAppointment).toHaveBeenCalledTimes(1);
+        // The request ID goes along, for the occurrence's audit entry
+        expect(editAppointment).toHaveBeenCalledWith({
+            headers,
+            requestContext: { requestId: 'req-1' },
+            pathParameters: { id: 'appt_1' },
+            body: JSON.stringify({ fullName: 'New Driver', version: 1 })
+        }, expect.objectContaining({ principalId: 'root' }));
+        expect(JSON.parse(response.body)).toEqual({ appointmentId: 'appt_1', fullName: 'New Driver', version: 1 });
+    });
+
+    test('should move following occurrences by the same wall-clock change', async () => {
+        // 9 AM EST on 2 March moves to 10 AM on Tuesday 3 March; later ones move to Tuesdays at 10 AM EDT
+        const response = await updateSeries(updateEvent({
+            occurrence: 0,
+            scope: 'following',
+            appointmentTime: '2026-03-03T15:00:00Z',
+            version: 1
+        }));
+        expect(response.statusCode).toBe(200);
+
+        const bodies = editAppointment.mock.calls.map(([event]) => [event.pathParameters.id, JSON.parse(event.body)]);
+        expect(bodies).toEqual([
+            ['appt_0', { appointmentTime: '2026-03-03T15:00:00Z', version: 1 }],
+            ['appt_1', { appointmentTime: '2026-03-10T14:00:00Z' }],
+            ['appt_2', { appointmentTime: '2026-03-17T14:00:00Z' }]
+        ]);
+
+        const body = JSON.parse(response.body);
+        expect(body).toMatchObject({ seriesId: 'series_1', scope: 'following', failed: [] });
+        expect(body.updated.map(appointment => appointment.appointmentId)).toEqual(['appt_0', 'appt_1', 'appt_2']);
+    });
+
+    test('should keep the local time when the move crosses a DST change', async () => {
+        await updateSeries(updateEvent({ occurrence: 0, scope: 'following', appointmentTime: '2026-03-09T13:00:00Z' }));
+
+        expect(editAppointment.mock.calls.map(([event]) => JSON.parse(event.body).appointmentTime)).toEqual([
+            '2026-03-09T13:00:00Z',
+            '2026-03-16T13:00:00Z',
+            '2026-03-23T13:00:00Z'
+        ]);
+    });
+
+    test('should start from the named occurrence and report failures', async () => {
+        editAppointment.mockImplementationOnce(async () => ({
+            statusCode: 200,
+            body: JSON.stringify({ appointmentId: 'appt_1' })
+        })).mockImplementationOnce(async () => ({
+            statusCode: 409,
+            body: JSON.stringify({ message: 'This time slot is already booked' })
+        }));
+
+        const response = await updateSeries(updateEvent({ occurrence: 1, scope: 'following', services: ['oil-change'] }));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual({
+            seriesId: 'series_1',
+            scope: 'following',
+            updated: [{ appointmentId: 'appt_1' }],
+            failed: [{
+                appointmentId: 'appt_2',
+                occurrenceIndex: 2,
+                appointmentTime: '2026-03-16T13:00:00Z',
+                statusCode: 409,
+                message: 'This time slot is already booked'
+            }]
+        });
+        expect(editAppointment).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        [{ occurrence: 1, scope: 'all', fullName: 'X' }, 'scope must be one of this, following'],
+        [{ fullName: 'X' }, 'occurrence is required'],
+        [{ occurrence: -1, fullName: 'X' }, 'occurrence must be an integer of at least 0'],
+        [{ occurrence: 1, appointmentTime: 'tomorrow' }, 'appointmentTime must be an ISO-8601 date-time with a time zone, such as 2026-04-27T15:30:00Z'],
+        [{ occurrence: 1, fullName: '', services: 'oil-change' }, 'fullName must be between 1 and 100 characters, and 1 more problem']
+    ])('should reject %j', async (body, message) => {
+        const response = await updateSeries(updateEvent(body));
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).message).toBe(message);
+        expect(editAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for an occurrence outside the series', async () => {
+        const response = await updateSeries(updateEvent({ occurrence: 9, fullName: 'X' }));
+        expect(response.statusCode).toBe(404);
+        expect(JSON.parse(response.body).message).toBe('Occurrence 9 is not part of this series');
+    });
+
+    test('should return 404 for an unknown series', async () => {
+        mockTables();
+        const response = await updateSeries(updateEvent({ occurrence: 0, fullName: 'X' }));
+        expect(response.statusCode).toBe(404);
+    });
+
+    test('should return 500 when the database fails', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB unavailable'));
+
+        const response = await updateSeries(updateEvent({ occurrence: 0, fullName: 'X' }));
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body).message).toBe('Could not update the appointment series');
+    });
+});
+
+describe('cancelSeries', () => {
+    beforeEach(() => {
+        mockTables({ seriesItems: [seriesItems[0], { ...seriesItems[1], status: 'CANCELLED' }, seriesItems[2], seriesItems[3]] });
+    });
+
+    test('should cancel a single occurrence like a single appointment', async () => {
+        const response = await cancelSeries({
+            headers,
+            pathParameters: { id: 'series_1' },
+            queryStringParameters: { occurrence: '2', reason: 'Vehicle sold' }
+        });
+        expect(response.statusCode).toBe(200);
+        expect(cancelAppointment).toHaveBeenCalledWith({
+            headers,
+            pathParameters: { id: 'appt_2' },
+            body: JSON.stringify({ reason: 'Vehicle sold' })
+        }, expect.objectContaining({ principalId: 'root' }));
+    });
+
+    test('should cancel this and the following occurrences', async () => {
+        cancelAppointment.mockImplementationOnce(async () => ({
+            statusCode: 409,
+            body: JSON.stringify({ message: 'Cannot cancel an appointment that is COMPLETED' })
+        }));
+
+        const response = await cancelSeries({
+            headers,
+            pathParameters: { id: 'series_1' },
+            body: JSON.stringify({ occurrence: 0, scope: 'following', reason: 'Contract ended' })
+        });
+        expect(response.statusCode).toBe(200);
+
+        // The occurrence already cancelled is left alone
+        expect(cancelAppointment.mock.calls.map(([event]) => event.pathParameters.id)).toEqual(['appt_0', 'appt_2', 'appt_3']);
+        expect(JSON.parse(cancelAppointment.mock.calls[1][0].body)).toEqual({ reason: 'Contract ended' });
+
+        const body = JSON.parse(response.body);
+        expect(body.cancelled).toEqual([
+            { appointmentId: 'appt_2', status: 'CANCELLED' },
+            { appointmentId: 'appt_3', status: 'CANCELLED' }
+        ]);
+        expect(body.failed).toEqual([{
+            appointmentId: 'appt_0',
+            occurrenceIndex: 0,
+            appointmentTime: '2026-03-02T14:00:00Z',
+            statusCode: 409,
+            message: 'Cannot cancel an appointment that is COMPLETED'
+        }]);
+    });
+
+    test('should reject malformed JSON', async () => {
+        const response = await cancelSeries({ headers, pathParameters: { id: 'series_1' }, body: '{"occurrence":' });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors).toEqual([{ field: 'body', code: 'invalid_json', message: 'Request body must be valid JSON' }]);
+        expect(cancelAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should not let customers cancel another customer\'s series', async () => {
+        process.env.JWT_SECRETS = 'portal-secret';
+        process.env.JWT_ISSUER = 'https://portal.example.com';
+        process.env.JWT_AUDIENCE = 'appointment-scheduler';
+
+        const response = await cancelSeries({
+            headers: { authorization: `Bearer ${customerToken('cust_2')}` },
+            pathParameters: { id: 'series_1' },
+            body: JSON.stringify({ occurrence: 0 })
+        });
+
+        delete process.env.JWT_SECRETS;
+        expect(response.statusCode).toBe(403);
+        expect(cancelAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when the database fails', async () => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB unavailable'));
+
+        const response = await cancelSeries({ headers, pathParameters: { id: 'series_1' }, body: JSON.stringify({ occurrence: 0 }) });
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body).message).toBe('Could not cancel the appointment series');
+    });
+});
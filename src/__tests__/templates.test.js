@@ -0,0 +1,71 @@
+const { validateNotificationSettings, renderNotification } = require('../templates');
+
+const appointment = {
+    appointmentId: 'appt_1',
+    customerName: 'Jane Doe',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime: '2026-04-27T15:30:00Z',
+    vehicleDetails: '2021 Subaru Forester',
+    servicesList: ['oil-change', 'tire-rotation'],
+    serviceDetails: [{ name: 'Oil Change' }, { name: 'Tire Rotation' }]
+};
+
+const config = { timeZone: 'America/New_York' };
+
+describe('Notification templates', () => {
+    test('should render the default templates in the location time zone', () => {
+        const rendered = renderNotification('confirmation', appointment, config);
+        expect(rendered.subject).toBe('Your appointment at Farrish Subaru is booked');
+        expect(rendered.email).toMatch(/^Hi Jane Doe,\n\nYour appointment for Oil Change, Tire Rotation on your 2021 Subaru Forester is booked for Monday, April 27, 2026.* 11:30 AM EDT at Farrish Subaru\./);
+        expect(rendered.sms).toMatch(/Ref appt_1$/);
+    });
+
+    test('should use location overrides and fall back to the defaults for the rest', () => {
+        const rendered = renderNotification('reminder', appointment, {
+            timeZone: 'America/Chicago',
+            notifications: { templates: { reminder: { sms: 'See you {{ appointmentTime }}, {{customerName}}!' } } }
+        });
+        expect(rendered.sms).toMatch(/^See you Monday, April 27, 2026.* 10:30 AM CDT, Jane Doe!$/);
+        expect(rendered.subject).toBe('Reminder: your appointment at Farrish Subaru');
+    });
+
+    test('should say how long a waitlist hold lasts', () => {
+        const rendered = renderNotification('waitlistOffer', { ...appointment, holdExpiresAt: new Date('2026-04-20T14:00:00Z').getTime() }, config);
+        expect(rendered.sms).toMatch(/held for you until Monday, April 20, 2026.* 10:00 AM EDT\. Ref appt_1$/);
+    });
+
+    test('should list service IDs for appointments booked before the catalog', () => {
+        const { serviceDetails, ...legacy } = appointment;
+        expect(renderNotification('cancellation', legacy, config).sms).toMatch(/^Cancelled: oil-change, tire-rotation at/);
+    });
+});
+
+describe('Notification settings validation', () => {
+    test('should fill in defaults', () => {
+        expect(validateNotificationSettings({ channels: ['sms', 'sms'] })).toEqual({
+            valid: true,
+            settings: { channels: ['sms'], reminderOffsetsMinutes: [1440, 120], templates: {} }
+        });
+    });
+
+    test('should allow turning reminders off', () => {
+        expect(validateNotificationSettings({ reminderOffsetsMinutes: [] }).settings.reminderOffsetsMinutes).toEqual([]);
+    });
+
+    test.each([
+        [[], 'notifications must be an object'],
+        [{ channels: ['fax'] }, 'notifications.channels must be an array of email, sms'],
+        [{ reminderOffsetsMinutes: [5] }, 'notifications.reminderOffsetsMinutes must be up to 5 integers between 15 and 10080'],
+        [{ reminderOffsetsMinutes: [60, 120, 180, 240, 300, 360] }, expect.stringContaining('reminderOffsetsMinutes')],
+        [{ templates: [] }, 'notifications.templates must be an object keyed by notification type'],
+        [{ templates: { birthday: {} } }, 'notifications.templates has an unknown notification type: birthday'],
+        [{ templates: { reminder: 'Hi' } }, 'notifications.templates.reminder must be an object with subject, email, sms'],
+        [{ templates: { reminder: { push: 'Hi' } } }, 'notifications.templates.reminder has an unknown field: push'],
+        [{ templates: { reminder: { sms: '  ' } } }, 'notifications.templates.reminder.sms must be between 1 and 2000 characters'],
+        [{ templates: { reminder: { email: 'Hi {{firstName}}' } } }, 'notifications.templates.reminder.email has an unknown placeholder: firstName']
+    ])('should reject %j', (body, message) => {
+        const result = validateNotificationSettings(body);
+        expect(result.valid).toBe(false);
+        expect(result.message).toEqual(message);
+    });
+});
@@ -0,0 +1,60 @@
+const {
+    isValidTimeZone,
+    isValidDate,
+    parseClockTime,
+    formatClockTime,
+    getZonedParts,
+    zonedTimeToUtc,
+    getTimeZoneLabel,
+    formatDisplayDateTime
+} = require('../timezone');
+
+describe('Time zone helpers', () => {
+    test('should read wall-clock fields in a time zone', () => {
+        expect(getZonedParts(new Date('2026-04-27T03:30:00Z'), 'America/New_York')).toEqual({
+            date: '2026-04-26',
+            weekday: 'sunday',
+            minutes: 23 * 60 + 30,
+            seconds: 0
+        });
+    });
+
+    test.each([
+        ['2026-01-15', 540, 'America/New_York', '2026-01-15T14:00:00.000Z'],
+        ['2026-04-27', 540, 'America/New_York', '2026-04-27T13:00:00.000Z'],
+        ['2026-03-08', 180, 'America/New_York', '2026-03-08T07:00:00.000Z'], // first hour after spring forward
+        ['2026-11-01', 720, 'America/New_York', '2026-11-01T17:00:00.000Z'], // day of fall back
+        ['2026-04-27', 540, 'Asia/Kolkata', '2026-04-27T03:30:00.000Z']
+    ])('should convert %s +%i min in %s to UTC', (date, minutes, timeZone, expected) => {
+        expect(zonedTimeToUtc(date, minutes, timeZone).toISOString()).toBe(expected);
+    });
+
+    test('should validate time zones and dates', () => {
+        expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+        expect(isValidTimeZone('Europe/Atlantis')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+        expect(isValidDate('2028-02-29')).toBe(true);
+        expect(isValidDate('2026-02-29')).toBe(false);
+        expect(isValidDate(20260101)).toBe(false);
+    });
+
+    test('should parse and format clock times', () => {
+        expect(parseClockTime('09:30')).toBe(570);
+        expect(parseClockTime('24:00')).toBe(1440);
+        expect(parseClockTime('24:30')).toBeNull();
+        expect(parseClockTime('9:30')).toBeNull();
+        expect(formatClockTime('09:00')).toBe('9 AM');
+        expect(formatClockTime('12:00')).toBe('12 PM');
+        expect(formatClockTime('13:30')).toBe('1:30 PM');
+    });
+
+    test('should label zones by their winter abbreviation', () => {
+        expect(getTimeZoneLabel('America/New_York')).toBe('EST');
+        expect(getTimeZoneLabel('America/Los_Angeles')).toBe('PST');
+    });
+
+    test('should format local date and time with the zone in effect', () => {
+        expect(formatDisplayDateTime(new Date('2026-07-15T13:30:00Z'), 'America/New_York')).toMatch(/^Wednesday, July 15, 2026.* 9:30 AM EDT$/);
+        expect(formatDisplayDateTime(new Date('2026-01-15T13:30:00Z'), 'America/Chicago')).toMatch(/^Thursday, January 15, 2026.* 7:30 AM CST$/);
+    });
+});
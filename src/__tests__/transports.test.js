@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerTransport, getTransport } = require('../transports');
+const { SendEmailCommand } = require('@aws-sdk/client-sesv2');
+const { PublishCommand } = require('@aws-sdk/client-sns');
+
+const mockSend = jest.fn();
+
+jest.mock('@aws-sdk/client-sesv2', () => ({
+    SESv2Client: jest.fn(() => ({ send: mockSend })),
+    SendEmailCommand: jest.fn()
+}));
+
+jest.mock('@aws-sdk/client-sns', () => ({
+    SNSClient: jest.fn(() => ({ send: mockSend })),
+    PublishCommand: jest.fn()
+}));
+
+const message = {
+    channel: 'email',
+    to: 'jane@example.com',
+    subject: 'Your appointment is booked',
+    text: 'See you soon',
+    type: 'confirmation',
+    appointmentId: 'appt_1'
+};
+
+describe('Notification transports', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.EMAIL_TRANSPORT;
+        delete process.env.SMS_TRANSPORT;
+    });
+
+    test('should log to the console by default', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        await getTransport('email').send(message);
+        expect(log).toHaveBeenCalledWith('📨 [email] confirmation for jane@example.com:', JSON.stringify(message));
+        log.mockRestore();
+    });
+
+    test('should append JSON lines to the notifications file', async () => {
+        const file = path.join(os.tmpdir(), `notifications-${process.pid}.jsonl`);
+        process.env.SMS_TRANSPORT = 'file';
+        process.env.NOTIFICATIONS_FILE = file;
+        try {
+            await getTransport('sms').send({ ...message, channel: 'sms', to: '+15550100199' });
+            await getTransport('sms').send({ ...message, channel: 'sms', to: '+15550100123' });
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.map(line => line.to)).toEqual(['+15550100199', '+15550100123']);
+            expect(lines[0]).toHaveProperty('sentAt');
+        } finally {
+            fs.rmSync(file, { force: true });
+            delete process.env.NOTIFICATIONS_FILE;
+        }
+    });
+
+    test('should send email through SES', async () => {
+        process.env.EMAIL_TRANSPORT = 'ses';
+        process.env.NOTIFICATIONS_FROM_EMAIL = 'service@example.com';
+        await getTransport('email').send(message);
+        expect(SendEmailCommand).toHaveBeenCalledWith({
+            FromEmailAddress: 'service@example.com',
+            Destination: { ToAddresses: ['jane@example.com'] },
+            Content: {
+                Simple: {
+                    Subject: { Data: 'Your appointment is booked' },
+                    Body: { Text: { Data: 'See you soon' } }
+                }
+            }
+        });
+        expect(mockSend).toHaveBeenCalledTimes(1);
+    });
+
+    test('should send SMS through SNS', async () => {
+        process.env.SMS_TRANSPORT = 'sns';
+        await getTransport('sms').send({ ...message, channel: 'sms', to: '+15550100199' });
+        expect(PublishCommand).toHaveBeenCalledWith(expect.objectContaining({ PhoneNumber: '+15550100199', Message: 'See you soon' }));
+        expect(mockSend).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use registered transports', async () => {
+        const send = jest.fn();
+        registerTransport('memory', () => ({ send }));
+        process.env.EMAIL_TRANSPORT = 'memory';
+        await getTransport('email').send(message);
+        expect(send).toHaveBeenCalledWith(message);
+    });
+
+    test('should reject unknown transports', () => {
+        process.env.SMS_TRANSPORT = 'pigeon';
+        expect(() => getTransport('sms')).toThrow('Unknown sms transport: pigeon');
+    });
+});
@@ -0,0 +1,182 @@
+const {
+    normalizePhone,
+    registerFormat,
+    validate,
+    summarizeErrors,
+    validationError,
+    fieldError,
+    parseBody,
+    validateBody
+} = require('../validation');
+
+const schema = {
+    type: 'object',
+    required: ['name'],
+    anyOf: [{ required: ['email'] }, { required: ['phone'] }],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 10 },
+        email: { type: ['string', 'null'], format: 'email' },
+        phone: { type: ['string', 'null'], format: 'phone' },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        tags: { type: 'array', minItems: 1, maxItems: 3, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+        plan: { type: 'string', enum: ['basic', 'pro'] },
+        settings: { type: 'object', additionalProperties: false, properties: { color: { type: 'string' } } },
+        limits: { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } }
+    }
+};
+
+describe('validate', () => {
+    test('should accept a value that fits the schema', () => {
+        expect(validate({ name: 'Jane', email: 'jane@example.com', age: 40, tags: ['a'], plan: 'pro' }, schema)).toEqual([]);
+    });
+
+    test('should report every problem at once', () => {
+        expect(validate({ name: 42, email: 'jane', age: 200, tags: ['a', 'a', ''], plan: 'free' }, schema)).toEqual([
+            { field: 'name', code: 'type', message: 'name must be a string' },
+            { field: 'email', code: 'format', message: 'email must be a valid email address' },
+            { field: 'age', code: 'too_large', message: 'age must be an integer between 0 and 150' },
+            { field: 'tags[2]', code: 'too_short', message: 'tags[2] cannot be empty' },
+            { field: 'tags', code: 'not_unique', message: 'tags cannot contain duplicates' },
+            { field: 'plan', code: 'enum', message: 'plan must be one of basic, pro' }
+        ]);
+    });
+
+    test('should treat null as missing for required fields and alternatives', () => {
+        expect(validate({ name: null, email: null }, schema)).toEqual([
+            { field: 'name', code: 'required', message: 'name is required' },
+            { field: 'email', code: 'required', message: 'email or phone is required' }
+        ]);
+    });
+
+    test('should check every set of alternatives in allOf', () => {
+        const booking = {
+            type: 'object',
+            allOf: [
+                { anyOf: [{ required: ['fullName'] }, { required: ['customerId'] }] },
+                { anyOf: [{ required: ['vehicle'] }, { required: ['car'] }] }
+            ]
+        };
+        expect(validate({ customerId: 'cust_1', car: 'Outback' }, booking)).toEqual([]);
+        expect(validate({}, booking).map(error => error.message)).toEqual(['fullName or customerId is required', 'vehicle or car is required']);
+    });
+
+    test('should measure string lengths without surrounding whitespace', () => {
+        expect(validate({ name: '   ', phone: '+15550100199' }, schema)).toEqual([
+            { field: 'name', code: 'too_short', message: 'name must be between 1 and 10 characters' }
+        ]);
+        expect(validate({ name: ' Jane Doe  ', phone: '+15550100199' }, schema)).toEqual([]);
+    });
+
+    test('should check array sizes', () => {
+        expect(validate({ name: 'Jane', phone: '+15550100199', tags: [] }, schema)[0].message).toBe('tags cannot be empty');
+        expect(validate({ name: 'Jane', phone: '+15550100199', tags: ['a', 'b', 'c', 'd'] }, schema)[0].message).toBe('tags must have at most 3 items');
+    });
+
+    test('should reject unknown keys or check them against additionalProperties', () => {
+        expect(validate({ name: 'Jane', phone: '+15550100199', settings: { colour: 'red' }, limits: { bays: 0 } }, schema)).toEqual([
+            { field: 'settings.colour', code: 'unknown_field', message: 'settings.colour is not allowed' },
+            { field: 'limits.bays', code: 'too_small', message: 'limits.bays must be an integer of at least 1' }
+        ]);
+    });
+
+    test('should name the value by the field given, or body', () => {
+        expect(validate('Jane', schema)).toEqual([{ field: 'body', code: 'type', message: 'body must be an object' }]);
+        expect(validate({ phone: '+15550100199' }, schema, 'customer')).toEqual([
+            { field: 'customer.name', code: 'required', message: 'customer.name is required' }
+        ]);
+    });
+
+    test.each([
+        ['2026-04-27T15:30:00Z', true],
+        ['2026-04-27T15:30Z', true],
+        ['2026-04-27T11:30:00.000-04:00', true],
+        ['2026-04-27T15:30:00', false],
+        ['2026-02-30T15:30:00Z', false],
+        ['2026-04-27 15:30:00Z', false],
+        ['tomorrow', false]
+    ])('should check date-time %s', (value, valid) => {
+        expect(validate(value, { type: 'string', format: 'date-time' })).toHaveLength(valid ? 0 : 1);
+    });
+
+    test.each([
+        ['date', '2026-04-27', '2026-13-01', 'must be a YYYY-MM-DD date'],
+        ['time', '09:30', '9am', 'must be a time of day in HH:MM'],
+        ['time-zone', 'America/New_York', 'Mars/Olympus', 'must be a valid IANA time zone'],
+        ['phone', '+1 (555) 010-0199', '555 0199', 'must be an international number such as +1 555 010 0199']
+    ])('should check the %s format', (format, valid, invalid, problem) => {
+        expect(validate(valid, { type: 'string', format })).toEqual([]);
+        expect(validate(invalid, { type: 'string', format }, 'value')).toEqual([{ field: 'value', code: 'format', message: `value ${problem}` }]);
+    });
+
+    test('should use formats registered by other modules', () => {
+        registerFormat('even-length', (value) => (value.length % 2 === 0 ? null : 'must have an even length'));
+        expect(validate('ab', { type: 'string', format: 'even-length' })).toEqual([]);
+        expect(validate('abc', { type: 'string', format: 'even-length' }, 'code')[0].message).toBe('code must have an even length');
+    });
+});
+
+describe('normalizePhone', () => {
+    test('should drop separators', () => {
+        expect(normalizePhone('+1 (555) 010-0199')).toBe('+15550100199');
+        expect(normalizePhone('+49.30.1234.5678')).toBe('+493012345678');
+    });
+});
+
+describe('validation responses', () => {
+    test('should summarize the problems in one line', () => {
+        const error = { field: 'name', code: 'required', message: 'name is required' };
+        expect(summarizeErrors([error])).toBe('name is required');
+        expect(summarizeErrors([error, error])).toBe('name is required, and 1 more problem');
+        expect(summarizeErrors([error, error, error])).toBe('name is required, and 2 more problems');
+    });
+
+    test('should return 400 with every error', () => {
+        const errors = [
+            { field: 'name', code: 'required', message: 'name is required' },
+            { field: 'age', code: 'type', message: 'age must be an integer' }
+        ];
+        const response = validationError(errors);
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body)).toEqual({ message: 'name is required, and 1 more problem', errors });
+    });
+
+    test('should report a single problem found after the schema checks', () => {
+        expect(JSON.parse(fieldError('services', 'Unknown services: detailing', 'unknown').body)).toEqual({
+            message: 'Unknown services: detailing',
+            errors: [{ field: 'services', code: 'unknown', message: 'Unknown services: detailing' }]
+        });
+        expect(JSON.parse(fieldError('body', 'Nothing to change').body).errors[0].code).toBe('invalid');
+    });
+});
+
+describe('parseBody', () => {
+    test('should parse a JSON body and treat an empty one as an empty object', () => {
+        expect(parseBody({ body: '{"name":"Jane"}' })).toEqual({ body: { name: 'Jane' } });
+        expect(parseBody({ body: '' })).toEqual({ body: {} });
+        expect(parseBody({})).toEqual({ body: {} });
+    });
+
+    test('should reject malformed JSON with a 400', () => {
+        const { error } = parseBody({ body: '{"name":' });
+        expect(error.statusCode).toBe(400);
+        expect(JSON.parse(error.body)).toEqual({
+            message: 'Request body must be valid JSON',
+            errors: [{ field: 'body', code: 'invalid_json', message: 'Request body must be valid JSON' }]
+        });
+    });
+});
+
+describe('validateBody', () => {
+    test('should resolve to the parsed body when it fits the schema', () => {
+        expect(validateBody({ body: '{"name":"Jane","phone":"+15550100199"}' }, schema)).toEqual({
+            body: { name: 'Jane', phone: '+15550100199' }
+        });
+    });
+
+    test('should resolve to the 400 response when it does not', () => {
+        const { error } = validateBody({ body: '[]' }, schema);
+        expect(error.statusCode).toBe(400);
+        expect(JSON.parse(error.body).errors).toEqual([{ field: 'body', code: 'type', message: 'body must be an object' }]);
+        expect(validateBody({ body: 'nope' }, schema).error.statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,97 @@
+const { isValidVin, validateVehicle, parseVehicle } = require('../vehicles');
+
+describe('VIN validation', () => {
+    test.each(['1M8GDM9AXKP042788', 'JF2SKAEC0MH400001', '4S4BTANCXL3123456', 'jf2skaec0mh400001'])('should accept %s', (vin) => {
+        expect(isValidVin(vin)).toBe(true);
+    });
+
+    test.each([
+        ['JF2SKAEC0MH40000', 'vehicle.vin must be 17 characters'],
+        ['JF2SKAEC0MH4000011', 'vehicle.vin must be 17 characters'],
+        ['JF2SKAEC0MH4O0001', 'vehicle.vin cannot contain the letters I, O or Q'],
+        ['JF2SKAEC0MH40000-', 'vehicle.vin can only contain letters and digits'],
+        ['JF2SKAEC1MH400001', 'vehicle.vin has an invalid check digit']
+    ])('should reject %s', (vin, message) => {
+        expect(isValidVin(vin)).toBe(false);
+        expect(validateVehicle({ make: 'Subaru', model: 'Forester', year: 2021, vin })).toEqual({
+            valid: false,
+            errors: [{ field: 'vehicle.vin', code: 'format', message }]
+        });
+    });
+
+    test('should reject non-string VINs', () => {
+        expect(isValidVin(12345678901234567)).toBe(false);
+        expect(validateVehicle({ make: 'Subaru', model: 'Forester', year: 2021, vin: 12345678901234567 }).errors).toEqual([
+            { field: 'vehicle.vin', code: 'type', message: 'vehicle.vin must be a string or null' }
+        ]);
+    });
+});
+
+describe('Vehicle validation', () => {
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-15T12:00:00Z') });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    test('should normalize a structured vehicle', () => {
+        expect(validateVehicle({ make: ' Subaru ', model: 'Forester', year: 2021, mileage: 42000, vin: ' jf2skaec0mh400001 ' })).toEqual({
+            valid: true,
+            vehicle: { make: 'Subaru', model: 'Forester', year: 2021, mileage: 42000, vin: 'JF2SKAEC0MH400001' }
+        });
+        expect(validateVehicle({ make: 'Subaru', model: 'Forester', year: 2027 }).vehicle).toEqual({
+            make: 'Subaru', model: 'Forester', year: 2027, mileage: null, vin: null
+        });
+    });
+
+    test.each([
+        [null, 'vehicle', 'type', 'vehicle must be an object'],
+        [['Subaru'], 'vehicle', 'type', 'vehicle must be an object'],
+        [{ model: 'Forester', year: 2021 }, 'vehicle.make', 'required', 'vehicle.make is required'],
+        [{ make: 'Subaru', model: 'F'.repeat(51), year: 2021 }, 'vehicle.model', 'too_long', 'vehicle.model must be between 1 and 50 characters'],
+        [{ make: 'Subaru', model: 'Forester', year: '2021' }, 'vehicle.year', 'type', 'vehicle.year must be an integer'],
+        [{ make: 'Subaru', model: 'Forester', year: 2028 }, 'vehicle.year', 'too_large', 'vehicle.year must be an integer between 1900 and 2027'],
+        [{ make: 'Subaru', model: 'Forester', year: 1899 }, 'vehicle.year', 'too_small', 'vehicle.year must be an integer between 1900 and 2027'],
+        [{ make: 'Subaru', model: 'Forester', year: 2021, mileage: -1 }, 'vehicle.mileage', 'too_small', 'vehicle.mileage must be an integer between 0 and 2000000'],
+        [{ make: 'Subaru', model: 'Forester', year: 2021, mileage: 1.5 }, 'vehicle.mileage', 'type', 'vehicle.mileage must be an integer or null']
+    ])('should reject %j', (vehicle, field, code, message) => {
+        expect(validateVehicle(vehicle)).toEqual({ valid: false, errors: [{ field, code, message }] });
+    });
+
+    test('should report every problem at once, under the field given', () => {
+        expect(validateVehicle({ make: '', model: 42, year: 2021, vin: 'X' }, 'vehicles[0]').errors).toEqual([
+            { field: 'vehicles[0].make', code: 'too_short', message: 'vehicles[0].make must be between 1 and 50 characters' },
+            { field: 'vehicles[0].model', code: 'type', message: 'vehicles[0].model must be a string' },
+            { field: 'vehicles[0].vin', code: 'format', message: 'vehicles[0].vin must be 17 characters' }
+        ]);
+    });
+
+    test('should turn a structured vehicle into appointment attributes', () => {
+        expect(parseVehicle({ vehicle: { make: 'Subaru', model: 'Forester', year: 2021, vin: 'JF2SKAEC0MH400001' } })).toEqual({
+            valid: true,
+            attributes: {
+                vehicleDetails: '2021 Subaru Forester',
+                vehicle: { make: 'Subaru', model: 'Forester', year: 2021, mileage: null, vin: 'JF2SKAEC0MH400001' },
+                vin: 'JF2SKAEC0MH400001'
+            }
+        });
+    });
+
+    test('should keep accepting the legacy car string', () => {
+        expect(parseVehicle({ car: 'Subaru Outback' })).toEqual({
+            valid: true,
+            attributes: { vehicleDetails: 'Subaru Outback', vehicle: null, vin: null }
+        });
+    });
+
+    test.each([
+        [{ car: 'Subaru Outback', vehicle: {} }, 'car', 'conflict', 'Send either car or vehicle, not both'],
+        [{ car: ' ' }, 'car', 'too_short', 'car must be between 1 and 100 characters'],
+        [{ car: 42 }, 'car', 'type', 'car must be a string'],
+        [{ vehicle: 'Subaru Outback' }, 'vehicle', 'type', 'vehicle must be an object']
+    ])('should reject the booking fields %j', (body, field, code, message) => {
+        expect(parseVehicle(body)).toEqual({ valid: false, errors: [{ field, code, message }] });
+    });
+});
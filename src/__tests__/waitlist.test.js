@@ -0,0 +1,631 @@
+const {
+    parseWaitlistOption,
+    addToWaitlist,
+    releaseToWaitlist,
+    listWaitlist,
+    getWaitlistEntry,
+    leaveWaitlist,
+    acceptWaitlistOffer,
+    expireWaitlistHolds
+} = require('../waitlist');
+const { createHmac } = require('crypto');
+const { notifyAppointment } = require('../notifications');
+const { recordAudit } = require('../audit');
+const {
+    DynamoDBDocumentClient,
+    GetCommand,
+    PutCommand,
+    QueryCommand,
+    ScanCommand,
+    UpdateCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+// Mock DynamoDB
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+    DynamoDBClient: jest.fn()
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+    DynamoDBDocumentClient: {
+        from: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    },
+    GetCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    PutCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    QueryCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    ScanCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    UpdateCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    TransactWriteCommand: jest.fn(function (input) {
+        this.input = input;
+    }),
+    DeleteCommand: jest.fn()
+}));
+
+// Notifications have their own tests; here it only matters which ones are sent
+jest.mock('../notifications', () => ({
+    notifyAppointment: jest.fn()
+}));
+
+// Audit entries have their own tests; here it only matters which changes are recorded
+jest.mock('../audit', () => ({
+    ...jest.requireActual('../audit'),
+    recordAudit: jest.fn()
+}));
+
+const NOW = new Date('2026-01-15T12:00:00Z').getTime();
+
+const entry = {
+    entryId: 'wait_1',
+    locationId: 'Farrish Subaru',
+    customerName: 'Jane Doe',
+    customerId: 'cust_1',
+    requestedDateTime: '2026-04-27T15:30:00Z',
+    windowStart: '2026-04-27T15:30:00Z',
+    windowEnd: '2026-04-27T15:30:00Z',
+    durationMinutes: 30,
+    vehicleDetails: 'Subaru Outback',
+    servicesList: ['oil-change'],
+    serviceDetails: [{ serviceId: 'oil-change', name: 'Oil Change', durationMinutes: 30, price: 49.99 }],
+    status: 'WAITING',
+    createdAt: new Date('2026-01-10T09:00:00Z').getTime()
+};
+
+// The appointment whose cancellation frees 11:30-12:00 New York time
+const cancelled = {
+    appointmentId: 'appt_old',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime: '2026-04-27T15:30:00Z',
+    appointmentEndDateTime: '2026-04-27T16:00:00Z',
+    servicesList: ['oil-change'],
+    status: 'SCHEDULED',
+    version: 2
+};
+
+const held = {
+    appointmentId: 'appt_held',
+    customerId: 'cust_1',
+    locationId: 'Farrish Subaru',
+    appointmentDateTime: '2026-04-27T15:30:00Z',
+    appointmentEndDateTime: '2026-04-27T16:00:00Z',
+    servicesList: ['oil-change'],
+    reservedSlots: ['Farrish Subaru#2026-04-27T15:30:00Z'],
+    status: 'HELD',
+    holdExpiresAt: NOW + 10 * 60000,
+    waitlistEntryId: 'wait_1',
+    version: 1
+};
+const offered = { ...entry, status: 'OFFERED', appointmentId: 'appt_held', holdExpiresAt: held.holdExpiresAt };
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    name: 'ConditionalCheckFailedException'
+});
+
+const transactionCancelled = (codes) => Object.assign(new Error('Transaction cancelled'), {
+    name: 'TransactionCanceledException',
+    CancellationReasons: codes.map(code => ({ Code: code }))
+});
+
+// Answers lookups from the given data: the location configuration, waitlist entries and appointments by ID,
+// the location's queue and its bookings by index, and the scan for offers
+const mockTables = ({ location, queue = [], bookings = [], entries = [], appointments = [], offers = [] } = {}) => {
+    DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+        if (command instanceof GetCommand) {
+            const { TableName, Key } = command.input;
+            if (TableName === 'waitlist-table') {
+                return { Item: entries.find(item => item.entryId === Key.entryId) };
+            }
+            if (TableName === 'appointments-table') {
+                return { Item: appointments.find(item => item.appointmentId === Key.appointmentId) };
+            }
+            return { Item: location };
+        }
+        if (command instanceof QueryCommand) {
+            return { Items: command.input.IndexName === 'locationQueue' ? queue : bookings };
+        }
+        if (command instanceof ScanCommand) {
+            return { Items: offers };
+        }
+        return {};
+    });
+};
+
+const transactionItems = (call = 0) => TransactWriteCommand.mock.calls[call][0].TransactItems;
+
+const token = (claims) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+        iss: 'https://portal.example.com',
+        aud: 'appointment-scheduler',
+        exp: NOW / 1000 + 3600,
+        ...claims
+    })}`;
+    return `${signingInput}.${createHmac('sha256', 'portal-secret').update(signingInput).digest('base64url')}`;
+};
+
+const apiEvent = (fields, authorization = 'Bearer test-api-key') => ({
+    headers: { authorization },
+    ...fields
+});
+const customerAuth = (customerId) => `Bearer ${token({ sub: customerId, role: 'customer' })}`;
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: NOW });
+    process.env.API_KEY = 'test-api-key';
+    process.env.APPOINTMENTS_TABLE = 'appointments-table';
+    process.env.WAITLIST_TABLE = 'waitlist-table';
+    process.env.LOCATIONS_TABLE = 'locations-table';
+    process.env.RESERVATIONS_TABLE = 'reservations-table';
+    process.env.CUSTOMERS_TABLE = 'customers-table';
+    process.env.JWT_SECRETS = 'portal-secret';
+    process.env.JWT_ISSUER = 'https://portal.example.com';
+    process.env.JWT_AUDIENCE = 'appointment-scheduler';
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    DynamoDBDocumentClient.send.mockReset();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+    delete process.env.JWT_SECRETS;
+});
+
+describe('Waitlist option', () => {
+    test('should wait for the requested time by default', () => {
+        expect(parseWaitlistOption(true, '2026-04-27T15:30:00.000Z')).toEqual({
+            valid: true,
+            window: { windowStart: '2026-04-27T15:30:00Z', windowEnd: '2026-04-27T15:30:00Z' }
+        });
+    });
+
+    test('should accept a window and fill in a missing end', () => {
+        expect(parseWaitlistOption({ windowStart: '2026-04-27T13:00:00Z', windowEnd: '2026-04-27T18:00:00Z' }, '2026-04-27T15:30:00Z').window)
+            .toEqual({ windowStart: '2026-04-27T13:00:00Z', windowEnd: '2026-04-27T18:00:00Z' });
+        expect(parseWaitlistOption({ windowStart: '2026-04-27T13:00:00Z' }, '2026-04-27T15:30:00Z').window)
+            .toEqual({ windowStart: '2026-04-27T13:00:00Z', windowEnd: '2026-04-27T15:30:00Z' });
+    });
+
+    test.each([
+        [false, 'waitlist must be true or an object with windowStart and windowEnd'],
+        [['2026-04-27T13:00:00Z'], 'waitlist must be true or an object with windowStart and windowEnd'],
+        [{ windowStart: 'tomorrow' }, 'waitlist.windowStart and waitlist.windowEnd must be valid ISO-8601 date-times'],
+        [{ windowEnd: 1777300000000 }, 'waitlist.windowStart and waitlist.windowEnd must be valid ISO-8601 date-times'],
+        [{ windowStart: '2026-04-27T18:00:00Z', windowEnd: '2026-04-27T13:00:00Z' }, 'waitlist.windowStart must not be after waitlist.windowEnd'],
+        [{ windowStart: '2026-01-01T09:00:00Z', windowEnd: '2026-01-15T11:00:00Z' }, 'waitlist window cannot be in the past'],
+        [{ windowStart: '2026-04-01T09:00:00Z', windowEnd: '2026-04-27T15:30:00Z' }, 'waitlist window cannot be longer than 14 days']
+    ])('should reject %j', (waitlist, message) => {
+        expect(parseWaitlistOption(waitlist, '2026-04-27T15:30:00Z')).toEqual({ valid: false, message });
+    });
+});
+
+describe('Joining the waitlist', () => {
+    const appointment = {
+        appointmentId: 'appt_1',
+        customerName: 'Jane Doe',
+        customerId: 'cust_1',
+        locationId: 'Farrish Subaru',
+        appointmentDateTime: '2026-04-27T15:30:00Z',
+        durationMinutes: 30,
+        vehicleDetails: '2021 Subaru Forester',
+        vehicle: { make: 'Subaru', model: 'Forester', year: 2021 },
+        servicesList: ['oil-change'],
+        serviceDetails: entry.serviceDetails,
+        status: 'SCHEDULED'
+    };
+    const window = { windowStart: '2026-04-27T13:00:00Z', windowEnd: '2026-04-27T18:00:00Z' };
+
+    test('should store what is needed to book it later', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const created = await addToWaitlist(appointment, window, null);
+        expect(created).toEqual({
+            entryId: expect.stringMatching(/^wait_[0-9a-f-]{36}$/),
+            locationId: 'Farrish Subaru',
+            customerName: 'Jane Doe',
+            customerId: 'cust_1',
+            requestedDateTime: '2026-04-27T15:30:00Z',
+            windowStart: '2026-04-27T13:00:00Z',
+            windowEnd: '2026-04-27T18:00:00Z',
+            durationMinutes: 30,
+            vehicleDetails: '2021 Subaru Forester',
+            vehicle: appointment.vehicle,
+            servicesList: ['oil-change'],
+            serviceDetails: entry.serviceDetails,
+            status: 'WAITING',
+            createdAt: NOW,
+            updatedAt: NOW,
+            expiresAt: new Date('2026-04-27T18:00:00Z').getTime() / 1000 + 30 * 24 * 60 * 60
+        });
+        expect(PutCommand.mock.calls[0][0]).toEqual({ TableName: 'waitlist-table', Item: created });
+    });
+
+    test('should save a new customer profile with the entry', async () => {
+        DynamoDBDocumentClient.send.mockResolvedValue({});
+        const customer = { customerId: 'cust_2', name: 'Jane Doe', email: 'jane@example.com' };
+        const created = await addToWaitlist({ ...appointment, customerId: 'cust_2' }, window, customer);
+        expect(PutCommand).not.toHaveBeenCalled();
+        expect(transactionItems()).toEqual([
+            { Put: { TableName: 'waitlist-table', Item: created } },
+            { Put: { TableName: 'customers-table', Item: customer } }
+        ]);
+    });
+});
+
+describe('Freed time', () => {
+    test('should hold the freed time for the first waiting entry by default', async () => {
+        mockTables({ queue: [entry, { ...entry, entryId: 'wait_2' }] });
+        await releaseToWaitlist(cancelled);
+
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(1);
+        const [entryUpdate, appointmentPut, reservation] = transactionItems();
+        expect(entryUpdate.Update).toMatchObject({
+            TableName: 'waitlist-table',
+            Key: { entryId: 'wait_1' },
+            ConditionExpression: '#status = :waiting',
+            ExpressionAttributeValues: { ':status': 'OFFERED', ':holdExpiresAt': NOW + 30 * 60000 }
+        });
+        expect(appointmentPut.Put.Item).toMatchObject({
+            customerId: 'cust_1',
+            appointmentDateTime: '2026-04-27T15:30:00Z',
+            appointmentEndDateTime: '2026-04-27T16:00:00Z',
+            status: 'HELD',
+            holdExpiresAt: NOW + 30 * 60000,
+            waitlistEntryId: 'wait_1',
+            reservedSlots: ['Farrish Subaru#2026-04-27T15:30:00Z'],
+            version: 1
+        });
+        expect(entryUpdate.Update.ExpressionAttributeValues[':appointmentId']).toBe(appointmentPut.Put.Item.appointmentId);
+        expect(reservation.Update.Key).toEqual({ slotId: 'Farrish Subaru#2026-04-27T15:30:00Z' });
+        expect(notifyAppointment).toHaveBeenCalledWith('waitlistOffer', appointmentPut.Put.Item);
+        expect(recordAudit).toHaveBeenCalledWith('created', {
+            after: appointmentPut.Put.Item,
+            principal: { principalId: 'system:waitlist', name: 'waitlist', type: 'system' }
+        });
+    });
+
+    test('should book outright when the location says so', async () => {
+        mockTables({ location: { waitlist: { mode: 'book', holdMinutes: 30 } }, queue: [entry] });
+        await releaseToWaitlist(cancelled);
+
+        const [entryUpdate, appointmentPut] = transactionItems();
+        expect(entryUpdate.Update.ExpressionAttributeValues[':status']).toBe('BOOKED');
+        expect(entryUpdate.Update.UpdateExpression).not.toContain('holdExpiresAt');
+        expect(appointmentPut.Put.Item.status).toBe('SCHEDULED');
+        expect(appointmentPut.Put.Item).not.toHaveProperty('holdExpiresAt');
+        expect(notifyAppointment).toHaveBeenCalledWith('confirmation', appointmentPut.Put.Item);
+    });
+
+    test('should skip entries the freed time does not suit', async () => {
+        mockTables({
+            queue: [
+                { ...entry, entryId: 'wait_later', windowStart: '2026-04-28T15:30:00Z', windowEnd: '2026-04-28T15:30:00Z' },
+                { ...entry, entryId: 'wait_left', status: 'LEFT' },
+                { ...entry, entryId: 'wait_long', durationMinutes: 90, windowStart: '2026-04-27T13:00:00Z', windowEnd: '2026-04-27T18:00:00Z' }
+            ],
+            // The slots either side are still booked, so the 90-minute job does not fit at any start
+            bookings: [
+                { appointmentId: 'appt_before', appointmentDateTime: '2026-04-27T15:00:00Z', appointmentEndDateTime: '2026-04-27T15:30:00Z', status: 'SCHEDULED' },
+                { appointmentId: 'appt_after', appointmentDateTime: '2026-04-27T16:00:00Z', appointmentEndDateTime: '2026-04-27T17:00:00Z', status: 'SCHEDULED' }
+            ]
+        });
+        await releaseToWaitlist(cancelled);
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
+    test('should pick the start nearest the time the entry asked for', async () => {
+        mockTables({
+            queue: [{
+                ...entry,
+                durationMinutes: 60,
+                requestedDateTime: '2026-04-27T15:30:00Z',
+                windowStart: '2026-04-27T13:00:00Z',
+                windowEnd: '2026-04-27T18:00:00Z'
+            }]
+        });
+        await releaseToWaitlist(cancelled);
+        expect(transactionItems()[1].Put.Item).toMatchObject({
+            appointmentDateTime: '2026-04-27T15:30:00Z',
+            appointmentEndDateTime: '2026-04-27T16:30:00Z'
+        });
+    });
+
+    test('should move on to the next entry when one left in the meantime', async () => {
+        mockTables({ queue: [entry, { ...entry, entryId: 'wait_2' }] });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof TransactWriteCommand && TransactWriteCommand.mock.calls.length === 1) {
+                throw transactionCancelled(['ConditionalCheckFailed', 'None', 'None']);
+            }
+            return send(command);
+        });
+        await releaseToWaitlist(cancelled);
+        expect(TransactWriteCommand).toHaveBeenCalledTimes(2);
+        expect(transactionItems(1)[0].Update.Key).toEqual({ entryId: 'wait_2' });
+    });
+
+    test('should turn down the offer when a held appointment is cancelled', async () => {
+        mockTables();
+        await releaseToWaitlist(held);
+        expect(UpdateCommand.mock.calls[0][0]).toMatchObject({
+            TableName: 'waitlist-table',
+            Key: { entryId: 'wait_1' },
+            ConditionExpression: '#status = :offered AND appointmentId = :appointmentId',
+            ExpressionAttributeValues: { ':declined': 'DECLINED', ':appointmentId': 'appt_held' }
+        });
+        expect(QueryCommand.mock.calls[0][0].IndexName).toBe('locationQueue');
+    });
+
+    test('should never throw', async () => {
+        mockTables();
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof UpdateCommand) {
+                throw conditionFailed();
+            }
+            return send(command);
+        });
+        await expect(releaseToWaitlist(held)).resolves.toBeUndefined();
+        expect(QueryCommand).toHaveBeenCalled();
+
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB error'));
+        await expect(releaseToWaitlist(cancelled)).resolves.toBeUndefined();
+    });
+});
+
+describe('List Waitlist', () => {
+    const queue = [
+        { ...entry, entryId: 'wait_1', customerId: 'cust_2' },
+        { ...entry, entryId: 'wait_2', status: 'LEFT' },
+        { ...entry, entryId: 'wait_3', status: 'OFFERED' },
+        { ...entry, entryId: 'wait_4' },
+        { ...entry, entryId: 'wait_5', windowStart: '2026-01-15T10:00:00Z', windowEnd: '2026-01-15T11:00:00Z' }
+    ];
+
+    test('should list active entries in queue order with their positions', async () => {
+        mockTables({ queue });
+        const response = await listWaitlist(apiEvent({ queryStringParameters: { location: 'Farrish Subaru' } }));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).items.map(item => [item.entryId, item.position])).toEqual([
+            ['wait_1', 1],
+            ['wait_3', null],
+            ['wait_4', 2]
+        ]);
+        expect(QueryCommand.mock.calls[0][0]).toMatchObject({
+            TableName: 'waitlist-table',
+            IndexName: 'locationQueue',
+            ExpressionAttributeValues: { ':loc': 'Farrish Subaru' }
+        });
+    });
+
+    test('should only show customers their own entries', async () => {
+        mockTables({ queue });
+        const response = await listWaitlist(apiEvent({ queryStringParameters: { location: 'Farrish Subaru' } }, customerAuth('cust_1')));
+        expect(JSON.parse(response.body).items.map(item => [item.entryId, item.position])).toEqual([
+            ['wait_3', null],
+            ['wait_4', 2]
+        ]);
+    });
+
+    test('should require a location the caller may see', async () => {
+        expect((await listWaitlist(apiEvent({}))).statusCode).toBe(400);
+
+        const staff = `Bearer ${token({ sub: 'staff_1', role: 'staff', locations: ['Other Motors'] })}`;
+        const response = await listWaitlist(apiEvent({ queryStringParameters: { location: 'Farrish Subaru' } }, staff));
+        expect(response.statusCode).toBe(403);
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+});
+
+describe('Get Waitlist Entry', () => {
+    test('should return a waiting entry with its position', async () => {
+        mockTables({ entries: [entry], queue: [{ ...entry, entryId: 'wait_0' }, entry] });
+        const response = await getWaitlistEntry(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual({ ...entry, position: 2 });
+    });
+
+    test('should return other entries as stored', async () => {
+        mockTables({ entries: [offered] });
+        const response = await getWaitlistEntry(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(JSON.parse(response.body)).toEqual(offered);
+        expect(QueryCommand).not.toHaveBeenCalled();
+    });
+
+    test('should answer 400, 404 and 403', async () => {
+        mockTables({ entries: [entry] });
+        expect((await getWaitlistEntry(apiEvent({}))).statusCode).toBe(400);
+        expect((await getWaitlistEntry(apiEvent({ pathParameters: { id: 'wait_404' } }))).statusCode).toBe(404);
+
+        const response = await getWaitlistEntry(apiEvent({ pathParameters: { id: 'wait_1' } }, customerAuth('cust_2')));
+        expect(response.statusCode).toBe(403);
+        expect(JSON.parse(response.body).message).toBe('Waitlist entry belongs to another customer');
+    });
+});
+
+describe('Leave Waitlist', () => {
+    test('should take a waiting entry off the waitlist', async () => {
+        mockTables({ entries: [entry] });
+        const response = await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_1' } }, customerAuth('cust_1')));
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).entry.status).toBe('LEFT');
+        expect(UpdateCommand.mock.calls[0][0]).toMatchObject({
+            Key: { entryId: 'wait_1' },
+            ConditionExpression: '#status = :waiting',
+            ExpressionAttributeValues: { ':left': 'LEFT' }
+        });
+    });
+
+    test('should give up an open offer and pass the time on', async () => {
+        mockTables({ entries: [offered], appointments: [held], queue: [{ ...entry, entryId: 'wait_2' }] });
+        const response = await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(response.statusCode).toBe(200);
+
+        const [entryUpdate, appointmentUpdate, release] = transactionItems(0);
+        expect(entryUpdate.Update.ExpressionAttributeValues).toMatchObject({ ':status': 'LEFT', ':appointmentId': 'appt_held' });
+        expect(appointmentUpdate.Update).toMatchObject({
+            Key: { appointmentId: 'appt_held' },
+            ConditionExpression: '#status = :held AND #version = :currentVersion',
+            ExpressionAttributeValues: { ':cancelled': 'CANCELLED', ':cancelledBy': 'system:waitlist', ':reason': 'Left the waitlist', ':nextVersion': 2 }
+        });
+        expect(release.Update.ExpressionAttributeValues[':baysDelta']).toBe(-1);
+        expect(transactionItems(1)[0].Update.Key).toEqual({ entryId: 'wait_2' });
+        expect(recordAudit).toHaveBeenCalledWith('cancelled', expect.objectContaining({
+            before: held,
+            after: expect.objectContaining({ status: 'CANCELLED', version: 2, cancelledBy: 'system:waitlist', cancellationReason: 'Left the waitlist' }),
+            principal: expect.objectContaining({ principalId: 'root' })
+        }));
+    });
+
+    test('should not leave an entry that is already settled', async () => {
+        mockTables({ entries: [{ ...entry, status: 'BOOKED' }] });
+        const response = await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.body).message).toBe('Cannot leave a waitlist entry that is BOOKED');
+    });
+
+    test('should report an entry that changed in the meantime', async () => {
+        mockTables({ entries: [entry] });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof UpdateCommand) {
+                throw conditionFailed();
+            }
+            return send(command);
+        });
+        const response = await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.body).message).toBe('Waitlist entry has been modified since it was read');
+
+        mockTables({ entries: [offered] });
+        expect((await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_1' } }))).statusCode).toBe(409);
+    });
+
+    test('should answer 400, 404 and 403', async () => {
+        mockTables({ entries: [entry] });
+        expect((await leaveWaitlist(apiEvent({}))).statusCode).toBe(400);
+        expect((await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_404' } }))).statusCode).toBe(404);
+        expect((await leaveWaitlist(apiEvent({ pathParameters: { id: 'wait_1' } }, customerAuth('cust_2')))).statusCode).toBe(403);
+    });
+});
+
+describe('Accept Waitlist Offer', () => {
+    test('should confirm the held appointment', async () => {
+        mockTables({ entries: [offered], appointments: [held] });
+        const response = await acceptWaitlistOffer(apiEvent({ pathParameters: { id: 'wait_1' } }, customerAuth('cust_1')));
+        expect(response.statusCode).toBe(200);
+
+        const body = JSON.parse(response.body);
+        expect(body.entry.status).toBe('BOOKED');
+        expect(body.appointment).toMatchObject({ appointmentId: 'appt_held', status: 'SCHEDULED', version: 2 });
+        expect(body.appointment).not.toHaveProperty('holdExpiresAt');
+
+        const [entryUpdate, appointmentUpdate] = transactionItems();
+        expect(entryUpdate.Update.ConditionExpression).toBe('#status = :offered AND holdExpiresAt > :updatedAt');
+        expect(appointmentUpdate.Update.UpdateExpression).toBe('SET #status = :scheduled, #version = :nextVersion, updatedAt = :updatedAt REMOVE holdExpiresAt');
+        expect(notifyAppointment).toHaveBeenCalledWith('confirmation', body.appointment);
+        expect(recordAudit).toHaveBeenCalledWith('status_changed', expect.objectContaining({
+            before: held,
+            after: body.appointment,
+            principal: expect.objectContaining({ principalId: 'customer:cust_1' })
+        }));
+    });
+
+    test.each([
+        [{ ...offered, holdExpiresAt: NOW - 60000 }, 'The hold on this offer has expired'],
+        [entry, 'Waitlist entry is WAITING, not OFFERED']
+    ])('should not accept %j', async (stored, message) => {
+        mockTables({ entries: [stored], appointments: [held] });
+        const response = await acceptWaitlistOffer(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.body).message).toBe(message);
+        expect(TransactWriteCommand).not.toHaveBeenCalled();
+    });
+
+    test('should not accept an offer that changed in the meantime', async () => {
+        mockTables({ entries: [offered], appointments: [held] });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof TransactWriteCommand) {
+                throw transactionCancelled(['None', 'ConditionalCheckFailed']);
+            }
+            return send(command);
+        });
+        const response = await acceptWaitlistOffer(apiEvent({ pathParameters: { id: 'wait_1' } }));
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.body).message).toBe('Waitlist offer is no longer available');
+        expect(notifyAppointment).not.toHaveBeenCalled();
+    });
+
+    test('should answer 400, 404 and 403', async () => {
+        mockTables({ entries: [offered] });
+        expect((await acceptWaitlistOffer(apiEvent({}))).statusCode).toBe(400);
+        expect((await acceptWaitlistOffer(apiEvent({ pathParameters: { id: 'wait_404' } }))).statusCode).toBe(404);
+        expect((await acceptWaitlistOffer(apiEvent({ pathParameters: { id: 'wait_1' } }, customerAuth('cust_2')))).statusCode).toBe(403);
+    });
+});
+
+describe('Expiring holds', () => {
+    test('should cancel holds that ran out and pass their time on', async () => {
+        const stale = { ...offered, holdExpiresAt: NOW - 60000 };
+        mockTables({
+            offers: [stale, { ...stale, entryId: 'wait_gone', appointmentId: 'appt_gone' }],
+            appointments: [held],
+            queue: [{ ...entry, entryId: 'wait_2' }]
+        });
+
+        expect(await expireWaitlistHolds()).toEqual({ expired: 1, failed: 0 });
+        expect(ScanCommand.mock.calls[0][0]).toMatchObject({
+            TableName: 'waitlist-table',
+            FilterExpression: '#status = :offered AND holdExpiresAt <= :now',
+            ExpressionAttributeValues: { ':offered': 'OFFERED', ':now': NOW }
+        });
+        expect(transactionItems(0)[0].Update.ExpressionAttributeValues[':status']).toBe('EXPIRED');
+        expect(recordAudit).toHaveBeenCalledWith('cancelled', expect.objectContaining({
+            before: held,
+            principal: expect.objectContaining({ principalId: 'system:waitlist' })
+        }));
+        expect(transactionItems(1)[0].Update.Key).toEqual({ entryId: 'wait_2' });
+    });
+
+    test('should carry on after a failing entry', async () => {
+        mockTables({ offers: [offered, { ...offered, entryId: 'wait_2' }], appointments: [held] });
+        const send = DynamoDBDocumentClient.send.getMockImplementation();
+        DynamoDBDocumentClient.send.mockImplementation(async (command) => {
+            if (command instanceof TransactWriteCommand && TransactWriteCommand.mock.calls.length === 1) {
+                throw new Error('DynamoDB error');
+            }
+            return send(command);
+        });
+        expect(await expireWaitlistHolds()).toEqual({ expired: 1, failed: 1 });
+    });
+});
+
+describe('Waitlist errors', () => {
+    test.each([
+        ['listWaitlist', listWaitlist, { queryStringParameters: { location: 'Farrish Subaru' } }, 'Could not list the waitlist'],
+        ['getWaitlistEntry', getWaitlistEntry, { pathParameters: { id: 'wait_1' } }, 'Could not fetch the waitlist entry'],
+        ['leaveWaitlist', leaveWaitlist, { pathParameters: { id: 'wait_1' } }, 'Could not leave the waitlist'],
+        ['acceptWaitlistOffer', acceptWaitlistOffer, { pathParameters: { id: 'wait_1' } }, 'Could not accept the waitlist offer']
+    ])('%s should answer 500 when DynamoDB fails', async (name, handler, fields, message) => {
+        DynamoDBDocumentClient.send.mockRejectedValue(new Error('DynamoDB error'));
+        const response = await handler(apiEvent(fields));
+        expect(response.statusCode).toBe(500);
+        expect(JSON.parse(response.body)).toEqual({ message, error: 'DynamoDB error' });
+    });
+
+    test('should require authorization', async () => {
+        const response = await listWaitlist({ headers: {}, queryStringParameters: { location: 'Farrish Subaru' } });
+        expect(response.statusCode).toBe(401);
+    });
+});
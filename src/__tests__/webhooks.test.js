@@ -0,0 +1,417 @@
+const http = require('http');
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+// These tests run the handlers against the in-memory tables and deliver to a real HTTP server, so the
+// storage has to be chosen before the handlers load
+require('../localServer').useLocalEnvironment();
+process.env.API_KEY = 'test-api-key';
+
+const {
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    deleteWebhook,
+    listWebhookDeliveries,
+    retryWebhookDelivery,
+    deliverWebhooks,
+    enqueueAppointmentEvent,
+    signPayload,
+    getRetryDelay,
+    MAX_ATTEMPTS
+} = require('../webhooks');
+const { appointmentScheduler, updateAppointment, deleteAppointment } = require('../handler');
+const { putService } = require('../catalog');
+const { dynamoDb } = require('../db');
+const { getZonedParts, zonedTimeToUtc } = require('../timezone');
+
+const adminHeaders = { authorization: 'Bearer test-api-key' };
+
+// Answers every request with the status it is given, and keeps what it was sent
+const receiver = {
+    server: null,
+    url: null,
+    status: 200,
+    requests: []
+};
+
+beforeAll(async () => {
+    receiver.server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            receiver.requests.push({ method: request.method, headers: request.headers, body });
+            response.writeHead(receiver.status, { 'Content-Type': 'text/plain' });
+            response.end(receiver.status < 300 ? 'ok' : 'receiver is down');
+        });
+    });
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+
+    await putService({
+        headers: adminHeaders,
+        pathParameters: { id: 'oil-change' },
+        body: JSON.stringify({ name: 'Oil Change', durationMinutes: 30 })
+    });
+});
+
+afterAll(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+});
+
+beforeEach(async () => {
+    receiver.status = 200;
+    receiver.requests = [];
+    // Subscriptions from earlier tests would be sent these tests' events too
+    const { items } = JSON.parse((await listWebhooks({ headers: adminHeaders })).body);
+    for (const webhook of items) {
+        await deleteWebhook({ headers: adminHeaders, pathParameters: { id: webhook.webhookId } });
+    }
+});
+
+// A time on a future day in New York, where locations without their own hours are open 9 AM to 7 PM.
+// Each booking gets its own day, so they never compete for a bay.
+let daysAhead = 1;
+const nextBookingTime = () => {
+    const day = getZonedParts(new Date(Date.now() + daysAhead++ * 24 * 60 * 60000), 'America/New_York').date;
+    return zonedTimeToUtc(day, 14 * 60, 'America/New_York').toISOString().split('.')[0] + 'Z';
+};
+
+const subscribe = async (body) => {
+    const response = await createWebhook({ headers: adminHeaders, body: JSON.stringify(body) });
+    expect(response.statusCode).toBe(200);
+    return JSON.parse(response.body);
+};
+
+const book = async () => {
+    const response = await appointmentScheduler({
+        headers: adminHeaders,
+        body: JSON.stringify({
+            fullName: 'Dana Whitfield',
+            location: 'Farrish Subaru',
+            appointmentTime: nextBookingTime(),
+            car: 'Subaru Outback',
+            services: ['oil-change']
+        })
+    });
+    expect(response.statusCode).toBe(200);
+    return JSON.parse(response.body);
+};
+
+const getDeliveries = async (webhookId, query) => {
+    const response = await listWebhookDeliveries({ headers: adminHeaders, pathParameters: { id: webhookId }, queryStringParameters: query });
+    expect(response.statusCode).toBe(200);
+    return JSON.parse(response.body).items;
+};
+
+const getDelivery = async (deliveryId) => (await dynamoDb.send(new GetCommand({
+    TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+    Key: { deliveryId }
+}))).Item;
+
+// Brings a delivery's backoff to an end, as if the time had passed
+const makeDue = (deliveryId) => dynamoDb.send(new UpdateCommand({
+    TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+    Key: { deliveryId },
+    UpdateExpression: 'SET nextAttemptAt = :now',
+    ExpressionAttributeValues: { ':now': Date.now() }
+}));
+
+describe('subscriptions', () => {
+    test('should create a subscription and show its secret only once', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'], description: ' CRM sync ' });
+        expect(webhook).toEqual({
+            webhookId: expect.stringMatching(/^whk_/),
+            url: receiver.url,
+            events: ['appointment.created'],
+            description: 'CRM sync',
+            secret: expect.stringMatching(/^whsec_[\w-]{32}$/),
+            createdAt: expect.any(Number),
+            createdBy: 'root'
+        });
+
+        const fetched = await getWebhook({ headers: adminHeaders, pathParameters: { id: webhook.webhookId } });
+        expect(fetched.statusCode).toBe(200);
+        expect(JSON.parse(fetched.body)).not.toHaveProperty('secret');
+
+        const listed = JSON.parse((await listWebhooks({ headers: adminHeaders })).body).items;
+        expect(listed).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+    });
+
+    test('should reject invalid subscriptions with every problem', async () => {
+        const response = await createWebhook({
+            headers: adminHeaders,
+            body: JSON.stringify({ url: 'http://crm.example.com/hooks', events: ['appointment.created', 'appointment.moved'] })
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors.map(error => error.field)).toEqual(['url', 'events[1]']);
+
+        const empty = await createWebhook({ headers: adminHeaders, body: JSON.stringify({ url: 'not a url', events: [] }) });
+        expect(JSON.parse(empty.body).errors.map(error => error.message)).toEqual([
+            'url must be an absolute URL',
+            'events cannot be empty'
+        ]);
+    });
+
+    test('should accept https URLs anywhere and http ones on this machine', async () => {
+        await subscribe({ url: 'https://crm.example.com/hooks', events: ['appointment.cancelled'] });
+        await subscribe({ url: 'http://localhost:8080/hooks', events: ['appointment.cancelled'] });
+    });
+
+    test('should only be managed with a global admin key', async () => {
+        expect((await createWebhook({ headers: {}, body: '{}' })).statusCode).toBe(401);
+        expect((await listWebhooks({ headers: { authorization: 'Bearer wrong-key' } })).statusCode).toBe(403);
+    });
+
+    test('should delete subscriptions and report unknown ones', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        const deleted = await deleteWebhook({ headers: adminHeaders, pathParameters: { id: webhook.webhookId } });
+        expect(deleted.statusCode).toBe(200);
+
+        expect((await getWebhook({ headers: adminHeaders, pathParameters: { id: webhook.webhookId } })).statusCode).toBe(404);
+        expect((await deleteWebhook({ headers: adminHeaders, pathParameters: { id: webhook.webhookId } })).statusCode).toBe(404);
+        expect((await getWebhook({ headers: adminHeaders, pathParameters: {} })).statusCode).toBe(400);
+    });
+});
+
+describe('delivery', () => {
+    test('should POST a signed event for each subscribed change', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created', 'appointment.cancelled'] });
+        const appointment = await book();
+
+        expect(await deliverWebhooks()).toEqual({ delivered: 1, retrying: 0, deadLettered: 0, discarded: 0, failed: 0 });
+        expect(receiver.requests).toHaveLength(1);
+
+        const [request] = receiver.requests;
+        const payload = JSON.parse(request.body);
+        expect(payload).toEqual({
+            id: expect.stringMatching(/^evt_/),
+            type: 'appointment.created',
+            createdAt: expect.any(String),
+            data: {
+                appointment: expect.objectContaining({ appointmentId: appointment.appointmentId, status: 'SCHEDULED' }),
+                changes: expect.objectContaining({ appointmentId: { before: null, after: appointment.appointmentId } })
+            }
+        });
+        expect(request.headers).toMatchObject({
+            'content-type': 'application/json',
+            'x-webhook-event': 'appointment.created',
+            'x-webhook-id': expect.stringMatching(/^dlv_/)
+        });
+
+        // What a receiver does to check the signature
+        const [, timestamp, signature] = request.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        expect(signature).toBe(signPayload(webhook.secret, timestamp, request.body));
+        expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(60);
+
+        const [delivery] = await getDeliveries(webhook.webhookId);
+        expect(delivery).toMatchObject({
+            deliveryId: request.headers['x-webhook-id'],
+            eventId: payload.id,
+            event: 'appointment.created',
+            appointmentId: appointment.appointmentId,
+            status: 'DELIVERED',
+            attempts: 1,
+            attemptLog: [{ attempt: 1, statusCode: 200, response: 'ok', attemptedAt: expect.any(Number), durationMs: expect.any(Number) }]
+        });
+        expect(delivery).not.toHaveProperty('payload');
+        expect(delivery).not.toHaveProperty('nextAttemptAt');
+
+        // Nothing is sent twice
+        expect(await deliverWebhooks()).toEqual({ delivered: 0, retrying: 0, deadLettered: 0, discarded: 0, failed: 0 });
+    });
+
+    test('should send updates and cancellations to the subscriptions that want them', async () => {
+        const updates = await subscribe({ url: receiver.url, events: ['appointment.updated'] });
+        const cancellations = await subscribe({ url: receiver.url, events: ['appointment.cancelled', 'appointment.deleted'] });
+        const appointment = await book();
+
+        const updated = await updateAppointment({
+            headers: adminHeaders,
+            pathParameters: { id: appointment.appointmentId },
+            body: JSON.stringify({ car: 'Subaru Forester' })
+        });
+        expect(updated.statusCode).toBe(200);
+        const deleted = await deleteAppointment({ headers: adminHeaders, pathParameters: { id: appointment.appointmentId } });
+        expect(deleted.statusCode).toBe(200);
+
+        await deliverWebhooks();
+        const sent = receiver.requests.map(request => JSON.parse(request.body));
+        expect(sent.map(payload => payload.type).sort()).toEqual(['appointment.cancelled', 'appointment.updated']);
+        expect(sent.find(payload => payload.type === 'appointment.updated').data.changes.vehicleDetails)
+            .toEqual({ before: 'Subaru Outback', after: 'Subaru Forester' });
+        expect(sent.find(payload => payload.type === 'appointment.cancelled').data.appointment.status).toBe('CANCELLED');
+
+        expect((await getDeliveries(updates.webhookId)).map(delivery => delivery.event)).toEqual(['appointment.updated']);
+        expect((await getDeliveries(cancellations.webhookId)).map(delivery => delivery.event)).toEqual(['appointment.cancelled']);
+    });
+
+    test('should queue nothing when nobody is subscribed', async () => {
+        await subscribe({ url: receiver.url, events: ['appointment.cancelled'] });
+        expect(await enqueueAppointmentEvent('created', { appointmentId: 'appt_1' })).toEqual([]);
+        await book();
+        expect(await deliverWebhooks()).toMatchObject({ delivered: 0 });
+        expect(receiver.requests).toHaveLength(0);
+    });
+
+    test('should queue changes on any instance for the subscriptions another instance created and deleted', async () => {
+        // A second Lambda instance: its own copy of the module, past the conformance wrapper, on the same tables
+        let otherInstance;
+        jest.isolateModules(() => {
+            jest.doMock('../db', () => ({ dynamoDb }));
+            otherInstance = jest.requireActual('../webhooks');
+        });
+        jest.dontMock('../db');
+        expect(otherInstance).not.toBe(require('../webhooks'));
+        expect(await otherInstance.enqueueAppointmentEvent('created', { appointmentId: 'appt_1' })).toEqual([]);
+
+        const subscription = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        const queued = await otherInstance.enqueueAppointmentEvent('created', { appointmentId: 'appt_2' });
+        expect(queued.map(delivery => delivery.webhookId)).toEqual([subscription.webhookId]);
+
+        await deleteWebhook({ headers: adminHeaders, pathParameters: { id: subscription.webhookId } });
+        expect(await otherInstance.enqueueAppointmentEvent('created', { appointmentId: 'appt_3' })).toEqual([]);
+    });
+
+    test('should retry failures with exponential backoff', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        await book();
+        receiver.status = 503;
+
+        expect(await deliverWebhooks()).toMatchObject({ delivered: 0, retrying: 1 });
+        let [delivery] = await getDeliveries(webhook.webhookId);
+        const [first] = delivery.attemptLog;
+        expect(delivery).toMatchObject({ status: 'PENDING', attempts: 1 });
+        expect(first).toMatchObject({ attempt: 1, statusCode: 503, response: 'receiver is down' });
+        expect(delivery.nextAttemptAt - first.attemptedAt).toBeGreaterThanOrEqual(getRetryDelay(1));
+        expect(delivery.nextAttemptAt - first.attemptedAt).toBeLessThan(getRetryDelay(1) + 1000);
+
+        // Not due yet
+        expect(await deliverWebhooks()).toMatchObject({ retrying: 0 });
+        expect(receiver.requests).toHaveLength(1);
+
+        await makeDue(delivery.deliveryId);
+        expect(await deliverWebhooks()).toMatchObject({ retrying: 1 });
+        delivery = await getDelivery(delivery.deliveryId);
+        expect(delivery.nextAttemptAt - delivery.attemptLog[1].attemptedAt).toBeGreaterThanOrEqual(getRetryDelay(2));
+
+        receiver.status = 204;
+        await makeDue(delivery.deliveryId);
+        expect(await deliverWebhooks()).toMatchObject({ delivered: 1 });
+        delivery = await getDelivery(delivery.deliveryId);
+        expect(delivery.status).toBe('DELIVERED');
+        expect(delivery.attemptLog.map(attempt => attempt.statusCode)).toEqual([503, 503, 204]);
+        // Every attempt carried the same event
+        expect(new Set(receiver.requests.map(request => request.body)).size).toBe(1);
+    });
+
+    test('should double the wait after each failure, up to six hours', () => {
+        expect([1, 2, 3, 8].map(getRetryDelay)).toEqual([60000, 120000, 240000, 7680000]);
+        expect(getRetryDelay(20)).toBe(6 * 60 * 60 * 1000);
+    });
+
+    test('should dead-letter a delivery after its last attempt, and retry it on request', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        await book();
+        receiver.status = 500;
+
+        let [delivery] = await getDeliveries(webhook.webhookId);
+        for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+            await makeDue(delivery.deliveryId);
+            expect(await deliverWebhooks()).toMatchObject({ retrying: 1 });
+        }
+        await makeDue(delivery.deliveryId);
+        expect(await deliverWebhooks()).toMatchObject({ retrying: 0, deadLettered: 1 });
+
+        delivery = await getDelivery(delivery.deliveryId);
+        expect(delivery).toMatchObject({ status: 'DEAD_LETTER', attempts: MAX_ATTEMPTS });
+        expect(delivery.attemptLog).toHaveLength(MAX_ATTEMPTS);
+        expect(delivery).not.toHaveProperty('nextAttemptAt');
+        expect(await getDeliveries(webhook.webhookId, { status: 'DEAD_LETTER' })).toHaveLength(1);
+        expect(await getDeliveries(webhook.webhookId, { status: 'DELIVERED' })).toHaveLength(0);
+
+        const retryEvent = { headers: adminHeaders, pathParameters: { id: webhook.webhookId, deliveryId: delivery.deliveryId } };
+        const retried = await retryWebhookDelivery(retryEvent);
+        expect(retried.statusCode).toBe(200);
+        expect(JSON.parse(retried.body)).toMatchObject({ status: 'PENDING', attempts: 0 });
+
+        receiver.status = 200;
+        expect(await deliverWebhooks()).toMatchObject({ delivered: 1 });
+        delivery = await getDelivery(delivery.deliveryId);
+        expect(delivery).toMatchObject({ status: 'DELIVERED', attempts: 1 });
+        expect(delivery.attemptLog).toHaveLength(MAX_ATTEMPTS + 1);
+
+        const again = await retryWebhookDelivery(retryEvent);
+        expect(again.statusCode).toBe(409);
+        expect(JSON.parse(again.body).message).toBe('Webhook delivery is DELIVERED, only DEAD_LETTER deliveries can be retried');
+    });
+
+    test('should log receivers that do not answer', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${closed.address().port}/hooks`;
+        await new Promise(resolve => closed.close(resolve));
+
+        const webhook = await subscribe({ url, events: ['appointment.created'] });
+        await book();
+        expect(await deliverWebhooks()).toMatchObject({ retrying: 1 });
+
+        const [delivery] = await getDeliveries(webhook.webhookId);
+        expect(delivery.attemptLog[0]).toMatchObject({ statusCode: null, error: expect.any(String) });
+    });
+
+    test('should discard deliveries for deleted subscriptions', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        await book();
+        const [delivery] = await getDeliveries(webhook.webhookId);
+        await deleteWebhook({ headers: adminHeaders, pathParameters: { id: webhook.webhookId } });
+
+        expect(await deliverWebhooks()).toMatchObject({ delivered: 0, discarded: 1 });
+        expect(receiver.requests).toHaveLength(0);
+        expect((await getDelivery(delivery.deliveryId)).status).toBe('DISCARDED');
+    });
+
+    test('should leave a delivery another run has claimed', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        await book();
+        const [delivery] = await getDeliveries(webhook.webhookId);
+
+        const [first, second] = await Promise.all([deliverWebhooks(), deliverWebhooks()]);
+        expect(first.delivered + second.delivered).toBe(1);
+        expect(receiver.requests).toHaveLength(1);
+        expect((await getDelivery(delivery.deliveryId)).attempts).toBe(1);
+    });
+});
+
+describe('delivery log', () => {
+    test('should list deliveries newest first, up to the limit', async () => {
+        const webhook = await subscribe({ url: receiver.url, events: ['appointment.created'] });
+        const booked = [];
+        for (let count = 0; count < 3; count++) {
+            booked.push((await book()).appointmentId);
+            // createdAt is in milliseconds; keep the three apart
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        expect((await getDeliveries(webhook.webhookId)).map(delivery => delivery.appointmentId)).toEqual(booked.reverse());
+        expect(await getDeliveries(webhook.webhookId, { limit: '2' })).toHaveLength(2);
+    });
+
+    test('should reject unknown statuses, bad limits and unknown subscriptions', async () => {
+        const response = await listWebhookDeliveries({
+            headers: adminHeaders,
+            pathParameters: { id: 'whk_missing' },
+            queryStringParameters: { status: 'SENT', limit: '500' }
+        });
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).errors.map(error => error.field)).toEqual(['status', 'limit']);
+
+        const missing = await listWebhookDeliveries({ headers: adminHeaders, pathParameters: { id: 'whk_missing' } });
+        expect(missing.statusCode).toBe(404);
+
+        const retry = await retryWebhookDelivery({ headers: adminHeaders, pathParameters: { id: 'whk_missing', deliveryId: 'dlv_missing' } });
+        expect(retry.statusCode).toBe(404);
+        expect((await retryWebhookDelivery({ headers: adminHeaders, pathParameters: { id: 'whk_missing' } })).statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,235 @@
+'use strict';
+const { randomBytes } = require('crypto');
+const { PutCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { SCOPES, hashApiKey, authorize, checkGlobalAccess } = require('./auth');
+const { validate, validationError, parseBody } = require('./validation');
+const { RATE_LIMITS_SCHEMA, checkRateLimitRoutes } = require('./rateLimits');
+
+const MAX_NAME_LENGTH = 100;
+
+// Fields returned to admins; the key hash never leaves the table
+const toPublicKey = ({ keyHash, ...apiKey }) => apiKey;
+
+// POST /api-keys
+const API_KEY_SCHEMA = {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+        scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: SCOPES } },
+        // Omitted or null for every location
+        locations: { type: ['array', 'null'], minItems: 1, items: { type: 'string', minLength: 1 } },
+        expiresAt: { type: ['string', 'null'], format: 'date-time' },
+        // Omitted or null for the limits in RATE_LIMITS; see rateLimits.js
+        rateLimits: { ...RATE_LIMITS_SCHEMA, type: ['object', 'null'] },
+        // Appointments the key may book per UTC day; omitted or null for no quota
+        dailyBookingQuota: { type: ['integer', 'null'], minimum: 1 }
+    }
+};
+
+// Validates an API key request body. An invalid result carries the { field, code, message } errors.
+const validateApiKeyRequest = (body) => {
+    const errors = validate(body, API_KEY_SCHEMA);
+    if (body && errors.every(error => !error.field.startsWith('rateLimits'))) {
+        errors.push(...checkRateLimitRoutes(body.rateLimits, 'rateLimits'));
+    }
+    // The schema only knows the format; a key that would already be expired is checked here
+    const requestedExpiry = body && body.expiresAt;
+    if (typeof requestedExpiry === 'string' && errors.every(error => error.field !== 'expiresAt') && new Date(requestedExpiry) <= new Date()) {
+        errors.push({ field: 'expiresAt', code: 'too_small', message: 'expiresAt must be in the future' });
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const { name, scopes, locations, expiresAt, rateLimits, dailyBookingQuota } = body;
+    return {
+        valid: true,
+        apiKey: {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            locations: locations ? [...new Set(locations)] : null,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            rateLimits: rateLimits || null,
+            dailyBookingQuota: dailyBookingQuota || null
+        }
+    };
+};
+
+module.exports.API_KEY_SCHEMA = API_KEY_SCHEMA;
+module.exports.validateApiKeyRequest = validateApiKeyRequest;
+
+module.exports.createApiKey = async (event) => {
+    console.log('🔄 [START] Processing API key creation request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        // A key restricted to some locations could otherwise issue itself an unrestricted one
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const parsed = parseBody(event);
+        if (parsed.error) {
+            return parsed.error;
+        }
+        const validation = validateApiKeyRequest(parsed.body);
+        if (!validation.valid) {
+            return validationError(validation.errors);
+        }
+
+        const keyId = `key_${randomBytes(8).toString('hex')}`;
+        const secret = `${keyId}.${randomBytes(24).toString('base64url')}`;
+        const apiKey = {
+            keyId,
+            ...validation.apiKey,
+            keyHash: hashApiKey(secret),
+            revoked: false,
+            createdAt: new Date().getTime(),
+            createdBy: auth.principal.principalId
+        };
+
+        await dynamoDb.send(new PutCommand({
+            TableName: process.env.API_KEYS_TABLE,
+            Item: apiKey,
+            ConditionExpression: 'attribute_not_exists(keyId)'
+        }));
+
+        // Only the hash is stored, so this response is the one chance to read the key
+        console.log('✅ [200] API key created:', keyId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                ...toPublicKey(apiKey),
+                apiKey: secret
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error creating API key:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not create the API key',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.listApiKeys = async (event) => {
+    console.log('🔄 [START] Processing API key listing request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const items = [];
+        let exclusiveStartKey;
+        do {
+            const result = await dynamoDb.send(new ScanCommand({
+                TableName: process.env.API_KEYS_TABLE,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            items.push(...(result.Items || []).map(toPublicKey));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        console.log('✅ [200] API keys listed:', items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing API keys:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list API keys',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.revokeApiKey = async (event) => {
+    console.log('🔄 [START] Processing API key revocation request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const keyId = (event.pathParameters || {}).id;
+        if (!keyId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'API key ID is required'
+                })
+            };
+        }
+
+        // Revoked keys are kept so their history stays readable
+        let result;
+        try {
+            result = await dynamoDb.send(new UpdateCommand({
+                TableName: process.env.API_KEYS_TABLE,
+                Key: {
+                    keyId: keyId
+                },
+                UpdateExpression: 'SET revoked = :revoked, revokedAt = :revokedAt, revokedBy = :revokedBy',
+                ConditionExpression: 'attribute_exists(keyId)',
+                ExpressionAttributeValues: {
+                    ':revoked': true,
+                    ':revokedAt': new Date().getTime(),
+                    ':revokedBy': auth.principal.principalId
+                },
+                ReturnValues: 'ALL_NEW'
+            }));
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                console.log('🔍 [404] API key not found:', keyId);
+                return {
+                    statusCode: 404,
+                    body: JSON.stringify({
+                        message: 'API key not found'
+                    })
+                };
+            }
+            throw error;
+        }
+
+        console.log('✅ [200] API key revoked:', keyId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify(toPublicKey(result.Attributes))
+        };
+    } catch (error) {
+        console.error('❌ [500] Error revoking API key:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not revoke the API key',
+                error: error.message
+            })
+        };
+    }
+};
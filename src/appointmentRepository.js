@@ -0,0 +1,156 @@
+'use strict';
+const { GetCommand, QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+
+// Reads of the appointments table, by what the handlers look appointments up by. Writes stay with the
+// handlers and reservations.js, since they share transactions with slot counters and customers.
+//
+// A repository runs against a document client: DynamoDB's, or the local store's (see localStore.js),
+// which keeps the same indexes, so both answer the same location and time range queries.
+
+// Appointment times are stored in UTC to the second, such as 2027-04-27T15:30:00Z, whatever offset they
+// were sent with. The *Time indexes sort them as strings, which only puts them in time order in one form.
+const toUtcDateTime = (time) => new Date(time).toISOString().split('.')[0] + 'Z';
+
+// Adds the time range to a key condition on one of the *Time indexes. start and end are Dates.
+const addTimeRange = (keyCondition, values, start, end) => {
+    // Stored times are whole seconds, so a start part way through a second begins at the next one
+    if (start) {
+        values[':start'] = toUtcDateTime(Math.ceil(start.getTime() / 1000) * 1000);
+    }
+    if (end) {
+        values[':end'] = toUtcDateTime(end);
+    }
+    if (start && end) {
+        return `${keyCondition} AND appointmentDateTime BETWEEN :start AND :end`;
+    }
+    if (start) {
+        return `${keyCondition} AND appointmentDateTime >= :start`;
+    }
+    return end ? `${keyCondition} AND appointmentDateTime <= :end` : keyCondition;
+};
+
+const createAppointmentRepository = (client) => {
+    // Every match, following LastEvaluatedKey, oldest first
+    const queryAll = async (indexName, keyCondition, values) => {
+        const items = [];
+        let exclusiveStartKey;
+        do {
+            const result = await client.send(new QueryCommand({
+                TableName: process.env.APPOINTMENTS_TABLE,
+                IndexName: indexName,
+                KeyConditionExpression: keyCondition,
+                ExpressionAttributeValues: values,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            items.push(...(result.Items || []));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return items;
+    };
+
+    const getById = async (appointmentId) => {
+        const result = await client.send(new GetCommand({
+            TableName: process.env.APPOINTMENTS_TABLE,
+            Key: {
+                appointmentId: appointmentId
+            }
+        }));
+        return result.Item || null;
+    };
+
+    // A location's appointments starting in [start, end]; either end of the range may be left open
+    const listByLocation = (locationId, { start, end } = {}) => {
+        const values = { ':loc': locationId };
+        return queryAll('locationTime', addTimeRange('locationId = :loc', values, start, end), values);
+    };
+
+    const listByCustomer = (customerId) => queryAll('customerTime', 'customerId = :customerId', { ':customerId': customerId });
+
+    const listBySeries = (seriesId) => queryAll('seriesTime', 'seriesId = :seriesId', { ':seriesId': seriesId });
+
+    // The IDs of the locations with appointments starting in [start, end], sorted. No index has every
+    // location's times, so this reads the whole table: it is for reports, not for requests that book.
+    const listLocationIds = async ({ start, end }) => {
+        const values = {};
+        const condition = addTimeRange('attribute_exists(locationId)', values, start, end);
+        const locationIds = new Set();
+        let exclusiveStartKey;
+        do {
+            const result = await client.send(new ScanCommand({
+                TableName: process.env.APPOINTMENTS_TABLE,
+                ProjectionExpression: 'locationId',
+                FilterExpression: condition,
+                ExpressionAttributeValues: values,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            (result.Items || []).forEach(item => locationIds.add(item.locationId));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+        return [...locationIds].sort();
+    };
+
+    // One page of a location's appointments, or with a VIN one vehicle's at every location through the
+    // vinTime index. locationId then narrows to one location and locations to the ones a key may see.
+    // vehicle matches structured vehicle fields exactly; appointments booked with a plain car string have none.
+    // Filters run after limit, so filtered pages may be short. Resolves to { items, lastEvaluatedKey }.
+    const queryPage = async ({ locationId, vin, start, end, locations, vehicle = {}, customerId, limit, exclusiveStartKey }) => {
+        let keyCondition = vin ? 'vin = :vin' : 'locationId = :loc';
+        const values = vin ? { ':vin': vin.toUpperCase() } : { ':loc': locationId };
+        const names = {};
+        const filters = [];
+        if (vin && locationId) {
+            filters.push('locationId = :loc');
+            values[':loc'] = locationId;
+        } else if (vin && locations) {
+            const allowed = locations.map((allowedLocation, index) => {
+                values[`:allowed${index}`] = allowedLocation;
+                return `:allowed${index}`;
+            });
+            filters.push(`locationId IN (${allowed.join(', ')})`);
+        }
+
+        Object.entries(vehicle).filter(([, value]) => value !== undefined).forEach(([field, value]) => {
+            names['#vehicle'] = 'vehicle';
+            names[`#${field}`] = field;
+            values[`:${field}`] = value;
+            filters.push(`#vehicle.#${field} = :${field}`);
+        });
+
+        keyCondition = addTimeRange(keyCondition, values, start, end);
+
+        if (customerId) {
+            filters.push('customerId = :customerId');
+            values[':customerId'] = customerId;
+        }
+
+        const result = await client.send(new QueryCommand({
+            TableName: process.env.APPOINTMENTS_TABLE,
+            IndexName: vin ? 'vinTime' : 'locationTime',
+            KeyConditionExpression: keyCondition,
+            FilterExpression: filters.length > 0 ? filters.join(' AND ') : undefined,
+            ExpressionAttributeNames: Object.keys(names).length > 0 ? names : undefined,
+            ExpressionAttributeValues: values,
+            Limit: limit,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        return {
+            items: result.Items || [],
+            lastEvaluatedKey: result.LastEvaluatedKey
+        };
+    };
+
+    return {
+        getById,
+        listByLocation,
+        listByCustomer,
+        listBySeries,
+        listLocationIds,
+        queryPage
+    };
+};
+
+// The repository the handlers use, on the client db.js picked
+const appointmentRepository = createAppointmentRepository(dynamoDb);
+
+module.exports = { toUtcDateTime, createAppointmentRepository, appointmentRepository };
@@ -0,0 +1,160 @@
+'use strict';
+const { randomUUID } = require('crypto');
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { appointmentRepository } = require('./appointmentRepository');
+const { authorize, checkAppointmentAccess } = require('./auth');
+const { getHeader } = require('./idempotency');
+const { enqueueAppointmentEvent } = require('./webhooks');
+
+// An append-only record of every change to an appointment: who made it, through which request, and
+// what each attribute was before and after. Entries are only ever put, never updated or deleted.
+const AUDIT_ACTIONS = ['created', 'updated', 'status_changed', 'cancelled'];
+
+// Touched by every write, so it would only add noise to each diff
+const IGNORED_ATTRIBUTES = ['updatedAt'];
+
+// Acts for changes nobody asked for directly, such as the waitlist offering a freed slot
+const systemPrincipal = (name) => ({
+    principalId: `system:${name}`,
+    name,
+    type: 'system'
+});
+
+// Who made a change: the API key's name or the token's subject, with the ID it is known by
+const getActor = (principal) => ({
+    principalId: principal.principalId,
+    name: principal.name,
+    type: principal.type
+});
+
+// API Gateway's request ID, or one the caller sent when invoked some other way
+const getRequestId = (event) => {
+    if (!event) {
+        return null;
+    }
+    return (event.requestContext && event.requestContext.requestId) || getHeader(event, 'x-request-id') || null;
+};
+
+// { attribute: { before, after } } for every attribute that was added, removed or changed.
+// Missing attributes are shown as null.
+const diffAppointments = (before, after) => {
+    const attributes = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+        .filter(attribute => !IGNORED_ATTRIBUTES.includes(attribute))
+        .sort();
+    return attributes.reduce((changes, attribute) => {
+        const from = before && before[attribute] !== undefined ? before[attribute] : null;
+        const to = after && after[attribute] !== undefined ? after[attribute] : null;
+        return JSON.stringify(from) === JSON.stringify(to) ? changes : { ...changes, [attribute]: { before: from, after: to } };
+    }, {});
+};
+
+// Appends an entry for a change that has been saved, and queues it for the webhooks subscribed to it.
+// Like notifications, a failure is logged with the whole entry and never fails the request, since the
+// change it describes has already happened. Resolves to the entry.
+const recordAudit = async (action, { before = null, after = null, principal, event = null }) => {
+    const recordedAt = new Date();
+    const entry = {
+        appointmentId: (after || before).appointmentId,
+        // Sorts by time, with the random part keeping entries from the same millisecond apart
+        auditId: `${recordedAt.toISOString()}#${randomUUID()}`,
+        action,
+        actor: getActor(principal),
+        requestId: getRequestId(event),
+        recordedAt: recordedAt.getTime(),
+        changes: diffAppointments(before, after)
+    };
+
+    try {
+        await dynamoDb.send(new PutCommand({
+            TableName: process.env.AUDIT_TABLE,
+            Item: entry,
+            ConditionExpression: 'attribute_not_exists(auditId)'
+        }));
+    } catch (error) {
+        console.error('❌ Could not write the audit entry:', { message: error.message, entry: JSON.stringify(entry) });
+    }
+    await enqueueAppointmentEvent(action, after || before, entry.changes);
+    return entry;
+};
+
+// Every entry for an appointment, oldest first
+const getAuditEntries = async (appointmentId) => {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new QueryCommand({
+            TableName: process.env.AUDIT_TABLE,
+            KeyConditionExpression: 'appointmentId = :appointmentId',
+            ExpressionAttributeValues: {
+                ':appointmentId': appointmentId
+            },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+};
+
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.systemPrincipal = systemPrincipal;
+module.exports.diffAppointments = diffAppointments;
+module.exports.recordAudit = recordAudit;
+
+module.exports.getAppointmentHistory = async (event) => {
+    console.log('🔄 [START] Processing appointment history request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const appointmentId = (event.pathParameters || {}).id;
+        if (!appointmentId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Appointment ID is required'
+                })
+            };
+        }
+
+        // Appointments are never deleted, only cancelled, so every audited appointment can still be found
+        const appointment = await appointmentRepository.getById(appointmentId);
+        if (!appointment) {
+            console.log('🔍 [404] Appointment not found:', appointmentId);
+            return {
+                statusCode: 404,
+                body: JSON.stringify({
+                    message: 'Appointment not found'
+                })
+            };
+        }
+
+        const accessError = checkAppointmentAccess(auth.principal, appointment);
+        if (accessError) {
+            return accessError;
+        }
+
+        const items = await getAuditEntries(appointmentId);
+        console.log('✅ [200] Appointment history found:', items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                appointmentId,
+                items
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching appointment history:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the appointment history',
+                error: error.message
+            })
+        };
+    }
+};
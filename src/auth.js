@@ -0,0 +1,243 @@
+'use strict';
+const { createHash, timingSafeEqual } = require('crypto');
+const { GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { isJwt, verifyJwt } = require('./jwt');
+const { checkRateLimit } = require('./rateLimits');
+
+// admin includes every other scope
+const SCOPES = ['read', 'book', 'cancel', 'admin'];
+
+// Issued keys look like "key_0123456789abcdef.<secret>"; the part before the dot is the key ID
+const KEY_ID_PATTERN = /^key_[0-9a-f]{16}$/;
+
+// The API_KEY environment variable, when set, is a root key with every scope, e.g. to issue the first keys
+const ROOT_KEY = {
+    keyId: 'root',
+    name: 'root',
+    scopes: ['admin'],
+    locations: null
+};
+
+// Scopes granted to staff tokens by their role claim
+const STAFF_ROLE_SCOPES = {
+    staff: ['read', 'book', 'cancel'],
+    admin: ['admin']
+};
+
+// Customers may only look at and cancel their own appointments
+const CUSTOMER_SCOPES = ['read', 'cancel'];
+
+const hashApiKey = (apiKey) => createHash('sha256').update(apiKey).digest('hex');
+
+// Compares in constant time so response times do not leak how much of a hash matched
+const matchesHash = (token, keyHash) => {
+    const tokenHash = Buffer.from(hashApiKey(token));
+    const storedHash = Buffer.from(keyHash);
+    return tokenHash.length === storedHash.length && timingSafeEqual(tokenHash, storedHash);
+};
+
+const forbidden = (message) => {
+    console.log(`🔐 [403] Authorization failed: ${message}`);
+    return {
+        statusCode: 403,
+        body: JSON.stringify({
+            message: message
+        })
+    };
+};
+
+const isRootKey = (token) => Boolean(process.env.API_KEY) && matchesHash(token, hashApiKey(process.env.API_KEY));
+
+// Looks up the stored key a token belongs to, or null
+const findApiKey = async (token) => {
+    if (isRootKey(token)) {
+        return ROOT_KEY;
+    }
+
+    const keyId = token.split('.')[0];
+    if (!KEY_ID_PATTERN.test(keyId)) {
+        return null;
+    }
+    const result = await dynamoDb.send(new GetCommand({
+        TableName: process.env.API_KEYS_TABLE,
+        Key: {
+            keyId: keyId
+        }
+    }));
+    const stored = result.Item;
+    if (!stored || !matchesHash(token, stored.keyHash)) {
+        return null;
+    }
+    return stored;
+};
+
+// The caller as handlers see it. customerId is only set for customers, who are limited to their own appointments.
+// A key's own rate limits and booking quota come along when it has them (see rateLimits.js).
+const toKeyPrincipal = (apiKey) => ({
+    principalId: apiKey.keyId,
+    name: apiKey.name,
+    type: 'apiKey',
+    scopes: apiKey.scopes,
+    locations: apiKey.locations || null,
+    customerId: null,
+    ...(apiKey.rateLimits && { rateLimits: apiKey.rateLimits }),
+    ...(apiKey.dailyBookingQuota && { dailyBookingQuota: apiKey.dailyBookingQuota })
+});
+
+// Maps verified token claims to a principal: role "customer" for the customer named by sub,
+// or a staff role from STAFF_ROLE_SCOPES with an optional locations claim. Resolves to null for other roles.
+const toTokenPrincipal = (claims) => {
+    if (typeof claims.sub !== 'string' || claims.sub === '') {
+        return null;
+    }
+    if (claims.role === 'customer') {
+        return {
+            principalId: `customer:${claims.sub}`,
+            name: claims.name || claims.sub,
+            type: 'customer',
+            scopes: CUSTOMER_SCOPES,
+            locations: null,
+            customerId: claims.sub
+        };
+    }
+    if (Object.prototype.hasOwnProperty.call(STAFF_ROLE_SCOPES, claims.role)) {
+        return {
+            principalId: `staff:${claims.sub}`,
+            name: claims.name || claims.sub,
+            type: 'staff',
+            scopes: STAFF_ROLE_SCOPES[claims.role],
+            locations: Array.isArray(claims.locations) ? claims.locations : null,
+            customerId: null
+        };
+    }
+    return null;
+};
+
+// Resolves to { principal } for a valid JWT, or { error } with the 403 response
+const authenticateToken = (token) => {
+    const result = verifyJwt(token);
+    if (result.error) {
+        return { error: forbidden(result.error) };
+    }
+    const principal = toTokenPrincipal(result.claims);
+    if (!principal) {
+        return { error: forbidden('Token has no recognised role') };
+    }
+    return { principal };
+};
+
+// Resolves to { principal } for a valid API key, or { error } with the 403 response
+const authenticateApiKey = async (token) => {
+    const apiKey = await findApiKey(token);
+    if (!apiKey) {
+        return { error: forbidden('Invalid API key') };
+    }
+    if (apiKey.revoked) {
+        return { error: forbidden('API key has been revoked') };
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+        return { error: forbidden('API key has expired') };
+    }
+    return { principal: toKeyPrincipal(apiKey) };
+};
+
+const hasScope = (principal, scope) => principal.scopes.includes('admin') || principal.scopes.includes(scope);
+
+// Checks the Bearer token, an API key or a JWT, and that it grants the scope, then counts the request
+// against the caller's rate limit. Resolves to { error } with the 401/403/429 response to return, or to
+// { principal } with the caller for location and ownership checks.
+const authorize = async (event, scope) => {
+    const authHeader = (event.headers || {}).authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        console.log('🔐 [401] Authentication failed: Missing Authorization header');
+        return {
+            error: {
+                statusCode: 401,
+                body: JSON.stringify({
+                    message: 'Missing Authorization header'
+                })
+            }
+        };
+    }
+
+    const token = authHeader.split(' ')[1] || '';
+    const auth = isJwt(token) && !isRootKey(token) ? authenticateToken(token) : await authenticateApiKey(token);
+    if (auth.error) {
+        return auth;
+    }
+
+    const { principal } = auth;
+    if (!hasScope(principal, scope)) {
+        const credential = principal.type === 'apiKey' ? 'API key' : 'Token';
+        return { error: forbidden(`${credential} is missing the ${scope} scope`) };
+    }
+
+    const limited = await checkRateLimit(event, principal);
+    if (limited) {
+        return { error: limited };
+    }
+    return { principal };
+};
+
+const canAccessLocation = (principal, locationId) => !principal.locations || principal.locations.includes(locationId);
+
+// Returns a 403 response when the caller is restricted to other locations, otherwise null
+const checkLocationAccess = (principal, locationId) => {
+    if (canAccessLocation(principal, locationId)) {
+        return null;
+    }
+    const credential = principal.type === 'apiKey' ? 'API key' : 'Token';
+    return forbidden(`${credential} is not allowed for location ${locationId}`);
+};
+
+// Returns a 403 response when the caller may not see the appointment, because of its location or,
+// for customers, because it belongs to someone else. Otherwise null.
+const checkAppointmentAccess = (principal, appointment) => {
+    if (principal.customerId && appointment.customerId !== principal.customerId) {
+        return forbidden('Appointment belongs to another customer');
+    }
+    return checkLocationAccess(principal, appointment.locationId);
+};
+
+// Returns a 403 response when the caller may not see the waitlist entry, on the same terms as appointments
+const checkWaitlistEntryAccess = (principal, entry) => {
+    if (principal.customerId && entry.customerId !== principal.customerId) {
+        return forbidden('Waitlist entry belongs to another customer');
+    }
+    return checkLocationAccess(principal, entry.locationId);
+};
+
+// Returns a 403 response when a customer asks for another customer's profile, otherwise null
+const checkCustomerAccess = (principal, customerId) => {
+    if (principal.customerId && principal.customerId !== customerId) {
+        return forbidden('Customer profile belongs to another customer');
+    }
+    return null;
+};
+
+// Returns a 403 response for customers, otherwise null. For reads across everyone's appointments.
+const checkStaffAccess = (principal) => (principal.customerId ? forbidden('Customers may only see their own appointments') : null);
+
+// Returns a 403 response when the caller is restricted to some locations, otherwise null.
+// Changes that affect every location, like the service catalog, need an unrestricted key.
+const checkGlobalAccess = (principal) => {
+    if (!principal.locations) {
+        return null;
+    }
+    const credential = principal.type === 'apiKey' ? 'API key' : 'Token';
+    return forbidden(`${credential} is restricted to specific locations`);
+};
+
+module.exports = {
+    SCOPES,
+    hashApiKey,
+    authorize,
+    canAccessLocation,
+    checkLocationAccess,
+    checkAppointmentAccess,
+    checkWaitlistEntryAccess,
+    checkCustomerAccess,
+    checkStaffAccess,
+    checkGlobalAccess
+};
@@ -0,0 +1,153 @@
+'use strict';
+const { getServicesByIds } = require('./catalog');
+const { CUSTOMER_SCHEMA, validateCustomer, getCustomerById, buildCustomer } = require('./customers');
+const { VEHICLE_SCHEMA, CAR_SCHEMA } = require('./vehicles');
+const { validationError, fieldError } = require('./validation');
+
+// Validation shared by single bookings (handler.js), recurring series (series.js) and imports (imports.js)
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SERVICES = 20;
+
+// Fields of a booking, shared by the schemas below (see validation.js)
+const BOOKING_FIELDS = {
+    fullName: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+    customerId: { type: 'string', minLength: 1 },
+    customer: CUSTOMER_SCHEMA,
+    location: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+    appointmentTime: { type: 'string', format: 'date-time' },
+    car: CAR_SCHEMA,
+    vehicle: VEHICLE_SCHEMA,
+    // Catalog IDs, which isValidServices looks up
+    services: { type: 'array', minItems: 1, maxItems: MAX_SERVICES, uniqueItems: true, items: { type: 'string', minLength: 1 } }
+};
+
+// POST /appointments. fullName can be left out when the booking names a customer profile, and the
+// vehicle is either structured or, in the legacy form, a plain car string.
+const APPOINTMENT_SCHEMA = {
+    type: 'object',
+    required: ['location', 'appointmentTime', 'services'],
+    allOf: [
+        { anyOf: [{ required: ['fullName'] }, { required: ['customerId'] }, { required: ['customer'] }] },
+        { anyOf: [{ required: ['vehicle'] }, { required: ['car'] }] }
+    ],
+    properties: {
+        ...BOOKING_FIELDS,
+        // true waits for the requested time; a window accepts any time in it
+        waitlist: {
+            type: ['boolean', 'object'],
+            properties: {
+                windowStart: { type: 'string', format: 'date-time' },
+                windowEnd: { type: 'string', format: 'date-time' }
+            }
+        }
+    }
+};
+
+// PATCH /appointments/{id}: any of the editable fields, and the version the caller read
+const APPOINTMENT_UPDATE_SCHEMA = {
+    type: 'object',
+    properties: {
+        fullName: BOOKING_FIELDS.fullName,
+        appointmentTime: BOOKING_FIELDS.appointmentTime,
+        car: BOOKING_FIELDS.car,
+        vehicle: BOOKING_FIELDS.vehicle,
+        services: BOOKING_FIELDS.services,
+        version: { type: 'integer', minimum: 0 }
+    }
+};
+
+// Every status an appointment can be given through the API. HELD is only set by the waitlist.
+const APPOINTMENT_STATUSES = ['SCHEDULED', 'CONFIRMED', 'CHECKED_IN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_SHOW'];
+
+// POST /appointments/{id}/status
+const STATUS_CHANGE_SCHEMA = {
+    type: 'object',
+    required: ['status'],
+    properties: {
+        status: { type: 'string', enum: APPOINTMENT_STATUSES },
+        reason: { type: ['string', 'null'], maxLength: 500 }
+    }
+};
+
+// DELETE /appointments/{id}, from the JSON body or the query string
+const CANCELLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        reason: STATUS_CHANGE_SCHEMA.properties.reason
+    }
+};
+
+// Services are catalog IDs (see catalog.js), already checked against APPOINTMENT_SCHEMA's services.
+// A valid result carries their catalog entries in request order.
+const isValidServices = async (services) => {
+    const catalog = await getServicesByIds(services);
+    const unknown = services.filter(serviceId => !catalog.has(serviceId));
+    if (unknown.length > 0) {
+        return { valid: false, errors: [{ field: 'services', code: 'unknown', message: `Unknown services: ${unknown.join(', ')}` }] };
+    }
+
+    return { valid: true, entries: services.map(serviceId => catalog.get(serviceId)) };
+};
+
+const getTotalDuration = (entries) => entries.reduce((total, entry) => total + entry.durationMinutes, 0);
+
+// Appointments keep a copy of what was booked, so catalog changes don't rewrite history
+const toServiceDetails = (entries) => entries.map(({ serviceId, name, durationMinutes, price }) => ({
+    serviceId,
+    name,
+    durationMinutes,
+    price
+}));
+
+// Why checkForConflicts turned a time down. serviceEntries are the catalog entries being booked, used to name a full service.
+const getConflictMessage = (capacity, serviceEntries = []) => {
+    if (!capacity.fullService) {
+        return 'This time slot is already booked';
+    }
+    const fullService = serviceEntries.find(entry => entry.serviceId === capacity.fullService);
+    return `No capacity left for ${fullService ? fullService.name : capacity.fullService} in this time slot`;
+};
+
+// Works out who a booking is for: an existing profile by customerId, a new profile from inline
+// customer details, or, in the legacy form, just fullName. The body has been checked against
+// APPOINTMENT_SCHEMA. Resolves to { error } with the 400 response, or to the customerId and name to
+// store and the new profile to write, if any.
+const resolveCustomer = async ({ fullName, customerId, customer }) => {
+    if (customerId !== undefined && customer !== undefined) {
+        return { error: fieldError('customer', 'Send either customerId or customer, not both', 'conflict') };
+    }
+
+    if (customerId !== undefined) {
+        const profile = await getCustomerById(customerId);
+        if (!profile) {
+            return { error: fieldError('customerId', 'customerId does not match a customer', 'unknown') };
+        }
+        return { customerId, customerName: fullName || profile.name, newCustomer: null };
+    }
+
+    if (customer !== undefined) {
+        const validation = validateCustomer(customer, { field: 'customer' });
+        if (!validation.valid) {
+            return { error: validationError(validation.errors) };
+        }
+        const newCustomer = buildCustomer(validation.customer);
+        return { customerId: newCustomer.customerId, customerName: fullName || newCustomer.name, newCustomer };
+    }
+
+    return { customerId: null, customerName: fullName, newCustomer: null };
+};
+
+module.exports = {
+    BOOKING_FIELDS,
+    APPOINTMENT_SCHEMA,
+    APPOINTMENT_UPDATE_SCHEMA,
+    APPOINTMENT_STATUSES,
+    STATUS_CHANGE_SCHEMA,
+    CANCELLATION_SCHEMA,
+    isValidServices,
+    getTotalDuration,
+    toServiceDetails,
+    getConflictMessage,
+    resolveCustomer
+};
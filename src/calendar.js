@@ -0,0 +1,301 @@
+'use strict';
+const { appointmentRepository } = require('./appointmentRepository');
+const { authorize, checkLocationAccess, checkAppointmentAccess } = require('./auth');
+const { getLocationConfig } = require('./locations');
+const { getServiceNames } = require('./templates');
+const { getZonedParts, getOffsetMs, getZonedLabel, zonedTimeToUtc } = require('./timezone');
+
+const PRODUCT_ID = '-//Appointment Scheduler//EN';
+const UID_DOMAIN = 'appointment-scheduler';
+// Event STATUS for appointment statuses that are not simply confirmed; waitlist holds are only pencilled in
+const EVENT_STATUSES = { CANCELLED: 'CANCELLED', HELD: 'TENTATIVE' };
+const CONTENT_TYPE = 'text/calendar; charset=utf-8';
+// RFC 5545 3.1: content lines longer than 75 octets are folded
+const MAX_LINE_OCTETS = 75;
+// How often subscribed calendars should check the feed
+const REFRESH_INTERVAL = 'PT15M';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// RFC 5545 3.3.11: backslashes, semicolons, commas and line breaks are escaped in TEXT values
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Folds a content line into chunks of at most 75 octets, each continuation starting with a space.
+// Multi-byte characters are never split.
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > MAX_LINE_OCTETS) {
+            chunks.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n');
+};
+
+const serialize = (lines) => lines.map(foldLine).join('\r\n') + '\r\n';
+
+// 2026-04-27T15:30:00.000Z -> 20260427T153000Z
+const formatUtc = (date) => date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+
+// Wall-clock time in the zone without a suffix, for DTSTART;TZID=...
+const formatLocal = (date, timeZone) => {
+    const { date: localDate, minutes, seconds } = getZonedParts(date, timeZone);
+    const time = [Math.floor(minutes / 60), minutes % 60, seconds].map(part => String(part).padStart(2, '0')).join('');
+    return `${localDate.replace(/-/g, '')}T${time}`;
+};
+
+// -18000000 -> "-0500"
+const formatOffset = (offsetMs) => {
+    const minutes = Math.abs(offsetMs) / MINUTE_MS;
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${offsetMs < 0 ? '-' : '+'}${hours}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// UTC offset changes between two instants, found day by day and then narrowed down to the minute
+const getTransitions = (timeZone, start, end) => {
+    const transitions = [];
+    let offset = getOffsetMs(new Date(start), timeZone);
+    for (let day = start + DAY_MS; day <= end; day += DAY_MS) {
+        const nextOffset = getOffsetMs(new Date(day), timeZone);
+        if (nextOffset === offset) {
+            continue;
+        }
+        let before = day - DAY_MS;
+        let after = day;
+        while (after - before > MINUTE_MS) {
+            const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS;
+            if (getOffsetMs(new Date(middle), timeZone) === offset) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+        transitions.push({ at: after, from: offset, to: nextOffset });
+        offset = nextOffset;
+    }
+    return transitions;
+};
+
+// VTIMEZONE for the whole years from `from` to `to`, listing each offset change in that time.
+// Observances with more than the lowest offset are daylight saving time.
+const buildTimeZone = (timeZone, from, to) => {
+    const start = Date.UTC(from.getUTCFullYear(), 0, 1);
+    const end = Date.UTC(to.getUTCFullYear() + 1, 0, 1);
+    const initialOffset = getOffsetMs(new Date(start), timeZone);
+    const observances = [{ at: start, from: initialOffset, to: initialOffset }, ...getTransitions(timeZone, start, end)];
+    const standardOffset = Math.min(...observances.map(observance => observance.to));
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    observances.forEach(({ at, from: offsetFrom, to: offsetTo }) => {
+        const kind = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${kind}`,
+            // The onset is given in the local time that was in effect before it
+            `DTSTART:${formatUtc(new Date(at + offsetFrom)).replace('Z', '')}`,
+            `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+            `TZOFFSETTO:${formatOffset(offsetTo)}`,
+            `TZNAME:${escapeText(getZonedLabel(new Date(at), timeZone))}`,
+            `END:${kind}`
+        );
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+};
+
+// Appointments saved before durations were recorded take one slot
+const getAppointmentEnd = (appointment, config) => new Date(appointment.appointmentEndDateTime
+    || new Date(appointment.appointmentDateTime).getTime() + (appointment.durationMinutes || config.slotMinutes) * MINUTE_MS);
+
+// VEVENT for an appointment. SEQUENCE follows the appointment version, so calendars apply each change,
+// and cancelled appointments stay in with STATUS:CANCELLED so calendars remove them.
+const buildEvent = (appointment, config, now) => {
+    const services = getServiceNames(appointment);
+    const description = [
+        `Customer: ${appointment.customerName}`,
+        appointment.vehicleDetails && `Vehicle: ${appointment.vehicleDetails}`,
+        services && `Services: ${services}`,
+        `Status: ${appointment.status}`,
+        `Appointment ID: ${appointment.appointmentId}`
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.appointmentId}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `DTSTART;TZID=${config.timeZone}:${formatLocal(new Date(appointment.appointmentDateTime), config.timeZone)}`,
+        `DTEND;TZID=${config.timeZone}:${formatLocal(getAppointmentEnd(appointment, config), config.timeZone)}`,
+        `SUMMARY:${escapeText(services ? `${services} at ${appointment.locationId}` : `Appointment at ${appointment.locationId}`)}`,
+        `LOCATION:${escapeText(appointment.locationId)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${EVENT_STATUSES[appointment.status] || 'CONFIRMED'}`,
+        `SEQUENCE:${appointment.version || 0}`,
+        ...(appointment.createdAt ? [`CREATED:${formatUtc(new Date(appointment.createdAt))}`] : []),
+        ...(appointment.updatedAt ? [`LAST-MODIFIED:${formatUtc(new Date(appointment.updatedAt))}`] : []),
+        'END:VEVENT'
+    ];
+};
+
+// Serialized VCALENDAR with the appointments as events in the location's time zone
+const buildCalendar = (appointments, config, { name } = {}) => {
+    const now = new Date();
+    const times = appointments.map(appointment => new Date(appointment.appointmentDateTime).getTime());
+    const from = new Date(Math.min(now.getTime(), ...times));
+    const to = new Date(Math.max(now.getTime(), ...times));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) {
+        lines.push(
+            `X-WR-CALNAME:${escapeText(name)}`,
+            `X-WR-TIMEZONE:${config.timeZone}`,
+            `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+            `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+        );
+    }
+    lines.push(...buildTimeZone(config.timeZone, from, to));
+    appointments.forEach(appointment => lines.push(...buildEvent(appointment, config, now)));
+    lines.push('END:VCALENDAR');
+    return serialize(lines);
+};
+
+const calendarResponse = (body, filename) => ({
+    statusCode: 200,
+    headers: {
+        'Content-Type': CONTENT_TYPE,
+        'Content-Disposition': `attachment; filename="${filename}"`
+    },
+    body
+});
+
+// Calendar apps subscribe by URL and cannot send headers, so the feed also takes the credential as ?token=
+const withTokenParameter = (event) => {
+    const { token } = event.queryStringParameters || {};
+    if (!token || (event.headers || {}).authorization) {
+        return event;
+    }
+    return { ...event, headers: { ...event.headers, authorization: `Bearer ${token}` } };
+};
+
+// Appointments from the start of the location's current day onwards, so today's earlier ones stay visible
+const getUpcomingAppointments = (locationId, config) => {
+    const today = getZonedParts(new Date(), config.timeZone).date;
+    return appointmentRepository.listByLocation(locationId, { start: zonedTimeToUtc(today, 0, config.timeZone) });
+};
+
+module.exports.escapeText = escapeText;
+module.exports.foldLine = foldLine;
+module.exports.buildCalendar = buildCalendar;
+
+// GET /appointments/{id}.ics, handed over by getAppointment: a single appointment to add to a calendar
+module.exports.getAppointmentCalendar = async (event) => {
+    console.log('🔄 [START] Processing appointment calendar request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const appointmentId = ((event.pathParameters || {}).id || '').replace(/\.ics$/, '');
+        if (!appointmentId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Appointment ID is required'
+                })
+            };
+        }
+
+        const appointment = await appointmentRepository.getById(appointmentId);
+        if (!appointment) {
+            console.log('🔍 [404] Appointment not found:', appointmentId);
+            return {
+                statusCode: 404,
+                body: JSON.stringify({
+                    message: 'Appointment not found'
+                })
+            };
+        }
+
+        const accessError = checkAppointmentAccess(auth.principal, appointment);
+        if (accessError) {
+            return accessError;
+        }
+
+        const config = await getLocationConfig(appointment.locationId);
+        console.log('✅ [200] Appointment calendar built');
+        return calendarResponse(buildCalendar([appointment], config), `${appointmentId}.ics`);
+    } catch (error) {
+        console.error('❌ [500] Error building appointment calendar:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not build the appointment calendar',
+                error: error.message
+            })
+        };
+    }
+};
+
+// GET /locations/{id}/calendar.ics: subscription feed of a location's upcoming appointments
+module.exports.getLocationCalendar = async (event) => {
+    console.log('🔄 [START] Processing location calendar request');
+
+    try {
+        const auth = await authorize(withTokenParameter(event), 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const locationId = (event.pathParameters || {}).id;
+        if (!locationId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Location ID is required'
+                })
+            };
+        }
+
+        const locationError = checkLocationAccess(auth.principal, locationId);
+        if (locationError) {
+            return locationError;
+        }
+
+        const config = await getLocationConfig(locationId);
+        const appointments = await getUpcomingAppointments(locationId, config);
+        // Customers only get their own appointments in the feed
+        const visible = auth.principal.customerId
+            ? appointments.filter(appointment => appointment.customerId === auth.principal.customerId)
+            : appointments;
+
+        console.log('✅ [200] Location calendar built:', visible.length);
+        return calendarResponse(buildCalendar(visible, config, { name: `${locationId} appointments` }), 'calendar.ics');
+    } catch (error) {
+        console.error('❌ [500] Error building location calendar:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not build the location calendar',
+                error: error.message
+            })
+        };
+    }
+};
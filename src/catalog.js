@@ -0,0 +1,282 @@
+'use strict';
+const { GetCommand, PutCommand, ScanCommand, DeleteCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { authorize, checkGlobalAccess } = require('./auth');
+const { validate, validationError, parseBody } = require('./validation');
+
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 600;
+const MAX_NAME_LENGTH = 100;
+// BatchGetItem reads at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+
+// Looks up catalog entries by ID. Returns a Map, so IDs missing from it are unknown services.
+const getServicesByIds = async (serviceIds) => {
+    const ids = [...new Set(serviceIds)];
+    const found = new Map();
+    for (let i = 0; i < ids.length; i += BATCH_GET_LIMIT) {
+        let requestItems = {
+            [process.env.SERVICES_TABLE]: {
+                Keys: ids.slice(i, i + BATCH_GET_LIMIT).map(serviceId => ({ serviceId }))
+            }
+        };
+        // Retry keys DynamoDB did not get to
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const result = await dynamoDb.send(new BatchGetCommand({ RequestItems: requestItems }));
+            ((result.Responses || {})[process.env.SERVICES_TABLE] || []).forEach(item => found.set(item.serviceId, item));
+            requestItems = result.UnprocessedKeys;
+        }
+    }
+    return found;
+};
+
+// PUT /services/{id}
+const SERVICE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'durationMinutes'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+        durationMinutes: { type: 'integer', minimum: MIN_DURATION_MINUTES, maximum: MAX_DURATION_MINUTES },
+        price: { type: ['number', 'null'], minimum: 0 }
+    }
+};
+
+// Validates a catalog entry body. An invalid result carries the { field, code, message } errors.
+const validateServiceDefinition = (body) => {
+    const errors = validate(body, SERVICE_SCHEMA);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const { name, durationMinutes, price } = body;
+    return {
+        valid: true,
+        service: {
+            name: name.trim(),
+            durationMinutes,
+            price: price === undefined ? null : price
+        }
+    };
+};
+
+module.exports.getServicesByIds = getServicesByIds;
+module.exports.SERVICE_SCHEMA = SERVICE_SCHEMA;
+module.exports.validateServiceDefinition = validateServiceDefinition;
+
+module.exports.putService = async (event) => {
+    console.log('🔄 [START] Processing service catalog request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const serviceId = (event.pathParameters || {}).id;
+        if (!serviceId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Service ID is required'
+                })
+            };
+        }
+
+        const parsed = parseBody(event);
+        if (parsed.error) {
+            return parsed.error;
+        }
+        const { body } = parsed;
+        console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+        const validation = validateServiceDefinition(body);
+        if (!validation.valid) {
+            return validationError(validation.errors);
+        }
+
+        const existing = await dynamoDb.send(new GetCommand({
+            TableName: process.env.SERVICES_TABLE,
+            Key: {
+                serviceId: serviceId
+            }
+        }));
+
+        const timestamp = new Date().getTime();
+        const service = {
+            serviceId,
+            ...validation.service,
+            createdAt: existing.Item ? existing.Item.createdAt : timestamp,
+            updatedAt: timestamp
+        };
+
+        await dynamoDb.send(new PutCommand({
+            TableName: process.env.SERVICES_TABLE,
+            Item: service
+        }));
+
+        console.log('✅ [200] Service saved');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(service)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error saving service:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not save the service',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getService = async (event) => {
+    console.log('🔄 [START] Processing service lookup request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const serviceId = (event.pathParameters || {}).id;
+        if (!serviceId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Service ID is required'
+                })
+            };
+        }
+
+        const result = await dynamoDb.send(new GetCommand({
+            TableName: process.env.SERVICES_TABLE,
+            Key: {
+                serviceId: serviceId
+            }
+        }));
+        if (!result.Item) {
+            console.log('🔍 [404] Service not found:', serviceId);
+            return {
+                statusCode: 404,
+                body: JSON.stringify({
+                    message: 'Service not found'
+                })
+            };
+        }
+
+        console.log('✅ [200] Service found');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(result.Item)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching service:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the service',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.listServices = async (event) => {
+    console.log('🔄 [START] Processing service listing request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // The catalog is small, so a full scan is fine here
+        const items = [];
+        let exclusiveStartKey;
+        do {
+            const result = await dynamoDb.send(new ScanCommand({
+                TableName: process.env.SERVICES_TABLE,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            items.push(...(result.Items || []));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        console.log('✅ [200] Services listed:', items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing services:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list services',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.deleteService = async (event) => {
+    console.log('🔄 [START] Processing service deletion request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const serviceId = (event.pathParameters || {}).id;
+        if (!serviceId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Service ID is required'
+                })
+            };
+        }
+
+        // Existing appointments keep their copy of the service details
+        await dynamoDb.send(new DeleteCommand({
+            TableName: process.env.SERVICES_TABLE,
+            Key: {
+                serviceId: serviceId
+            }
+        }));
+
+        console.log('✅ [200] Service deleted');
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Service deleted successfully'
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error deleting service:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not delete the service',
+                error: error.message
+            })
+        };
+    }
+};
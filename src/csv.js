@@ -0,0 +1,113 @@
+'use strict';
+
+// RFC 4180 CSV: comma-separated fields, optionally in double quotes, with "" for a quote inside them.
+// Quoted fields may span lines. Records end with CRLF or LF when read, and with CRLF when written.
+
+// Splits CSV text into records of fields. Resolves to { valid, records }, or { valid: false, message }
+// for a quoted field that is never closed or text after a closing quote.
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    // A byte order mark from spreadsheet exports is not part of the first header
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+        afterQuote = false;
+    };
+    const endRecord = () => {
+        endField();
+        // Blank lines carry no data
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+    };
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+                afterQuote = true;
+            } else {
+                field += char;
+            }
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || (char === '\r' && input[index + 1] === '\n')) {
+            if (char === '\r') {
+                index++;
+            }
+            endRecord();
+        } else if (afterQuote) {
+            return { valid: false, message: `CSV has text after a closing quote in record ${records.length + 1}` };
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { valid: false, message: 'CSV has a quoted field that is never closed' };
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+    return { valid: true, records };
+};
+
+// Turns CSV text with a header line into one object per record, keyed by the trimmed headers.
+// Columns outside `columns` are rejected, and missing trailing fields are left out of their object.
+const parseCsvObjects = (text, columns) => {
+    const parsed = parseCsv(text);
+    if (!parsed.valid) {
+        return parsed;
+    }
+    if (parsed.records.length === 0) {
+        return { valid: false, message: 'CSV needs a header line' };
+    }
+
+    const [header, ...records] = parsed.records;
+    const names = header.map(name => name.trim());
+    const unknown = names.find(name => !columns.includes(name));
+    if (unknown !== undefined) {
+        return { valid: false, message: `Unknown CSV column: ${unknown}` };
+    }
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate !== undefined) {
+        return { valid: false, message: `Duplicate CSV column: ${duplicate}` };
+    }
+    const tooLong = records.findIndex(record => record.length > names.length);
+    if (tooLong !== -1) {
+        return { valid: false, message: `CSV row ${tooLong + 1} has more fields than the header` };
+    }
+
+    return {
+        valid: true,
+        objects: records.map(record => record.reduce((object, value, index) => ({ ...object, [names[index]]: value }), {}))
+    };
+};
+
+// Quotes a field only when it needs it: for a comma, a quote or a line break. null and undefined are empty.
+const formatCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writes records of fields as CSV text, each record ending in CRLF
+const formatCsv = (records) => records.map(record => record.map(formatCsvField).join(',') + '\r\n').join('');
+
+module.exports = {
+    parseCsv,
+    parseCsvObjects,
+    formatCsv
+};
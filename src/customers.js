@@ -0,0 +1,479 @@
+'use strict';
+const { randomUUID } = require('crypto');
+const { GetCommand, PutCommand, QueryCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { appointmentRepository } = require('./appointmentRepository');
+const { authorize, canAccessLocation, checkCustomerAccess } = require('./auth');
+const { VEHICLE_SCHEMA, validateVehicle } = require('./vehicles');
+const { validate, validationError, fieldError, parseBody, normalizePhone } = require('./validation');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_VEHICLES = 20;
+
+const CUSTOMER_FIELDS = {
+    name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+    email: { type: ['string', 'null'], format: 'email' },
+    phone: { type: ['string', 'null'], format: 'phone' },
+    vehicles: { type: 'array', maxItems: MAX_VEHICLES, items: VEHICLE_SCHEMA }
+};
+
+// A new profile needs a name and, since it is no better than the name on a booking without one,
+// a way to reach the customer
+const CUSTOMER_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    anyOf: [{ required: ['email'] }, { required: ['phone'] }],
+    properties: CUSTOMER_FIELDS
+};
+
+// PATCH /customers/{id}: any of the fields, with null clearing email or phone
+const CUSTOMER_UPDATE_SCHEMA = {
+    type: 'object',
+    properties: CUSTOMER_FIELDS
+};
+
+const notFound = (customerId) => {
+    console.log('🔍 [404] Customer not found:', customerId);
+    return {
+        statusCode: 404,
+        body: JSON.stringify({
+            message: 'Customer not found'
+        })
+    };
+};
+
+// Validates customer fields, reporting problems under field (e.g. "customer" inside a booking). With partial,
+// only the fields present are checked, for PATCH. A valid result carries them normalized: emails
+// lower-cased and phone numbers without separators; an invalid one carries the errors.
+const validateCustomer = (body, { partial = false, field = '' } = {}) => {
+    const errors = validate(body, partial ? CUSTOMER_UPDATE_SCHEMA : CUSTOMER_SCHEMA, field);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const { name, email, phone, vehicles } = body;
+    const customer = {};
+    if (name !== undefined) {
+        customer.name = name.trim();
+    }
+    if (email !== undefined) {
+        customer.email = email === null ? null : email.trim().toLowerCase();
+    }
+    if (phone !== undefined) {
+        customer.phone = phone === null ? null : normalizePhone(phone);
+    }
+
+    if (vehicles !== undefined) {
+        customer.vehicles = [];
+        for (const [index, vehicle] of vehicles.entries()) {
+            const validation = validateVehicle(vehicle, `${field ? `${field}.` : ''}vehicles[${index}]`);
+            if (!validation.valid) {
+                errors.push(...validation.errors);
+            }
+            customer.vehicles.push(validation.vehicle);
+        }
+    } else if (!partial) {
+        customer.vehicles = [];
+    }
+
+    return errors.length > 0 ? { valid: false, errors } : { valid: true, customer };
+};
+
+const getCustomerById = async (customerId) => {
+    const result = await dynamoDb.send(new GetCommand({
+        TableName: process.env.CUSTOMERS_TABLE,
+        Key: {
+            customerId: customerId
+        }
+    }));
+    return result.Item || null;
+};
+
+// A new customer record from validated fields. Empty contact fields are left out,
+// since the email and phone indexes only accept strings.
+const buildCustomer = (fields) => {
+    const timestamp = new Date().getTime();
+    const customer = {
+        customerId: `cust_${randomUUID()}`,
+        ...fields,
+        createdAt: timestamp,
+        updatedAt: timestamp
+    };
+    ['email', 'phone'].filter(field => !customer[field]).forEach(field => delete customer[field]);
+    return customer;
+};
+
+module.exports.CUSTOMER_SCHEMA = CUSTOMER_SCHEMA;
+module.exports.CUSTOMER_UPDATE_SCHEMA = CUSTOMER_UPDATE_SCHEMA;
+module.exports.validateCustomer = validateCustomer;
+module.exports.getCustomerById = getCustomerById;
+module.exports.buildCustomer = buildCustomer;
+
+module.exports.createCustomer = async (event) => {
+    console.log('🔄 [START] Processing customer creation request');
+
+    try {
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const parsed = parseBody(event);
+        if (parsed.error) {
+            return parsed.error;
+        }
+        const { body } = parsed;
+        console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+        const validation = validateCustomer(body);
+        if (!validation.valid) {
+            return validationError(validation.errors);
+        }
+
+        const customer = buildCustomer(validation.customer);
+        await dynamoDb.send(new PutCommand({
+            TableName: process.env.CUSTOMERS_TABLE,
+            Item: customer,
+            ConditionExpression: 'attribute_not_exists(customerId)'
+        }));
+
+        console.log('✅ [200] Customer created:', customer.customerId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify(customer)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error creating customer:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not create the customer',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getCustomer = async (event) => {
+    console.log('🔄 [START] Processing customer lookup request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const customerId = (event.pathParameters || {}).id;
+        if (!customerId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Customer ID is required'
+                })
+            };
+        }
+
+        const accessError = checkCustomerAccess(auth.principal, customerId);
+        if (accessError) {
+            return accessError;
+        }
+
+        const customer = await getCustomerById(customerId);
+        if (!customer) {
+            return notFound(customerId);
+        }
+
+        console.log('✅ [200] Customer found');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(customer)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching customer:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the customer',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Looks customers up by email or phone, so repeat customers can be found instead of typed in again
+module.exports.findCustomers = async (event) => {
+    console.log('🔄 [START] Processing customer search request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const { email, phone } = event.queryStringParameters || {};
+        if (!email === !phone) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Exactly one of the email or phone query parameters is required'
+                })
+            };
+        }
+
+        // Search terms go through the same normalization as stored profiles
+        const validation = validateCustomer(email ? { email } : { phone }, { partial: true });
+        if (!validation.valid) {
+            return validationError(validation.errors);
+        }
+        const field = email ? 'email' : 'phone';
+
+        const items = [];
+        let exclusiveStartKey;
+        do {
+            const result = await dynamoDb.send(new QueryCommand({
+                TableName: process.env.CUSTOMERS_TABLE,
+                IndexName: field,
+                KeyConditionExpression: `${field} = :value`,
+                ExpressionAttributeValues: {
+                    ':value': validation.customer[field]
+                },
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            items.push(...(result.Items || []));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        // Customers signed in with their own token only find themselves
+        const visible = items.filter(item => !auth.principal.customerId || item.customerId === auth.principal.customerId);
+
+        console.log('✅ [200] Customers found:', visible.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items: visible
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error searching customers:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not search customers',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.updateCustomer = async (event) => {
+    console.log('🔄 [START] Processing customer update request');
+
+    try {
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const customerId = (event.pathParameters || {}).id;
+        if (!customerId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Customer ID is required'
+                })
+            };
+        }
+
+        const parsed = parseBody(event);
+        if (parsed.error) {
+            return parsed.error;
+        }
+        const { body } = parsed;
+        console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+        const validation = validateCustomer(body, { partial: true });
+        if (!validation.valid) {
+            return validationError(validation.errors);
+        }
+        const changes = validation.customer;
+        if (Object.keys(changes).length === 0) {
+            return fieldError('body', 'At least one of name, email, phone, vehicles is required', 'required');
+        }
+
+        const existing = await getCustomerById(customerId);
+        if (!existing) {
+            return notFound(customerId);
+        }
+
+        // Contact details can be swapped but not all removed
+        const merged = { ...existing, ...changes };
+        if (!merged.email && !merged.phone) {
+            return fieldError('email', 'email or phone is required', 'required');
+        }
+
+        // null clears email or phone; they are removed rather than stored empty
+        const names = { '#updatedAt': 'updatedAt' };
+        const values = { ':updatedAt': new Date().getTime() };
+        const assignments = ['#updatedAt = :updatedAt'];
+        const removals = [];
+        Object.entries(changes).forEach(([attribute, value]) => {
+            names[`#${attribute}`] = attribute;
+            if (value === null) {
+                removals.push(`#${attribute}`);
+                return;
+            }
+            values[`:${attribute}`] = value;
+            assignments.push(`#${attribute} = :${attribute}`);
+        });
+
+        let result;
+        try {
+            result = await dynamoDb.send(new UpdateCommand({
+                TableName: process.env.CUSTOMERS_TABLE,
+                Key: {
+                    customerId: customerId
+                },
+                UpdateExpression: `SET ${assignments.join(', ')}` + (removals.length > 0 ? ` REMOVE ${removals.join(', ')}` : ''),
+                ConditionExpression: 'attribute_exists(customerId)',
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ReturnValues: 'ALL_NEW'
+            }));
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return notFound(customerId);
+            }
+            throw error;
+        }
+
+        console.log('✅ [200] Customer updated');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(result.Attributes)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error updating customer:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not update the customer',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.deleteCustomer = async (event) => {
+    console.log('🔄 [START] Processing customer deletion request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const customerId = (event.pathParameters || {}).id;
+        if (!customerId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Customer ID is required'
+                })
+            };
+        }
+
+        // Appointments keep their customerId and customerName, so the booking history stays readable
+        try {
+            await dynamoDb.send(new DeleteCommand({
+                TableName: process.env.CUSTOMERS_TABLE,
+                Key: {
+                    customerId: customerId
+                },
+                ConditionExpression: 'attribute_exists(customerId)'
+            }));
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return notFound(customerId);
+            }
+            throw error;
+        }
+
+        console.log('✅ [200] Customer deleted');
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Customer deleted successfully'
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error deleting customer:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not delete the customer',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Past and upcoming appointments of a customer, from the customerTime index. Upcoming ones come
+// soonest first and past ones most recent first; appointments at locations the caller may not see are left out.
+module.exports.getCustomerAppointments = async (event) => {
+    console.log('🔄 [START] Processing customer appointment history request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const customerId = (event.pathParameters || {}).id;
+        if (!customerId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Customer ID is required'
+                })
+            };
+        }
+
+        const accessError = checkCustomerAccess(auth.principal, customerId);
+        if (accessError) {
+            return accessError;
+        }
+
+        const items = await appointmentRepository.listByCustomer(customerId);
+
+        const now = new Date().toISOString().split('.')[0] + 'Z';
+        const visible = items.filter(item => canAccessLocation(auth.principal, item.locationId));
+        const upcoming = visible.filter(item => item.appointmentDateTime >= now);
+        const past = visible.filter(item => item.appointmentDateTime < now).reverse();
+
+        console.log('✅ [200] Customer appointments listed:', visible.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                upcoming,
+                past
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing customer appointments:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list the customer\'s appointments',
+                error: error.message
+            })
+        };
+    }
+};
@@ -0,0 +1,24 @@
+'use strict';
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { createLocalClient } = require('./localStore');
+
+// STORAGE_BACKEND picks where the tables live: dynamodb (the default), or to run the API without AWS,
+// memory, or file to keep them in the JSON file at STORAGE_FILE between runs
+const createClient = () => {
+    const backend = process.env.STORAGE_BACKEND || 'dynamodb';
+    if (backend === 'memory') {
+        return createLocalClient();
+    }
+    if (backend === 'file') {
+        return createLocalClient({ file: process.env.STORAGE_FILE || '.data/tables.json' });
+    }
+    if (backend !== 'dynamodb') {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    return DynamoDBDocumentClient.from(new DynamoDBClient({}));
+};
+
+const dynamoDb = createClient();
+
+module.exports = { dynamoDb };
@@ -1,70 +1,308 @@
 'use strict';
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { randomUUID } = require('crypto');
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { toUtcDateTime, appointmentRepository } = require('./appointmentRepository');
+const { authorize, checkLocationAccess, checkAppointmentAccess } = require('./auth');
+const { getLocationConfig } = require('./locations');
+const { isValidDate } = require('./timezone');
+const {
+    getAppointmentEnd,
+    isValidAppointmentTime,
+    checkForConflicts,
+    getNearbySlots,
+    getAvailableSlots
+} = require('./scheduling');
+const { getSlotIds, getReservationUpdates, writeWithReservations } = require('./reservations');
+const { withIdempotency } = require('./idempotency');
+const { getQuotaUpdates, quotaExceeded } = require('./rateLimits');
+const { parseVehicle } = require('./vehicles');
+const {
+    APPOINTMENT_SCHEMA,
+    APPOINTMENT_UPDATE_SCHEMA,
+    isValidServices,
+    getTotalDuration,
+    toServiceDetails,
+    STATUS_CHANGE_SCHEMA,
+    CANCELLATION_SCHEMA,
+    getConflictMessage,
+    resolveCustomer
+} = require('./booking');
+const { validate, validationError, fieldError, parseBody, validateBody } = require('./validation');
+const { notifyAppointment } = require('./notifications');
+const { getAppointmentCalendar } = require('./calendar');
+const { parseWaitlistOption, addToWaitlist, releaseToWaitlist } = require('./waitlist');
+const { recordAudit } = require('./audit');
 
-const client = new DynamoDBClient({});
-const dynamoDb = DynamoDBDocumentClient.from(client);
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
 
-const isValidAppointmentTime = (appointmentTime) => {
-    const appointmentDate = new Date(appointmentTime);
-    const now = new Date();
-    
-    // Convert to EST/EDT
-    const estDate = new Date(appointmentDate.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    
-    // Check if appointment is in the past
-    if (appointmentDate <= now) {
-        return { valid: false, message: 'Appointment cannot be in the past' };
-    }
-    
-    // Check if appointment is between 9 AM and 7 PM EST
-    const hours = estDate.getHours();
-    const minutes = estDate.getMinutes();
-    
-    if (hours < 9 || hours >= 19) {
-        return { valid: false, message: 'Appointments must be between 9 AM and 7 PM EST' };
+// Allowed status transitions; statuses without an entry are terminal
+const STATUS_TRANSITIONS = {
+    SCHEDULED: ['CONFIRMED', 'CANCELLED', 'NO_SHOW'],
+    CONFIRMED: ['CHECKED_IN', 'CANCELLED', 'NO_SHOW'],
+    CHECKED_IN: ['IN_PROGRESS', 'CANCELLED'],
+    IN_PROGRESS: ['COMPLETED'],
+    // Held for someone on the waitlist until they accept the offer (see waitlist.js)
+    HELD: ['CANCELLED']
+};
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Cancelling through the status endpoint needs the same scope as DELETE; other changes are part of
+// booking. A malformed body is reported once the caller has been authorized.
+const getStatusScope = (event) => {
+    const { body } = parseBody(event);
+    return body && body.status === 'CANCELLED' ? 'cancel' : 'book';
+};
+
+// Pagination cursors are the DynamoDB LastEvaluatedKey, base64url-encoded
+const encodeCursor = (lastEvaluatedKey) => {
+    if (!lastEvaluatedKey) {
+        return null;
     }
-    
-    // Check if appointment is on 30-minute intervals
-    if (minutes % 30 !== 0) {
-        return { valid: false, message: 'Appointments must be scheduled on 30-minute intervals' };
+    return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return key && typeof key === 'object' && !Array.isArray(key) ? key : null;
+    } catch (error) {
+        return null;
     }
-    
-    return { valid: true };
 };
 
-const checkForConflicts = async (location, appointmentTime, tableName) => {
-    // Check for appointments within the same 30-minute slot
-    const appointmentDate = new Date(appointmentTime);
-    const startTime = new Date(appointmentDate.getTime() - 15 * 60000); // 15 minutes before
-    const endTime = new Date(appointmentDate.getTime() + 15 * 60000);   // 15 minutes after
+// serviceEntries are the catalog entries being booked, used to name a full service
+const conflictResponse = (capacity, nearbySlots, serviceEntries = []) => {
+    console.log('⚠️ [409] Conflict: Time slot already booked', capacity);
+    return {
+        statusCode: 409,
+        body: JSON.stringify({
+            message: getConflictMessage(capacity, serviceEntries),
+            nearbySlots
+        })
+    };
+};
 
-    const params = {
-        TableName: tableName,
-        IndexName: 'locationTime',
-        KeyConditionExpression: 'locationId = :loc AND appointmentDateTime BETWEEN :start AND :end',
-        ExpressionAttributeValues: {
-            ':loc': location,
-            ':start': startTime.toISOString(),
-            ':end': endTime.toISOString()
-        }
+// Response to a booking that did not fit but opted into the waitlist
+const waitlistResponse = (entry, nearbySlots) => {
+    console.log('⏳ [202] Time slot full, added to the waitlist:', entry.entryId);
+    return {
+        statusCode: 202,
+        body: JSON.stringify({
+            message: 'This time slot is already booked, so the appointment has been added to the waitlist',
+            waitlistEntry: entry,
+            nearbySlots
+        })
+    };
+};
+
+// PATCH accepts the same field names as POST and maps them onto the stored attributes
+const EDITABLE_FIELDS = {
+    fullName: 'customerName',
+    appointmentTime: 'appointmentDateTime',
+    car: 'vehicleDetails',
+    vehicle: 'vehicle',
+    services: 'servicesList'
+};
+
+// Moves an appointment to a new status, guarded by the status and version that were read.
+// Cancelling also gives back its reserved slots. Resolves to null when another request changed it in between.
+const applyStatusTransition = async (appointment, status, attributes = {}) => {
+    const currentVersion = appointment.version || 0;
+    const names = { '#status': 'status', '#version': 'version', '#updatedAt': 'updatedAt' };
+    const values = {
+        ':status': status,
+        ':currentStatus': appointment.status,
+        ':nextVersion': currentVersion + 1,
+        ':updatedAt': new Date().getTime()
+    };
+    const assignments = ['#status = :status', '#version = :nextVersion', '#updatedAt = :updatedAt'];
+    Object.entries(attributes).forEach(([attribute, value]) => {
+        names[`#${attribute}`] = attribute;
+        values[`:${attribute}`] = value;
+        assignments.push(`#${attribute} = :${attribute}`);
+    });
+
+    let condition = '#status = :currentStatus AND #version = :currentVersion';
+    if (currentVersion === 0) {
+        condition = '#status = :currentStatus AND attribute_not_exists(#version)';
+    } else {
+        values[':currentVersion'] = currentVersion;
+    }
+
+    const update = {
+        TableName: process.env.APPOINTMENTS_TABLE,
+        Key: {
+            appointmentId: appointment.appointmentId
+        },
+        UpdateExpression: `SET ${assignments.join(', ')}`,
+        ConditionExpression: condition,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
     };
 
-    const result = await dynamoDb.send(new QueryCommand(params));
-    return result.Items && result.Items.length > 0;
+    const releasedSlots = status === 'CANCELLED' ? appointment.reservedSlots || [] : [];
+    if (releasedSlots.length > 0) {
+        const failed = await writeWithReservations({ Update: update }, getReservationUpdates({
+            release: releasedSlots,
+            releasedServices: appointment.servicesList || []
+        }));
+        // Transactions cannot return the new item, so rebuild it from what was written
+        return failed ? null : {
+            ...appointment,
+            ...attributes,
+            status,
+            version: values[':nextVersion'],
+            updatedAt: values[':updatedAt']
+        };
+    }
+
+    try {
+        const result = await dynamoDb.send(new UpdateCommand({ ...update, ReturnValues: 'ALL_NEW' }));
+        return result.Attributes;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        throw error;
+    }
 };
 
-const isValidServices = (services) => {
-    if (!Array.isArray(services) || services.length === 0) {
-        return { valid: false, message: 'Services array cannot be empty' };
+// cancelledBy is whoever the request was authorized as, so it cannot be set to someone else
+const cancellationAttributes = (principal, details) => ({
+    cancelledAt: new Date().getTime(),
+    cancelledBy: principal.principalId,
+    cancellationReason: details.reason || null
+});
+
+// Validates, checks capacity and saves a new appointment. Errors are left to appointmentScheduler.
+const createAppointment = async (event, principal) => {
+    // Every problem with the body's shape is reported at once, before anything is looked up
+    const request = validateBody(event, APPOINTMENT_SCHEMA);
+    if (request.error) {
+        return request.error;
+    }
+    const body = request.body;
+    console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+    const { location, services } = body;
+    const appointmentTime = toUtcDateTime(body.appointmentTime);
+
+    const locationError = checkLocationAccess(principal, location);
+    if (locationError) {
+        return locationError;
+    }
+
+    // Links the booking to a customer, who can then see and cancel it with their own token
+    const bookedFor = await resolveCustomer(body);
+    if (bookedFor.error) {
+        return bookedFor.error;
+    }
+
+    const vehicleValidation = parseVehicle(body);
+    if (!vehicleValidation.valid) {
+        return validationError(vehicleValidation.errors);
+    }
+    const vehicleAttributes = vehicleValidation.attributes;
+
+    // Services must be in the catalog
+    const servicesValidation = await isValidServices(services);
+    if (!servicesValidation.valid) {
+        return validationError(servicesValidation.errors);
+    }
+
+    // Validate appointment time against the location's rules, for as many slots as the services need.
+    // The time as sent, so one with seconds, or a fraction of one, is turned down rather than rounded off.
+    const durationMinutes = getTotalDuration(servicesValidation.entries);
+    const locationConfig = await getLocationConfig(location);
+    const timeValidation = isValidAppointmentTime(body.appointmentTime, locationConfig, durationMinutes);
+    if (!timeValidation.valid) {
+        return fieldError('appointmentTime', timeValidation.message);
+    }
+
+    // Bookings that opt into the waitlist are queued instead of turned away when the time is full
+    const waitlistOption = body.waitlist === undefined || body.waitlist === false ? null : parseWaitlistOption(body.waitlist, appointmentTime);
+    if (waitlistOption && !waitlistOption.valid) {
+        return fieldError('waitlist', waitlistOption.message);
+    }
+
+    // Create appointment record. Random IDs cannot collide the way timestamps can
+    const timestamp = new Date().getTime();
+    const reservedSlots = getSlotIds(location, appointmentTime, durationMinutes, locationConfig);
+    const appointment = {
+        appointmentId: `appt_${randomUUID()}`,
+        customerName: bookedFor.customerName,
+        ...(bookedFor.customerId && { customerId: bookedFor.customerId }),
+        locationId: location,
+        appointmentDateTime: appointmentTime,
+        appointmentEndDateTime: getAppointmentEnd(appointmentTime, durationMinutes, locationConfig),
+        durationMinutes,
+        vehicleDetails: vehicleAttributes.vehicleDetails,
+        ...(vehicleAttributes.vehicle && { vehicle: vehicleAttributes.vehicle }),
+        ...(vehicleAttributes.vin && { vin: vehicleAttributes.vin }),
+        servicesList: services,
+        serviceDetails: toServiceDetails(servicesValidation.entries),
+        reservedSlots,
+        status: 'SCHEDULED',
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        version: 1
+    };
+
+    // Check for conflicts against the location's capacity
+    const conflictOptions = { config: locationConfig, services, durationMinutes };
+    const capacity = await checkForConflicts(location, appointmentTime, conflictOptions);
+    if (capacity.hasConflict) {
+        const nearbySlots = await getNearbySlots(location, appointmentTime, conflictOptions);
+        if (waitlistOption) {
+            return waitlistResponse(await addToWaitlist(appointment, waitlistOption.window, bookedFor.newCustomer), nearbySlots);
+        }
+        return conflictResponse(capacity, nearbySlots, servicesValidation.entries);
     }
     
-    // Check if any service is empty string
-    if (services.some(service => !service || service.trim() === '')) {
-        return { valid: false, message: 'Services cannot contain empty values' };
+    console.log('💾 Attempting to save appointment:', JSON.stringify(appointment, null, 2));
+
+    // The capacity check above is only a read, so the appointment is saved together with a reservation
+    // of each of its slots. The transaction fails if another booking took the last bay in the meantime.
+    // A new customer profile and the daily booking quota counters go into the same transaction, so a
+    // rejected booking leaves no profile behind and a booking over a quota is never made.
+    const writes = getReservationUpdates({ reserve: reservedSlots, services }, locationConfig);
+    if (bookedFor.newCustomer) {
+        writes.push({
+            Put: {
+                TableName: process.env.CUSTOMERS_TABLE,
+                Item: bookedFor.newCustomer
+            }
+        });
+    }
+    const failed = await writeWithReservations({
+        Put: {
+            TableName: process.env.APPOINTMENTS_TABLE,
+            Item: appointment,
+            ConditionExpression: 'attribute_not_exists(appointmentId)'
+        }
+    }, writes, getQuotaUpdates(principal, locationConfig));
+    if (failed === 'quota') {
+        return quotaExceeded(principal, locationConfig);
     }
+    if (failed) {
+        const nearbySlots = await getNearbySlots(location, appointmentTime, conflictOptions);
+        if (waitlistOption) {
+            return waitlistResponse(await addToWaitlist(appointment, waitlistOption.window, bookedFor.newCustomer), nearbySlots);
+        }
+        return conflictResponse({ fullService: null }, nearbySlots);
+    }
+
+    await recordAudit('created', { after: appointment, principal, event });
+    await notifyAppointment('confirmation', appointment);
     
-    return { valid: true };
+    console.log('✅ [200] Appointment successfully created');
+    return {
+        statusCode: 200,
+        body: JSON.stringify(appointment)
+    };
 };
 
 module.exports.appointmentScheduler = async (event) => {
@@ -72,108 +310,607 @@ module.exports.appointmentScheduler = async (event) => {
     
     try {
         // Check Authorization header
-        const authHeader = event.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            console.log('🔐 [401] Authentication failed: Missing Authorization header');
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // Retries with the same Idempotency-Key get the first response instead of booking again
+        return await withIdempotency(event, () => createAppointment(event, auth.principal), auth.principal.principalId);
+    } catch (error) {
+        console.error('❌ [500] Error processing appointment:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not create the appointment',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Cancels an appointment for a caller already authorized with the cancel scope. Errors are left to the
+// caller. Series cancellations (series.js) run it for each occurrence under one authorization.
+const cancelAppointment = async (event, principal) => {
+    const appointmentId = event.pathParameters.id;
+    if (!appointmentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                message: 'Appointment ID is required'
+            })
+        };
+    }
+
+    // Cancellation details may come as a JSON body or as query parameters
+    const request = parseBody(event);
+    if (request.error) {
+        return request.error;
+    }
+    const details = { ...(event.queryStringParameters || {}), ...request.body };
+    const detailErrors = validate(details, CANCELLATION_SCHEMA);
+    if (detailErrors.length > 0) {
+        return validationError(detailErrors);
+    }
+
+    const appointment = await appointmentRepository.getById(appointmentId);
+    if (!appointment) {
+        console.log('🔍 [404] Appointment not found:', appointmentId);
+        return {
+            statusCode: 404,
+            body: JSON.stringify({
+                message: 'Appointment not found'
+            })
+        };
+    }
+
+    const accessError = checkAppointmentAccess(principal, appointment);
+    if (accessError) {
+        return accessError;
+    }
+
+    if (!canTransition(appointment.status, 'CANCELLED')) {
+        console.log(`⚠️ [409] Conflict: Cannot cancel a ${appointment.status} appointment`);
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: `Cannot cancel an appointment that is ${appointment.status}`
+            })
+        };
+    }
+
+    const cancelled = await applyStatusTransition(appointment, 'CANCELLED', cancellationAttributes(principal, details));
+    if (!cancelled) {
+        console.log('⚠️ [409] Conflict: Concurrent modification of', appointmentId);
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: 'Appointment has been modified since it was read'
+            })
+        };
+    }
+
+    await recordAudit('cancelled', { before: appointment, after: cancelled, principal, event });
+    await notifyAppointment('cancellation', cancelled);
+    await releaseToWaitlist(appointment);
+
+    console.log('✅ [200] Appointment successfully cancelled');
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: 'Appointment cancelled successfully',
+            appointment: cancelled
+        })
+    };
+};
+
+module.exports.cancelAppointment = cancelAppointment;
+
+module.exports.deleteAppointment = async (event) => {
+    console.log('🔄 [START] Processing appointment cancellation request');
+    
+    try {
+        // Check Authorization header
+        const auth = await authorize(event, 'cancel');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        return await cancelAppointment(event, auth.principal);
+    } catch (error) {
+        console.error('❌ [500] Error cancelling appointment:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not delete the appointment',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getAppointment = async (event) => {
+    // GET /appointments/{id}.ics lands here, since a path variable always spans the whole segment
+    if (((event.pathParameters || {}).id || '').endsWith('.ics')) {
+        return getAppointmentCalendar(event);
+    }
+
+    console.log('🔄 [START] Processing appointment lookup request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const appointmentId = (event.pathParameters || {}).id;
+        if (!appointmentId) {
             return {
-                statusCode: 401,
+                statusCode: 400,
                 body: JSON.stringify({
-                    message: 'Missing Authorization header'
+                    message: 'Appointment ID is required'
                 })
             };
         }
 
-        const token = authHeader.split(' ')[1];
-        if (token !== process.env.API_KEY) {
-            console.log('🔐 [403] Authentication failed: Invalid API key');
+        const appointment = await appointmentRepository.getById(appointmentId);
+        if (!appointment) {
+            console.log('🔍 [404] Appointment not found:', appointmentId);
             return {
-                statusCode: 403,
+                statusCode: 404,
                 body: JSON.stringify({
-                    message: 'Invalid API key'
+                    message: 'Appointment not found'
                 })
             };
         }
 
-        const body = JSON.parse(event.body);
-        console.log('📝 Request body:', JSON.stringify(body, null, 2));
-        
-        const { fullName, location, appointmentTime, car, services } = body;
-        
-        // Input validation
-        if (!fullName || !location || !appointmentTime || !car) {
-            console.log('🚫 [400] Validation failed - Missing required fields:', { fullName, location, appointmentTime, car });
+        const accessError = checkAppointmentAccess(auth.principal, appointment);
+        if (accessError) {
+            return accessError;
+        }
+
+        console.log('✅ [200] Appointment found');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(appointment)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching appointment:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the appointment',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.listAppointments = async (event) => {
+    console.log('🔄 [START] Processing appointment listing request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const { location, vin, from, to, limit, cursor, make, model, year } = event.queryStringParameters || {};
+        if (!location && !vin) {
             return {
                 statusCode: 400,
                 body: JSON.stringify({
-                    message: 'Missing required fields'
+                    message: 'location or vin query parameter is required'
                 })
             };
         }
 
-        // Validate services
-        const servicesValidation = isValidServices(services);
-        if (!servicesValidation.valid) {
-            console.log('🚫 [400] Validation failed - Services validation:', servicesValidation.message);
+        if (location) {
+            const locationError = checkLocationAccess(auth.principal, location);
+            if (locationError) {
+                return locationError;
+            }
+        }
+
+        if (year !== undefined && !/^\d{4}$/.test(year)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'year must be a four-digit year'
+                })
+            };
+        }
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
             return {
                 statusCode: 400,
                 body: JSON.stringify({
-                    message: servicesValidation.message
+                    message: 'from and to must be valid ISO-8601 date-times'
+                })
+            };
+        }
+        if (fromDate && toDate && fromDate > toDate) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'from must not be after to'
                 })
             };
         }
 
-        // Validate appointment time
-        const timeValidation = isValidAppointmentTime(appointmentTime);
-        if (!timeValidation.valid) {
-            console.log('🚫 [400] Validation failed - Time validation:', timeValidation.message);
+        const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
             return {
                 statusCode: 400,
                 body: JSON.stringify({
-                    message: timeValidation.message
+                    message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
                 })
             };
         }
 
-        // Check for conflicts
-        const hasConflict = await checkForConflicts(location, appointmentTime, process.env.APPOINTMENTS_TABLE);
-        if (hasConflict) {
-            console.log('⚠️ [409] Conflict: Time slot already booked');
+        const exclusiveStartKey = cursor ? decodeCursor(cursor) : undefined;
+        if (exclusiveStartKey === null) {
             return {
-                statusCode: 409,
+                statusCode: 400,
                 body: JSON.stringify({
-                    message: 'This time slot is already booked'
+                    message: 'Invalid cursor'
                 })
             };
         }
 
-        // Create appointment record
-        const timestamp = new Date().getTime();
-        const appointment = {
-            appointmentId: `appt_${timestamp}`,
-            customerName: fullName,
+        // A VIN looks up one vehicle's appointments at every location; customers only see their own
+        const page = await appointmentRepository.queryPage({
             locationId: location,
-            appointmentDateTime: appointmentTime,
-            vehicleDetails: car,
-            servicesList: services,
-            status: 'SCHEDULED',
-            createdAt: timestamp,
-            updatedAt: timestamp
+            vin,
+            start: fromDate,
+            end: toDate,
+            locations: auth.principal.locations,
+            vehicle: { make, model, year: year === undefined ? undefined : Number(year) },
+            customerId: auth.principal.customerId,
+            limit: pageSize,
+            exclusiveStartKey
+        });
+
+        console.log('✅ [200] Appointments listed:', page.items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items: page.items,
+                nextCursor: encodeCursor(page.lastEvaluatedKey)
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing appointments:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list appointments',
+                error: error.message
+            })
         };
-        
-        console.log('💾 Attempting to save appointment:', JSON.stringify(appointment, null, 2));
+    }
+};
 
-        await dynamoDb.send(new PutCommand({
-            TableName: process.env.APPOINTMENTS_TABLE,
-            Item: appointment
-        }));
-        
-        console.log('✅ [200] Appointment successfully created');
+module.exports.getAvailability = async (event) => {
+    console.log('🔄 [START] Processing availability request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const location = (event.pathParameters || {}).id;
+        const query = event.queryStringParameters || {};
+        const { date } = query;
+        if (!location) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Location ID is required'
+                })
+            };
+        }
+        const locationError = checkLocationAccess(auth.principal, location);
+        if (locationError) {
+            return locationError;
+        }
+        if (!isValidDate(date)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'date query parameter must be a valid YYYY-MM-DD date'
+                })
+            };
+        }
+
+        // Optional comma-separated service IDs: slots are then sized to their total duration
+        // and checked against their per-service capacity
+        let services = [];
+        let durationMinutes;
+        if (query.services) {
+            services = query.services.split(',').map(service => service.trim());
+            const servicesValidation = await isValidServices(services);
+            if (!servicesValidation.valid) {
+                return {
+                    statusCode: 400,
+                    body: JSON.stringify({
+                        message: servicesValidation.message
+                    })
+                };
+            }
+            durationMinutes = getTotalDuration(servicesValidation.entries);
+        }
+
+        const locationConfig = await getLocationConfig(location);
+        const slots = await getAvailableSlots(location, date, {
+            config: locationConfig,
+            services,
+            durationMinutes
+        });
+
+        console.log(`✅ [200] ${slots.length} slots available`);
         return {
             statusCode: 200,
-            body: JSON.stringify(appointment)
+            body: JSON.stringify({
+                locationId: location,
+                date,
+                timeZone: locationConfig.timeZone,
+                slots
+            })
         };
     } catch (error) {
-        console.error('❌ [500] Error processing appointment:', {
+        console.error('❌ [500] Error computing availability:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not compute availability',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Applies an update to an appointment for a caller already authorized with the book scope. Errors are left
+// to the caller. Series updates (series.js) run it for each occurrence under one authorization.
+const editAppointment = async (event, principal) => {
+    const appointmentId = (event.pathParameters || {}).id;
+    if (!appointmentId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                message: 'Appointment ID is required'
+            })
+        };
+    }
+
+    const request = validateBody(event, APPOINTMENT_UPDATE_SCHEMA);
+    if (request.error) {
+        return request.error;
+    }
+    const body = request.body;
+    console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+    const changes = Object.keys(EDITABLE_FIELDS).filter(field => body[field] !== undefined);
+    if (changes.length === 0) {
+        return fieldError('body', `At least one of ${Object.keys(EDITABLE_FIELDS).join(', ')} is required`, 'required');
+    }
+
+    let vehicleAttributes = null;
+    if (body.car !== undefined || body.vehicle !== undefined) {
+        const vehicleValidation = parseVehicle(body);
+        if (!vehicleValidation.valid) {
+            return validationError(vehicleValidation.errors);
+        }
+        vehicleAttributes = vehicleValidation.attributes;
+    }
+
+    let serviceEntries = null;
+    if (body.services !== undefined) {
+        const servicesValidation = await isValidServices(body.services);
+        if (!servicesValidation.valid) {
+            return validationError(servicesValidation.errors);
+        }
+        serviceEntries = servicesValidation.entries;
+    }
+
+    const existing = await appointmentRepository.getById(appointmentId);
+    if (!existing) {
+        console.log('🔍 [404] Appointment not found:', appointmentId);
+        return {
+            statusCode: 404,
+            body: JSON.stringify({
+                message: 'Appointment not found'
+            })
+        };
+    }
+
+    const accessError = checkAppointmentAccess(principal, existing);
+    if (accessError) {
+        return accessError;
+    }
+
+    if (!STATUS_TRANSITIONS[existing.status]) {
+        console.log(`⚠️ [409] Conflict: Cannot edit a ${existing.status} appointment`);
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: `Cannot edit an appointment that is ${existing.status}`
+            })
+        };
+    }
+
+    // Records created before versioning have no version attribute and count as version 0
+    const currentVersion = existing.version || 0;
+    if (body.version !== undefined && body.version !== currentVersion) {
+        console.log('⚠️ [409] Conflict: Stale version', { expected: body.version, current: currentVersion });
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: 'Appointment has been modified since it was read',
+                version: currentVersion
+            })
+        };
+    }
+
+    // Switching between the structured and the legacy vehicle form replaces all vehicle attributes;
+    // the ones set to null are removed
+    const updates = {};
+    changes.filter(field => field !== 'car' && field !== 'vehicle').forEach(field => {
+        updates[EDITABLE_FIELDS[field]] = body[field];
+    });
+    Object.assign(updates, vehicleAttributes);
+
+    // A new time or a new service mix has to fit the location's hours and capacity again,
+    // and moves the appointment's slot reservations
+    let reservationUpdates = null;
+    let conflictOptions;
+    let appointmentTime;
+    if (body.appointmentTime !== undefined || serviceEntries) {
+        const locationConfig = await getLocationConfig(existing.locationId);
+        appointmentTime = body.appointmentTime !== undefined ? toUtcDateTime(body.appointmentTime) : existing.appointmentDateTime;
+        const durationMinutes = serviceEntries
+            ? getTotalDuration(serviceEntries)
+            : existing.durationMinutes || locationConfig.slotMinutes;
+
+        // Time rules depend on the location, so they can only be checked once the appointment is loaded
+        if (body.appointmentTime !== undefined) {
+            const timeValidation = isValidAppointmentTime(body.appointmentTime, locationConfig, durationMinutes);
+            if (!timeValidation.valid) {
+                return fieldError('appointmentTime', timeValidation.message);
+            }
+        }
+
+        conflictOptions = {
+            config: locationConfig,
+            services: body.services !== undefined ? body.services : existing.servicesList,
+            durationMinutes,
+            excludeAppointmentId: appointmentId
+        };
+        const capacity = await checkForConflicts(existing.locationId, appointmentTime, conflictOptions);
+        if (capacity.hasConflict) {
+            const nearbySlots = await getNearbySlots(existing.locationId, appointmentTime, conflictOptions);
+            return conflictResponse(capacity, nearbySlots, serviceEntries || existing.serviceDetails);
+        }
+
+        updates.appointmentDateTime = appointmentTime;
+        updates.durationMinutes = durationMinutes;
+        updates.appointmentEndDateTime = getAppointmentEnd(appointmentTime, durationMinutes, locationConfig);
+        if (serviceEntries) {
+            updates.serviceDetails = toServiceDetails(serviceEntries);
+        }
+        updates.reservedSlots = getSlotIds(existing.locationId, appointmentTime, durationMinutes, locationConfig);
+        // Reminders start over for the new time
+        if (appointmentTime !== existing.appointmentDateTime) {
+            updates.remindersSent = null;
+        }
+        reservationUpdates = getReservationUpdates({
+            reserve: updates.reservedSlots,
+            services: conflictOptions.services,
+            release: existing.reservedSlots || [],
+            releasedServices: existing.servicesList || []
+        }, locationConfig);
+    }
+
+    const names = { '#version': 'version', '#updatedAt': 'updatedAt' };
+    const values = { ':nextVersion': currentVersion + 1, ':updatedAt': new Date().getTime() };
+    const assignments = ['#version = :nextVersion', '#updatedAt = :updatedAt'];
+    const removals = [];
+    Object.entries(updates).forEach(([attribute, value]) => {
+        names[`#${attribute}`] = attribute;
+        if (value === null) {
+            removals.push(`#${attribute}`);
+            return;
+        }
+        values[`:${attribute}`] = value;
+        assignments.push(`#${attribute} = :${attribute}`);
+    });
+
+    let condition = 'attribute_exists(appointmentId) AND #version = :currentVersion';
+    if (currentVersion === 0) {
+        condition = 'attribute_exists(appointmentId) AND attribute_not_exists(#version)';
+    } else {
+        values[':currentVersion'] = currentVersion;
+    }
+
+    const update = {
+        TableName: process.env.APPOINTMENTS_TABLE,
+        Key: {
+            appointmentId: appointmentId
+        },
+        UpdateExpression: `SET ${assignments.join(', ')}` + (removals.length > 0 ? ` REMOVE ${removals.join(', ')}` : ''),
+        ConditionExpression: condition,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    };
+
+    let updated = null;
+    if (reservationUpdates) {
+        const failed = await writeWithReservations({ Update: update }, reservationUpdates);
+        if (failed === 'slot') {
+            const nearbySlots = await getNearbySlots(existing.locationId, appointmentTime, conflictOptions);
+            return conflictResponse({ fullService: null }, nearbySlots);
+        }
+        if (!failed) {
+            // Transactions cannot return the new item, so rebuild it from what was written
+            updated = { ...existing, ...updates, version: values[':nextVersion'], updatedAt: values[':updatedAt'] };
+            Object.keys(updates).filter(attribute => updates[attribute] === null).forEach(attribute => {
+                delete updated[attribute];
+            });
+        }
+    } else {
+        try {
+            const result = await dynamoDb.send(new UpdateCommand({ ...update, ReturnValues: 'ALL_NEW' }));
+            updated = result.Attributes;
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+        }
+    }
+
+    if (!updated) {
+        console.log('⚠️ [409] Conflict: Concurrent modification of', appointmentId);
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: 'Appointment has been modified since it was read'
+            })
+        };
+    }
+
+    await recordAudit('updated', { before: existing, after: updated, principal, event });
+    if (updated.appointmentDateTime !== existing.appointmentDateTime) {
+        await notifyAppointment('reschedule', updated);
+    }
+
+    console.log('✅ [200] Appointment successfully updated');
+    return {
+        statusCode: 200,
+        body: JSON.stringify(updated)
+    };
+};
+
+module.exports.editAppointment = editAppointment;
+
+module.exports.updateAppointment = async (event) => {
+    console.log('🔄 [START] Processing appointment update request');
+
+    try {
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        return await editAppointment(event, auth.principal);
+    } catch (error) {
+        console.error('❌ [500] Error updating appointment:', {
             message: error.message,
             stack: error.stack,
             eventBody: event.body
@@ -181,73 +918,98 @@ module.exports.appointmentScheduler = async (event) => {
         return {
             statusCode: 500,
             body: JSON.stringify({
-                message: 'Could not create the appointment',
+                message: 'Could not update the appointment',
                 error: error.message
             })
         };
     }
 };
 
-module.exports.deleteAppointment = async (event) => {
-    console.log('🔄 [START] Processing appointment deletion request');
-    
+module.exports.updateAppointmentStatus = async (event) => {
+    console.log('🔄 [START] Processing appointment status change request');
+
     try {
-        // Check Authorization header
-        const authHeader = event.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            console.log('🔐 [401] Authentication failed: Missing Authorization header');
+        const auth = await authorize(event, getStatusScope(event));
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const appointmentId = (event.pathParameters || {}).id;
+        if (!appointmentId) {
             return {
-                statusCode: 401,
+                statusCode: 400,
                 body: JSON.stringify({
-                    message: 'Missing Authorization header'
+                    message: 'Appointment ID is required'
                 })
             };
         }
 
-        const token = authHeader.split(' ')[1];
-        if (token !== process.env.API_KEY) {
-            console.log('🔐 [403] Authentication failed: Invalid API key');
+        const request = validateBody(event, STATUS_CHANGE_SCHEMA);
+        if (request.error) {
+            return request.error;
+        }
+        const body = request.body;
+        const { status } = body;
+
+        const appointment = await appointmentRepository.getById(appointmentId);
+        if (!appointment) {
+            console.log('🔍 [404] Appointment not found:', appointmentId);
             return {
-                statusCode: 403,
+                statusCode: 404,
                 body: JSON.stringify({
-                    message: 'Invalid API key'
+                    message: 'Appointment not found'
                 })
             };
         }
 
-        const appointmentId = event.pathParameters.id;
-        if (!appointmentId) {
+        const accessError = checkAppointmentAccess(auth.principal, appointment);
+        if (accessError) {
+            return accessError;
+        }
+
+        if (!canTransition(appointment.status, status)) {
+            console.log(`⚠️ [409] Conflict: Invalid transition ${appointment.status} → ${status}`);
             return {
-                statusCode: 400,
+                statusCode: 409,
                 body: JSON.stringify({
-                    message: 'Appointment ID is required'
+                    message: `Cannot change status from ${appointment.status} to ${status}`,
+                    allowedStatuses: STATUS_TRANSITIONS[appointment.status] || []
                 })
             };
         }
 
-        await dynamoDb.send(new DeleteCommand({
-            TableName: process.env.APPOINTMENTS_TABLE,
-            Key: {
-                appointmentId: appointmentId
-            }
-        }));
+        const attributes = status === 'CANCELLED' ? cancellationAttributes(auth.principal, body) : {};
+        const updated = await applyStatusTransition(appointment, status, attributes);
+        if (!updated) {
+            console.log('⚠️ [409] Conflict: Concurrent modification of', appointmentId);
+            return {
+                statusCode: 409,
+                body: JSON.stringify({
+                    message: 'Appointment has been modified since it was read'
+                })
+            };
+        }
+
+        const action = status === 'CANCELLED' ? 'cancelled' : 'status_changed';
+        await recordAudit(action, { before: appointment, after: updated, principal: auth.principal, event });
+        if (status === 'CANCELLED') {
+            await notifyAppointment('cancellation', updated);
+            await releaseToWaitlist(appointment);
+        }
 
-        console.log('✅ [200] Appointment successfully deleted');
+        console.log(`✅ [200] Appointment status changed to ${status}`);
         return {
             statusCode: 200,
-            body: JSON.stringify({
-                message: 'Appointment deleted successfully'
-            })
+            body: JSON.stringify(updated)
         };
     } catch (error) {
-        console.error('❌ [500] Error deleting appointment:', error);
+        console.error('❌ [500] Error changing appointment status:', error);
         return {
             statusCode: 500,
             body: JSON.stringify({
-                message: 'Could not delete the appointment',
+                message: 'Could not change the appointment status',
                 error: error.message
             })
         };
     }
 };
-
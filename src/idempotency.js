@@ -0,0 +1,159 @@
+'use strict';
+const { createHash } = require('crypto');
+const { GetCommand, PutCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+// A request that crashed before storing its response stops blocking retries after this long
+const IN_PROGRESS_LOCK_SECONDS = 30;
+
+const getTtlSeconds = () => (Number(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60;
+
+// HTTP API lower-cases header names, but direct invocations may not
+const getHeader = (event, name) => {
+    const headers = event.headers || {};
+    const header = Object.keys(headers).find(key => key.toLowerCase() === name);
+    return header === undefined ? undefined : headers[header];
+};
+
+const hashRequest = (event) => createHash('sha256').update(event.body || '').digest('hex');
+
+// Claims the key for this request. Fails when an unexpired record exists, unless it is an
+// in-progress claim whose lock has run out.
+const claimKey = async (idempotencyKey, requestHash, now) => {
+    try {
+        await dynamoDb.send(new PutCommand({
+            TableName: process.env.IDEMPOTENCY_TABLE,
+            Item: {
+                idempotencyKey,
+                requestHash,
+                createdAt: now * 1000,
+                lockedUntil: now + IN_PROGRESS_LOCK_SECONDS,
+                expiresAt: now + getTtlSeconds()
+            },
+            ConditionExpression: 'attribute_not_exists(idempotencyKey) OR expiresAt < :now OR ' +
+                '(attribute_not_exists(statusCode) AND lockedUntil < :now)',
+            ExpressionAttributeValues: {
+                ':now': now
+            }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const getRecord = async (idempotencyKey) => {
+    const result = await dynamoDb.send(new GetCommand({
+        TableName: process.env.IDEMPOTENCY_TABLE,
+        Key: {
+            idempotencyKey: idempotencyKey
+        },
+        ConsistentRead: true
+    }));
+    return result.Item || null;
+};
+
+const saveResponse = (idempotencyKey, response) => dynamoDb.send(new UpdateCommand({
+    TableName: process.env.IDEMPOTENCY_TABLE,
+    Key: {
+        idempotencyKey: idempotencyKey
+    },
+    UpdateExpression: 'SET statusCode = :statusCode, responseBody = :responseBody REMOVE lockedUntil',
+    ExpressionAttributeValues: {
+        ':statusCode': response.statusCode,
+        ':responseBody': response.body
+    }
+}));
+
+const releaseKey = (idempotencyKey) => dynamoDb.send(new DeleteCommand({
+    TableName: process.env.IDEMPOTENCY_TABLE,
+    Key: {
+        idempotencyKey: idempotencyKey
+    }
+}));
+
+// Responds to a request whose key is already taken
+const replay = (record, requestHash) => {
+    if (record && record.requestHash !== requestHash) {
+        console.log('🚫 [422] Idempotency-Key reused with a different request');
+        return {
+            statusCode: 422,
+            body: JSON.stringify({
+                message: 'Idempotency-Key has already been used with a different request'
+            })
+        };
+    }
+
+    // The record is gone when it expired between claiming and reading it
+    if (!record || record.statusCode === undefined) {
+        console.log('⚠️ [409] Conflict: Idempotent request still in progress');
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: 'A request with this Idempotency-Key is still being processed'
+            })
+        };
+    }
+
+    console.log(`♻️ [${record.statusCode}] Replaying stored response`);
+    return {
+        statusCode: record.statusCode,
+        headers: {
+            'Idempotent-Replayed': 'true'
+        },
+        body: record.responseBody
+    };
+};
+
+// Runs handler at most once per Idempotency-Key header. The key is stored with a hash of the body and,
+// once handler returns, its response; later requests with the key get that response back as long as
+// their body is the same. Server errors and 429s are not stored, so the request can be retried.
+// Keys are scoped to their owner, the API key making the request, so two callers cannot collide.
+const withIdempotency = async (event, handler, owner) => {
+    const headerValue = getHeader(event, 'idempotency-key');
+    if (headerValue === undefined) {
+        return handler(event);
+    }
+
+    if (headerValue.trim() === '' || headerValue.length > MAX_KEY_LENGTH) {
+        console.log('🚫 [400] Validation failed - Idempotency-Key');
+        return {
+            statusCode: 400,
+            body: JSON.stringify({
+                message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+            })
+        };
+    }
+
+    const idempotencyKey = `${owner}#${headerValue}`;
+    const requestHash = hashRequest(event);
+    const now = Math.floor(Date.now() / 1000);
+    if (!await claimKey(idempotencyKey, requestHash, now)) {
+        return replay(await getRecord(idempotencyKey), requestHash);
+    }
+
+    let response;
+    try {
+        response = await handler(event);
+    } catch (error) {
+        await releaseKey(idempotencyKey);
+        throw error;
+    }
+
+    if (response.statusCode >= 500 || response.statusCode === 429) {
+        await releaseKey(idempotencyKey);
+    } else {
+        await saveResponse(idempotencyKey, response);
+    }
+    return response;
+};
+
+module.exports = {
+    getHeader,
+    withIdempotency
+};
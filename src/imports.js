@@ -0,0 +1,366 @@
+'use strict';
+const { randomUUID } = require('crypto');
+const { toUtcDateTime } = require('./appointmentRepository');
+const { authorize, checkLocationAccess } = require('./auth');
+const { getLocationConfig } = require('./locations');
+const {
+    holdsSlot,
+    getOccupiedMinutes,
+    getAppointmentEnd,
+    isValidAppointmentTime,
+    queryOverlappingCandidates,
+    checkCapacity
+} = require('./scheduling');
+const { getSlotIds, getReservationUpdates, writeWithReservations } = require('./reservations');
+const { getHeader, withIdempotency } = require('./idempotency');
+const { QUOTA_REACHED, getQuotaUpdates } = require('./rateLimits');
+const { parseVehicle } = require('./vehicles');
+const { APPOINTMENT_SCHEMA, isValidServices, getTotalDuration, toServiceDetails, getConflictMessage, resolveCustomer } = require('./booking');
+const { validate, summarizeErrors, fieldError } = require('./validation');
+const { parseCsvObjects } = require('./csv');
+const { recordAudit } = require('./audit');
+
+// Bulk loading of existing bookings, e.g. when a dealership is onboarded. Each row is checked like
+// POST /appointments, and against the rows before it, and the import reports on every row.
+const MAX_IMPORT_ROWS = 500;
+// DynamoDB's limit on the items of one transaction
+const MAX_TRANSACTION_ITEMS = 100;
+
+// CSV has one column per field; the structured vehicle is spread over its own columns and services
+// are separated by semicolons
+const CSV_COLUMNS = ['fullName', 'customerId', 'location', 'appointmentTime', 'car', 'vin', 'make', 'model', 'year', 'mileage', 'services'];
+const VEHICLE_COLUMNS = ['vin', 'make', 'model', 'year', 'mileage'];
+
+// A rejected row reports like a 400 from POST /appointments, with every field error
+const rejectRow = (errors) => ({ message: summarizeErrors(errors), errors });
+
+// The message, and field errors if any, of an error response from a shared check
+const fromResponse = (response) => {
+    const { message, errors } = JSON.parse(response.body);
+    return errors ? rejectRow(errors) : { message };
+};
+
+const toNumber = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// Turns a CSV record into the body POST /appointments would get. Empty fields count as left out.
+const fromCsv = (record) => {
+    const value = (column) => (record[column] || '').trim() || undefined;
+    const hasVehicle = VEHICLE_COLUMNS.some(column => value(column) !== undefined);
+    return {
+        fullName: value('fullName'),
+        customerId: value('customerId'),
+        location: value('location'),
+        appointmentTime: value('appointmentTime'),
+        car: value('car'),
+        ...(hasVehicle && {
+            vehicle: {
+                make: value('make'),
+                model: value('model'),
+                year: toNumber(value('year')),
+                mileage: value('mileage') === undefined ? undefined : toNumber(value('mileage')),
+                vin: value('vin')
+            }
+        }),
+        services: value('services') === undefined ? undefined : value('services').split(';').map(service => service.trim())
+    };
+};
+
+// Reads the rows of an import: CSV with Content-Type text/csv, otherwise a JSON array of bookings.
+// Resolves to { rows }, or { message } when the body cannot be read.
+const readRows = (event) => {
+    const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || '';
+    const contentType = (getHeader(event, 'content-type') || '').toLowerCase();
+
+    if (contentType.startsWith('text/csv')) {
+        const parsed = parseCsvObjects(body, CSV_COLUMNS);
+        return parsed.valid ? { rows: parsed.objects.map(fromCsv) } : { message: parsed.message };
+    }
+
+    try {
+        const rows = JSON.parse(body);
+        if (Array.isArray(rows)) {
+            return { rows };
+        }
+    } catch (error) {
+        // Reported below like any other body that is not an array
+    }
+    return { message: 'Body must be a JSON array of bookings, or CSV with Content-Type: text/csv' };
+};
+
+// Same vehicle at the same place and time: the row was imported before, or appears twice in the file
+const getDuplicateKey = (appointment) => [
+    appointment.locationId,
+    new Date(appointment.appointmentDateTime).getTime(),
+    (appointment.vin || appointment.vehicleDetails || '').toLowerCase()
+].join('|');
+
+// Runs one row through the checks of POST /appointments, short of capacity. Resolves to { message } and
+// any field errors for a rejected row, or to the appointment it would create with its location's configuration.
+// Location configurations and catalog lookups are shared between rows through `cache`.
+const validateRow = async (booking, principal, cache) => {
+    if (!booking || typeof booking !== 'object' || Array.isArray(booking)) {
+        return { message: 'Row must be an object' };
+    }
+
+    // One bad date or name should not stop the rest of the import
+    const errors = validate(booking, APPOINTMENT_SCHEMA);
+    if (errors.length > 0) {
+        return rejectRow(errors);
+    }
+    const { location, services } = booking;
+    const appointmentTime = toUtcDateTime(booking.appointmentTime);
+
+    const locationError = checkLocationAccess(principal, location);
+    if (locationError) {
+        return fromResponse(locationError);
+    }
+
+    const bookedFor = await resolveCustomer(booking);
+    if (bookedFor.error) {
+        return fromResponse(bookedFor.error);
+    }
+
+    const vehicleValidation = parseVehicle(booking);
+    if (!vehicleValidation.valid) {
+        return rejectRow(vehicleValidation.errors);
+    }
+    const vehicleAttributes = vehicleValidation.attributes;
+
+    const servicesKey = JSON.stringify(services);
+    if (!cache.services.has(servicesKey)) {
+        cache.services.set(servicesKey, isValidServices(services));
+    }
+    const servicesValidation = await cache.services.get(servicesKey);
+    if (!servicesValidation.valid) {
+        return rejectRow(servicesValidation.errors);
+    }
+
+    if (!cache.configs.has(location)) {
+        cache.configs.set(location, getLocationConfig(location));
+    }
+    const config = await cache.configs.get(location);
+    const durationMinutes = getTotalDuration(servicesValidation.entries);
+    const timeValidation = isValidAppointmentTime(booking.appointmentTime, config, durationMinutes);
+    if (!timeValidation.valid) {
+        return rejectRow([{ field: 'appointmentTime', code: 'invalid', message: timeValidation.message }]);
+    }
+
+    const timestamp = new Date().getTime();
+    return {
+        config,
+        serviceEntries: servicesValidation.entries,
+        newCustomer: bookedFor.newCustomer,
+        appointment: {
+            appointmentId: `appt_${randomUUID()}`,
+            customerName: bookedFor.customerName,
+            ...(bookedFor.customerId && { customerId: bookedFor.customerId }),
+            locationId: location,
+            appointmentDateTime: appointmentTime,
+            appointmentEndDateTime: getAppointmentEnd(appointmentTime, durationMinutes, config),
+            durationMinutes,
+            vehicleDetails: vehicleAttributes.vehicleDetails,
+            ...(vehicleAttributes.vehicle && { vehicle: vehicleAttributes.vehicle }),
+            ...(vehicleAttributes.vin && { vin: vehicleAttributes.vin }),
+            servicesList: services,
+            serviceDetails: toServiceDetails(servicesValidation.entries),
+            reservedSlots: getSlotIds(location, appointmentTime, durationMinutes, config),
+            status: 'SCHEDULED',
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version: 1
+        }
+    };
+};
+
+// Stored bookings that could overlap any of the rows at one location, fetched in one go
+const getStoredBookings = (location, rows) => {
+    const { config } = rows[0];
+    const ranges = rows.map(({ appointment }) => {
+        const start = new Date(appointment.appointmentDateTime).getTime();
+        return { start, end: start + getOccupiedMinutes(appointment.durationMinutes, config) * 60000 };
+    });
+    return queryOverlappingCandidates(
+        location,
+        Math.min(...ranges.map(range => range.start)),
+        Math.max(...ranges.map(range => range.end)),
+        config
+    );
+};
+
+// The same writes as a single booking: the appointment, its slot reservations and any new customer profile
+const getWriteItems = ({ appointment, config, newCustomer }) => [
+    {
+        Put: {
+            TableName: process.env.APPOINTMENTS_TABLE,
+            Item: appointment,
+            ConditionExpression: 'attribute_not_exists(appointmentId)'
+        }
+    },
+    ...getReservationUpdates({ reserve: appointment.reservedSlots, services: appointment.servicesList }, config),
+    ...(newCustomer ? [{ Put: { TableName: process.env.CUSTOMERS_TABLE, Item: newCustomer } }] : [])
+];
+
+// Groups accepted rows into transactions within DynamoDB's item limit, each row with its daily booking quota
+// counters. A transaction cannot write an item twice, so rows sharing a slot or quota counter go into
+// different transactions.
+const toBatches = (rows, principal) => {
+    const batches = [];
+    let current = null;
+    rows.forEach(row => {
+        const items = [...getWriteItems(row), ...getQuotaUpdates(principal, row.config)];
+        const counters = items.filter(item => item.Update).map(item => `${item.Update.TableName}#${JSON.stringify(item.Update.Key)}`);
+        if (!current || current.items.length + items.length > MAX_TRANSACTION_ITEMS || counters.some(counter => current.counters.has(counter))) {
+            current = { rows: [], items: [], counters: new Set() };
+            batches.push(current);
+        }
+        current.rows.push(row);
+        current.items.push(...items);
+        counters.forEach(counter => current.counters.add(counter));
+    });
+    return batches;
+};
+
+// Writes a batch in one transaction. When it is turned down, because a booking made since the capacity check
+// took a slot or a quota ran out, its rows are written one by one to find out which of them no longer fit.
+// Resolves to the rows that could not be written, as { row, reason } with writeWithReservations' reason.
+const writeBatch = async (batch, principal) => {
+    const [first, ...rest] = batch.items;
+    if (batch.rows.length > 1 && !await writeWithReservations(first, rest)) {
+        return [];
+    }
+    const failed = [];
+    for (const row of batch.rows) {
+        const [appointmentWrite, ...writes] = getWriteItems(row);
+        const reason = await writeWithReservations(appointmentWrite, writes, getQuotaUpdates(principal, row.config));
+        if (reason) {
+            failed.push({ row, reason });
+        }
+    }
+    return failed;
+};
+
+const runImport = async (event, principal) => {
+    const dryRun = ((event.queryStringParameters || {}).dryRun || '').toLowerCase() === 'true';
+
+    const input = readRows(event);
+    if (input.message) {
+        return fieldError('body', input.message);
+    }
+    if (input.rows.length === 0 || input.rows.length > MAX_IMPORT_ROWS) {
+        return fieldError('body', `An import must have between 1 and ${MAX_IMPORT_ROWS} rows`, input.rows.length === 0 ? 'too_short' : 'too_long');
+    }
+    console.log(`📝 Importing ${input.rows.length} rows${dryRun ? ' (dry run)' : ''}`);
+
+    // Row numbers count from 1, so row 1 is the first booking (the line after the header in CSV)
+    const results = input.rows.map((booking, index) => ({ row: index + 1 }));
+    const cache = { services: new Map(), configs: new Map() };
+    const valid = [];
+    for (const [index, booking] of input.rows.entries()) {
+        const validation = await validateRow(booking, principal, cache);
+        if (validation.message) {
+            Object.assign(results[index], { status: 'rejected', message: validation.message, ...(validation.errors && { errors: validation.errors }) });
+        } else {
+            valid.push({ ...validation, index });
+        }
+    }
+
+    const byLocation = new Map();
+    valid.forEach(row => byLocation.set(row.appointment.locationId, [...(byLocation.get(row.appointment.locationId) || []), row]));
+    const stored = new Map();
+    for (const [location, rows] of byLocation) {
+        stored.set(location, (await getStoredBookings(location, rows)).filter(holdsSlot));
+    }
+
+    // In file order, each row is checked against stored bookings and the rows accepted before it
+    const accepted = [];
+    valid.forEach(row => {
+        const { appointment, config, serviceEntries } = row;
+        const location = appointment.locationId;
+        const duplicateKey = getDuplicateKey(appointment);
+
+        const storedDuplicate = stored.get(location).find(item => getDuplicateKey(item) === duplicateKey);
+        if (storedDuplicate) {
+            Object.assign(results[row.index], { status: 'duplicate', duplicateOf: storedDuplicate.appointmentId });
+            return;
+        }
+        const rowDuplicate = accepted.find(other => getDuplicateKey(other.appointment) === duplicateKey);
+        if (rowDuplicate) {
+            Object.assign(results[row.index], { status: 'duplicate', duplicateOfRow: rowDuplicate.index + 1 });
+            return;
+        }
+
+        const bookings = [...stored.get(location), ...accepted.filter(other => other.appointment.locationId === location).map(other => other.appointment)];
+        const capacity = checkCapacity(appointment.appointmentDateTime, bookings, {
+            config,
+            services: appointment.servicesList,
+            durationMinutes: appointment.durationMinutes
+        });
+        if (capacity.hasConflict) {
+            Object.assign(results[row.index], { status: 'rejected', message: getConflictMessage(capacity, serviceEntries) });
+            return;
+        }
+
+        accepted.push(row);
+        Object.assign(results[row.index], {
+            status: dryRun ? 'valid' : 'created',
+            appointmentId: appointment.appointmentId,
+            appointmentTime: appointment.appointmentDateTime
+        });
+    });
+
+    // A dry run stops here, with every row checked and nothing written
+    if (!dryRun) {
+        for (const batch of toBatches(accepted, principal)) {
+            const failed = await writeBatch(batch, principal);
+            failed.forEach(({ row, reason }) => {
+                const message = reason === 'quota' ? QUOTA_REACHED : getConflictMessage({ fullService: null });
+                results[row.index] = { row: row.index + 1, status: 'rejected', message };
+            });
+            for (const row of batch.rows.filter(row => !failed.some(failure => failure.row === row))) {
+                await recordAudit('created', { after: row.appointment, principal, event });
+            }
+        }
+    }
+
+    const summary = results.reduce((counts, result) => ({ ...counts, [result.status]: counts[result.status] + 1 }), {
+        total: results.length,
+        [dryRun ? 'valid' : 'created']: 0,
+        rejected: 0,
+        duplicate: 0
+    });
+    console.log('✅ [200] Import finished:', summary);
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            dryRun,
+            summary,
+            rows: results
+        })
+    };
+};
+
+module.exports.importAppointments = async (event) => {
+    console.log('🔄 [START] Processing appointment import request');
+
+    try {
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // A retried import with the same Idempotency-Key gets the first report instead of importing again
+        return await withIdempotency(event, () => runImport(event, auth.principal), auth.principal.principalId);
+    } catch (error) {
+        console.error('❌ [500] Error importing appointments:', {
+            message: error.message,
+            stack: error.stack
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not import the appointments',
+                error: error.message
+            })
+        };
+    }
+};
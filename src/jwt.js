@@ -0,0 +1,98 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { createHmac, createPublicKey, timingSafeEqual, verify } = require('crypto');
+
+// Allowance for clocks that differ between the token issuer and Lambda
+const CLOCK_SKEW_SECONDS = 30;
+
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+const isJwt = (token) => JWT_PATTERN.test(token);
+
+const decodeSegment = (segment) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+        return decoded !== null && typeof decoded === 'object' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// HS256 secrets, comma separated so a new secret can be added before the old one is retired
+const getSecrets = () => (process.env.JWT_SECRETS || '').split(',').map(secret => secret.trim()).filter(Boolean);
+
+const jwksCache = new Map();
+
+// RS256 public keys from the JWKS file, read once per container
+const getPublicKeys = () => {
+    if (!process.env.JWT_JWKS_FILE) {
+        return [];
+    }
+    const file = path.resolve(process.env.JWT_JWKS_FILE);
+    if (!jwksCache.has(file)) {
+        const { keys = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        jwksCache.set(file, keys
+            .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+            .map(jwk => ({ kid: jwk.kid, key: createPublicKey({ key: jwk, format: 'jwk' }) })));
+    }
+    return jwksCache.get(file);
+};
+
+const verifyHs256 = (signingInput, signature) => getSecrets().some(secret => {
+    const expected = createHmac('sha256', secret).update(signingInput).digest();
+    return expected.length === signature.length && timingSafeEqual(expected, signature);
+});
+
+const verifyRs256 = (signingInput, signature, kid) => getPublicKeys()
+    .filter(publicKey => !kid || publicKey.kid === kid)
+    .some(publicKey => verify('RSA-SHA256', Buffer.from(signingInput), publicKey.key, signature));
+
+// Checks the signature and the exp, nbf, iss and aud claims. Resolves to { claims } or { error } with
+// the reason. Tokens are only accepted once JWT_ISSUER and JWT_AUDIENCE are configured.
+const verifyJwt = (token) => {
+    const issuer = process.env.JWT_ISSUER;
+    const audience = process.env.JWT_AUDIENCE;
+    if (!issuer || !audience) {
+        return { error: 'Token authentication is not configured' };
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    const header = decodeSegment(encodedHeader);
+    const claims = decodeSegment(encodedPayload);
+    if (!header || !claims) {
+        return { error: 'Invalid token' };
+    }
+
+    // The algorithm is pinned per key type, so an RS256 public key can never be used as an HMAC secret
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    const verified = header.alg === 'HS256' ? verifyHs256(signingInput, signature)
+        : header.alg === 'RS256' ? verifyRs256(signingInput, signature, header.kid)
+            : false;
+    if (!verified) {
+        return { error: 'Invalid token' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp <= now - CLOCK_SKEW_SECONDS) {
+        return { error: 'Token has expired' };
+    }
+    if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || claims.nbf > now + CLOCK_SKEW_SECONDS)) {
+        return { error: 'Token is not valid yet' };
+    }
+    if (claims.iss !== issuer) {
+        return { error: 'Token has the wrong issuer' };
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+        return { error: 'Token has the wrong audience' };
+    }
+
+    return { claims };
+};
+
+module.exports = {
+    isJwt,
+    verifyJwt
+};
@@ -0,0 +1,147 @@
+'use strict';
+const http = require('http');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { ROUTES } = require('./routes');
+
+// Serves the API on this machine by handing each request to its Lambda handler, the way API Gateway
+// would: an HTTP API (payload 2.0) event in, the handler's { statusCode, headers, body } out.
+// Run with npm run start:local. Tables default to the in-memory store, so nothing needs AWS.
+
+// Table names for a local run, and the settings serverless.yml would otherwise provide
+const LOCAL_ENVIRONMENT = {
+    STORAGE_BACKEND: 'memory',
+    APPOINTMENTS_TABLE: 'appointments',
+    LOCATIONS_TABLE: 'locations',
+    BOOKED_LOCATIONS_TABLE: 'booked-locations',
+    SERVICES_TABLE: 'services',
+    RESERVATIONS_TABLE: 'reservations',
+    IDEMPOTENCY_TABLE: 'idempotency',
+    IDEMPOTENCY_TTL_HOURS: '24',
+    API_KEYS_TABLE: 'api-keys',
+    CUSTOMERS_TABLE: 'customers',
+    WAITLIST_TABLE: 'waitlist',
+    AUDIT_TABLE: 'audit',
+    WEBHOOKS_TABLE: 'webhooks',
+    WEBHOOK_SUBSCRIPTIONS_TABLE: 'webhook-subscriptions',
+    WEBHOOK_DELIVERIES_TABLE: 'webhook-deliveries',
+    RATE_LIMITS_TABLE: 'rate-limits'
+};
+
+// Fills in whatever the environment leaves unset. Has to run before the first request, since the
+// handlers pick their storage when they are loaded.
+const useLocalEnvironment = () => {
+    Object.entries(LOCAL_ENVIRONMENT).forEach(([name, value]) => {
+        if (process.env[name] === undefined) {
+            process.env[name] = value;
+        }
+    });
+};
+
+// The route for a request and its path parameters, or null. Like API Gateway, a literal segment wins
+// over a {parameter}, so /appointments/import is never taken for an appointment ID.
+const matchRoute = (method, requestPath) => {
+    const segments = requestPath.split('/').slice(1);
+    const matches = ROUTES.filter(route => route.method === method && route.segments.length === segments.length &&
+        route.segments.every((segment, index) => (segment.startsWith('{') ? segments[index] !== '' : segment === segments[index])));
+    if (matches.length === 0) {
+        return null;
+    }
+    const literals = (route) => route.segments.filter(segment => !segment.startsWith('{')).length;
+    const route = matches.reduce((best, candidate) => (literals(candidate) > literals(best) ? candidate : best));
+    const pathParameters = {};
+    route.segments.forEach((segment, index) => {
+        if (segment.startsWith('{')) {
+            pathParameters[segment.slice(1, -1)] = decodeURIComponent(segments[index]);
+        }
+    });
+    return { route, pathParameters };
+};
+
+// The event API Gateway builds for an HTTP API with payload format 2.0. Repeated headers and query
+// parameters are joined with commas, as there.
+const toEvent = (request, body, { route, pathParameters }) => {
+    const url = new URL(request.url, 'http://localhost');
+    const headers = {};
+    Object.entries(request.headers).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = [].concat(value).join(',');
+    });
+    const queryStringParameters = {};
+    url.searchParams.forEach((value, name) => {
+        queryStringParameters[name] = name in queryStringParameters ? `${queryStringParameters[name]},${value}` : value;
+    });
+    const routeKey = `${route.method} ${route.path}`;
+    return {
+        version: '2.0',
+        routeKey,
+        rawPath: url.pathname,
+        rawQueryString: url.search.slice(1),
+        headers,
+        queryStringParameters: Object.keys(queryStringParameters).length > 0 ? queryStringParameters : undefined,
+        pathParameters: Object.keys(pathParameters).length > 0 ? pathParameters : undefined,
+        requestContext: {
+            requestId: randomUUID(),
+            routeKey,
+            stage: '$default',
+            timeEpoch: Date.now(),
+            http: {
+                method: request.method,
+                path: url.pathname,
+                protocol: `HTTP/${request.httpVersion}`,
+                sourceIp: request.socket.remoteAddress,
+                userAgent: headers['user-agent'] || ''
+            }
+        },
+        body: body.length > 0 ? body.toString('utf8') : undefined,
+        isBase64Encoded: false
+    };
+};
+
+const send = (response, statusCode, headers, body) => {
+    const names = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    response.writeHead(statusCode, { 'content-type': 'application/json', ...names });
+    response.end(body);
+};
+
+const handleRequest = async (request, response) => {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+
+    try {
+        const match = matchRoute(request.method, new URL(request.url, 'http://localhost').pathname);
+        if (!match) {
+            console.log('🔍 [404] No route for', request.method, request.url);
+            send(response, 404, {}, JSON.stringify({ message: 'Not Found' }));
+            return;
+        }
+
+        const [moduleName, exportName] = match.route.handler.split('.');
+        const handler = require(path.join(__dirname, moduleName))[exportName];
+        const result = await handler(toEvent(request, Buffer.concat(chunks), match));
+        const body = result.body || '';
+        send(response, result.statusCode, result.headers || {}, result.isBase64Encoded ? Buffer.from(body, 'base64') : body);
+    } catch (error) {
+        // What API Gateway answers when a Lambda function fails
+        console.error('❌ [500] Handler failed:', error);
+        send(response, 500, {}, JSON.stringify({ message: 'Internal Server Error' }));
+    }
+};
+
+// An http.Server for the API; listen on it to start serving
+const createServer = () => {
+    useLocalEnvironment();
+    return http.createServer((request, response) => {
+        handleRequest(request, response);
+    });
+};
+
+module.exports = { useLocalEnvironment, matchRoute, toEvent, createServer };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 3000;
+    createServer().listen(port, () => {
+        console.log(`✅ API listening on http://localhost:${port} with ${process.env.STORAGE_BACKEND} storage`);
+    });
+}
@@ -0,0 +1,534 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// A stand-in for the DynamoDB document client that keeps the tables in memory, and optionally in a
+// JSON file, so the API can run without AWS. It takes the same commands and answers the same way:
+// conditions, update expressions, index queries with key conditions, filters and pages, and
+// transactions that either apply completely or fail with the reason for each item.
+//
+// Only what the handlers use is supported; anything else throws rather than behaving differently
+// from DynamoDB. TTL is not, so expired items stay until they are overwritten.
+
+// Keys and indexes of every table in serverless.yml, by the environment variable naming the table
+const TABLES = {
+    APPOINTMENTS_TABLE: {
+        key: ['appointmentId'],
+        indexes: {
+            locationTime: ['locationId', 'appointmentDateTime'],
+            vinTime: ['vin', 'appointmentDateTime'],
+            customerTime: ['customerId', 'appointmentDateTime'],
+            seriesTime: ['seriesId', 'appointmentDateTime']
+        }
+    },
+    LOCATIONS_TABLE: { key: ['locationId'] },
+    BOOKED_LOCATIONS_TABLE: { key: ['locationId'] },
+    SERVICES_TABLE: { key: ['serviceId'] },
+    RESERVATIONS_TABLE: { key: ['slotId'] },
+    IDEMPOTENCY_TABLE: { key: ['idempotencyKey'] },
+    API_KEYS_TABLE: { key: ['keyId'] },
+    CUSTOMERS_TABLE: {
+        key: ['customerId'],
+        indexes: {
+            email: ['email'],
+            phone: ['phone']
+        }
+    },
+    WAITLIST_TABLE: {
+        key: ['entryId'],
+        indexes: {
+            locationQueue: ['locationId', 'createdAt']
+        }
+    },
+    AUDIT_TABLE: { key: ['appointmentId', 'auditId'] },
+    WEBHOOKS_TABLE: { key: ['webhookId'] },
+    WEBHOOK_SUBSCRIPTIONS_TABLE: { key: ['event', 'webhookId'] },
+    RATE_LIMITS_TABLE: { key: ['limitId'] },
+    WEBHOOK_DELIVERIES_TABLE: {
+        key: ['deliveryId'],
+        indexes: {
+            webhookTime: ['webhookId', 'createdAt'],
+            statusDue: ['status', 'nextAttemptAt']
+        }
+    }
+};
+
+// Errors carry the names the AWS SDK gives them, since that is what callers check
+const awsError = (name, message, attributes = {}) => Object.assign(new Error(message), { name }, attributes);
+
+const unsupported = (what) => new Error(`The local store does not support ${what}`);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const getTable = (tableName) => {
+    const variable = Object.keys(TABLES).find(name => process.env[name] === tableName);
+    if (!tableName || !variable) {
+        throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`);
+    }
+    return TABLES[variable];
+};
+
+// Expressions
+
+const TOKEN_PATTERN = /\s*(<>|<=|>=|[=<>(),.[\]+-]|[#:]?[A-Za-z0-9_]+)/y;
+
+const tokenize = (expression) => {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            if (expression.slice(start).trim() === '') {
+                break;
+            }
+            throw unsupported(`the expression ${expression}`);
+        }
+        tokens.push(match[1]);
+    }
+    return tokens;
+};
+
+// A cursor over an expression's tokens, resolving #name and :value placeholders
+const createParser = (expression, names = {}, values = {}) => {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isKeyword = (keyword) => typeof peek() === 'string' && peek().toUpperCase() === keyword;
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw unsupported(`the expression ${expression}`);
+        }
+    };
+
+    const name = (token) => {
+        if (!token.startsWith('#')) {
+            return token;
+        }
+        if (!(token in names)) {
+            throw awsError('ValidationException', `An expression attribute name used in the document path is not defined: ${token}`);
+        }
+        return names[token];
+    };
+
+    // A document path such as #vehicle.#make or remindersSent[0]
+    const parsePath = () => {
+        const segments = [name(next())];
+        while (peek() === '.' || peek() === '[') {
+            if (next() === '.') {
+                segments.push(name(next()));
+            } else {
+                segments.push(Number(next()));
+                expect(']');
+            }
+        }
+        return segments;
+    };
+
+    return { peek, isKeyword, next, expect, parsePath, done: () => position >= tokens.length, expression, values };
+};
+
+const getPath = (item, segments) => segments.reduce((value, segment) => (
+    value === undefined || value === null ? undefined : value[segment]
+), item);
+
+const setPath = (item, segments, value) => {
+    const parent = getPath(item, segments.slice(0, -1));
+    if (parent === undefined || typeof parent !== 'object') {
+        throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update');
+    }
+    parent[segments[segments.length - 1]] = value;
+};
+
+const removePath = (item, segments) => {
+    const parent = getPath(item, segments.slice(0, -1));
+    if (Array.isArray(parent)) {
+        parent.splice(segments[segments.length - 1], 1);
+    } else if (parent && typeof parent === 'object') {
+        delete parent[segments[segments.length - 1]];
+    }
+};
+
+const resolveValue = (parser, token) => {
+    if (!(token in parser.values)) {
+        throw awsError('ValidationException', `An expression attribute value used in expression is not defined: ${token}`);
+    }
+    return parser.values[token];
+};
+
+// An operand resolves to a function of the item: a :value, a path, or if_not_exists/list_append in updates
+const parseOperand = (parser) => {
+    const token = parser.peek();
+    if (token.startsWith(':')) {
+        parser.next();
+        const value = resolveValue(parser, token);
+        return () => value;
+    }
+    if (token === 'if_not_exists' || token === 'list_append') {
+        parser.next();
+        parser.expect('(');
+        const first = parseOperand(parser);
+        parser.expect(',');
+        const second = parseOperand(parser);
+        parser.expect(')');
+        if (token === 'if_not_exists') {
+            return (item) => (first(item) === undefined ? second(item) : first(item));
+        }
+        return (item) => [...first(item), ...second(item)];
+    }
+    const segments = parser.parsePath();
+    return (item) => getPath(item, segments);
+};
+
+// DynamoDB only orders numbers against numbers and strings against strings
+const compare = (left, right) => {
+    if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) {
+        return null;
+    }
+    if (left === right) {
+        return 0;
+    }
+    return left < right ? -1 : 1;
+};
+
+const isEqual = (left, right) => left !== undefined && JSON.stringify(left) === JSON.stringify(right);
+
+const COMPARATORS = {
+    '=': (left, right) => isEqual(left, right),
+    '<>': (left, right) => !isEqual(left, right),
+    '<': (left, right) => compare(left, right) === -1,
+    '<=': (left, right) => [-1, 0].includes(compare(left, right)),
+    '>': (left, right) => compare(left, right) === 1,
+    '>=': (left, right) => [0, 1].includes(compare(left, right))
+};
+
+const CONDITION_FUNCTIONS = {
+    attribute_exists: (value) => value !== undefined,
+    attribute_not_exists: (value) => value === undefined,
+    contains: (value, operand) => (typeof value === 'string'
+        ? value.includes(operand)
+        : Array.isArray(value) && value.some(element => isEqual(element, operand))),
+    begins_with: (value, operand) => typeof value === 'string' && value.startsWith(operand)
+};
+
+// Conditions resolve to predicates over the item. OR binds loosest, then AND, then NOT.
+const parseCondition = (parser) => {
+    const parseOr = () => {
+        const parts = [parseAnd()];
+        while (parser.isKeyword('OR')) {
+            parser.next();
+            parts.push(parseAnd());
+        }
+        return parts.length === 1 ? parts[0] : (item) => parts.some(part => part(item));
+    };
+
+    const parseAnd = () => {
+        const parts = [parseNot()];
+        // AND inside BETWEEN is taken by parseComparison
+        while (parser.isKeyword('AND')) {
+            parser.next();
+            parts.push(parseNot());
+        }
+        return parts.length === 1 ? parts[0] : (item) => parts.every(part => part(item));
+    };
+
+    const parseNot = () => {
+        if (parser.isKeyword('NOT')) {
+            parser.next();
+            const part = parseNot();
+            return (item) => !part(item);
+        }
+        return parseComparison();
+    };
+
+    const parseComparison = () => {
+        const token = parser.peek();
+        if (token === '(') {
+            parser.next();
+            const part = parseOr();
+            parser.expect(')');
+            return part;
+        }
+        if (CONDITION_FUNCTIONS[token]) {
+            parser.next();
+            parser.expect('(');
+            const args = [parseOperand(parser)];
+            while (parser.peek() === ',') {
+                parser.next();
+                args.push(parseOperand(parser));
+            }
+            parser.expect(')');
+            return (item) => CONDITION_FUNCTIONS[token](...args.map(arg => arg(item)));
+        }
+
+        const left = parseOperand(parser);
+        if (parser.isKeyword('BETWEEN')) {
+            parser.next();
+            const low = parseOperand(parser);
+            parser.expect('AND');
+            const high = parseOperand(parser);
+            return (item) => COMPARATORS['>='](left(item), low(item)) && COMPARATORS['<='](left(item), high(item));
+        }
+        if (parser.isKeyword('IN')) {
+            parser.next();
+            parser.expect('(');
+            const options = [parseOperand(parser)];
+            while (parser.peek() === ',') {
+                parser.next();
+                options.push(parseOperand(parser));
+            }
+            parser.expect(')');
+            return (item) => options.some(option => isEqual(left(item), option(item)));
+        }
+        const comparator = COMPARATORS[parser.next()];
+        if (!comparator) {
+            throw unsupported(`the expression ${parser.expression}`);
+        }
+        const right = parseOperand(parser);
+        return (item) => comparator(left(item), right(item));
+    };
+
+    const condition = parseOr();
+    if (!parser.done()) {
+        throw unsupported(`the expression ${parser.expression}`);
+    }
+    return condition;
+};
+
+// A predicate for a condition, key condition or filter expression; no expression matches everything
+const compileCondition = (expression, names, values) => {
+    if (!expression) {
+        return () => true;
+    }
+    return parseCondition(createParser(expression, names, values));
+};
+
+// Applies SET, REMOVE and ADD clauses to a copy of the item. Every operand reads the item as it was
+// before the update, as in DynamoDB.
+const applyUpdate = (item, expression, names, values) => {
+    const parser = createParser(expression, names, values);
+    const actions = [];
+    let clause = null;
+    while (!parser.done()) {
+        if (['SET', 'REMOVE', 'ADD'].some(keyword => parser.isKeyword(keyword))) {
+            clause = parser.next().toUpperCase();
+            continue;
+        }
+        if (parser.peek() === ',') {
+            parser.next();
+            continue;
+        }
+        const segments = parser.parsePath();
+        if (clause === 'SET') {
+            parser.expect('=');
+            const operand = parseOperand(parser);
+            actions.push((before, after) => setPath(after, segments, clone(operand(before))));
+        } else if (clause === 'REMOVE') {
+            actions.push((before, after) => removePath(after, segments));
+        } else if (clause === 'ADD') {
+            const operand = parseOperand(parser);
+            actions.push((before, after) => {
+                const current = getPath(before, segments);
+                if (typeof operand(before) !== 'number' || (current !== undefined && typeof current !== 'number')) {
+                    throw unsupported('ADD for anything but numbers');
+                }
+                setPath(after, segments, (current || 0) + operand(before));
+            });
+        } else {
+            throw unsupported(`the update expression ${expression}`);
+        }
+    }
+    const updated = clone(item);
+    actions.forEach(action => action(item, updated));
+    return updated;
+};
+
+// Tables
+
+const getKey = (item, attributes) => attributes.reduce((key, attribute) => ({ ...key, [attribute]: item[attribute] }), {});
+
+const keyString = (key, attributes) => JSON.stringify(attributes.map(attribute => key[attribute]));
+
+// Orders items the way an index pages through them: by its keys, then the table's
+const compareByKeys = (attributes) => (left, right) => {
+    for (const attribute of attributes) {
+        const order = compare(left[attribute], right[attribute]);
+        if (order) {
+            return order;
+        }
+    }
+    return 0;
+};
+
+const createLocalClient = ({ file = null } = {}) => {
+    // Items by table name, then by their key. Tables read from the file are indexed the first time they
+    // are used, so the file may hold tables this process has no name for.
+    const saved = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    const tables = {};
+
+    const getItems = (tableName) => {
+        const { key } = getTable(tableName);
+        if (!tables[tableName]) {
+            tables[tableName] = new Map((saved[tableName] || []).map(item => [keyString(item, key), item]));
+        }
+        return tables[tableName];
+    };
+
+    // Written to a temporary file first, so an interrupted save never leaves half a file behind
+    const save = () => {
+        if (!file) {
+            return;
+        }
+        Object.entries(tables).forEach(([tableName, items]) => {
+            saved[tableName] = [...items.values()];
+        });
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(saved, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    };
+
+    const findItem = (tableName, key) => getItems(tableName).get(keyString(key, getTable(tableName).key));
+
+    const checkCondition = (item, input) => {
+        const condition = compileCondition(input.ConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+        if (input.ConditionExpression && !condition(item || {})) {
+            throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    };
+
+    // Each write works out the item's new state first, so a failed condition changes nothing.
+    // Returns a function that applies it, along with the item before and after.
+    const prepareWrite = (type, input) => {
+        const { key } = getTable(input.TableName);
+        const before = findItem(input.TableName, type === 'Put' ? getKey(input.Item, key) : input.Key);
+        checkCondition(before, input);
+        let after = null;
+        if (type === 'Put') {
+            after = clone(input.Item);
+        } else if (type === 'Update') {
+            after = applyUpdate(before || clone(input.Key), input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+        }
+        const itemKey = keyString(type === 'Put' ? input.Item : input.Key, key);
+        return {
+            before,
+            after,
+            apply: () => {
+                if (after) {
+                    getItems(input.TableName).set(itemKey, after);
+                } else if (type === 'Delete') {
+                    getItems(input.TableName).delete(itemKey);
+                }
+            }
+        };
+    };
+
+    const write = (type, input) => {
+        const { before, after, apply } = prepareWrite(type, input);
+        apply();
+        save();
+        if (input.ReturnValues === 'ALL_NEW') {
+            return { Attributes: clone(after) };
+        }
+        if (input.ReturnValues === 'ALL_OLD') {
+            return { Attributes: clone(before) };
+        }
+        return {};
+    };
+
+    // Items in key order, or the reverse with ScanIndexForward false, from the table or one of its
+    // indexes, which like DynamoDB's global secondary indexes only hold items with every index key.
+    // Limit counts the items read, before the filter.
+    const readPage = (input, match) => {
+        const table = getTable(input.TableName);
+        const indexKey = input.IndexName ? table.indexes && table.indexes[input.IndexName] : table.key;
+        if (!indexKey) {
+            throw awsError('ValidationException', `The table does not have the specified index: ${input.IndexName}`);
+        }
+        const keyOrder = compareByKeys([...indexKey, ...table.key.filter(attribute => !indexKey.includes(attribute))]);
+        const order = input.ScanIndexForward === false ? (left, right) => keyOrder(right, left) : keyOrder;
+        let items = [...getItems(input.TableName).values()]
+            .filter(item => indexKey.every(attribute => item[attribute] !== undefined) && match(item))
+            .sort(order);
+        if (input.ExclusiveStartKey) {
+            items = items.filter(item => order(item, input.ExclusiveStartKey) > 0);
+        }
+
+        const read = input.Limit ? items.slice(0, input.Limit) : items;
+        const filter = compileCondition(input.FilterExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+        const matched = clone(read.filter(filter));
+        const result = { Items: matched, Count: matched.length, ScannedCount: read.length };
+        if (read.length < items.length) {
+            result.LastEvaluatedKey = getKey(read[read.length - 1], [...new Set([...table.key, ...indexKey])]);
+        }
+        return result;
+    };
+
+    // The whole transaction is prepared before any of it is applied. Like DynamoDB, a failure reports
+    // a reason for every item, in order, with None for the ones that were fine.
+    const transactWrite = (input) => {
+        const reasons = [];
+        const writes = input.TransactItems.map(transactItem => {
+            const [type, request] = Object.entries(transactItem)[0];
+            try {
+                if (type === 'ConditionCheck') {
+                    checkCondition(findItem(request.TableName, request.Key), request);
+                    reasons.push({ Code: 'None' });
+                    return null;
+                }
+                const prepared = prepareWrite(type, request);
+                reasons.push({ Code: 'None' });
+                return prepared;
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+                reasons.push({ Code: 'ConditionalCheckFailed', Message: error.message });
+                return null;
+            }
+        });
+        if (reasons.some(reason => reason.Code !== 'None')) {
+            throw awsError('TransactionCanceledException',
+                `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`,
+                { CancellationReasons: reasons });
+        }
+        writes.filter(Boolean).forEach(prepared => prepared.apply());
+        save();
+        return {};
+    };
+
+    const handlers = {
+        GetCommand: (input) => {
+            const item = findItem(input.TableName, input.Key);
+            return item ? { Item: clone(item) } : {};
+        },
+        PutCommand: (input) => write('Put', input),
+        UpdateCommand: (input) => write('Update', input),
+        DeleteCommand: (input) => write('Delete', input),
+        QueryCommand: (input) => readPage(input, compileCondition(
+            input.KeyConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues
+        )),
+        ScanCommand: (input) => readPage(input, () => true),
+        BatchGetCommand: (input) => ({
+            Responses: Object.fromEntries(Object.entries(input.RequestItems).map(([tableName, request]) => [
+                tableName,
+                request.Keys.map(key => findItem(tableName, key)).filter(Boolean).map(clone)
+            ])),
+            UnprocessedKeys: {}
+        }),
+        TransactWriteCommand: transactWrite
+    };
+
+    return {
+        send: async (command) => {
+            const handler = handlers[command.constructor.name];
+            if (!handler) {
+                throw unsupported(command.constructor.name);
+            }
+            return handler(command.input);
+        }
+    };
+};
+
+module.exports = { TABLES, createLocalClient };
@@ -0,0 +1,407 @@
+'use strict';
+const { GetCommand, PutCommand, ScanCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { authorize, canAccessLocation, checkLocationAccess } = require('./auth');
+const { WEEKDAYS, parseClockTime } = require('./timezone');
+const { DEFAULT_NOTIFICATION_SETTINGS, validateNotificationSettings } = require('./templates');
+const { validate, validationError, parseBody } = require('./validation');
+
+// What happens when a cancellation frees time someone on the waitlist wants: "hold" keeps it for them
+// for holdMinutes until they accept, "book" books it for them straight away
+const WAITLIST_MODES = ['hold', 'book'];
+const DEFAULT_WAITLIST_SETTINGS = {
+    mode: 'hold',
+    holdMinutes: 30
+};
+
+// Rules for locations without a stored configuration: the original 9 AM - 7 PM Eastern, every day
+const DEFAULT_LOCATION_CONFIG = {
+    timeZone: 'America/New_York',
+    slotMinutes: 30,
+    weeklyHours: WEEKDAYS.reduce((hours, day) => ({ ...hours, [day]: { open: '09:00', close: '19:00' } }), {}),
+    holidays: [],
+    bayCapacity: 1,
+    serviceCapacity: {},
+    notifications: DEFAULT_NOTIFICATION_SETTINGS,
+    waitlist: DEFAULT_WAITLIST_SETTINGS,
+    // Appointments that may be booked per day in the location's time zone, or null for no quota
+    dailyBookingQuota: null
+};
+
+const MIN_SLOT_MINUTES = 5;
+const MAX_SLOT_MINUTES = 240;
+const MAX_BAY_CAPACITY = 100;
+const MIN_HOLD_MINUTES = 5;
+const MAX_HOLD_MINUTES = 24 * 60;
+
+const getLocationConfig = async (locationId) => {
+    const result = await dynamoDb.send(new GetCommand({
+        TableName: process.env.LOCATIONS_TABLE,
+        Key: {
+            locationId: locationId
+        }
+    }));
+    // Defaults also fill in settings added after a configuration was stored
+    return { locationId, ...DEFAULT_LOCATION_CONFIG, ...result.Item };
+};
+
+// A day's hours, or null when the location is closed that day
+const OPENING_HOURS_SCHEMA = {
+    type: ['object', 'null'],
+    required: ['open', 'close'],
+    properties: {
+        open: { type: 'string', format: 'time' },
+        close: { type: 'string', format: 'time' }
+    }
+};
+
+// PUT /locations/{id}. Every field is optional and falls back to DEFAULT_LOCATION_CONFIG.
+// Notification settings are checked by validateNotificationSettings.
+const LOCATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        timeZone: { type: 'string', format: 'time-zone' },
+        slotMinutes: { type: 'integer', minimum: MIN_SLOT_MINUTES, maximum: MAX_SLOT_MINUTES },
+        weeklyHours: {
+            type: 'object',
+            properties: WEEKDAYS.reduce((properties, day) => ({ ...properties, [day]: OPENING_HOURS_SCHEMA }), {}),
+            additionalProperties: false
+        },
+        holidays: { type: 'array', items: { type: 'string', format: 'date' } },
+        bayCapacity: { type: 'integer', minimum: 1, maximum: MAX_BAY_CAPACITY },
+        serviceCapacity: { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } },
+        notifications: { type: 'object' },
+        waitlist: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: WAITLIST_MODES },
+                holdMinutes: { type: 'integer', minimum: MIN_HOLD_MINUTES, maximum: MAX_HOLD_MINUTES }
+            }
+        },
+        dailyBookingQuota: { type: ['integer', 'null'], minimum: 1 }
+    }
+};
+
+// Validates a location configuration body, filling in defaults for omitted fields.
+// An invalid result carries the { field, code, message } errors.
+const validateLocationConfig = (body) => {
+    const errors = validate(body, LOCATION_SCHEMA);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    const config = { ...DEFAULT_LOCATION_CONFIG, ...body };
+
+    // Each open day needs room for at least one slot
+    Object.keys(config.weeklyHours).filter(day => config.weeklyHours[day]).forEach(day => {
+        const { open, close } = config.weeklyHours[day];
+        if (parseClockTime(close) - parseClockTime(open) < config.slotMinutes) {
+            errors.push({
+                field: `weeklyHours.${day}`,
+                code: 'invalid',
+                message: `weeklyHours.${day} must close at least one slot (${config.slotMinutes} minutes) after it opens`
+            });
+        }
+    });
+
+    const notificationValidation = validateNotificationSettings(config.notifications);
+    if (!notificationValidation.valid) {
+        errors.push({ field: 'notifications', code: 'invalid', message: notificationValidation.message });
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const { weeklyHours } = config;
+    const waitlist = { ...DEFAULT_WAITLIST_SETTINGS, ...config.waitlist };
+    return {
+        valid: true,
+        config: {
+            timeZone: config.timeZone,
+            slotMinutes: config.slotMinutes,
+            // Weekdays left out of weeklyHours are closed
+            weeklyHours: WEEKDAYS.reduce((hours, day) => ({
+                ...hours,
+                [day]: weeklyHours[day] ? { open: weeklyHours[day].open, close: weeklyHours[day].close } : null
+            }), {}),
+            holidays: [...new Set(config.holidays)].sort(),
+            bayCapacity: config.bayCapacity,
+            serviceCapacity: config.serviceCapacity,
+            notifications: notificationValidation.settings,
+            waitlist: { mode: waitlist.mode, holdMinutes: waitlist.holdMinutes },
+            dailyBookingQuota: config.dailyBookingQuota
+        }
+    };
+};
+
+// Every location an appointment has been booked at, with or without a stored configuration, one item
+// each in BOOKED_LOCATIONS_TABLE. Scheduled work such as reminders finds locations on the defaults
+// here rather than by reading the appointments. Locations are only ever added, so an instance does
+// not write the ones it has already written again.
+const registeredLocations = new Set();
+
+const registerBookedLocations = async (locationIds) => {
+    for (const locationId of new Set(locationIds)) {
+        if (registeredLocations.has(locationId)) {
+            continue;
+        }
+        await dynamoDb.send(new UpdateCommand({
+            TableName: process.env.BOOKED_LOCATIONS_TABLE,
+            Key: {
+                locationId: locationId
+            },
+            UpdateExpression: 'SET firstBookedAt = if_not_exists(firstBookedAt, :now)',
+            ExpressionAttributeValues: {
+                ':now': Date.now()
+            }
+        }));
+        registeredLocations.add(locationId);
+    }
+};
+
+const listBookedLocationIds = async () => {
+    const locationIds = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new ScanCommand({
+            TableName: process.env.BOOKED_LOCATIONS_TABLE,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        locationIds.push(...(result.Items || []).map(item => item.locationId));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return locationIds;
+};
+
+module.exports.DEFAULT_LOCATION_CONFIG = DEFAULT_LOCATION_CONFIG;
+module.exports.getLocationConfig = getLocationConfig;
+module.exports.registerBookedLocations = registerBookedLocations;
+module.exports.listBookedLocationIds = listBookedLocationIds;
+module.exports.LOCATION_SCHEMA = LOCATION_SCHEMA;
+module.exports.validateLocationConfig = validateLocationConfig;
+
+module.exports.putLocation = async (event) => {
+    console.log('🔄 [START] Processing location configuration request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const locationId = (event.pathParameters || {}).id;
+        if (!locationId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Location ID is required'
+                })
+            };
+        }
+
+        const locationError = checkLocationAccess(auth.principal, locationId);
+        if (locationError) {
+            return locationError;
+        }
+
+        const parsed = parseBody(event);
+        if (parsed.error) {
+            return parsed.error;
+        }
+        const { body } = parsed;
+        console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+        const validation = validateLocationConfig(body);
+        if (!validation.valid) {
+            return validationError(validation.errors);
+        }
+
+        const existing = await dynamoDb.send(new GetCommand({
+            TableName: process.env.LOCATIONS_TABLE,
+            Key: {
+                locationId: locationId
+            }
+        }));
+
+        const timestamp = new Date().getTime();
+        const location = {
+            locationId,
+            ...validation.config,
+            createdAt: existing.Item ? existing.Item.createdAt : timestamp,
+            updatedAt: timestamp
+        };
+
+        await dynamoDb.send(new PutCommand({
+            TableName: process.env.LOCATIONS_TABLE,
+            Item: location
+        }));
+
+        console.log('✅ [200] Location configuration saved');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(location)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error saving location configuration:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not save the location configuration',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getLocation = async (event) => {
+    console.log('🔄 [START] Processing location lookup request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const locationId = (event.pathParameters || {}).id;
+        if (!locationId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Location ID is required'
+                })
+            };
+        }
+
+        const locationError = checkLocationAccess(auth.principal, locationId);
+        if (locationError) {
+            return locationError;
+        }
+
+        const result = await dynamoDb.send(new GetCommand({
+            TableName: process.env.LOCATIONS_TABLE,
+            Key: {
+                locationId: locationId
+            }
+        }));
+        if (!result.Item) {
+            console.log('🔍 [404] Location not found:', locationId);
+            return {
+                statusCode: 404,
+                body: JSON.stringify({
+                    message: 'Location not found'
+                })
+            };
+        }
+
+        console.log('✅ [200] Location found');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(result.Item)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching location:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the location',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.listLocations = async (event) => {
+    console.log('🔄 [START] Processing location listing request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // The location table is small, so a full scan is fine here
+        const items = [];
+        let exclusiveStartKey;
+        do {
+            const result = await dynamoDb.send(new ScanCommand({
+                TableName: process.env.LOCATIONS_TABLE,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            items.push(...(result.Items || []));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        // Keys restricted to some locations only see those
+        const visible = items.filter(item => canAccessLocation(auth.principal, item.locationId));
+        console.log('✅ [200] Locations listed:', visible.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items: visible
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing locations:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list locations',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.deleteLocation = async (event) => {
+    console.log('🔄 [START] Processing location deletion request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const locationId = (event.pathParameters || {}).id;
+        if (!locationId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Location ID is required'
+                })
+            };
+        }
+
+        const locationError = checkLocationAccess(auth.principal, locationId);
+        if (locationError) {
+            return locationError;
+        }
+
+        await dynamoDb.send(new DeleteCommand({
+            TableName: process.env.LOCATIONS_TABLE,
+            Key: {
+                locationId: locationId
+            }
+        }));
+
+        // Without a stored configuration the location falls back to DEFAULT_LOCATION_CONFIG
+        console.log('✅ [200] Location configuration deleted');
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Location configuration deleted successfully'
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error deleting location:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not delete the location configuration',
+                error: error.message
+            })
+        };
+    }
+};
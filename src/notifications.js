@@ -0,0 +1,206 @@
+'use strict';
+const { ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { appointmentRepository } = require('./appointmentRepository');
+const { DEFAULT_LOCATION_CONFIG, getLocationConfig, listBookedLocationIds } = require('./locations');
+const { getCustomerById } = require('./customers');
+const { DEFAULT_NOTIFICATION_SETTINGS, renderNotification } = require('./templates');
+const { getTransport } = require('./transports');
+
+// Cancelled, finished and missed appointments get no reminders
+const REMINDER_STATUSES = ['SCHEDULED', 'CONFIRMED'];
+
+const getSettings = (config) => ({ ...DEFAULT_NOTIFICATION_SETTINGS, ...config.notifications });
+
+// Sends a notification over each of the location's channels the customer has contact details for.
+// A failing channel does not stop the others; resolves to how many messages were sent and failed.
+const sendNotification = async (type, appointment, config) => {
+    const outcome = { sent: 0, failed: 0 };
+    const customer = await getCustomerById(appointment.customerId);
+    if (!customer) {
+        return outcome;
+    }
+
+    const rendered = renderNotification(type, appointment, config);
+    const recipients = { email: customer.email, sms: customer.phone };
+    for (const channel of getSettings(config).channels.filter(channel => recipients[channel])) {
+        try {
+            await getTransport(channel).send({
+                channel,
+                to: recipients[channel],
+                subject: rendered.subject,
+                text: rendered[channel],
+                type,
+                appointmentId: appointment.appointmentId
+            });
+            outcome.sent += 1;
+        } catch (error) {
+            console.error(`❌ Could not send the ${type} ${channel} for ${appointment.appointmentId}:`, error.message);
+            outcome.failed += 1;
+        }
+    }
+    return outcome;
+};
+
+// Tells the customer about a booking change. Only appointments booked for a customer profile have
+// contact details. Never throws, so a notification problem cannot fail a change that was already saved.
+const notifyAppointment = async (type, appointment) => {
+    if (!appointment.customerId) {
+        return;
+    }
+    try {
+        const config = await getLocationConfig(appointment.locationId);
+        const outcome = await sendNotification(type, appointment, config);
+        console.log(`📨 ${type} for ${appointment.appointmentId}:`, outcome);
+    } catch (error) {
+        console.error(`❌ Could not send the ${type} for ${appointment.appointmentId}:`, error.message);
+    }
+};
+
+// Offsets whose reminder time has passed and that have not been sent. Reminders that were already
+// due when the appointment was booked are skipped, since the confirmation went out just then.
+const getDueOffsets = (appointment, offsets, now) => {
+    const start = new Date(appointment.appointmentDateTime).getTime();
+    const sent = appointment.remindersSent || [];
+    return offsets.filter(offset => {
+        const dueAt = start - offset * 60000;
+        return dueAt <= now && dueAt >= (appointment.createdAt || 0) && !sent.includes(offset);
+    });
+};
+
+// Records the due offsets as sent before sending, guarded by the offsets, the time and the status that
+// were read. Resolves to false when another run claimed them or the appointment changed in between.
+const claimReminders = async (appointment, offsets) => {
+    const values = {
+        ':none': [],
+        ':offsets': offsets,
+        ':appointmentDateTime': appointment.appointmentDateTime
+    };
+    const conditions = ['#appointmentDateTime = :appointmentDateTime', `#status IN (${REMINDER_STATUSES.map((status, index) => {
+        values[`:status${index}`] = status;
+        return `:status${index}`;
+    }).join(', ')})`];
+    offsets.forEach((offset, index) => {
+        values[`:offset${index}`] = offset;
+        conditions.push(`NOT contains(#remindersSent, :offset${index})`);
+    });
+
+    try {
+        await dynamoDb.send(new UpdateCommand({
+            TableName: process.env.APPOINTMENTS_TABLE,
+            Key: {
+                appointmentId: appointment.appointmentId
+            },
+            UpdateExpression: 'SET #remindersSent = list_append(if_not_exists(#remindersSent, :none), :offsets)',
+            ConditionExpression: conditions.join(' AND '),
+            ExpressionAttributeNames: {
+                '#remindersSent': 'remindersSent',
+                '#appointmentDateTime': 'appointmentDateTime',
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: values
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Puts back the offsets read before a claim whose reminder could not be sent, so the next run retries it
+const releaseReminders = async (appointment) => {
+    const previous = appointment.remindersSent || [];
+    await dynamoDb.send(new UpdateCommand({
+        TableName: process.env.APPOINTMENTS_TABLE,
+        Key: {
+            appointmentId: appointment.appointmentId
+        },
+        UpdateExpression: previous.length > 0 ? 'SET #remindersSent = :previous' : 'REMOVE #remindersSent',
+        ExpressionAttributeNames: {
+            '#remindersSent': 'remindersSent'
+        },
+        ...(previous.length > 0 && { ExpressionAttributeValues: { ':previous': previous } })
+    }));
+};
+
+const getStoredLocations = async () => {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new ScanCommand({
+            TableName: process.env.LOCATIONS_TABLE,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+};
+
+// Sends one reminder per appointment per run, even when several offsets came due together
+const remindAppointment = async (appointment, config, now) => {
+    const due = getDueOffsets(appointment, getSettings(config).reminderOffsetsMinutes, now);
+    if (due.length === 0 || !(await claimReminders(appointment, due))) {
+        return false;
+    }
+
+    let outcome;
+    try {
+        outcome = await sendNotification('reminder', appointment, config);
+    } catch (error) {
+        console.error(`❌ Could not send the reminder for ${appointment.appointmentId}:`, error.message);
+        outcome = { sent: 0, failed: 1 };
+    }
+    if (outcome.sent === 0 && outcome.failed > 0) {
+        await releaseReminders(appointment);
+        return false;
+    }
+    return outcome.sent > 0;
+};
+
+// Scheduled: finds the reminders that have come due at each configured location, and at each location
+// booked on the defaults (see registerBookedLocations), with one locationTime query per location
+module.exports.sendReminders = async () => {
+    console.log('🔄 [START] Processing appointment reminders');
+
+    const now = Date.now();
+    let reminded = 0;
+    let failedLocations = 0;
+    const stored = await getStoredLocations();
+    const onDefaults = (await listBookedLocationIds())
+        .filter(locationId => !stored.some(location => location.locationId === locationId))
+        .map(locationId => ({ locationId }));
+    const locations = [...stored, ...onDefaults];
+    for (const location of locations) {
+        try {
+            const config = { ...DEFAULT_LOCATION_CONFIG, ...location };
+            const offsets = getSettings(config).reminderOffsetsMinutes;
+            if (offsets.length === 0) {
+                continue;
+            }
+
+            const horizon = new Date(now + Math.max(...offsets) * 60000);
+            const appointments = await appointmentRepository.listByLocation(location.locationId, { start: new Date(now), end: horizon });
+            const remindable = appointments.filter(appointment =>
+                REMINDER_STATUSES.includes(appointment.status) && appointment.customerId
+            );
+            for (const appointment of remindable) {
+                if (await remindAppointment(appointment, config, now)) {
+                    reminded += 1;
+                }
+            }
+        } catch (error) {
+            // One broken location should not hold up the others' reminders
+            console.error(`❌ Could not process reminders for ${location.locationId}:`, error.message);
+            failedLocations += 1;
+        }
+    }
+
+    console.log('✅ Reminders sent:', { reminded, locations: locations.length, failedLocations });
+    return { reminded, failedLocations };
+};
+
+module.exports.notifyAppointment = notifyAppointment;
+module.exports.getDueOffsets = getDueOffsets;
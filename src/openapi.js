@@ -0,0 +1,1397 @@
+'use strict';
+const { version } = require('../package.json');
+const {
+    APPOINTMENT_SCHEMA,
+    APPOINTMENT_UPDATE_SCHEMA,
+    APPOINTMENT_STATUSES,
+    STATUS_CHANGE_SCHEMA,
+    CANCELLATION_SCHEMA
+} = require('./booking');
+const { SERIES_SCHEMA, SERIES_TARGET_SCHEMA, SERIES_UPDATE_SCHEMA } = require('./series');
+const { LOCATION_SCHEMA } = require('./locations');
+const { SERVICE_SCHEMA } = require('./catalog');
+const { CUSTOMER_SCHEMA, CUSTOMER_UPDATE_SCHEMA } = require('./customers');
+const { API_KEY_SCHEMA } = require('./apiKeys');
+const { AUDIT_ACTIONS } = require('./audit');
+const { REPORT_FORMATS, MAX_REPORT_DAYS } = require('./reports');
+const { WEBHOOK_SCHEMA, WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('./webhooks');
+const { SCOPES } = require('./auth');
+const { WEEKDAYS } = require('./timezone');
+
+// The API contract as an OpenAPI 3.1 document, served at GET /openapi.json. Request bodies use the
+// schemas the handlers validate with, so the two cannot disagree. Responses are described here, and
+// every response the Jest suites see is checked against them (see __tests__/helpers/conformance.js).
+// Each operation is named after the handler that serves it in serverless.yml.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const listOf = (name) => ({
+    type: 'object',
+    required: ['items'],
+    properties: {
+        items: { type: 'array', items: ref(name) }
+    }
+});
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const jsonResponse = (description, schema) => ({ description, content: jsonContent(schema) });
+
+// One of the shared error responses, with what it means for the operation
+const errorResponse = (name, description) => ({ $ref: `#/components/responses/${name}`, description });
+
+const badRequest = (description) => errorResponse('BadRequest', description);
+const notFound = (description) => errorResponse('NotFound', description);
+const conflict = (description) => errorResponse('Conflict', description);
+const serverError = errorResponse('ServerError', 'Server error');
+
+// 401, 403 and the 429 of a rate limit, which every operation but this document's own can return
+const authErrors = (forbidden = 'API key or token is invalid, revoked, expired, lacks the scope or is not allowed for the location') => ({
+    401: errorResponse('Unauthorized', 'Missing Authorization header'),
+    403: errorResponse('Forbidden', forbidden),
+    429: errorResponse('TooManyRequests', 'Rate limit reached')
+});
+
+// For bookings, which also count against daily booking quotas
+const bookingLimited = errorResponse('TooManyRequests', 'Rate limit or daily booking quota reached');
+
+const idParameter = (description) => ({
+    name: 'id',
+    in: 'path',
+    required: true,
+    description,
+    schema: { type: 'string' }
+});
+
+const queryParameter = (name, description, schema = { type: 'string' }) => ({
+    name,
+    in: 'query',
+    description,
+    schema
+});
+
+const idempotencyKey = { $ref: '#/components/parameters/IdempotencyKey' };
+
+const jsonBody = (schema, required = true) => ({ required, content: jsonContent(schema) });
+
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableString = { type: ['string', 'null'] };
+
+const SCHEMAS = {
+    FieldError: {
+        type: 'object',
+        required: ['field', 'code', 'message'],
+        properties: {
+            field: { type: 'string', description: 'Path into the body, such as vehicle.year or services[1], or body' },
+            code: { type: 'string' },
+            message: { type: 'string' }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            message: { type: 'string' },
+            errors: { type: 'array', items: ref('FieldError'), description: 'Every problem with the request, for 400s from validation' },
+            error: { type: 'string', description: 'What went wrong, for 500s' }
+        }
+    },
+    Message: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            message: { type: 'string' }
+        }
+    },
+    Slot: {
+        type: 'object',
+        required: ['appointmentTime', 'baysFree'],
+        properties: {
+            appointmentTime: dateTime,
+            baysFree: { type: 'integer', minimum: 0 }
+        }
+    },
+    Vehicle: {
+        type: 'object',
+        properties: {
+            make: { type: 'string' },
+            model: { type: 'string' },
+            year: { type: 'integer' },
+            mileage: { type: ['integer', 'null'] },
+            vin: nullableString
+        }
+    },
+    ServiceDetails: {
+        type: 'object',
+        properties: {
+            serviceId: { type: 'string' },
+            name: { type: 'string' },
+            durationMinutes: { type: 'integer' },
+            price: { type: ['number', 'null'] }
+        }
+    },
+    Appointment: {
+        type: 'object',
+        required: ['appointmentId'],
+        properties: {
+            appointmentId: { type: 'string' },
+            customerName: nullableString,
+            customerId: { type: 'string' },
+            locationId: { type: 'string' },
+            appointmentDateTime: dateTime,
+            appointmentEndDateTime: dateTime,
+            durationMinutes: { type: 'integer' },
+            vehicleDetails: { type: 'string' },
+            vehicle: ref('Vehicle'),
+            vin: { type: 'string' },
+            servicesList: { type: 'array', items: { type: 'string' } },
+            serviceDetails: { type: 'array', items: ref('ServiceDetails') },
+            reservedSlots: { type: 'array', items: { type: 'string' } },
+            status: { type: 'string', enum: [...APPOINTMENT_STATUSES, 'HELD'] },
+            seriesId: { type: 'string' },
+            occurrenceIndex: { type: 'integer' },
+            holdExpiresAt: { type: 'integer', description: 'When a waitlist hold runs out, in epoch milliseconds' },
+            cancelledAt: { type: 'integer' },
+            cancelledBy: { type: 'string', description: 'The principalId of whoever cancelled it, or system:waitlist when a hold was turned down' },
+            cancellationReason: nullableString,
+            remindersSent: { type: 'array', items: { type: 'integer' } },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' },
+            version: { type: 'integer' }
+        }
+    },
+    AppointmentPage: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+            items: { type: 'array', items: ref('Appointment') },
+            nextCursor: { type: ['string', 'null'], description: 'The cursor of the next page, or null on the last one' }
+        }
+    },
+    BookingConflict: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            message: { type: 'string' },
+            nearbySlots: { type: 'array', items: ref('Slot'), description: 'Bookable slots around the requested time' }
+        }
+    },
+    Waitlisted: {
+        type: 'object',
+        required: ['message', 'waitlistEntry', 'nearbySlots'],
+        properties: {
+            message: { type: 'string' },
+            waitlistEntry: ref('WaitlistEntry'),
+            nearbySlots: { type: 'array', items: ref('Slot') }
+        }
+    },
+    Cancellation: {
+        type: 'object',
+        required: ['message', 'appointment'],
+        properties: {
+            message: { type: 'string' },
+            appointment: ref('Appointment')
+        }
+    },
+    Availability: {
+        type: 'object',
+        required: ['locationId', 'date', 'timeZone', 'slots'],
+        properties: {
+            locationId: { type: 'string' },
+            date: { type: 'string', format: 'date' },
+            timeZone: { type: 'string' },
+            slots: { type: 'array', items: ref('Slot') }
+        }
+    },
+    Utilization: {
+        type: 'object',
+        required: ['slots', 'bookedSlots', 'appointments', 'cancelled', 'noShows', 'services', 'leadTime'],
+        properties: {
+            slots: { type: 'integer', minimum: 0, description: 'Bay slots the opening hours offer: each slot times bayCapacity' },
+            bookedSlots: { type: 'integer', minimum: 0, description: 'Bay slots taken by appointments that were not cancelled' },
+            utilization: { type: ['number', 'null'], description: 'bookedSlots / slots, or null without slots' },
+            appointments: { type: 'integer', minimum: 0, description: 'Appointments starting in the period, cancelled or not' },
+            cancelled: { type: 'integer', minimum: 0 },
+            noShows: { type: 'integer', minimum: 0 },
+            cancellationRate: { type: ['number', 'null'], description: 'cancelled / appointments' },
+            noShowRate: { type: ['number', 'null'], description: 'noShows / appointments that were not cancelled' },
+            services: {
+                type: 'object',
+                additionalProperties: { type: 'integer' },
+                description: 'Appointments that were not cancelled, by service ID, most booked first'
+            },
+            leadTime: {
+                type: 'object',
+                properties: {
+                    averageHours: { type: ['number', 'null'] },
+                    medianHours: { type: ['number', 'null'] }
+                },
+                description: 'Hours from booking to appointment, for appointments booked before they started'
+            }
+        }
+    },
+    UtilizationHour: {
+        type: 'object',
+        required: ['hour'],
+        allOf: [ref('Utilization')],
+        properties: {
+            hour: { type: 'integer', minimum: 0, maximum: 23, description: 'Hour of the day in the location\'s time zone' }
+        }
+    },
+    UtilizationDay: {
+        type: 'object',
+        required: ['date', 'hours'],
+        allOf: [ref('Utilization')],
+        properties: {
+            date: { type: 'string', format: 'date' },
+            hours: { type: 'array', items: ref('UtilizationHour'), description: 'Hours with slots or appointments' }
+        }
+    },
+    LocationUtilization: {
+        type: 'object',
+        required: ['locationId', 'timeZone', 'days'],
+        allOf: [ref('Utilization')],
+        properties: {
+            locationId: { type: 'string' },
+            timeZone: { type: 'string' },
+            days: { type: 'array', items: ref('UtilizationDay') }
+        }
+    },
+    UtilizationReport: {
+        type: 'object',
+        required: ['from', 'to', 'locations'],
+        allOf: [ref('Utilization')],
+        properties: {
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            locations: { type: 'array', items: ref('LocationUtilization') }
+        }
+    },
+    AuditEntry: {
+        type: 'object',
+        required: ['appointmentId', 'auditId', 'action', 'recordedAt'],
+        properties: {
+            appointmentId: { type: 'string' },
+            auditId: { type: 'string' },
+            action: { type: 'string', enum: AUDIT_ACTIONS },
+            actor: {
+                type: 'object',
+                properties: {
+                    principalId: { type: 'string' },
+                    name: { type: 'string' },
+                    type: { type: 'string', enum: ['apiKey', 'staff', 'customer', 'system'] }
+                }
+            },
+            requestId: nullableString,
+            recordedAt: { type: 'integer' },
+            changes: {
+                type: 'object',
+                description: 'Each attribute that changed, with null for one that was added or removed',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['before', 'after'],
+                    properties: {
+                        before: {},
+                        after: {}
+                    }
+                }
+            }
+        }
+    },
+    AppointmentHistory: {
+        type: 'object',
+        required: ['appointmentId', 'items'],
+        properties: {
+            appointmentId: { type: 'string' },
+            items: { type: 'array', items: ref('AuditEntry') }
+        }
+    },
+    ImportResult: {
+        type: 'object',
+        required: ['dryRun', 'summary', 'rows'],
+        properties: {
+            dryRun: { type: 'boolean' },
+            summary: {
+                type: 'object',
+                required: ['total', 'rejected', 'duplicate'],
+                description: 'How many rows there were, and how many ended in each status',
+                properties: {
+                    total: { type: 'integer' },
+                    created: { type: 'integer' },
+                    valid: { type: 'integer' },
+                    rejected: { type: 'integer' },
+                    duplicate: { type: 'integer' }
+                }
+            },
+            rows: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['row', 'status'],
+                    properties: {
+                        row: { type: 'integer', minimum: 1 },
+                        status: { type: 'string', enum: ['created', 'valid', 'rejected', 'duplicate'] },
+                        appointmentId: { type: 'string' },
+                        appointmentTime: dateTime,
+                        message: { type: 'string' },
+                        errors: { type: 'array', items: ref('FieldError') },
+                        duplicateOf: { type: 'string' },
+                        duplicateOfRow: { type: 'integer' }
+                    }
+                }
+            }
+        }
+    },
+    SeriesFailure: {
+        type: 'object',
+        required: ['occurrenceIndex', 'message'],
+        properties: {
+            appointmentId: { type: 'string' },
+            occurrenceIndex: { type: 'integer' },
+            appointmentTime: dateTime,
+            statusCode: { type: 'integer', description: 'What the single-appointment endpoint answered, for edits and cancellations' },
+            message: { type: 'string' },
+            errors: { type: 'array', items: ref('FieldError') }
+        }
+    },
+    SeriesBooking: {
+        type: 'object',
+        required: ['seriesId', 'recurrence', 'booked', 'failed'],
+        properties: {
+            seriesId: { type: 'string' },
+            recurrence: {
+                type: 'object',
+                properties: {
+                    frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+                    interval: { type: 'integer' },
+                    count: { type: 'integer' },
+                    until: { type: 'string' }
+                }
+            },
+            booked: { type: 'array', items: ref('Appointment') },
+            failed: { type: 'array', items: ref('SeriesFailure') }
+        }
+    },
+    SeriesUnbooked: {
+        type: 'object',
+        required: ['message', 'failed'],
+        properties: {
+            message: { type: 'string' },
+            failed: { type: 'array', items: ref('SeriesFailure') }
+        }
+    },
+    SeriesAppointments: {
+        type: 'object',
+        required: ['seriesId', 'items'],
+        properties: {
+            seriesId: { type: 'string' },
+            items: { type: 'array', items: ref('Appointment') }
+        }
+    },
+    SeriesChange: {
+        type: 'object',
+        description: 'With scope "following". With scope "this" the response is that of the single-appointment endpoint.',
+        properties: {
+            seriesId: { type: 'string' },
+            scope: { type: 'string', enum: ['this', 'following'] },
+            updated: { type: 'array', items: ref('Appointment') },
+            cancelled: { type: 'array', items: ref('Appointment') },
+            failed: { type: 'array', items: ref('SeriesFailure') }
+        }
+    },
+    Location: {
+        type: 'object',
+        required: ['locationId'],
+        properties: {
+            locationId: { type: 'string' },
+            timeZone: { type: 'string' },
+            slotMinutes: { type: 'integer' },
+            weeklyHours: {
+                type: 'object',
+                properties: WEEKDAYS.reduce((properties, day) => ({
+                    ...properties,
+                    [day]: {
+                        type: ['object', 'null'],
+                        properties: {
+                            open: { type: 'string' },
+                            close: { type: 'string' }
+                        }
+                    }
+                }), {})
+            },
+            holidays: { type: 'array', items: { type: 'string' } },
+            bayCapacity: { type: 'integer' },
+            serviceCapacity: { type: 'object', additionalProperties: { type: 'integer' } },
+            notifications: { type: 'object' },
+            waitlist: {
+                type: 'object',
+                properties: {
+                    mode: { type: 'string', enum: ['hold', 'book'] },
+                    holdMinutes: { type: 'integer' }
+                }
+            },
+            dailyBookingQuota: { type: ['integer', 'null'] },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' }
+        }
+    },
+    Service: {
+        type: 'object',
+        required: ['serviceId'],
+        properties: {
+            serviceId: { type: 'string' },
+            name: { type: 'string' },
+            durationMinutes: { type: 'integer' },
+            price: { type: ['number', 'null'] },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' }
+        }
+    },
+    Customer: {
+        type: 'object',
+        required: ['customerId'],
+        properties: {
+            customerId: { type: 'string' },
+            name: { type: 'string' },
+            email: { type: 'string' },
+            phone: { type: 'string' },
+            vehicles: { type: 'array', items: ref('Vehicle') },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' }
+        }
+    },
+    CustomerAppointments: {
+        type: 'object',
+        required: ['upcoming', 'past'],
+        properties: {
+            upcoming: { type: 'array', items: ref('Appointment'), description: 'Soonest first' },
+            past: { type: 'array', items: ref('Appointment'), description: 'Most recent first' }
+        }
+    },
+    WaitlistEntry: {
+        type: 'object',
+        required: ['entryId'],
+        properties: {
+            entryId: { type: 'string' },
+            locationId: { type: 'string' },
+            customerName: nullableString,
+            customerId: { type: 'string' },
+            requestedDateTime: dateTime,
+            windowStart: dateTime,
+            windowEnd: dateTime,
+            durationMinutes: { type: 'integer' },
+            vehicleDetails: { type: 'string' },
+            vehicle: ref('Vehicle'),
+            vin: { type: 'string' },
+            servicesList: { type: 'array', items: { type: 'string' } },
+            serviceDetails: { type: 'array', items: ref('ServiceDetails') },
+            status: { type: 'string', enum: ['WAITING', 'OFFERED', 'BOOKED', 'DECLINED', 'EXPIRED', 'LEFT'] },
+            position: { type: ['integer', 'null'], description: 'Place in the queue, from 1, while WAITING' },
+            appointmentId: { type: 'string', description: 'The held or booked appointment' },
+            holdExpiresAt: { type: 'integer' },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' },
+            expiresAt: { type: 'integer', description: 'When the entry is deleted, in epoch seconds' }
+        }
+    },
+    LeftWaitlist: {
+        type: 'object',
+        required: ['message', 'entry'],
+        properties: {
+            message: { type: 'string' },
+            entry: ref('WaitlistEntry')
+        }
+    },
+    AcceptedOffer: {
+        type: 'object',
+        required: ['entry', 'appointment'],
+        properties: {
+            entry: ref('WaitlistEntry'),
+            appointment: ref('Appointment')
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        required: ['keyId'],
+        properties: {
+            keyId: { type: 'string' },
+            name: { type: 'string' },
+            scopes: { type: 'array', items: { type: 'string', enum: SCOPES } },
+            locations: { type: ['array', 'null'], items: { type: 'string' } },
+            expiresAt: nullableString,
+            rateLimits: {
+                type: ['object', 'null'],
+                description: 'Limits by route, in place of the configured ones; see POST /api-keys',
+                additionalProperties: {
+                    type: ['object', 'null'],
+                    properties: {
+                        limit: { type: 'integer' },
+                        windowSeconds: { type: 'integer' }
+                    }
+                }
+            },
+            dailyBookingQuota: { type: ['integer', 'null'] },
+            revoked: { type: 'boolean' },
+            revokedAt: { type: 'integer' },
+            revokedBy: { type: 'string' },
+            createdAt: { type: 'integer' },
+            createdBy: { type: 'string' }
+        }
+    },
+    NewApiKey: {
+        type: 'object',
+        required: ['apiKey'],
+        allOf: [ref('ApiKey')],
+        properties: {
+            apiKey: { type: 'string', description: 'The key itself, which is only ever shown in this response' }
+        }
+    },
+    Webhook: {
+        type: 'object',
+        required: ['webhookId'],
+        properties: {
+            webhookId: { type: 'string' },
+            url: { type: 'string' },
+            events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+            description: nullableString,
+            createdAt: { type: 'integer' },
+            createdBy: { type: 'string' }
+        }
+    },
+    NewWebhook: {
+        type: 'object',
+        required: ['secret'],
+        allOf: [ref('Webhook')],
+        properties: {
+            secret: { type: 'string', description: 'Signs every delivery; only ever shown in this response' }
+        }
+    },
+    WebhookAttempt: {
+        type: 'object',
+        required: ['attempt', 'attemptedAt'],
+        properties: {
+            attempt: { type: 'integer', minimum: 1 },
+            attemptedAt: { type: 'integer' },
+            statusCode: { type: ['integer', 'null'], description: 'The receiver\'s status code, or null when it did not answer' },
+            response: { type: 'string', description: 'The start of the receiver\'s response body' },
+            error: { type: 'string', description: 'Why there was no answer, such as a timeout' },
+            durationMs: { type: 'integer' }
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        required: ['deliveryId', 'webhookId', 'status'],
+        properties: {
+            deliveryId: { type: 'string' },
+            webhookId: { type: 'string' },
+            eventId: { type: 'string', description: 'The id in the payload; the same for every subscription sent the event' },
+            event: { type: 'string', enum: WEBHOOK_EVENTS },
+            appointmentId: { type: 'string' },
+            status: { type: 'string', enum: DELIVERY_STATUSES },
+            attempts: { type: 'integer', minimum: 0, description: 'Attempts since it was queued or last retried' },
+            attemptLog: { type: 'array', items: ref('WebhookAttempt'), description: 'Every attempt, oldest first' },
+            nextAttemptAt: { type: 'integer', description: 'While PENDING' },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' },
+            expiresAt: { type: 'integer', description: 'When the delivery is deleted, in epoch seconds' }
+        }
+    },
+    WebhookDeliveries: {
+        type: 'object',
+        required: ['webhookId', 'items'],
+        properties: {
+            webhookId: { type: 'string' },
+            items: { type: 'array', items: ref('WebhookDelivery'), description: 'Newest first' }
+        }
+    }
+};
+
+const RESPONSES = {
+    BadRequest: jsonResponse('Malformed or invalid request', ref('Error')),
+    Unauthorized: jsonResponse('Missing Authorization header', ref('Message')),
+    Forbidden: jsonResponse('Not allowed', ref('Message')),
+    NotFound: jsonResponse('Not found', ref('Message')),
+    Conflict: jsonResponse('Conflict with the current state', ref('Message')),
+    TooManyRequests: {
+        ...jsonResponse('Rate limit or quota reached', ref('Message')),
+        headers: {
+            'Retry-After': { description: 'Seconds to wait before trying again', schema: { type: 'integer' } },
+            'X-RateLimit-Limit': { description: 'Requests the rate limit allows, or bookings the quota allows', schema: { type: 'integer' } },
+            'X-RateLimit-Remaining': { description: 'Always 0 on a 429', schema: { type: 'integer' } },
+            'X-RateLimit-Reset': { description: 'Unix time, in seconds, when the limit or quota is back to its full allowance', schema: { type: 'integer' } }
+        }
+    },
+    ServerError: jsonResponse('Server error', ref('Error'))
+};
+
+// Booking requests that may be retried with the same key (see idempotency.js)
+const IDEMPOTENT_RESPONSES = {
+    409: conflict('A request with this Idempotency-Key is still being processed'),
+    422: jsonResponse('Idempotency-Key already used with a different request body', ref('Message'))
+};
+
+const APPOINTMENT_ID = idParameter('Appointment ID');
+
+const ADMIN_FORBIDDEN = 'API key is invalid, revoked, expired, lacks the admin scope or is restricted to locations';
+
+const PATHS = {
+    '/appointments': {
+        post: {
+            operationId: 'appointmentScheduler',
+            tags: ['Appointments'],
+            summary: 'Book an appointment',
+            description: 'Needs the `book` scope. Appointments must start on a slot boundary of the location, and every slot ' +
+                'their services take must fall within its opening hours: by default 9:00 AM to 7:00 PM in America/New_York ' +
+                '(EST or EDT, whichever is in effect that day), so the last slot has to end by 7:00 PM.',
+            parameters: [idempotencyKey],
+            requestBody: jsonBody(APPOINTMENT_SCHEMA),
+            responses: {
+                200: jsonResponse('Appointment created', ref('Appointment')),
+                202: jsonResponse('No capacity left, added to the waitlist', ref('Waitlisted')),
+                400: badRequest('Malformed JSON, or missing or invalid fields'),
+                ...authErrors(),
+                ...IDEMPOTENT_RESPONSES,
+                409: jsonResponse('No capacity left in the requested slot, or a request with the same Idempotency-Key is still in progress',
+                    ref('BookingConflict')),
+                429: bookingLimited,
+                500: serverError
+            }
+        },
+        get: {
+            operationId: 'listAppointments',
+            tags: ['Appointments'],
+            summary: 'List the appointments at a location or for a vehicle',
+            description: 'Needs the `read` scope. One of location and vin is required.',
+            parameters: [
+                queryParameter('location', 'Location to list appointments for'),
+                queryParameter('vin', 'A VIN, to list its appointments at every location the caller may see'),
+                queryParameter('make', 'Only appointments whose structured vehicle has this make'),
+                queryParameter('model', 'Only appointments whose structured vehicle has this model'),
+                queryParameter('year', 'Only appointments whose structured vehicle has this year', { type: 'integer' }),
+                queryParameter('from', 'Earliest appointment time, inclusive', dateTime),
+                queryParameter('to', 'Latest appointment time, inclusive', dateTime),
+                queryParameter('limit', 'Page size', { type: 'integer', minimum: 1, maximum: 100, default: 50 }),
+                queryParameter('cursor', 'The nextCursor of the previous page')
+            ],
+            responses: {
+                200: jsonResponse('Appointments listed', ref('AppointmentPage')),
+                400: badRequest('Missing location and VIN, or invalid date range, year, limit or cursor'),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/appointments/import': {
+        post: {
+            operationId: 'importAppointments',
+            tags: ['Appointments'],
+            summary: 'Import bookings in bulk',
+            description: 'Needs the `book` scope. Up to 500 bookings, each checked like a single one.',
+            parameters: [
+                queryParameter('dryRun', 'true to check every row without writing anything', { type: 'string', enum: ['true', 'false'] }),
+                idempotencyKey
+            ],
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': { schema: { type: 'array', maxItems: 500, items: APPOINTMENT_SCHEMA } },
+                    'text/csv': {
+                        schema: { type: 'string' },
+                        description: 'A header line naming the columns, then one booking per line. Services are separated by semicolons.'
+                    }
+                }
+            },
+            responses: {
+                200: jsonResponse('Import checked, and written unless it was a dry run', ref('ImportResult')),
+                400: badRequest('The body is not a JSON array or valid CSV, has an unknown column, or has no rows or too many'),
+                ...authErrors(),
+                ...IDEMPOTENT_RESPONSES,
+                500: serverError
+            }
+        }
+    },
+    '/appointments/{id}': {
+        parameters: [APPOINTMENT_ID],
+        get: {
+            operationId: 'getAppointment',
+            tags: ['Appointments'],
+            summary: 'Get an appointment',
+            description: 'Needs the `read` scope. An ID ending in .ics returns the appointment as an iCalendar file instead.',
+            responses: {
+                200: {
+                    description: 'Appointment found',
+                    content: {
+                        ...jsonContent(ref('Appointment')),
+                        'text/calendar': { schema: { type: 'string' } }
+                    }
+                },
+                400: badRequest('Missing appointment ID'),
+                ...authErrors(),
+                404: notFound('Appointment not found'),
+                500: serverError
+            }
+        },
+        patch: {
+            operationId: 'updateAppointment',
+            tags: ['Appointments'],
+            summary: 'Update an appointment',
+            description: 'Needs the `book` scope. Send the version last read to reject edits made from stale data.',
+            requestBody: jsonBody(APPOINTMENT_UPDATE_SCHEMA),
+            responses: {
+                200: jsonResponse('Appointment updated', ref('Appointment')),
+                400: badRequest('No editable fields, or invalid values'),
+                ...authErrors(),
+                404: notFound('Appointment not found'),
+                409: jsonResponse('Time slot already booked, appointment in a final status, or modified concurrently', ref('BookingConflict')),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'deleteAppointment',
+            tags: ['Appointments'],
+            summary: 'Cancel an appointment',
+            description: 'Needs the `cancel` scope. The record is kept with status CANCELLED, and cancelledBy set to the caller. reason may also be sent as a query parameter.',
+            parameters: [
+                queryParameter('reason', 'Why the appointment was cancelled')
+            ],
+            requestBody: jsonBody(CANCELLATION_SCHEMA, false),
+            responses: {
+                200: jsonResponse('Appointment cancelled', ref('Cancellation')),
+                400: badRequest('Malformed JSON, or invalid cancellation details'),
+                ...authErrors(),
+                404: notFound('Appointment not found'),
+                409: conflict('Appointment is already in a final status or was modified concurrently'),
+                500: serverError
+            }
+        }
+    },
+    '/appointments/{id}/status': {
+        parameters: [APPOINTMENT_ID],
+        post: {
+            operationId: 'updateAppointmentStatus',
+            tags: ['Appointments'],
+            summary: 'Change an appointment\'s status',
+            description: 'Needs the `book` scope, or `cancel` to move to CANCELLED.',
+            requestBody: jsonBody(STATUS_CHANGE_SCHEMA),
+            responses: {
+                200: jsonResponse('Status changed', ref('Appointment')),
+                400: badRequest('Malformed JSON, unknown status or invalid cancellation details'),
+                ...authErrors(),
+                404: notFound('Appointment not found'),
+                409: conflict('Transition not allowed from the current status, or appointment modified concurrently'),
+                500: serverError
+            }
+        }
+    },
+    '/appointments/{id}/history': {
+        parameters: [APPOINTMENT_ID],
+        get: {
+            operationId: 'getAppointmentHistory',
+            tags: ['Appointments'],
+            summary: 'Get an appointment\'s audit trail',
+            description: 'Needs the `read` scope. Entries come oldest first.',
+            responses: {
+                200: jsonResponse('History returned', ref('AppointmentHistory')),
+                400: badRequest('Missing appointment ID'),
+                ...authErrors(),
+                404: notFound('Appointment not found'),
+                500: serverError
+            }
+        }
+    },
+    '/appointment-series': {
+        post: {
+            operationId: 'createSeries',
+            tags: ['Recurring series'],
+            summary: 'Book a recurring series',
+            description: 'Needs the `book` scope. Each occurrence is booked on its own, so a full or closed date does not stop the rest.',
+            parameters: [idempotencyKey],
+            requestBody: jsonBody(SERIES_SCHEMA),
+            responses: {
+                200: jsonResponse('Series booked with at least one occurrence', ref('SeriesBooking')),
+                400: badRequest('Missing or invalid fields, including the recurrence'),
+                ...authErrors(),
+                ...IDEMPOTENT_RESPONSES,
+                409: jsonResponse('No occurrence could be booked, or a request with the same Idempotency-Key is still in progress',
+                    ref('SeriesUnbooked')),
+                429: bookingLimited,
+                500: serverError
+            }
+        }
+    },
+    '/appointment-series/{id}': {
+        parameters: [idParameter('Series ID')],
+        get: {
+            operationId: 'getSeries',
+            tags: ['Recurring series'],
+            summary: 'List the appointments of a series',
+            description: 'Needs the `read` scope. Appointments come in occurrence order.',
+            responses: {
+                200: jsonResponse('Series found', ref('SeriesAppointments')),
+                400: badRequest('Missing series ID'),
+                ...authErrors(),
+                404: notFound('Series not found'),
+                500: serverError
+            }
+        },
+        patch: {
+            operationId: 'updateSeries',
+            tags: ['Recurring series'],
+            summary: 'Change occurrences of a series',
+            description: 'Needs the `book` scope. With scope "this" this answers exactly as PATCH /appointments/{id}.',
+            requestBody: jsonBody(SERIES_UPDATE_SCHEMA),
+            responses: {
+                200: jsonResponse('Occurrences changed', ref('SeriesChange')),
+                400: badRequest('Missing or invalid fields, scope or occurrence'),
+                ...authErrors(),
+                404: notFound('Series or occurrence not found'),
+                409: jsonResponse('The occurrence could not be changed', ref('BookingConflict')),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'cancelSeries',
+            tags: ['Recurring series'],
+            summary: 'Cancel occurrences of a series',
+            description: 'Needs the `cancel` scope. The fields may also be sent as query parameters. With scope "this" this answers exactly as DELETE /appointments/{id}.',
+            requestBody: jsonBody({
+                type: 'object',
+                required: SERIES_TARGET_SCHEMA.required,
+                properties: { ...SERIES_TARGET_SCHEMA.properties, ...CANCELLATION_SCHEMA.properties }
+            }, false),
+            responses: {
+                200: jsonResponse('Occurrences cancelled', ref('SeriesChange')),
+                400: badRequest('Missing or invalid scope, occurrence or cancellation details'),
+                ...authErrors(),
+                404: notFound('Series or occurrence not found'),
+                409: conflict('The occurrence is already in a final status or was modified concurrently'),
+                500: serverError
+            }
+        }
+    },
+    '/locations': {
+        get: {
+            operationId: 'listLocations',
+            tags: ['Locations'],
+            summary: 'List stored location configurations',
+            description: 'Needs the `read` scope. Locations the caller may not see are left out.',
+            responses: {
+                200: jsonResponse('Locations listed', listOf('Location')),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/locations/{id}': {
+        parameters: [idParameter('Location ID')],
+        get: {
+            operationId: 'getLocation',
+            tags: ['Locations'],
+            summary: 'Get a location\'s configuration',
+            description: 'Needs the `read` scope.',
+            responses: {
+                200: jsonResponse('Location found', ref('Location')),
+                400: badRequest('Missing location ID'),
+                ...authErrors(),
+                404: notFound('No configuration is stored for the location'),
+                500: serverError
+            }
+        },
+        put: {
+            operationId: 'putLocation',
+            tags: ['Locations'],
+            summary: 'Create or replace a location\'s configuration',
+            description: 'Needs the `admin` scope. Omitted fields take the default values.',
+            requestBody: jsonBody(LOCATION_SCHEMA),
+            responses: {
+                200: jsonResponse('Configuration stored', ref('Location')),
+                400: badRequest('Invalid configuration'),
+                ...authErrors(),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'deleteLocation',
+            tags: ['Locations'],
+            summary: 'Remove a location\'s configuration',
+            description: 'Needs the `admin` scope. The location reverts to the defaults.',
+            responses: {
+                200: jsonResponse('Configuration deleted', ref('Message')),
+                400: badRequest('Missing location ID'),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/locations/{id}/availability': {
+        parameters: [idParameter('Location ID')],
+        get: {
+            operationId: 'getAvailability',
+            tags: ['Locations'],
+            summary: 'List the open slots on a date',
+            description: 'Needs the `read` scope. Every listed appointmentTime can be booked as-is.',
+            parameters: [
+                { ...queryParameter('date', 'Date in the location\'s time zone', { type: 'string', format: 'date' }), required: true },
+                queryParameter('services', 'Comma-separated service IDs, to only list start times with room for them')
+            ],
+            responses: {
+                200: jsonResponse('Availability returned', ref('Availability')),
+                400: badRequest('Missing location, invalid date or unknown services'),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/locations/{id}/calendar.ics': {
+        parameters: [idParameter('Location ID')],
+        get: {
+            operationId: 'getLocationCalendar',
+            tags: ['Locations'],
+            summary: 'Subscribe to a location\'s appointments',
+            description: 'Needs the `read` scope. An iCalendar feed from the start of today onwards. Customers only get their own appointments.',
+            security: [{ bearerAuth: [] }, { calendarToken: [] }],
+            responses: {
+                200: { description: 'Calendar returned', content: { 'text/calendar': { schema: { type: 'string' } } } },
+                400: badRequest('Missing location ID'),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/services': {
+        get: {
+            operationId: 'listServices',
+            tags: ['Services'],
+            summary: 'List the service catalog',
+            description: 'Needs the `read` scope.',
+            responses: {
+                200: jsonResponse('Services listed', listOf('Service')),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/services/{id}': {
+        parameters: [idParameter('Service ID')],
+        get: {
+            operationId: 'getService',
+            tags: ['Services'],
+            summary: 'Get a service',
+            description: 'Needs the `read` scope.',
+            responses: {
+                200: jsonResponse('Service found', ref('Service')),
+                400: badRequest('Missing service ID'),
+                ...authErrors(),
+                404: notFound('Service not found'),
+                500: serverError
+            }
+        },
+        put: {
+            operationId: 'putService',
+            tags: ['Services'],
+            summary: 'Create or replace a service',
+            description: 'Needs the `admin` scope and a key without locations.',
+            requestBody: jsonBody(SERVICE_SCHEMA),
+            responses: {
+                200: jsonResponse('Service stored', ref('Service')),
+                400: badRequest('Invalid service'),
+                ...authErrors(),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'deleteService',
+            tags: ['Services'],
+            summary: 'Remove a service',
+            description: 'Needs the `admin` scope and a key without locations. Existing appointments keep their copy of it.',
+            responses: {
+                200: jsonResponse('Service deleted', ref('Message')),
+                400: badRequest('Missing service ID'),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/api-keys': {
+        post: {
+            operationId: 'createApiKey',
+            tags: ['API keys'],
+            summary: 'Issue an API key',
+            description: 'Needs the `admin` scope and a key without locations. rateLimits takes the place of the configured ' +
+                'rate limits route by route, keyed like "POST /appointments" or "*" for every other route, and a null limit lifts ' +
+                'one. dailyBookingQuota caps the appointments the key may book per UTC day.',
+            requestBody: jsonBody(API_KEY_SCHEMA),
+            responses: {
+                200: jsonResponse('Key issued', ref('NewApiKey')),
+                400: badRequest('Invalid key request'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                500: serverError
+            }
+        },
+        get: {
+            operationId: 'listApiKeys',
+            tags: ['API keys'],
+            summary: 'List API keys',
+            description: 'Needs the `admin` scope and a key without locations.',
+            responses: {
+                200: jsonResponse('Keys listed', listOf('ApiKey')),
+                ...authErrors(ADMIN_FORBIDDEN),
+                500: serverError
+            }
+        }
+    },
+    '/api-keys/{id}': {
+        parameters: [idParameter('Key ID')],
+        delete: {
+            operationId: 'revokeApiKey',
+            tags: ['API keys'],
+            summary: 'Revoke an API key',
+            description: 'Needs the `admin` scope and a key without locations. The key is kept, marked revoked.',
+            responses: {
+                200: jsonResponse('Key revoked', ref('ApiKey')),
+                400: badRequest('Missing key ID'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                404: notFound('API key not found'),
+                500: serverError
+            }
+        }
+    },
+    '/customers': {
+        post: {
+            operationId: 'createCustomer',
+            tags: ['Customers'],
+            summary: 'Create a customer',
+            description: 'Needs the `book` scope.',
+            requestBody: jsonBody(CUSTOMER_SCHEMA),
+            responses: {
+                200: jsonResponse('Customer created', ref('Customer')),
+                400: badRequest('Invalid customer'),
+                ...authErrors(),
+                500: serverError
+            }
+        },
+        get: {
+            operationId: 'findCustomers',
+            tags: ['Customers'],
+            summary: 'Find customers by email or phone',
+            description: 'Needs the `read` scope. One of email and phone is required.',
+            parameters: [
+                queryParameter('email', 'Email address', { type: 'string', format: 'email' }),
+                queryParameter('phone', 'Phone number, with the + encoded as %2B', { type: 'string', format: 'phone' })
+            ],
+            responses: {
+                200: jsonResponse('Customers found', listOf('Customer')),
+                400: badRequest('Missing or invalid search parameter'),
+                ...authErrors(),
+                500: serverError
+            }
+        }
+    },
+    '/customers/{id}': {
+        parameters: [idParameter('Customer ID')],
+        get: {
+            operationId: 'getCustomer',
+            tags: ['Customers'],
+            summary: 'Get a customer',
+            description: 'Needs the `read` scope. Customers may only read their own profile.',
+            responses: {
+                200: jsonResponse('Customer found', ref('Customer')),
+                400: badRequest('Missing customer ID'),
+                ...authErrors('API key or token is invalid or lacks the scope, or a customer asked for another customer'),
+                404: notFound('Customer not found'),
+                500: serverError
+            }
+        },
+        patch: {
+            operationId: 'updateCustomer',
+            tags: ['Customers'],
+            summary: 'Update a customer',
+            description: 'Needs the `book` scope. null clears email or phone, as long as one of them remains.',
+            requestBody: jsonBody(CUSTOMER_UPDATE_SCHEMA),
+            responses: {
+                200: jsonResponse('Customer updated', ref('Customer')),
+                400: badRequest('No fields, or invalid values'),
+                ...authErrors('API key or token is invalid or lacks the scope, or a customer asked for another customer'),
+                404: notFound('Customer not found'),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'deleteCustomer',
+            tags: ['Customers'],
+            summary: 'Delete a customer',
+            description: 'Needs the `admin` scope. Their appointments keep customerId and customerName.',
+            responses: {
+                200: jsonResponse('Customer deleted', ref('Message')),
+                400: badRequest('Missing customer ID'),
+                ...authErrors(),
+                404: notFound('Customer not found'),
+                500: serverError
+            }
+        }
+    },
+    '/customers/{id}/appointments': {
+        parameters: [idParameter('Customer ID')],
+        get: {
+            operationId: 'getCustomerAppointments',
+            tags: ['Customers'],
+            summary: 'List a customer\'s appointments',
+            description: 'Needs the `read` scope. Keys restricted to some locations only see appointments there.',
+            responses: {
+                200: jsonResponse('Appointments listed', ref('CustomerAppointments')),
+                400: badRequest('Missing customer ID'),
+                ...authErrors('API key or token is invalid or lacks the scope, or a customer asked for another customer'),
+                404: notFound('Customer not found'),
+                500: serverError
+            }
+        }
+    },
+    '/waitlist': {
+        get: {
+            operationId: 'listWaitlist',
+            tags: ['Waitlist'],
+            summary: 'List a location\'s waitlist',
+            description: 'Needs the `read` scope. Waiting and offered entries in queue order. Customers only see their own.',
+            parameters: [{ ...queryParameter('location', 'Location ID'), required: true }],
+            responses: {
+                200: jsonResponse('Entries listed', listOf('WaitlistEntry')),
+                400: badRequest('Missing location'),
+                ...authErrors('The caller may not see the location'),
+                500: serverError
+            }
+        }
+    },
+    '/waitlist/{id}': {
+        parameters: [idParameter('Waitlist entry ID')],
+        get: {
+            operationId: 'getWaitlistEntry',
+            tags: ['Waitlist'],
+            summary: 'Get a waitlist entry',
+            description: 'Needs the `read` scope.',
+            responses: {
+                200: jsonResponse('Entry found', ref('WaitlistEntry')),
+                400: badRequest('Missing entry ID'),
+                ...authErrors('The caller may not see the location, or the entry belongs to another customer'),
+                404: notFound('Waitlist entry not found'),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'leaveWaitlist',
+            tags: ['Waitlist'],
+            summary: 'Leave the waitlist',
+            description: 'Needs the `cancel` scope. Leaving with an open offer cancels the held appointment.',
+            responses: {
+                200: jsonResponse('Left the waitlist', ref('LeftWaitlist')),
+                400: badRequest('Missing entry ID'),
+                ...authErrors('The caller may not see the location, or the entry belongs to another customer'),
+                404: notFound('Waitlist entry not found'),
+                409: conflict('The entry cannot be left in its current status, or it changed concurrently'),
+                500: serverError
+            }
+        }
+    },
+    '/waitlist/{id}/accept': {
+        parameters: [idParameter('Waitlist entry ID')],
+        post: {
+            operationId: 'acceptWaitlistOffer',
+            tags: ['Waitlist'],
+            summary: 'Accept a waitlist offer',
+            description: 'Needs the `cancel` scope, so customers can answer their own offers.',
+            responses: {
+                200: jsonResponse('Offer accepted', ref('AcceptedOffer')),
+                400: badRequest('Missing entry ID'),
+                ...authErrors('The caller may not see the location, or the entry belongs to another customer'),
+                404: notFound('Waitlist entry not found'),
+                409: conflict('The entry has no open offer, the hold has expired, or it changed concurrently'),
+                500: serverError
+            }
+        }
+    },
+    '/reports/utilization': {
+        get: {
+            operationId: 'getUtilizationReport',
+            tags: ['Reports'],
+            summary: 'Report how full locations are',
+            description: 'Needs the `read` scope; customers cannot use it. For each day and hour in the location\'s time zone: ' +
+                'the bay slots on offer against those booked, the service mix, cancellation and no-show rates, and lead times. ' +
+                'location=all covers every configured location and every location with appointments in the range, or every location of a restricted key.',
+            parameters: [
+                { ...queryParameter('location', 'Location ID, or all'), required: true },
+                { ...queryParameter('from', 'First day, in the location\'s time zone', { type: 'string', format: 'date' }), required: true },
+                { ...queryParameter('to', `Last day, at most ${MAX_REPORT_DAYS} days after from`, { type: 'string', format: 'date' }), required: true },
+                queryParameter('format', 'json, or csv for one line per location, day and hour', { type: 'string', enum: REPORT_FORMATS, default: 'json' })
+            ],
+            responses: {
+                200: {
+                    description: 'Report built',
+                    content: {
+                        ...jsonContent(ref('UtilizationReport')),
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                },
+                400: badRequest('Missing location, invalid dates or format, or too long a range'),
+                ...authErrors('API key or token is invalid or lacks the scope, is not allowed for the location, or belongs to a customer'),
+                500: serverError
+            }
+        }
+    },
+    '/webhooks': {
+        post: {
+            operationId: 'createWebhook',
+            tags: ['Webhooks'],
+            summary: 'Subscribe to appointment events',
+            description: 'Needs the `admin` scope and a key without locations. Every change to an appointment is POSTed ' +
+                'to the URL for the events chosen, signed with the secret in this response.',
+            requestBody: jsonBody(WEBHOOK_SCHEMA),
+            responses: {
+                200: jsonResponse('Subscription created', ref('NewWebhook')),
+                400: badRequest('Invalid subscription'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                500: serverError
+            }
+        },
+        get: {
+            operationId: 'listWebhooks',
+            tags: ['Webhooks'],
+            summary: 'List webhook subscriptions',
+            description: 'Needs the `admin` scope and a key without locations.',
+            responses: {
+                200: jsonResponse('Subscriptions listed', listOf('Webhook')),
+                ...authErrors(ADMIN_FORBIDDEN),
+                500: serverError
+            }
+        }
+    },
+    '/webhooks/{id}': {
+        parameters: [idParameter('Webhook ID')],
+        get: {
+            operationId: 'getWebhook',
+            tags: ['Webhooks'],
+            summary: 'Get a webhook subscription',
+            description: 'Needs the `admin` scope and a key without locations.',
+            responses: {
+                200: jsonResponse('Subscription found', ref('Webhook')),
+                400: badRequest('Missing webhook ID'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                404: notFound('Webhook not found'),
+                500: serverError
+            }
+        },
+        delete: {
+            operationId: 'deleteWebhook',
+            tags: ['Webhooks'],
+            summary: 'Delete a webhook subscription',
+            description: 'Needs the `admin` scope and a key without locations. Deliveries still queued are discarded.',
+            responses: {
+                200: jsonResponse('Subscription deleted', ref('Message')),
+                400: badRequest('Missing webhook ID'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                404: notFound('Webhook not found'),
+                500: serverError
+            }
+        }
+    },
+    '/webhooks/{id}/deliveries': {
+        parameters: [idParameter('Webhook ID')],
+        get: {
+            operationId: 'listWebhookDeliveries',
+            tags: ['Webhooks'],
+            summary: 'List a subscription\'s deliveries',
+            description: 'Needs the `admin` scope and a key without locations. Deliveries are kept for 30 days.',
+            parameters: [
+                queryParameter('status', 'Only deliveries in this status', { type: 'string', enum: DELIVERY_STATUSES }),
+                queryParameter('limit', 'How many to return, up to 100', { type: 'integer', minimum: 1, maximum: 100, default: 50 })
+            ],
+            responses: {
+                200: jsonResponse('Deliveries listed', ref('WebhookDeliveries')),
+                400: badRequest('Missing webhook ID, or invalid status or limit'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                404: notFound('Webhook not found'),
+                500: serverError
+            }
+        }
+    },
+    '/webhooks/{id}/deliveries/{deliveryId}/retry': {
+        parameters: [
+            idParameter('Webhook ID'),
+            { name: 'deliveryId', in: 'path', required: true, description: 'Delivery ID', schema: { type: 'string' } }
+        ],
+        post: {
+            operationId: 'retryWebhookDelivery',
+            tags: ['Webhooks'],
+            summary: 'Retry a dead-lettered delivery',
+            description: 'Needs the `admin` scope and a key without locations. The delivery gets a fresh set of attempts, ' +
+                'starting within a minute.',
+            responses: {
+                200: jsonResponse('Delivery queued', ref('WebhookDelivery')),
+                400: badRequest('Missing webhook or delivery ID'),
+                ...authErrors(ADMIN_FORBIDDEN),
+                404: notFound('Delivery not found for the webhook'),
+                409: conflict('The delivery is not dead-lettered'),
+                500: serverError
+            }
+        }
+    },
+    '/openapi.json': {
+        get: {
+            operationId: 'getOpenApi',
+            tags: ['API'],
+            summary: 'Get this document',
+            security: [],
+            responses: {
+                200: jsonResponse('The OpenAPI document', { type: 'object', required: ['openapi', 'paths'] })
+            }
+        }
+    }
+};
+
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Appointment Scheduler API',
+        version,
+        description: 'Books service appointments at dealership locations. Every request but this document needs an ' +
+            'Authorization: Bearer header with an API key or a token, whose scopes decide what it may do.'
+    },
+    security: [{ bearerAuth: [] }],
+    paths: PATHS,
+    components: {
+        securitySchemes: {
+            bearerAuth: {
+                type: 'http',
+                scheme: 'bearer',
+                description: 'An API key, or a JWT from the customer portal'
+            },
+            calendarToken: {
+                type: 'apiKey',
+                in: 'query',
+                name: 'token',
+                description: 'The API key or token, for calendar apps that cannot send headers'
+            }
+        },
+        parameters: {
+            IdempotencyKey: {
+                name: 'Idempotency-Key',
+                in: 'header',
+                description: 'Makes retries safe: a repeat with the same key and body gets the original response back',
+                schema: { type: 'string', minLength: 1, maxLength: 255 }
+            }
+        },
+        schemas: SCHEMAS,
+        responses: RESPONSES
+    }
+};
+
+// Serialized once, since it never changes while the function runs
+const body = JSON.stringify(document);
+
+module.exports.document = document;
+
+module.exports.getOpenApi = async () => {
+    console.log('✅ [200] OpenAPI document served');
+    return {
+        statusCode: 200,
+        body
+    };
+};
@@ -0,0 +1,247 @@
+'use strict';
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { ROUTES } = require('./routes');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { validate } = require('./validation');
+
+// Rate limits and daily booking quotas. Their counters live in RATE_LIMITS_TABLE rather than in memory,
+// so they hold however many Lambda instances serve the requests.
+//
+// Rate limits are token buckets, one per caller and route. RATE_LIMITS holds them as JSON, keyed by the
+// route as serverless.yml names it, or "*" for every route without its own limit:
+//   {"*": {"limit": 120, "windowSeconds": 60}, "POST /appointments": {"limit": 10, "windowSeconds": 60}}
+// A bucket holds `limit` requests and fills up again over windowSeconds, so short bursts go through.
+// An API key's own rateLimits take the place of these route by route, and null there lifts a limit.
+//
+// Booking quotas cap the appointments booked in a day: an API key's dailyBookingQuota counts what the key
+// books per UTC day, and a location's counts everything booked there per day in its time zone.
+
+const MAX_RATE_LIMIT = 100000;
+const MAX_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Tries at reading and writing a bucket before giving up on a request that keeps losing to others
+const MAX_BUCKET_ATTEMPTS = 3;
+
+// Quota counters are kept a day past the day they count, for looking into what was turned down
+const QUOTA_RETENTION_SECONDS = 24 * 60 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// For bookings in a batch, such as a series or an import, that a quota turned down
+const QUOTA_REACHED = 'Daily booking quota reached';
+
+// One route's limit; null for no limit
+const RATE_LIMIT_SCHEMA = {
+    type: ['object', 'null'],
+    required: ['limit', 'windowSeconds'],
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: MAX_RATE_LIMIT },
+        windowSeconds: { type: 'integer', minimum: 1, maximum: MAX_WINDOW_SECONDS }
+    },
+    additionalProperties: false
+};
+
+// RATE_LIMITS and an API key's rateLimits
+const RATE_LIMITS_SCHEMA = {
+    type: 'object',
+    additionalProperties: RATE_LIMIT_SCHEMA
+};
+
+const ROUTE_KEYS = ['*', ...ROUTES.map(route => `${route.method} ${route.path}`)];
+
+// A problem for each route in `limits` that the API does not have, for the validation errors of `field`
+const checkRateLimitRoutes = (limits, field) => Object.keys(limits || {})
+    .filter(routeKey => !ROUTE_KEYS.includes(routeKey))
+    .map(routeKey => ({ field: `${field}.${routeKey}`, code: 'invalid', message: `${field}.${routeKey} is not a route of this API` }));
+
+// The limits in RATE_LIMITS. A setting that does not parse is reported and left out rather than
+// failing every request.
+const getConfiguredLimits = () => {
+    if (!process.env.RATE_LIMITS) {
+        return {};
+    }
+    try {
+        const limits = JSON.parse(process.env.RATE_LIMITS);
+        const errors = [...validate(limits, RATE_LIMITS_SCHEMA, 'RATE_LIMITS'), ...checkRateLimitRoutes(limits, 'RATE_LIMITS')];
+        if (errors.length > 0) {
+            console.error('❌ RATE_LIMITS is invalid, so no rate limits apply:', JSON.stringify(errors));
+            return {};
+        }
+        return limits;
+    } catch (error) {
+        console.error('❌ RATE_LIMITS is not valid JSON, so no rate limits apply:', error.message);
+        return {};
+    }
+};
+
+// The limit for a caller on a route, with the name of the bucket it counts in, or null when there is none
+const getRateLimit = (principal, routeKey) => {
+    const limits = { ...getConfiguredLimits(), ...principal.rateLimits };
+    const name = routeKey && limits[routeKey] !== undefined ? routeKey : '*';
+    return limits[name] ? { name, ...limits[name] } : null;
+};
+
+// The 429 response, with when to try again and the X-RateLimit headers for the limit that was reached.
+// X-RateLimit-Reset is the Unix time, in seconds, at which the limit is back to its full allowance.
+const tooManyRequests = (message, { limit, retryAt, resetAt }) => ({
+    statusCode: 429,
+    headers: {
+        'Retry-After': String(Math.max(1, Math.ceil((retryAt - Date.now()) / 1000))),
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+    },
+    body: JSON.stringify({
+        message: message
+    })
+});
+
+// Takes a token from a bucket, refilling it first for the time since it was last used. The write is
+// conditioned on the version read, so two instances taking the last token at once cannot both have it.
+// Resolves to { allowed: true }, or { allowed: false, retryAt, resetAt } with the times, in milliseconds,
+// of the next token and of a full bucket.
+const takeToken = async (limitId, { limit, windowSeconds }) => {
+    const refillPerMs = limit / (windowSeconds * 1000);
+    for (let attempt = 0; attempt < MAX_BUCKET_ATTEMPTS; attempt++) {
+        const now = Date.now();
+        const result = await dynamoDb.send(new GetCommand({
+            TableName: process.env.RATE_LIMITS_TABLE,
+            Key: {
+                limitId: limitId
+            }
+        }));
+        const bucket = result.Item;
+        const tokens = bucket ? Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs) : limit;
+        if (tokens < 1) {
+            return { allowed: false, retryAt: now + (1 - tokens) / refillPerMs, resetAt: now + (limit - tokens) / refillPerMs };
+        }
+
+        try {
+            await dynamoDb.send(new PutCommand({
+                TableName: process.env.RATE_LIMITS_TABLE,
+                Item: {
+                    limitId,
+                    tokens: tokens - 1,
+                    updatedAt: now,
+                    version: bucket ? bucket.version + 1 : 1,
+                    // A bucket left alone this long is full again, which is the same as having none
+                    expiresAt: Math.ceil(now / 1000) + windowSeconds
+                },
+                ConditionExpression: bucket ? '#version = :version' : 'attribute_not_exists(limitId)',
+                ...(bucket && {
+                    ExpressionAttributeNames: { '#version': 'version' },
+                    ExpressionAttributeValues: { ':version': bucket.version }
+                })
+            }));
+            return { allowed: true };
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+        }
+    }
+    const now = Date.now();
+    return { allowed: false, retryAt: now + 1000, resetAt: now + 1000 };
+};
+
+// Counts a request against the caller's limit for its route. Returns the 429 response when the limit
+// has been reached, otherwise null. Requests go through uncounted when the counter cannot be reached,
+// since a rate limit is not worth failing them for.
+const checkRateLimit = async (event, principal) => {
+    const rateLimit = getRateLimit(principal, event.routeKey);
+    if (!rateLimit) {
+        return null;
+    }
+    try {
+        const bucket = await takeToken(`rate#${principal.principalId}#${rateLimit.name}`, rateLimit);
+        if (bucket.allowed) {
+            return null;
+        }
+        console.log(`⏳ [429] Rate limit reached: ${principal.principalId} on ${rateLimit.name}`);
+        return tooManyRequests(`Rate limit of ${rateLimit.limit} requests per ${rateLimit.windowSeconds} seconds reached`, {
+            limit: rateLimit.limit,
+            retryAt: bucket.retryAt,
+            resetAt: bucket.resetAt
+        });
+    } catch (error) {
+        console.error('❌ Could not check the rate limit:', error);
+        return null;
+    }
+};
+
+// The quota counters a booking by principal at the location of config counts towards today, with
+// what each allows and when its day ends
+const getQuotaCounters = (principal, config, now) => {
+    const counters = [];
+    if (principal.dailyBookingQuota) {
+        const date = now.toISOString().split('T')[0];
+        counters.push({
+            limitId: `quota#key#${principal.principalId}#${date}`,
+            quota: principal.dailyBookingQuota,
+            resetAt: new Date(`${date}T00:00:00Z`).getTime() + DAY_MS,
+            message: 'Daily booking quota reached for this API key'
+        });
+    }
+    if (config.dailyBookingQuota) {
+        const { date } = getZonedParts(now, config.timeZone);
+        counters.push({
+            limitId: `quota#location#${config.locationId}#${date}`,
+            quota: config.dailyBookingQuota,
+            resetAt: zonedTimeToUtc(date, 24 * 60, config.timeZone).getTime(),
+            message: `Daily booking quota reached for location ${config.locationId}`
+        });
+    }
+    return counters;
+};
+
+// Transaction items that count one booking against its daily quotas, for writeWithReservations. Each is
+// conditioned on the quota having room, so a booking over either quota cancels the whole transaction.
+// Empty when neither the caller nor the location has a quota.
+const getQuotaUpdates = (principal, config, now = new Date()) => getQuotaCounters(principal, config, now).map(counter => ({
+    Update: {
+        TableName: process.env.RATE_LIMITS_TABLE,
+        Key: {
+            limitId: counter.limitId
+        },
+        UpdateExpression: 'SET expiresAt = :expiresAt ADD bookings :one',
+        ConditionExpression: 'attribute_not_exists(bookings) OR bookings < :quota',
+        ExpressionAttributeValues: {
+            ':one': 1,
+            ':quota': counter.quota,
+            ':expiresAt': Math.ceil(counter.resetAt / 1000) + QUOTA_RETENTION_SECONDS
+        }
+    }
+}));
+
+// The 429 response for a booking that a quota turned down. Counts only go up during their day, so the
+// quota that is used up can be read back.
+const quotaExceeded = async (principal, config, now = new Date()) => {
+    const counters = getQuotaCounters(principal, config, now);
+    let exceeded = counters[0];
+    for (const counter of counters) {
+        const result = await dynamoDb.send(new GetCommand({
+            TableName: process.env.RATE_LIMITS_TABLE,
+            Key: {
+                limitId: counter.limitId
+            }
+        }));
+        if (result.Item && result.Item.bookings >= counter.quota) {
+            exceeded = counter;
+            break;
+        }
+    }
+    console.log(`⏳ [429] Daily booking quota reached: ${exceeded.limitId}`);
+    return tooManyRequests(exceeded.message, { limit: exceeded.quota, retryAt: exceeded.resetAt, resetAt: exceeded.resetAt });
+};
+
+module.exports = {
+    MAX_RATE_LIMIT,
+    MAX_WINDOW_SECONDS,
+    QUOTA_REACHED,
+    RATE_LIMITS_SCHEMA,
+    checkRateLimitRoutes,
+    checkRateLimit,
+    getQuotaUpdates,
+    quotaExceeded
+};
@@ -0,0 +1,152 @@
+'use strict';
+const { isValidDate, getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { toUtcDateTime } = require('./appointmentRepository');
+
+// Recurrence rules for appointment series (see series.js). A rule is either an RRULE string using the
+// FREQ, INTERVAL, COUNT and UNTIL parts, or the same thing as an object:
+// { frequency, interval, count } or { frequency, interval, until }
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'];
+const MAX_INTERVAL = 99;
+// One series books at most this many appointments
+const MAX_OCCURRENCES = 52;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RRULE_UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Adds whole days to a YYYY-MM-DD date
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Turns an RRULE string into the object form, or { message } when it uses parts this subset does not support
+const parseRRule = (rrule) => {
+    const rule = {};
+    const parts = rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    for (const part of parts) {
+        const [name, value] = part.split('=');
+        const key = name.toUpperCase();
+        if (!RRULE_PARTS.includes(key)) {
+            return { message: `Unsupported RRULE part: ${name}` };
+        }
+        if (value === undefined || value === '') {
+            return { message: `RRULE part ${key} needs a value` };
+        }
+        if (key === 'FREQ') {
+            rule.frequency = value.toLowerCase();
+        } else if (key === 'UNTIL') {
+            const match = RRULE_UNTIL_PATTERN.exec(value);
+            if (!match) {
+                return { message: 'RRULE UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ' };
+            }
+            const [, year, month, day, hours, minutes, seconds] = match;
+            rule.until = hours === undefined
+                ? `${year}-${month}-${day}`
+                : `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`;
+        } else {
+            rule[key.toLowerCase()] = /^\d+$/.test(value) ? Number(value) : value;
+        }
+    }
+    return { rule };
+};
+
+// Validates a recurrence rule. Resolves to { valid, rule } with the rule in object form, interval defaulting to 1.
+// until is either a YYYY-MM-DD date in the location's time zone or an instant; both include the last day or time.
+const parseRecurrence = (recurrence) => {
+    let input = recurrence;
+    if (typeof recurrence === 'string') {
+        const parsed = parseRRule(recurrence);
+        if (parsed.message) {
+            return { valid: false, message: parsed.message };
+        }
+        input = parsed.rule;
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, message: 'recurrence must be an RRULE string or an object with frequency, interval and count or until' };
+    }
+
+    const { frequency, interval = 1, count, until } = input;
+    if (!FREQUENCIES.includes(frequency)) {
+        return { valid: false, message: `recurrence.frequency must be one of ${FREQUENCIES.join(', ')}` };
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        return { valid: false, message: `recurrence.interval must be an integer between 1 and ${MAX_INTERVAL}` };
+    }
+    if ((count === undefined) === (until === undefined)) {
+        return { valid: false, message: 'recurrence needs exactly one of count and until' };
+    }
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+        return { valid: false, message: `recurrence.count must be an integer between 1 and ${MAX_OCCURRENCES}` };
+    }
+    if (until !== undefined && !isValidDate(until) && !(typeof until === 'string' && ISO_DATE_TIME_PATTERN.test(until) && !isNaN(Date.parse(until)))) {
+        return { valid: false, message: 'recurrence.until must be a YYYY-MM-DD date or an ISO-8601 date-time' };
+    }
+
+    return {
+        valid: true,
+        rule: {
+            frequency,
+            interval,
+            ...(count !== undefined ? { count } : { until })
+        }
+    };
+};
+
+// The local date of the index-th step from the first occurrence, or null for a monthly step that lands
+// on a month without that day (the 31st, or 29 February), which RRULE skips rather than moving
+const getStepDate = (start, rule, index) => {
+    const [year, month, day] = start.split('-').map(Number);
+    if (rule.frequency === 'daily') {
+        return addDays(start, index * rule.interval);
+    }
+    if (rule.frequency === 'weekly') {
+        return addDays(start, index * rule.interval * 7);
+    }
+    const date = new Date(Date.UTC(year, month - 1 + index * rule.interval, day));
+    return date.getUTCDate() === day ? date.toISOString().slice(0, 10) : null;
+};
+
+// The start times of a series whose first appointment is at appointmentTime. Occurrences keep the first
+// one's wall-clock time in the location's time zone, so a 9 AM series stays at 9 AM across DST changes.
+// Resolves to { valid, occurrences } with ISO-8601 UTC times, or { valid: false, message }.
+const expandRecurrence = (appointmentTime, rule, timeZone) => {
+    const first = new Date(appointmentTime);
+    if (isNaN(first.getTime())) {
+        return { valid: false, message: 'appointmentTime must be a valid ISO-8601 date-time' };
+    }
+    const { date: startDate, minutes } = getZonedParts(first, timeZone);
+    const untilDate = rule.until !== undefined && isValidDate(rule.until) ? rule.until : null;
+    const untilMs = rule.until !== undefined && !untilDate ? Date.parse(rule.until) : null;
+
+    if ((untilDate && untilDate < startDate) || (untilMs !== null && untilMs < first.getTime())) {
+        return { valid: false, message: 'recurrence.until cannot be before appointmentTime' };
+    }
+
+    const occurrences = [];
+    for (let index = 0; rule.count === undefined || occurrences.length < rule.count; index++) {
+        const date = getStepDate(startDate, rule, index);
+        if (date === null) {
+            continue;
+        }
+        if (untilDate && date > untilDate) {
+            break;
+        }
+        const start = index === 0 ? first : zonedTimeToUtc(date, minutes, timeZone);
+        if (untilMs !== null && start.getTime() > untilMs) {
+            break;
+        }
+        if (occurrences.length === MAX_OCCURRENCES) {
+            return { valid: false, message: `recurrence cannot have more than ${MAX_OCCURRENCES} occurrences` };
+        }
+        occurrences.push(toUtcDateTime(start.getTime()));
+    }
+
+    return { valid: true, occurrences };
+};
+
+module.exports = {
+    FREQUENCIES,
+    MAX_OCCURRENCES,
+    parseRecurrence,
+    expandRecurrence,
+    addDays
+};
@@ -0,0 +1,309 @@
+'use strict';
+const { ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { appointmentRepository } = require('./appointmentRepository');
+const { authorize, checkLocationAccess, checkStaffAccess } = require('./auth');
+const { getLocationConfig } = require('./locations');
+const { holdsSlot, getAppointmentRange } = require('./scheduling');
+const { isValidDate, getZonedParts, zonedTimeToUtc, getWeekday, parseClockTime } = require('./timezone');
+const { validationError } = require('./validation');
+const { formatCsv } = require('./csv');
+
+// Utilization reports: for each location, day and hour in a date range, the bay time the location's
+// configuration offers against the time its appointments take up, with what was booked, how much of
+// it was cancelled or missed, and how far ahead it was booked. Days and hours are the location's own.
+
+const REPORT_FORMATS = ['json', 'csv'];
+// A quarter, so a report stays within one request's time and memory
+const MAX_REPORT_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// One line per location, day and hour, in this order
+const CSV_COLUMNS = [
+    'locationId',
+    'date',
+    'hour',
+    'slots',
+    'bookedSlots',
+    'utilization',
+    'appointments',
+    'cancelled',
+    'noShows',
+    'cancellationRate',
+    'noShowRate',
+    'averageLeadTimeHours',
+    'medianLeadTimeHours',
+    'services'
+];
+
+// Every local date from `from` to `to`, both included
+const listDates = (from, to) => {
+    const dates = [];
+    for (let day = new Date(`${from}T00:00:00Z`).getTime(); day <= new Date(`${to}T00:00:00Z`).getTime(); day += DAY_MS) {
+        dates.push(new Date(day).toISOString().split('T')[0]);
+    }
+    return dates;
+};
+
+const newTally = () => ({
+    slots: 0,
+    bookedSlots: 0,
+    appointments: 0,
+    cancelled: 0,
+    noShows: 0,
+    services: {},
+    leadTimes: []
+});
+
+// Counts an appointment that starts in the tally's period. Services only count for appointments that
+// went ahead, and lead times only for those booked before they started, which leaves out imports of
+// past appointments.
+const countAppointment = (tally, appointment) => {
+    tally.appointments += 1;
+    if (appointment.createdAt && new Date(appointment.appointmentDateTime).getTime() >= appointment.createdAt) {
+        tally.leadTimes.push((new Date(appointment.appointmentDateTime).getTime() - appointment.createdAt) / HOUR_MS);
+    }
+    if (appointment.status === 'CANCELLED') {
+        tally.cancelled += 1;
+        return;
+    }
+    if (appointment.status === 'NO_SHOW') {
+        tally.noShows += 1;
+    }
+    (appointment.servicesList || []).forEach(service => {
+        tally.services[service] = (tally.services[service] || 0) + 1;
+    });
+};
+
+// A share from 0 to 1 to four places, or null when there is nothing to take it of
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+const getMedian = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The figures reported for a tally. A no-show is counted against the appointments that were not cancelled.
+const summarize = (tally) => ({
+    slots: tally.slots,
+    bookedSlots: tally.bookedSlots,
+    utilization: ratio(tally.bookedSlots, tally.slots),
+    appointments: tally.appointments,
+    cancelled: tally.cancelled,
+    noShows: tally.noShows,
+    cancellationRate: ratio(tally.cancelled, tally.appointments),
+    noShowRate: ratio(tally.noShows, tally.appointments - tally.cancelled),
+    // Most booked first
+    services: Object.fromEntries(Object.entries(tally.services).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))),
+    leadTime: tally.leadTimes.length > 0
+        ? {
+            averageHours: roundHours(tally.leadTimes.reduce((sum, hours) => sum + hours, 0) / tally.leadTimes.length),
+            medianHours: roundHours(getMedian(tally.leadTimes))
+        }
+        : { averageHours: null, medianHours: null }
+});
+
+// Tallies one location's dates. Every tally an appointment or slot counts towards also goes to the
+// totals passed in, so reports across several locations can add them up.
+const buildLocationReport = async (locationId, dates, totals) => {
+    const config = await getLocationConfig(locationId);
+    const { timeZone } = config;
+    const location = newTally();
+    const days = new Map(dates.map(date => [date, { tally: newTally(), hours: new Map() }]));
+
+    // The tallies a count at a local date and hour goes to, or none outside the report's dates
+    const tallies = (date, hour) => {
+        const day = days.get(date);
+        if (!day) {
+            return [];
+        }
+        if (!day.hours.has(hour)) {
+            day.hours.set(hour, newTally());
+        }
+        return [day.hours.get(hour), day.tally, location, totals];
+    };
+    const getLocalHour = (time) => {
+        const parts = getZonedParts(new Date(time), timeZone);
+        return [parts.date, Math.floor(parts.minutes / 60)];
+    };
+
+    // Bay time on offer: every bay for every slot that fits in the day's opening hours
+    dates.filter(date => !config.holidays.includes(date)).forEach(date => {
+        const hours = config.weeklyHours[getWeekday(date)];
+        if (!hours) {
+            return;
+        }
+        for (let minutes = parseClockTime(hours.open); minutes + config.slotMinutes <= parseClockTime(hours.close); minutes += config.slotMinutes) {
+            tallies(date, Math.floor(minutes / 60)).forEach(tally => {
+                tally.slots += config.bayCapacity;
+            });
+        }
+    });
+
+    const start = zonedTimeToUtc(dates[0], 0, timeZone);
+    const end = new Date(zonedTimeToUtc(dates[dates.length - 1], 24 * 60, timeZone).getTime() - 1);
+    const appointments = await appointmentRepository.listByLocation(locationId, { start, end });
+    const slotMs = config.slotMinutes * 60000;
+    appointments.forEach(appointment => {
+        tallies(...getLocalHour(appointment.appointmentDateTime)).forEach(tally => countAppointment(tally, appointment));
+
+        // Bay time taken: each slot an appointment holds counts in the hour it falls in
+        if (!holdsSlot(appointment)) {
+            return;
+        }
+        const range = getAppointmentRange(appointment, config);
+        for (let slot = range.start; slot < range.end; slot += slotMs) {
+            tallies(...getLocalHour(slot)).forEach(tally => {
+                tally.bookedSlots += 1;
+            });
+        }
+    });
+
+    return {
+        locationId,
+        timeZone,
+        ...summarize(location),
+        days: [...days].map(([date, day]) => ({
+            date,
+            ...summarize(day.tally),
+            hours: [...day.hours]
+                .sort(([a], [b]) => a - b)
+                .map(([hour, tally]) => ({ hour, ...summarize(tally) }))
+        }))
+    };
+};
+
+// Locations a report for "all" covers: a restricted key's own, or every one with a stored configuration
+// or with appointments around the dates. Local days start up to 14 hours before UTC's and end up to
+// 12 hours after, so those are looked for from `from` 14 hours early to the end of `to` 12 hours late.
+const listReportLocations = async (principal, from, to) => {
+    if (principal.locations) {
+        return [...principal.locations].sort();
+    }
+    const booked = await appointmentRepository.listLocationIds({
+        start: new Date(new Date(`${from}T00:00:00Z`).getTime() - 14 * HOUR_MS),
+        end: new Date(new Date(`${to}T00:00:00Z`).getTime() + DAY_MS + 12 * HOUR_MS)
+    });
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new ScanCommand({
+            TableName: process.env.LOCATIONS_TABLE,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return [...new Set([...items.map(item => item.locationId), ...booked])].sort();
+};
+
+const toCsv = (report) => formatCsv([
+    CSV_COLUMNS,
+    ...report.locations.flatMap(location => location.days.flatMap(day => day.hours.map(hour => [
+        location.locationId,
+        day.date,
+        hour.hour,
+        hour.slots,
+        hour.bookedSlots,
+        hour.utilization,
+        hour.appointments,
+        hour.cancelled,
+        hour.noShows,
+        hour.cancellationRate,
+        hour.noShowRate,
+        hour.leadTime.averageHours,
+        hour.leadTime.medianHours,
+        Object.entries(hour.services).map(([service, count]) => `${service}:${count}`).join(';')
+    ])))
+]);
+
+module.exports.REPORT_FORMATS = REPORT_FORMATS;
+module.exports.MAX_REPORT_DAYS = MAX_REPORT_DAYS;
+module.exports.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports.getUtilizationReport = async (event) => {
+    console.log('🔄 [START] Processing utilization report request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+        const staffError = checkStaffAccess(auth.principal);
+        if (staffError) {
+            return staffError;
+        }
+
+        const { location, from, to, format = 'json' } = event.queryStringParameters || {};
+        const errors = [];
+        if (!location) {
+            errors.push({ field: 'location', code: 'required', message: 'location is required, as a location ID or all' });
+        }
+        if (!isValidDate(from)) {
+            errors.push({ field: 'from', code: 'format', message: 'from must be a valid YYYY-MM-DD date' });
+        }
+        if (!isValidDate(to)) {
+            errors.push({ field: 'to', code: 'format', message: 'to must be a valid YYYY-MM-DD date' });
+        }
+        if (isValidDate(from) && isValidDate(to)) {
+            const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS + 1;
+            if (days < 1) {
+                errors.push({ field: 'to', code: 'invalid', message: 'to must not be before from' });
+            } else if (days > MAX_REPORT_DAYS) {
+                errors.push({ field: 'to', code: 'too_large', message: `A report can cover at most ${MAX_REPORT_DAYS} days` });
+            }
+        }
+        if (!REPORT_FORMATS.includes(format)) {
+            errors.push({ field: 'format', code: 'enum', message: `format must be one of ${REPORT_FORMATS.join(', ')}` });
+        }
+        if (errors.length > 0) {
+            return validationError(errors);
+        }
+
+        if (location !== 'all') {
+            const locationError = checkLocationAccess(auth.principal, location);
+            if (locationError) {
+                return locationError;
+            }
+        }
+
+        const dates = listDates(from, to);
+        const totals = newTally();
+        const locationIds = location === 'all' ? await listReportLocations(auth.principal, from, to) : [location];
+        const locations = [];
+        // One location at a time, so a report across many does not query them all at once
+        for (const locationId of locationIds) {
+            locations.push(await buildLocationReport(locationId, dates, totals));
+        }
+        const report = { from, to, ...summarize(totals), locations };
+
+        console.log(`✅ [200] Utilization report built for ${locations.length} location(s), ${dates.length} day(s)`);
+        if (format === 'csv') {
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="utilization-${from}-${to}.csv"`
+                },
+                body: toCsv(report)
+            };
+        }
+        return {
+            statusCode: 200,
+            body: JSON.stringify(report)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error building utilization report:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not build the utilization report',
+                error: error.message
+            })
+        };
+    }
+};
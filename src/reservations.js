@@ -0,0 +1,127 @@
+'use strict';
+const { TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { getOccupiedMinutes } = require('./scheduling');
+const { registerBookedLocations } = require('./locations');
+
+// Counters are only needed until their slot has passed; DynamoDB's TTL removes them this long after it starts
+const RESERVATION_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Codes DynamoDB reports for a transaction item whose condition failed or that another transaction was writing
+const CONFLICT_CODES = ['ConditionalCheckFailed', 'TransactionConflict'];
+
+// One counter item per location and slot start, e.g. "Farrish Subaru#2026-04-27T15:30:00Z"
+const getSlotIds = (location, appointmentTime, durationMinutes, config) => {
+    const start = new Date(appointmentTime).getTime();
+    const slotCount = getOccupiedMinutes(durationMinutes, config) / config.slotMinutes;
+    return Array.from({ length: slotCount }, (_, index) => {
+        const slotStart = new Date(start + index * config.slotMinutes * 60000);
+        return `${location}#${slotStart.toISOString().split('.')[0]}Z`;
+    });
+};
+
+const getSlotStart = (slotId) => new Date(slotId.slice(slotId.lastIndexOf('#') + 1)).getTime();
+
+// Net change to each slot counter when an appointment gives up the `release` slots and takes the `reserve` ones.
+// A slot in both keeps its bay, so only its service counts can change.
+const getCounterChanges = ({ reserve = [], services = [], release = [], releasedServices = [] }) => {
+    const changes = new Map();
+    const apply = (slotIds, serviceIds, delta) => slotIds.forEach(slotId => {
+        const change = changes.get(slotId) || { bays: 0, services: {} };
+        change.bays += delta;
+        serviceIds.forEach(serviceId => {
+            change.services[serviceId] = (change.services[serviceId] || 0) + delta;
+        });
+        changes.set(slotId, change);
+    });
+    apply(release, releasedServices, -1);
+    apply(reserve, services, 1);
+    return changes;
+};
+
+// Transaction items for the slot counters. Every counter that goes up is conditioned on staying within
+// the location's bay capacity or the service's own limit, so a full slot cancels the whole transaction.
+const getReservationUpdates = (reservation, config = {}) => {
+    const serviceCapacity = config.serviceCapacity || {};
+    const updates = [];
+    getCounterChanges(reservation).forEach((change, slotId) => {
+        const names = {};
+        const values = {};
+        const additions = [];
+        const conditions = [];
+        const count = (placeholder, attribute, delta, limit) => {
+            if (delta === 0) {
+                return;
+            }
+            names[`#${placeholder}`] = attribute;
+            values[`:${placeholder}Delta`] = delta;
+            additions.push(`#${placeholder} :${placeholder}Delta`);
+            if (delta > 0 && limit !== undefined) {
+                values[`:${placeholder}Limit`] = limit;
+                conditions.push(`(attribute_not_exists(#${placeholder}) OR #${placeholder} < :${placeholder}Limit)`);
+            }
+        };
+
+        count('bays', 'bookedBays', change.bays, config.bayCapacity);
+        Object.entries(change.services).forEach(([serviceId, delta], index) => {
+            count(`service${index}`, `service:${serviceId}`, delta, serviceCapacity[serviceId]);
+        });
+        if (additions.length === 0) {
+            return;
+        }
+
+        values[':expiresAt'] = Math.floor(getSlotStart(slotId) / 1000) + RESERVATION_RETENTION_SECONDS;
+        updates.push({
+            Update: {
+                TableName: process.env.RESERVATIONS_TABLE,
+                Key: {
+                    slotId: slotId
+                },
+                UpdateExpression: `SET expiresAt = :expiresAt ADD ${additions.join(', ')}`,
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ...(conditions.length > 0 && { ConditionExpression: conditions.join(' AND ') })
+            }
+        });
+    });
+    return updates;
+};
+
+// Writes an appointment, its slot counters and any booking quota counters (see rateLimits.js) in one
+// transaction. Resolves to null when it went through, 'appointment' when the appointment's own condition
+// failed, 'quota' when a daily booking quota was used up and 'slot' when a slot was full or being reserved
+// by another booking at the same moment.
+const writeWithReservations = async (appointmentWrite, reservationUpdates, quotaUpdates = []) => {
+    // New appointments' locations are registered first, so none is booked without reminders finding it
+    await registerBookedLocations([appointmentWrite, ...reservationUpdates]
+        .filter(write => write.Put && write.Put.TableName === process.env.APPOINTMENTS_TABLE)
+        .map(write => write.Put.Item.locationId));
+    try {
+        await dynamoDb.send(new TransactWriteCommand({
+            TransactItems: [appointmentWrite, ...reservationUpdates, ...quotaUpdates]
+        }));
+        return null;
+    } catch (error) {
+        if (error.name !== 'TransactionCanceledException') {
+            throw error;
+        }
+        const codes = (error.CancellationReasons || []).map(reason => reason && reason.Code);
+        if (CONFLICT_CODES.includes(codes[0])) {
+            return 'appointment';
+        }
+        const quotaCodes = quotaUpdates.length > 0 ? codes.slice(-quotaUpdates.length) : [];
+        if (quotaCodes.includes('ConditionalCheckFailed')) {
+            return 'quota';
+        }
+        if (codes.some(code => CONFLICT_CODES.includes(code))) {
+            return 'slot';
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    getSlotIds,
+    getReservationUpdates,
+    writeWithReservations
+};
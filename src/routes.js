@@ -0,0 +1,51 @@
+'use strict';
+
+// Every httpApi route in serverless.yml, with the handler it names there. The local server routes requests
+// with it, and rate limits check the routes they are set for against it.
+const ROUTES = [
+    ['POST', '/appointments', 'handler.appointmentScheduler'],
+    ['GET', '/appointments', 'handler.listAppointments'],
+    ['POST', '/appointments/import', 'imports.importAppointments'],
+    ['GET', '/appointments/{id}', 'handler.getAppointment'],
+    ['PATCH', '/appointments/{id}', 'handler.updateAppointment'],
+    ['DELETE', '/appointments/{id}', 'handler.deleteAppointment'],
+    ['POST', '/appointments/{id}/status', 'handler.updateAppointmentStatus'],
+    ['GET', '/appointments/{id}/history', 'audit.getAppointmentHistory'],
+    ['POST', '/appointment-series', 'series.createSeries'],
+    ['GET', '/appointment-series/{id}', 'series.getSeries'],
+    ['PATCH', '/appointment-series/{id}', 'series.updateSeries'],
+    ['DELETE', '/appointment-series/{id}', 'series.cancelSeries'],
+    ['GET', '/locations', 'locations.listLocations'],
+    ['GET', '/locations/{id}', 'locations.getLocation'],
+    ['PUT', '/locations/{id}', 'locations.putLocation'],
+    ['DELETE', '/locations/{id}', 'locations.deleteLocation'],
+    ['GET', '/locations/{id}/availability', 'handler.getAvailability'],
+    ['GET', '/locations/{id}/calendar.ics', 'calendar.getLocationCalendar'],
+    ['GET', '/services', 'catalog.listServices'],
+    ['GET', '/services/{id}', 'catalog.getService'],
+    ['PUT', '/services/{id}', 'catalog.putService'],
+    ['DELETE', '/services/{id}', 'catalog.deleteService'],
+    ['POST', '/api-keys', 'apiKeys.createApiKey'],
+    ['GET', '/api-keys', 'apiKeys.listApiKeys'],
+    ['DELETE', '/api-keys/{id}', 'apiKeys.revokeApiKey'],
+    ['POST', '/customers', 'customers.createCustomer'],
+    ['GET', '/customers', 'customers.findCustomers'],
+    ['GET', '/customers/{id}', 'customers.getCustomer'],
+    ['PATCH', '/customers/{id}', 'customers.updateCustomer'],
+    ['DELETE', '/customers/{id}', 'customers.deleteCustomer'],
+    ['GET', '/customers/{id}/appointments', 'customers.getCustomerAppointments'],
+    ['GET', '/waitlist', 'waitlist.listWaitlist'],
+    ['GET', '/waitlist/{id}', 'waitlist.getWaitlistEntry'],
+    ['DELETE', '/waitlist/{id}', 'waitlist.leaveWaitlist'],
+    ['POST', '/waitlist/{id}/accept', 'waitlist.acceptWaitlistOffer'],
+    ['GET', '/reports/utilization', 'reports.getUtilizationReport'],
+    ['POST', '/webhooks', 'webhooks.createWebhook'],
+    ['GET', '/webhooks', 'webhooks.listWebhooks'],
+    ['GET', '/webhooks/{id}', 'webhooks.getWebhook'],
+    ['DELETE', '/webhooks/{id}', 'webhooks.deleteWebhook'],
+    ['GET', '/webhooks/{id}/deliveries', 'webhooks.listWebhookDeliveries'],
+    ['POST', '/webhooks/{id}/deliveries/{deliveryId}/retry', 'webhooks.retryWebhookDelivery'],
+    ['GET', '/openapi.json', 'openapi.getOpenApi']
+].map(([method, routePath, handler]) => ({ method, path: routePath, handler, segments: routePath.split('/').slice(1) }));
+
+module.exports = { ROUTES };
@@ -0,0 +1,226 @@
+'use strict';
+const { toUtcDateTime, appointmentRepository } = require('./appointmentRepository');
+const {
+    parseClockTime,
+    formatClockTime,
+    getZonedParts,
+    zonedTimeToUtc,
+    getWeekday,
+    getTimeZoneLabel
+} = require('./timezone');
+
+const NEARBY_SLOT_RANGE = 2;
+
+// Cancelled appointments stay in the table for history but no longer hold their slot
+const holdsSlot = (item) => item.status !== 'CANCELLED';
+
+// Minutes an appointment blocks: its service time rounded up to whole slots
+const getOccupiedMinutes = (durationMinutes, config) => {
+    return Math.max(1, Math.ceil(durationMinutes / config.slotMinutes)) * config.slotMinutes;
+};
+
+// End of the slots an appointment blocks, in the same format as appointmentDateTime
+const getAppointmentEnd = (appointmentTime, durationMinutes, config) => {
+    return toUtcDateTime(new Date(appointmentTime).getTime() + getOccupiedMinutes(durationMinutes, config) * 60000);
+};
+
+// Appointments booked before services had durations take a single slot
+const getAppointmentRange = (item, config) => {
+    const start = new Date(item.appointmentDateTime).getTime();
+    const end = item.appointmentEndDateTime
+        ? new Date(item.appointmentEndDateTime).getTime()
+        : start + config.slotMinutes * 60000;
+    return { start, end };
+};
+
+// No appointment can outlast the longest opening day, which bounds how early an overlapping one can start
+const getMaxAppointmentMs = (config) => {
+    const openMinutes = Object.values(config.weeklyHours)
+        .filter(Boolean)
+        .map(hours => parseClockTime(hours.close) - parseClockTime(hours.open));
+    return Math.max(config.slotMinutes, ...openMinutes) * 60000;
+};
+
+// Validates a time against the location's rules (see locations.js for the configuration)
+const isValidAppointmentTime = (appointmentTime, config, durationMinutes = config.slotMinutes) => {
+    const appointmentDate = new Date(appointmentTime);
+    const now = new Date();
+
+    // Check if appointment is in the past
+    if (appointmentDate <= now) {
+        return { valid: false, message: 'Appointment cannot be in the past' };
+    }
+
+    // Convert to the location's wall-clock time
+    const local = getZonedParts(appointmentDate, config.timeZone);
+
+    if (config.holidays.includes(local.date)) {
+        return { valid: false, message: `Location is closed on ${local.date}` };
+    }
+
+    const hours = config.weeklyHours[local.weekday];
+    if (!hours) {
+        return { valid: false, message: `Location is closed on ${local.weekday}s` };
+    }
+
+    // Every slot the appointment needs has to fit inside opening hours
+    const open = parseClockTime(hours.open);
+    const close = parseClockTime(hours.close);
+    if (local.minutes < open || local.minutes + getOccupiedMinutes(durationMinutes, config) > close) {
+        return {
+            valid: false,
+            message: `Appointments must be between ${formatClockTime(hours.open)} and ${formatClockTime(hours.close)} ${getTimeZoneLabel(config.timeZone)}`
+        };
+    }
+
+    // Slots are counted from opening time, and start on the minute
+    if ((local.minutes - open) % config.slotMinutes !== 0 || appointmentDate.getTime() % 60000 !== 0) {
+        return { valid: false, message: `Appointments must be scheduled on ${config.slotMinutes}-minute intervals` };
+    }
+
+    return { valid: true };
+};
+
+// Fetches every appointment that could overlap [start, end) in epoch milliseconds
+const queryOverlappingCandidates = (location, start, end, config) => {
+    return appointmentRepository.listByLocation(location, { start: new Date(start - getMaxAppointmentMs(config)), end: new Date(end - 1) });
+};
+
+// Bookings that occupy a bay at any point in [start, end)
+const getOverlappingBookings = (start, end, bookings, config) => {
+    return bookings.filter(item => {
+        if (!holdsSlot(item)) {
+            return false;
+        }
+        const range = getAppointmentRange(item, config);
+        return range.start < end && range.end > start;
+    });
+};
+
+// Free bays for a slot, and the first requested service whose own capacity is used up.
+// Service limits only apply to the services being booked.
+const getFreeCapacity = (overlapping, config, services = []) => {
+    const serviceCapacity = config.serviceCapacity || {};
+    const fullService = services.find(service => serviceCapacity[service] !== undefined &&
+        overlapping.filter(item => (item.servicesList || []).includes(service)).length >= serviceCapacity[service]
+    );
+    return {
+        baysFree: Math.max(config.bayCapacity - overlapping.length, 0),
+        fullService: fullService || null
+    };
+};
+
+// Capacity of an appointment spanning several slots is that of its busiest slot
+const getRangeCapacity = (start, occupiedMinutes, bookings, config, services) => {
+    const slotMs = config.slotMinutes * 60000;
+    const capacity = { baysFree: config.bayCapacity, fullService: null };
+    for (let slotStart = start; slotStart < start + occupiedMinutes * 60000; slotStart += slotMs) {
+        const slotCapacity = getFreeCapacity(getOverlappingBookings(slotStart, slotStart + slotMs, bookings, config), config, services);
+        capacity.baysFree = Math.min(capacity.baysFree, slotCapacity.baysFree);
+        capacity.fullService = capacity.fullService || slotCapacity.fullService;
+    }
+    return capacity;
+};
+
+const isBookable = (capacity) => capacity.baysFree > 0 && !capacity.fullService;
+
+// Counts the given bookings overlapping the appointment's slots against the location's capacity
+const checkCapacity = (appointmentTime, bookings, { config, services, durationMinutes }) => {
+    const start = new Date(appointmentTime).getTime();
+    const occupiedMinutes = getOccupiedMinutes(durationMinutes || config.slotMinutes, config);
+    const capacity = getRangeCapacity(start, occupiedMinutes, bookings, config, services);
+    return { hasConflict: !isBookable(capacity), ...capacity };
+};
+
+const checkForConflicts = async (location, appointmentTime, { config, services, durationMinutes, excludeAppointmentId } = {}) => {
+    // Count every stored booking overlapping the appointment's slots, ignoring the appointment being rescheduled
+    const start = new Date(appointmentTime).getTime();
+    const end = start + getOccupiedMinutes(durationMinutes || config.slotMinutes, config) * 60000;
+
+    const bookings = (await queryOverlappingCandidates(location, start, end, config))
+        .filter(item => item.appointmentId !== excludeAppointmentId);
+    return checkCapacity(appointmentTime, bookings, { config, services, durationMinutes });
+};
+
+// Bookable slots around a requested time with their free bays, so a 409 can point somewhere else
+const getNearbySlots = async (location, appointmentTime, { config, services, durationMinutes, excludeAppointmentId } = {}) => {
+    const duration = durationMinutes || config.slotMinutes;
+    const requested = new Date(appointmentTime).getTime();
+    const slotMs = config.slotMinutes * 60000;
+    const candidates = [];
+    for (let offset = -NEARBY_SLOT_RANGE; offset <= NEARBY_SLOT_RANGE; offset++) {
+        const slot = requested + offset * slotMs;
+        if (isValidAppointmentTime(new Date(slot).toISOString(), config, duration).valid) {
+            candidates.push(slot);
+        }
+    }
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const occupiedMinutes = getOccupiedMinutes(duration, config);
+    const rangeEnd = candidates[candidates.length - 1] + occupiedMinutes * 60000;
+    const bookings = (await queryOverlappingCandidates(location, candidates[0], rangeEnd, config))
+        .filter(item => item.appointmentId !== excludeAppointmentId);
+
+    return candidates.map(slot => {
+        const capacity = getRangeCapacity(slot, occupiedMinutes, bookings, config, services);
+        return {
+            appointmentTime: new Date(slot).toISOString().split('.')[0] + 'Z',
+            baysFree: isBookable(capacity) ? capacity.baysFree : 0
+        };
+    });
+};
+
+// Every start time on the given local date (YYYY-MM-DD) that isValidAppointmentTime accepts for
+// an appointment of the given length. Candidates come from the day's opening hours, but each one
+// is still run through the booking rules so that availability never lists a time booking would reject.
+const getBookableSlots = (date, config, durationMinutes = config.slotMinutes) => {
+    const hours = config.weeklyHours[getWeekday(date)];
+    if (!hours) {
+        return [];
+    }
+    const slots = [];
+    for (let minutes = parseClockTime(hours.open); minutes < parseClockTime(hours.close); minutes += config.slotMinutes) {
+        const slot = zonedTimeToUtc(date, minutes, config.timeZone);
+        if (isValidAppointmentTime(slot.toISOString(), config, durationMinutes).valid) {
+            slots.push(slot);
+        }
+    }
+    return slots;
+};
+
+// Open start times on a local date with the free bays for each
+const getAvailableSlots = async (location, date, { config, services, durationMinutes }) => {
+    const duration = durationMinutes || config.slotMinutes;
+    const candidates = getBookableSlots(date, config, duration);
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const occupiedMinutes = getOccupiedMinutes(duration, config);
+    const rangeStart = candidates[0].getTime();
+    const rangeEnd = candidates[candidates.length - 1].getTime() + occupiedMinutes * 60000;
+    const bookings = await queryOverlappingCandidates(location, rangeStart, rangeEnd, config);
+
+    return candidates
+        .map(slot => ({ slot, capacity: getRangeCapacity(slot.getTime(), occupiedMinutes, bookings, config, services) }))
+        .filter(({ capacity }) => isBookable(capacity))
+        .map(({ slot, capacity }) => ({
+            appointmentTime: slot.toISOString().split('.')[0] + 'Z',
+            baysFree: capacity.baysFree
+        }));
+};
+
+module.exports = {
+    holdsSlot,
+    getOccupiedMinutes,
+    getAppointmentEnd,
+    getAppointmentRange,
+    isValidAppointmentTime,
+    queryOverlappingCandidates,
+    checkCapacity,
+    checkForConflicts,
+    getNearbySlots,
+    getAvailableSlots
+};
@@ -0,0 +1,540 @@
+'use strict';
+const { randomUUID } = require('crypto');
+const { toUtcDateTime, appointmentRepository } = require('./appointmentRepository');
+const { authorize, checkLocationAccess, checkAppointmentAccess } = require('./auth');
+const { getLocationConfig } = require('./locations');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { getAppointmentEnd, isValidAppointmentTime, checkForConflicts } = require('./scheduling');
+const { getSlotIds, getReservationUpdates, writeWithReservations } = require('./reservations');
+const { QUOTA_REACHED, getQuotaUpdates, quotaExceeded } = require('./rateLimits');
+const { withIdempotency } = require('./idempotency');
+const { parseVehicle } = require('./vehicles');
+const {
+    BOOKING_FIELDS,
+    APPOINTMENT_SCHEMA,
+    APPOINTMENT_UPDATE_SCHEMA,
+    isValidServices,
+    getTotalDuration,
+    toServiceDetails,
+    getConflictMessage,
+    resolveCustomer
+} = require('./booking');
+const { validate, validationError, fieldError, parseBody, validateBody } = require('./validation');
+const { parseRecurrence, expandRecurrence, addDays } = require('./recurrence');
+const { notifyAppointment } = require('./notifications');
+const { recordAudit } = require('./audit');
+const handler = require('./handler');
+
+// Which occurrences a series edit or cancellation applies to: only the one named, or it and every later one
+const SERIES_SCOPES = ['this', 'following'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// POST /appointment-series: a booking without the waitlist option, and the rule it repeats by
+// (an RRULE string or an object, see recurrence.js)
+const SERIES_SCHEMA = {
+    type: 'object',
+    required: [...APPOINTMENT_SCHEMA.required, 'recurrence'],
+    allOf: APPOINTMENT_SCHEMA.allOf,
+    properties: {
+        ...BOOKING_FIELDS,
+        recurrence: { type: ['string', 'object'] }
+    }
+};
+
+// The occurrence a series edit or cancellation starts from, and how far it reaches
+const SERIES_TARGET_SCHEMA = {
+    type: 'object',
+    required: ['occurrence'],
+    properties: {
+        occurrence: { type: 'integer', minimum: 0 },
+        scope: { type: 'string', enum: SERIES_SCOPES }
+    }
+};
+
+// PATCH /appointment-series/{id}: the editable fields of an appointment, and the target
+const SERIES_UPDATE_SCHEMA = {
+    type: 'object',
+    properties: {
+        ...APPOINTMENT_UPDATE_SCHEMA.properties,
+        ...SERIES_TARGET_SCHEMA.properties
+    }
+};
+
+const seriesIdRequired = () => ({
+    statusCode: 400,
+    body: JSON.stringify({
+        message: 'Series ID is required'
+    })
+});
+
+const seriesNotFound = (seriesId) => {
+    console.log('🔍 [404] Appointment series not found:', seriesId);
+    return {
+        statusCode: 404,
+        body: JSON.stringify({
+            message: 'Appointment series not found'
+        })
+    };
+};
+
+// Every appointment of a series, in occurrence order
+const getSeriesAppointments = async (seriesId) => {
+    const items = await appointmentRepository.listBySeries(seriesId);
+    // Occurrences moved on their own can end up out of time order
+    return items.sort((a, b) => a.occurrenceIndex - b.occurrenceIndex);
+};
+
+// Books each occurrence on its own, so a full or closed date does not stop the rest of the series.
+// Errors are left to createSeries.
+const bookSeries = async (event, principal) => {
+    const request = validateBody(event, SERIES_SCHEMA);
+    if (request.error) {
+        return request.error;
+    }
+    const body = request.body;
+    console.log('📝 Request body:', JSON.stringify(body, null, 2));
+
+    const { location, appointmentTime, services, recurrence } = body;
+
+    const locationError = checkLocationAccess(principal, location);
+    if (locationError) {
+        return locationError;
+    }
+
+    const bookedFor = await resolveCustomer(body);
+    if (bookedFor.error) {
+        return bookedFor.error;
+    }
+
+    const vehicleValidation = parseVehicle(body);
+    if (!vehicleValidation.valid) {
+        return validationError(vehicleValidation.errors);
+    }
+    const vehicleAttributes = vehicleValidation.attributes;
+
+    const servicesValidation = await isValidServices(services);
+    if (!servicesValidation.valid) {
+        return validationError(servicesValidation.errors);
+    }
+
+    const recurrenceValidation = parseRecurrence(recurrence);
+    if (!recurrenceValidation.valid) {
+        return fieldError('recurrence', recurrenceValidation.message);
+    }
+
+    const locationConfig = await getLocationConfig(location);
+    const expansion = expandRecurrence(appointmentTime, recurrenceValidation.rule, locationConfig.timeZone);
+    if (!expansion.valid) {
+        return fieldError('recurrence', expansion.message);
+    }
+
+    const seriesId = `series_${randomUUID()}`;
+    const durationMinutes = getTotalDuration(servicesValidation.entries);
+    const conflictOptions = { config: locationConfig, services, durationMinutes };
+    const booked = [];
+    const failed = [];
+    // A new customer profile is written with the first occurrence that books
+    let newCustomer = bookedFor.newCustomer;
+
+    for (const [occurrenceIndex, occurrenceTime] of expansion.occurrences.entries()) {
+        const timeValidation = isValidAppointmentTime(occurrenceTime, locationConfig, durationMinutes);
+        if (!timeValidation.valid) {
+            failed.push({ occurrenceIndex, appointmentTime: occurrenceTime, message: timeValidation.message });
+            continue;
+        }
+
+        const capacity = await checkForConflicts(location, occurrenceTime, conflictOptions);
+        if (capacity.hasConflict) {
+            failed.push({ occurrenceIndex, appointmentTime: occurrenceTime, message: getConflictMessage(capacity, servicesValidation.entries) });
+            continue;
+        }
+
+        const timestamp = new Date().getTime();
+        const reservedSlots = getSlotIds(location, occurrenceTime, durationMinutes, locationConfig);
+        const appointment = {
+            appointmentId: `appt_${randomUUID()}`,
+            seriesId,
+            occurrenceIndex,
+            customerName: bookedFor.customerName,
+            ...(bookedFor.customerId && { customerId: bookedFor.customerId }),
+            locationId: location,
+            appointmentDateTime: occurrenceTime,
+            appointmentEndDateTime: getAppointmentEnd(occurrenceTime, durationMinutes, locationConfig),
+            durationMinutes,
+            vehicleDetails: vehicleAttributes.vehicleDetails,
+            ...(vehicleAttributes.vehicle && { vehicle: vehicleAttributes.vehicle }),
+            ...(vehicleAttributes.vin && { vin: vehicleAttributes.vin }),
+            servicesList: services,
+            serviceDetails: toServiceDetails(servicesValidation.entries),
+            reservedSlots,
+            status: 'SCHEDULED',
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version: 1
+        };
+
+        const writes = getReservationUpdates({ reserve: reservedSlots, services }, locationConfig);
+        if (newCustomer) {
+            writes.push({
+                Put: {
+                    TableName: process.env.CUSTOMERS_TABLE,
+                    Item: newCustomer
+                }
+            });
+        }
+        const writeFailed = await writeWithReservations({
+            Put: {
+                TableName: process.env.APPOINTMENTS_TABLE,
+                Item: appointment,
+                ConditionExpression: 'attribute_not_exists(appointmentId)'
+            }
+        }, writes, getQuotaUpdates(principal, locationConfig));
+        // Each occurrence counts against the daily quotas. One that stops the series before anything is
+        // booked turns the request down; later ones are listed as failed with what was booked.
+        if (writeFailed === 'quota' && booked.length === 0) {
+            return quotaExceeded(principal, locationConfig);
+        }
+        if (writeFailed === 'quota') {
+            failed.push({ occurrenceIndex, appointmentTime: occurrenceTime, message: QUOTA_REACHED });
+            continue;
+        }
+        if (writeFailed) {
+            failed.push({ occurrenceIndex, appointmentTime: occurrenceTime, message: getConflictMessage({ fullService: null }) });
+            continue;
+        }
+
+        newCustomer = null;
+        booked.push(appointment);
+        await recordAudit('created', { after: appointment, principal, event });
+    }
+
+    if (booked.length === 0) {
+        console.log('⚠️ [409] Conflict: No occurrence of the series could be booked');
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: 'No occurrence of the series could be booked',
+                failed
+            })
+        };
+    }
+
+    // One confirmation for the series rather than one per occurrence; reminders still go out for each
+    await notifyAppointment('confirmation', booked[0]);
+
+    console.log(`✅ [200] Appointment series created: ${booked.length} booked, ${failed.length} failed`);
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            seriesId,
+            recurrence: recurrenceValidation.rule,
+            booked,
+            failed
+        })
+    };
+};
+
+// Reads the occurrence and scope of a series edit or cancellation, and loads the series.
+// Resolves to { error } with the response, or to the series appointments and the occurrence named.
+const loadSeriesTarget = async (event, principal, details) => {
+    const seriesId = (event.pathParameters || {}).id;
+    if (!seriesId) {
+        return { error: seriesIdRequired() };
+    }
+
+    // Query parameters arrive as strings
+    const occurrence = typeof details.occurrence === 'string' && /^\d+$/.test(details.occurrence)
+        ? Number(details.occurrence)
+        : details.occurrence;
+    const errors = validate({ occurrence, scope: details.scope }, SERIES_TARGET_SCHEMA);
+    if (errors.length > 0) {
+        return { error: validationError(errors) };
+    }
+    const scope = details.scope === undefined ? 'this' : details.scope;
+
+    const appointments = await getSeriesAppointments(seriesId);
+    if (appointments.length === 0) {
+        return { error: seriesNotFound(seriesId) };
+    }
+
+    // Every occurrence has the same customer and location, so one check covers the series
+    const accessError = checkAppointmentAccess(principal, appointments[0]);
+    if (accessError) {
+        return { error: accessError };
+    }
+
+    const anchor = appointments.find(appointment => appointment.occurrenceIndex === occurrence);
+    if (!anchor) {
+        console.log('🔍 [404] Occurrence not found:', { seriesId, occurrence });
+        return {
+            error: {
+                statusCode: 404,
+                body: JSON.stringify({
+                    message: `Occurrence ${occurrence} is not part of this series`
+                })
+            }
+        };
+    }
+
+    const targets = scope === 'this'
+        ? [anchor]
+        : appointments.filter(appointment => appointment.occurrenceIndex >= anchor.occurrenceIndex && appointment.status !== 'CANCELLED');
+    return { seriesId, scope, anchor, targets };
+};
+
+// Moving one occurrence to a new time moves the following ones by the same number of days and the same
+// wall-clock change, so a series moved from Monday 9 AM to Tuesday 10 AM stays on Tuesdays at 10 AM
+const getTimeShift = (anchor, appointmentTime, timeZone) => {
+    const from = getZonedParts(new Date(anchor.appointmentDateTime), timeZone);
+    const to = getZonedParts(new Date(appointmentTime), timeZone);
+    return {
+        days: Math.round((Date.parse(`${to.date}T00:00:00Z`) - Date.parse(`${from.date}T00:00:00Z`)) / DAY_MS),
+        minutes: to.minutes - from.minutes
+    };
+};
+
+const shiftTime = (appointmentTime, shift, timeZone) => {
+    const local = getZonedParts(new Date(appointmentTime), timeZone);
+    return toUtcDateTime(zonedTimeToUtc(addDays(local.date, shift.days), local.minutes + shift.minutes, timeZone).getTime());
+};
+
+// The request a single-appointment change gets for one occurrence
+const toOccurrenceEvent = (event, appointmentId, body) => ({
+    headers: event.headers,
+    // Keeps the caller's request ID on the audit entry of each occurrence
+    requestContext: event.requestContext,
+    pathParameters: { id: appointmentId },
+    body: JSON.stringify(body)
+});
+
+// Runs a single-appointment change for each target. Requests go through the same validation, capacity
+// checks and notifications as direct calls, for the caller the series request was authorized as, so the
+// occurrences are not authorized and counted against rate limits again. An occurrence that fails with
+// an error is listed with a 500 and the rest still go ahead.
+const applyToOccurrences = async (event, principal, targets, handle, getBody) => {
+    const succeeded = [];
+    const failed = [];
+    for (const target of targets) {
+        let response;
+        try {
+            response = await handle(toOccurrenceEvent(event, target.appointmentId, getBody(target)), principal);
+        } catch (error) {
+            console.error('❌ [500] Error changing occurrence:', target.appointmentId, error);
+            response = { statusCode: 500, body: JSON.stringify({ message: error.message }) };
+        }
+        const result = JSON.parse(response.body);
+        if (response.statusCode === 200) {
+            succeeded.push(result);
+        } else {
+            failed.push({
+                appointmentId: target.appointmentId,
+                occurrenceIndex: target.occurrenceIndex,
+                appointmentTime: target.appointmentDateTime,
+                statusCode: response.statusCode,
+                message: result.message,
+                ...(result.errors && { errors: result.errors })
+            });
+        }
+    }
+    return { succeeded, failed };
+};
+
+module.exports.SERIES_SCHEMA = SERIES_SCHEMA;
+module.exports.SERIES_TARGET_SCHEMA = SERIES_TARGET_SCHEMA;
+module.exports.SERIES_UPDATE_SCHEMA = SERIES_UPDATE_SCHEMA;
+module.exports.getSeriesAppointments = getSeriesAppointments;
+
+module.exports.createSeries = async (event) => {
+    console.log('🔄 [START] Processing new appointment series request');
+
+    try {
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // Retries with the same Idempotency-Key get the first response instead of booking the series again
+        return await withIdempotency(event, () => bookSeries(event, auth.principal), auth.principal.principalId);
+    } catch (error) {
+        console.error('❌ [500] Error creating appointment series:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not create the appointment series',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getSeries = async (event) => {
+    console.log('🔄 [START] Processing appointment series lookup request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const seriesId = (event.pathParameters || {}).id;
+        if (!seriesId) {
+            return seriesIdRequired();
+        }
+
+        const appointments = await getSeriesAppointments(seriesId);
+        if (appointments.length === 0) {
+            return seriesNotFound(seriesId);
+        }
+
+        const accessError = checkAppointmentAccess(auth.principal, appointments[0]);
+        if (accessError) {
+            return accessError;
+        }
+
+        console.log('✅ [200] Appointment series found:', appointments.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                seriesId,
+                items: appointments
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching appointment series:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the appointment series',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.updateSeries = async (event) => {
+    console.log('🔄 [START] Processing appointment series update request');
+
+    try {
+        const auth = await authorize(event, 'book');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // The changes are checked here too, so a malformed time is not shifted onto every occurrence
+        const request = validateBody(event, SERIES_UPDATE_SCHEMA);
+        if (request.error) {
+            return request.error;
+        }
+        console.log('📝 Request body:', JSON.stringify(request.body, null, 2));
+        const { occurrence, scope, ...changes } = request.body;
+
+        const target = await loadSeriesTarget(event, auth.principal, { occurrence, scope });
+        if (target.error) {
+            return target.error;
+        }
+
+        // A single occurrence is just an appointment update, with the same response
+        if (target.scope === 'this') {
+            return await handler.editAppointment(toOccurrenceEvent(event, target.anchor.appointmentId, changes), auth.principal);
+        }
+
+        let shift = null;
+        let timeZone = null;
+        if (changes.appointmentTime !== undefined) {
+            ({ timeZone } = await getLocationConfig(target.anchor.locationId));
+            shift = getTimeShift(target.anchor, changes.appointmentTime, timeZone);
+        }
+
+        const { succeeded, failed } = await applyToOccurrences(event, auth.principal, target.targets, handler.editAppointment, (appointment) => {
+            const occurrenceChanges = { ...changes };
+            if (shift) {
+                occurrenceChanges.appointmentTime = appointment === target.anchor
+                    ? changes.appointmentTime
+                    : shiftTime(appointment.appointmentDateTime, shift, timeZone);
+            }
+            // The version read by the caller only applies to the occurrence they named
+            if (appointment !== target.anchor) {
+                delete occurrenceChanges.version;
+            }
+            return occurrenceChanges;
+        });
+
+        console.log(`✅ [200] Appointment series updated: ${succeeded.length} updated, ${failed.length} failed`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                seriesId: target.seriesId,
+                scope: target.scope,
+                updated: succeeded,
+                failed
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error updating appointment series:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not update the appointment series',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.cancelSeries = async (event) => {
+    console.log('🔄 [START] Processing appointment series cancellation request');
+
+    try {
+        const auth = await authorize(event, 'cancel');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        // Like single cancellations, details may come as a JSON body or as query parameters
+        const request = parseBody(event);
+        if (request.error) {
+            return request.error;
+        }
+        const { occurrence, scope, ...details } = { ...(event.queryStringParameters || {}), ...request.body };
+
+        const target = await loadSeriesTarget(event, auth.principal, { occurrence, scope });
+        if (target.error) {
+            return target.error;
+        }
+
+        if (target.scope === 'this') {
+            return await handler.cancelAppointment(toOccurrenceEvent(event, target.anchor.appointmentId, details), auth.principal);
+        }
+
+        const { succeeded, failed } = await applyToOccurrences(event, auth.principal, target.targets, handler.cancelAppointment, () => details);
+
+        console.log(`✅ [200] Appointment series cancelled: ${succeeded.length} cancelled, ${failed.length} failed`);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                seriesId: target.seriesId,
+                scope: target.scope,
+                cancelled: succeeded.map(result => result.appointment),
+                failed
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error cancelling appointment series:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not cancel the appointment series',
+                error: error.message
+            })
+        };
+    }
+};
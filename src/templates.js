@@ -0,0 +1,155 @@
+'use strict';
+const { formatDisplayDateTime } = require('./timezone');
+
+const NOTIFICATION_TYPES = ['confirmation', 'reschedule', 'cancellation', 'reminder', 'waitlistOffer'];
+const CHANNELS = ['email', 'sms'];
+const TEMPLATE_FIELDS = ['subject', 'email', 'sms'];
+const PLACEHOLDERS = ['customerName', 'appointmentId', 'locationId', 'appointmentTime', 'services', 'vehicle', 'holdExpiresAt'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const MIN_REMINDER_OFFSET_MINUTES = 15;
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+const MAX_REMINDER_OFFSETS = 5;
+const MAX_TEMPLATE_LENGTH = 2000;
+
+const DEFAULT_TEMPLATES = {
+    confirmation: {
+        subject: 'Your appointment at {{locationId}} is booked',
+        email: 'Hi {{customerName}},\n\nYour appointment for {{services}} on your {{vehicle}} is booked for {{appointmentTime}} at {{locationId}}.\n\nReference: {{appointmentId}}',
+        sms: 'Booked: {{services}} at {{locationId}} on {{appointmentTime}}. Ref {{appointmentId}}'
+    },
+    reschedule: {
+        subject: 'Your appointment at {{locationId}} has moved',
+        email: 'Hi {{customerName}},\n\nYour appointment for {{services}} on your {{vehicle}} has moved to {{appointmentTime}} at {{locationId}}.\n\nReference: {{appointmentId}}',
+        sms: 'Moved: {{services}} at {{locationId}} is now on {{appointmentTime}}. Ref {{appointmentId}}'
+    },
+    cancellation: {
+        subject: 'Your appointment at {{locationId}} is cancelled',
+        email: 'Hi {{customerName}},\n\nYour appointment for {{services}} on {{appointmentTime}} at {{locationId}} has been cancelled.\n\nReference: {{appointmentId}}',
+        sms: 'Cancelled: {{services}} at {{locationId}} on {{appointmentTime}}. Ref {{appointmentId}}'
+    },
+    reminder: {
+        subject: 'Reminder: your appointment at {{locationId}}',
+        email: 'Hi {{customerName}},\n\nThis is a reminder of your appointment for {{services}} on your {{vehicle}} on {{appointmentTime}} at {{locationId}}.\n\nReference: {{appointmentId}}',
+        sms: 'Reminder: {{services}} at {{locationId}} on {{appointmentTime}}. Ref {{appointmentId}}'
+    },
+    waitlistOffer: {
+        subject: 'A slot opened up at {{locationId}}',
+        email: 'Hi {{customerName}},\n\nA slot you were waiting for opened up: {{services}} on your {{vehicle}} on {{appointmentTime}} at {{locationId}}. It is held for you until {{holdExpiresAt}}. Confirm it before then, or it goes to the next person on the waitlist.\n\nReference: {{appointmentId}}',
+        sms: 'Slot open: {{services}} at {{locationId}} on {{appointmentTime}}, held for you until {{holdExpiresAt}}. Ref {{appointmentId}}'
+    }
+};
+
+// Notification settings for locations that have not configured any. Templates only hold a
+// location's overrides; anything left out falls back to DEFAULT_TEMPLATES.
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    channels: CHANNELS,
+    reminderOffsetsMinutes: [24 * 60, 2 * 60],
+    templates: {}
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getTemplateError = (text, path) => {
+    if (typeof text !== 'string' || text.trim() === '' || text.length > MAX_TEMPLATE_LENGTH) {
+        return `${path} must be between 1 and ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+    const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]).find(name => !PLACEHOLDERS.includes(name));
+    if (unknown) {
+        return `${path} has an unknown placeholder: ${unknown}`;
+    }
+    return null;
+};
+
+// Validates the notifications section of a location configuration, filling in defaults for omitted fields
+const validateNotificationSettings = (body) => {
+    if (!isPlainObject(body)) {
+        return { valid: false, message: 'notifications must be an object' };
+    }
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...body };
+
+    if (!Array.isArray(settings.channels) || !settings.channels.every(channel => CHANNELS.includes(channel))) {
+        return { valid: false, message: `notifications.channels must be an array of ${CHANNELS.join(', ')}` };
+    }
+
+    const offsets = settings.reminderOffsetsMinutes;
+    if (!Array.isArray(offsets) || offsets.length > MAX_REMINDER_OFFSETS || !offsets.every(offset =>
+        Number.isInteger(offset) && offset >= MIN_REMINDER_OFFSET_MINUTES && offset <= MAX_REMINDER_OFFSET_MINUTES
+    )) {
+        return {
+            valid: false,
+            message: `notifications.reminderOffsetsMinutes must be up to ${MAX_REMINDER_OFFSETS} integers between ${MIN_REMINDER_OFFSET_MINUTES} and ${MAX_REMINDER_OFFSET_MINUTES}`
+        };
+    }
+
+    const { templates } = settings;
+    if (!isPlainObject(templates)) {
+        return { valid: false, message: 'notifications.templates must be an object keyed by notification type' };
+    }
+    const unknownType = Object.keys(templates).find(type => !NOTIFICATION_TYPES.includes(type));
+    if (unknownType) {
+        return { valid: false, message: `notifications.templates has an unknown notification type: ${unknownType}` };
+    }
+    for (const type of Object.keys(templates)) {
+        if (!isPlainObject(templates[type])) {
+            return { valid: false, message: `notifications.templates.${type} must be an object with ${TEMPLATE_FIELDS.join(', ')}` };
+        }
+        const unknownField = Object.keys(templates[type]).find(field => !TEMPLATE_FIELDS.includes(field));
+        if (unknownField) {
+            return { valid: false, message: `notifications.templates.${type} has an unknown field: ${unknownField}` };
+        }
+        for (const field of Object.keys(templates[type])) {
+            const templateError = getTemplateError(templates[type][field], `notifications.templates.${type}.${field}`);
+            if (templateError) {
+                return { valid: false, message: templateError };
+            }
+        }
+    }
+
+    return {
+        valid: true,
+        settings: {
+            channels: [...new Set(settings.channels)],
+            // Largest first, the order in which they come due
+            reminderOffsetsMinutes: [...new Set(offsets)].sort((a, b) => b - a),
+            templates
+        }
+    };
+};
+
+// Appointments booked before the catalog only have service IDs
+const getServiceNames = (appointment) => (appointment.serviceDetails || []).map(service => service.name).join(', ')
+    || (appointment.servicesList || []).join(', ');
+
+// Placeholder values for an appointment, with its time shown in the location's time zone
+const getTemplateValues = (appointment, config) => ({
+    customerName: appointment.customerName,
+    appointmentId: appointment.appointmentId,
+    locationId: appointment.locationId,
+    appointmentTime: formatDisplayDateTime(new Date(appointment.appointmentDateTime), config.timeZone),
+    services: getServiceNames(appointment),
+    vehicle: appointment.vehicleDetails,
+    // Only set on appointments held for someone on the waitlist
+    holdExpiresAt: appointment.holdExpiresAt ? formatDisplayDateTime(new Date(appointment.holdExpiresAt), config.timeZone) : null
+});
+
+const render = (template, values) => template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+);
+
+// Renders the subject, email and SMS text of a notification with the location's templates
+const renderNotification = (type, appointment, config) => {
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...config.notifications };
+    const templates = { ...DEFAULT_TEMPLATES[type], ...settings.templates[type] };
+    const values = getTemplateValues(appointment, config);
+    return TEMPLATE_FIELDS.reduce((rendered, field) => ({ ...rendered, [field]: render(templates[field], values) }), {});
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DEFAULT_TEMPLATES,
+    DEFAULT_NOTIFICATION_SETTINGS,
+    validateNotificationSettings,
+    renderNotification,
+    getServiceNames
+};
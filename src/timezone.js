@@ -0,0 +1,134 @@
+'use strict';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone === '') {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isValidDate = (date) => {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return false;
+    }
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+};
+
+// Parses "HH:MM" into minutes after midnight, or null when malformed
+const parseClockTime = (time) => {
+    const match = typeof time === 'string' && /^([01]\d|2[0-4]):([0-5]\d)$/.exec(time);
+    if (!match) {
+        return null;
+    }
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= 24 * 60 ? minutes : null;
+};
+
+// "09:00" -> "9 AM", "13:30" -> "1:30 PM"
+const formatClockTime = (time) => {
+    const minutes = parseClockTime(time);
+    const hours = Math.floor(minutes / 60) % 24;
+    const suffix = hours < 12 ? 'AM' : 'PM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return minutes % 60 === 0
+        ? `${displayHours} ${suffix}`
+        : `${displayHours}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+};
+
+// Wall-clock fields of an instant in the given time zone
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: localDate,
+        weekday: WEEKDAYS[new Date(`${localDate}T00:00:00Z`).getUTCDay()],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        seconds: Number(parts.second)
+    };
+};
+
+const getOffsetMs = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const wallClock = new Date(`${parts.date}T00:00:00Z`).getTime() + parts.minutes * 60000 + parts.seconds * 1000;
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Converts a wall-clock time (minutes after midnight) on a local YYYY-MM-DD date to a UTC instant
+const zonedTimeToUtc = (date, minutes, timeZone) => {
+    const wallClock = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60000;
+    const guess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+    // Second pass corrects guesses that landed on the other side of a DST change
+    return new Date(wallClock - getOffsetMs(new Date(guess), timeZone));
+};
+
+const getWeekday = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Short zone name as printed in January, e.g. "EST" for America/New_York all year round
+const getTimeZoneLabel = (timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(Date.UTC(2000, 0, 15)));
+    return parts.find(part => part.type === 'timeZoneName').value;
+};
+
+// Short zone name in effect at the given instant, e.g. "EDT" in July for America/New_York
+const getZonedLabel = (date, timeZone) => new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+
+const displayFormatters = new Map();
+
+// Full local date and time for people to read, e.g. "Thursday, January 15, 2026 at 9:00 AM EST"
+const formatDisplayDateTime = (date, timeZone) => {
+    if (!displayFormatters.has(timeZone)) {
+        displayFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            dateStyle: 'full',
+            timeStyle: 'short'
+        }));
+    }
+    return `${displayFormatters.get(timeZone).format(date)} ${getZonedLabel(date, timeZone)}`;
+};
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimeZone,
+    isValidDate,
+    parseClockTime,
+    formatClockTime,
+    getZonedParts,
+    getOffsetMs,
+    zonedTimeToUtc,
+    getWeekday,
+    getTimeZoneLabel,
+    getZonedLabel,
+    formatDisplayDateTime
+};
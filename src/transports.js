@@ -0,0 +1,80 @@
+'use strict';
+const fs = require('fs');
+
+// Transports deliver a rendered message: { channel, to, subject, text, type, appointmentId }.
+// Each channel picks one by name from EMAIL_TRANSPORT / SMS_TRANSPORT, defaulting to the console.
+const factories = new Map();
+const instances = new Map();
+
+const registerTransport = (name, factory) => {
+    factories.set(name, factory);
+    instances.delete(name);
+};
+
+const getTransport = (channel) => {
+    const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || 'console';
+    if (!factories.has(name)) {
+        throw new Error(`Unknown ${channel} transport: ${name}`);
+    }
+    // Created on first use, so the AWS clients are only loaded where they are configured
+    if (!instances.has(name)) {
+        instances.set(name, factories.get(name)());
+    }
+    return instances.get(name);
+};
+
+registerTransport('console', () => ({
+    send: async (message) => {
+        console.log(`📨 [${message.channel}] ${message.type} for ${message.to}:`, JSON.stringify(message));
+    }
+}));
+
+// One JSON line per message, for local testing without sending anything
+registerTransport('file', () => ({
+    send: async (message) => {
+        const file = process.env.NOTIFICATIONS_FILE || '/tmp/notifications.jsonl';
+        await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+    }
+}));
+
+registerTransport('ses', () => {
+    const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+    const client = new SESv2Client({});
+    return {
+        send: async (message) => {
+            await client.send(new SendEmailCommand({
+                FromEmailAddress: process.env.NOTIFICATIONS_FROM_EMAIL,
+                Destination: {
+                    ToAddresses: [message.to]
+                },
+                Content: {
+                    Simple: {
+                        Subject: { Data: message.subject },
+                        Body: { Text: { Data: message.text } }
+                    }
+                }
+            }));
+        }
+    };
+});
+
+registerTransport('sns', () => {
+    const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
+    const client = new SNSClient({});
+    return {
+        send: async (message) => {
+            await client.send(new PublishCommand({
+                PhoneNumber: message.to,
+                Message: message.text,
+                MessageAttributes: {
+                    'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+                }
+            }));
+        }
+    };
+});
+
+module.exports = {
+    registerTransport,
+    getTransport
+};
@@ -0,0 +1,230 @@
+'use strict';
+const { isValidTimeZone, isValidDate, parseClockTime } = require('./timezone');
+
+// Declarative request validation shared by the handlers. A schema is a subset of JSON Schema:
+// type (a name, or a list of them with 'null' for nullable fields), required, properties,
+// additionalProperties (false, or a schema for the values of other keys), anyOf with alternative
+// required lists (allOf combines several), minLength/maxLength, format, enum, minimum/maximum, items,
+// minItems/maxItems and uniqueItems. Two differences: string lengths are measured without surrounding whitespace,
+// since handlers trim what they store, and a null counts as missing for required.
+//
+// Every problem is reported, not just the first, as { field, code, message }.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// E.164: a plus, a country code and up to 15 digits in total
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+// A date and time with seconds optional and a time zone required, so the instant is never ambiguous
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Phone numbers may be written with spaces, dots, dashes and parentheses
+const normalizePhone = (phone) => phone.replace(/[\s().-]/g, '');
+
+// Each format returns null for a valid string, or what is wrong with it. Modules add their own with
+// registerFormat, e.g. vehicles.js for VINs.
+const FORMATS = {
+    'date-time': (value) => DATE_TIME_PATTERN.test(value) && isValidDate(value.slice(0, 10)) && !isNaN(new Date(value).getTime())
+        ? null
+        : 'must be an ISO-8601 date-time with a time zone, such as 2026-04-27T15:30:00Z',
+    date: (value) => (isValidDate(value) ? null : 'must be a YYYY-MM-DD date'),
+    time: (value) => (parseClockTime(value) !== null ? null : 'must be a time of day in HH:MM'),
+    'time-zone': (value) => (isValidTimeZone(value) ? null : 'must be a valid IANA time zone'),
+    email: (value) => (EMAIL_PATTERN.test(value.trim()) ? null : 'must be a valid email address'),
+    phone: (value) => (PHONE_PATTERN.test(normalizePhone(value)) ? null : 'must be an international number such as +1 555 010 0199')
+};
+
+const registerFormat = (name, check) => {
+    FORMATS[name] = check;
+};
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && isFinite(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+    null: (value) => value === null
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object',
+    null: 'null'
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+const listNames = (names) => (names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`);
+
+const getRangeMessage = (schema, noun) => {
+    const { minimum, maximum } = schema;
+    if (minimum !== undefined && maximum !== undefined) {
+        return `must be ${noun} between ${minimum} and ${maximum}`;
+    }
+    return minimum !== undefined ? `must be ${noun} of at least ${minimum}` : `must be ${noun} of at most ${maximum}`;
+};
+
+const getLengthMessage = ({ minLength, maxLength }, noun) => {
+    if (minLength === 1 && maxLength === undefined) {
+        return 'cannot be empty';
+    }
+    if (minLength !== undefined && maxLength !== undefined) {
+        return `must be between ${minLength} and ${maxLength} ${noun}`;
+    }
+    return minLength !== undefined ? `must have at least ${minLength} ${noun}` : `must have at most ${maxLength} ${noun}`;
+};
+
+const childField = (field, key) => (field ? `${field}.${key}` : key);
+
+// Checks value against schema, adding what is wrong to errors. field is the value's path, e.g.
+// vehicle.make or services[1]; the request body itself is "body".
+const check = (value, schema, field, errors) => {
+    const add = (code, problem) => errors.push({ field: field || 'body', code, message: `${field || 'body'} ${problem}` });
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => TYPE_CHECKS[type](value))) {
+        add('type', `must be ${listNames(types.map(type => TYPE_NAMES[type]))}`);
+        return;
+    }
+    if (value === null) {
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        add('enum', `must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        const length = value.trim().length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            add('too_short', getLengthMessage(schema, 'characters'));
+        } else if (schema.maxLength !== undefined && length > schema.maxLength) {
+            add('too_long', getLengthMessage(schema, 'characters'));
+        } else if (schema.format) {
+            const problem = FORMATS[schema.format](value);
+            if (problem) {
+                add('format', problem);
+            }
+        }
+    }
+
+    if (typeof value === 'number') {
+        const noun = types.includes('integer') ? 'an integer' : 'a number';
+        if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+            add(value < schema.minimum ? 'too_small' : 'too_large', getRangeMessage(schema, noun));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            add('too_short', schema.minItems === 1 ? 'cannot be empty' : `must have at least ${schema.minItems} items`);
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            add('too_long', `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(item, schema.items, `${field}[${index}]`, errors));
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            add('not_unique', 'cannot contain duplicates');
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        const required = schema.required || [];
+        required.filter(key => isMissing(value[key])).forEach(key => {
+            errors.push({ field: childField(field, key), code: 'required', message: `${childField(field, key)} is required` });
+        });
+
+        // Several sets of alternatives go in allOf, e.g. who the booking is for and which vehicle
+        (schema.allOf || []).forEach(part => check(value, part, field, errors));
+
+        // Alternatives such as a structured vehicle or a car string: at least one has to be complete
+        const alternatives = (schema.anyOf || []).map(alternative => alternative.required);
+        if (alternatives.length > 0 && !alternatives.some(keys => keys.every(key => !isMissing(value[key])))) {
+            const names = alternatives.map(keys => keys.map(key => childField(field, key)).join(' and '));
+            errors.push({ field: childField(field, alternatives[0][0]), code: 'required', message: `${listNames(names)} is required` });
+        }
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            // A required null has been reported as missing already
+            if (value[key] === undefined || (value[key] === null && required.includes(key))) {
+                return;
+            }
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                check(value[key], properties[key], childField(field, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: childField(field, key), code: 'unknown_field', message: `${childField(field, key)} is not allowed` });
+            } else if (schema.additionalProperties) {
+                check(value[key], schema.additionalProperties, childField(field, key), errors);
+            }
+        });
+    }
+};
+
+// Every problem with value, or an empty array when it fits the schema. field names the value in messages.
+const validate = (value, schema, field = '') => {
+    const errors = [];
+    check(value, schema, field, errors);
+    return errors;
+};
+
+// One line for clients that only show a message: the first problem, and how many more there are
+const summarizeErrors = (errors) => (errors.length === 1
+    ? errors[0].message
+    : `${errors[0].message}, and ${errors.length - 1} more problem${errors.length > 2 ? 's' : ''}`);
+
+// The 400 response for a request with problems
+const validationError = (errors) => {
+    console.log('🚫 [400] Validation failed:', JSON.stringify(errors));
+    return {
+        statusCode: 400,
+        body: JSON.stringify({
+            message: summarizeErrors(errors),
+            errors
+        })
+    };
+};
+
+// A single problem found after the schema checks, such as an unknown service
+const fieldError = (field, message, code = 'invalid') => validationError([{ field, code, message }]);
+
+// Parses a JSON request body. An empty body is an empty object. Resolves to { body }, or { error }
+// with the 400 response for malformed JSON.
+const parseBody = (event) => {
+    if (!event.body) {
+        return { body: {} };
+    }
+    try {
+        return { body: JSON.parse(event.body) };
+    } catch (error) {
+        return { error: fieldError('body', 'Request body must be valid JSON', 'invalid_json') };
+    }
+};
+
+// Parses the JSON body and checks it against schema, reporting every problem at once.
+// Resolves to { body }, or { error } with the 400 response.
+const validateBody = (event, schema) => {
+    const parsed = parseBody(event);
+    if (parsed.error) {
+        return parsed;
+    }
+    const errors = validate(parsed.body, schema);
+    return errors.length > 0 ? { error: validationError(errors) } : parsed;
+};
+
+module.exports = {
+    normalizePhone,
+    registerFormat,
+    validate,
+    summarizeErrors,
+    validationError,
+    fieldError,
+    parseBody,
+    validateBody
+};
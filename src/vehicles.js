@@ -0,0 +1,130 @@
+'use strict';
+const { validate, registerFormat } = require('./validation');
+
+const MIN_YEAR = 1900;
+const MAX_MILEAGE = 2000000;
+const MAX_NAME_LENGTH = 50;
+const MAX_CAR_LENGTH = 100;
+
+// ISO 3779 / 49 CFR 565: VIN characters map to these values for the check digit, by position weight
+const VIN_VALUES = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Says what is wrong with an upper-cased VIN, e.g. "must be 17 characters", or returns null for a valid one
+const getVinProblem = (vin) => {
+    if (vin.length !== 17) {
+        return 'must be 17 characters';
+    }
+    // I, O and Q are never used, so they cannot be mistaken for 1 and 0
+    if (/[IOQ]/.test(vin)) {
+        return 'cannot contain the letters I, O or Q';
+    }
+    if (!/^[A-Z0-9]+$/.test(vin)) {
+        return 'can only contain letters and digits';
+    }
+
+    const sum = [...vin].reduce((total, char, index) => {
+        const value = /\d/.test(char) ? Number(char) : VIN_VALUES[char];
+        return total + value * VIN_WEIGHTS[index];
+    }, 0);
+    const checkDigit = sum % 11 === 10 ? 'X' : String(sum % 11);
+    if (vin[8] !== checkDigit) {
+        return 'has an invalid check digit';
+    }
+    return null;
+};
+
+const isValidVin = (vin) => typeof vin === 'string' && getVinProblem(vin.toUpperCase()) === null;
+
+// Request schemas check VINs by this format name (see validation.js)
+registerFormat('vin', (value) => getVinProblem(value.trim().toUpperCase()));
+
+// The shape of a structured vehicle, for request schemas. The model year's upper bound moves with
+// the calendar, so validateVehicle checks it.
+const VEHICLE_SCHEMA = {
+    type: 'object',
+    required: ['make', 'model', 'year'],
+    properties: {
+        make: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+        model: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+        year: { type: 'integer', minimum: MIN_YEAR },
+        mileage: { type: ['integer', 'null'], minimum: 0, maximum: MAX_MILEAGE },
+        vin: { type: ['string', 'null'], format: 'vin' }
+    }
+};
+
+// The legacy form: a free-text description of the car
+const CAR_SCHEMA = { type: 'string', minLength: 1, maxLength: MAX_CAR_LENGTH };
+
+// Validates a structured vehicle, reporting problems under field. A valid result carries it trimmed,
+// with the VIN upper-cased; an invalid one carries the { field, code, message } errors.
+const validateVehicle = (vehicle, field = 'vehicle') => {
+    // Model years run ahead of the calendar, so next year's cars are already on the road
+    const yearSchema = { ...VEHICLE_SCHEMA.properties.year, maximum: new Date().getUTCFullYear() + 1 };
+    const errors = validate(vehicle, { ...VEHICLE_SCHEMA, properties: { ...VEHICLE_SCHEMA.properties, year: yearSchema } }, field);
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const { make, model, year, mileage, vin } = vehicle;
+    return {
+        valid: true,
+        vehicle: {
+            make: make.trim(),
+            model: model.trim(),
+            year,
+            mileage: mileage === undefined ? null : mileage,
+            vin: typeof vin === 'string' ? vin.trim().toUpperCase() : null
+        }
+    };
+};
+
+// Reads the vehicle from a booking, either the structured `vehicle` or the legacy `car` string.
+// A valid result carries the appointment attributes to store: vehicleDetails is always a readable
+// summary, `vehicle` holds the structured fields and `vin` is copied to the top level for the VIN index.
+const parseVehicle = ({ car, vehicle }) => {
+    if (car !== undefined && vehicle !== undefined) {
+        return { valid: false, errors: [{ field: 'car', code: 'conflict', message: 'Send either car or vehicle, not both' }] };
+    }
+
+    if (vehicle !== undefined) {
+        const validation = validateVehicle(vehicle);
+        if (!validation.valid) {
+            return validation;
+        }
+        const { make, model, year, vin } = validation.vehicle;
+        return {
+            valid: true,
+            attributes: {
+                vehicleDetails: `${year} ${make} ${model}`,
+                vehicle: validation.vehicle,
+                vin
+            }
+        };
+    }
+
+    const errors = validate(car, CAR_SCHEMA, 'car');
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return {
+        valid: true,
+        attributes: {
+            vehicleDetails: car,
+            vehicle: null,
+            vin: null
+        }
+    };
+};
+
+module.exports = {
+    VEHICLE_SCHEMA,
+    CAR_SCHEMA,
+    isValidVin,
+    validateVehicle,
+    parseVehicle
+};
@@ -0,0 +1,729 @@
+'use strict';
+const { randomUUID } = require('crypto');
+const { GetCommand, PutCommand, QueryCommand, ScanCommand, UpdateCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { toUtcDateTime, appointmentRepository } = require('./appointmentRepository');
+const { authorize, checkLocationAccess, checkWaitlistEntryAccess } = require('./auth');
+const { getLocationConfig } = require('./locations');
+const {
+    getOccupiedMinutes,
+    getAppointmentEnd,
+    getAppointmentRange,
+    isValidAppointmentTime,
+    checkForConflicts
+} = require('./scheduling');
+const { getSlotIds, getReservationUpdates, writeWithReservations } = require('./reservations');
+const { notifyAppointment } = require('./notifications');
+const { recordAudit, systemPrincipal } = require('./audit');
+
+// A waitlist window can cover at most this much time
+const MAX_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+// Entries are only needed until their window has passed; DynamoDB's TTL removes them this long after it ends
+const WAITLIST_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+// Entries still in the queue: waiting for a slot, or holding one until the customer answers
+const ACTIVE_STATUSES = ['WAITING', 'OFFERED'];
+
+const notFound = (entryId) => {
+    console.log('🔍 [404] Waitlist entry not found:', entryId);
+    return {
+        statusCode: 404,
+        body: JSON.stringify({
+            message: 'Waitlist entry not found'
+        })
+    };
+};
+
+// Validates the waitlist option of a booking: true to wait for the requested time only, or
+// { windowStart, windowEnd } to take any start time in between. Both ends default to the requested time.
+const parseWaitlistOption = (waitlist, appointmentTime) => {
+    if (waitlist !== true && (!waitlist || typeof waitlist !== 'object' || Array.isArray(waitlist))) {
+        return { valid: false, message: 'waitlist must be true or an object with windowStart and windowEnd' };
+    }
+    const { windowStart = appointmentTime, windowEnd = appointmentTime } = waitlist === true ? {} : waitlist;
+    const start = new Date(windowStart).getTime();
+    const end = new Date(windowEnd).getTime();
+    if (typeof windowStart !== 'string' || typeof windowEnd !== 'string' || isNaN(start) || isNaN(end)) {
+        return { valid: false, message: 'waitlist.windowStart and waitlist.windowEnd must be valid ISO-8601 date-times' };
+    }
+    if (start > end) {
+        return { valid: false, message: 'waitlist.windowStart must not be after waitlist.windowEnd' };
+    }
+    if (end <= Date.now()) {
+        return { valid: false, message: 'waitlist window cannot be in the past' };
+    }
+    if (end - start > MAX_WINDOW_MS) {
+        return { valid: false, message: 'waitlist window cannot be longer than 14 days' };
+    }
+    return { valid: true, window: { windowStart: toUtcDateTime(start), windowEnd: toUtcDateTime(end) } };
+};
+
+// Queues a booking that did not fit. The entry keeps everything needed to book it later; a new
+// customer profile from the booking is saved with it, so the customer can be told about an offer.
+const addToWaitlist = async (appointment, window, newCustomer) => {
+    const timestamp = new Date().getTime();
+    const entry = {
+        entryId: `wait_${randomUUID()}`,
+        locationId: appointment.locationId,
+        customerName: appointment.customerName,
+        ...(appointment.customerId && { customerId: appointment.customerId }),
+        requestedDateTime: appointment.appointmentDateTime,
+        ...window,
+        durationMinutes: appointment.durationMinutes,
+        vehicleDetails: appointment.vehicleDetails,
+        ...(appointment.vehicle && { vehicle: appointment.vehicle }),
+        ...(appointment.vin && { vin: appointment.vin }),
+        servicesList: appointment.servicesList,
+        serviceDetails: appointment.serviceDetails,
+        status: 'WAITING',
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        expiresAt: Math.floor(new Date(window.windowEnd).getTime() / 1000) + WAITLIST_RETENTION_SECONDS
+    };
+
+    const put = {
+        TableName: process.env.WAITLIST_TABLE,
+        Item: entry
+    };
+    if (newCustomer) {
+        await dynamoDb.send(new TransactWriteCommand({
+            TransactItems: [{ Put: put }, { Put: { TableName: process.env.CUSTOMERS_TABLE, Item: newCustomer } }]
+        }));
+    } else {
+        await dynamoDb.send(new PutCommand(put));
+    }
+    return entry;
+};
+
+const getEntryById = async (entryId) => {
+    const result = await dynamoDb.send(new GetCommand({
+        TableName: process.env.WAITLIST_TABLE,
+        Key: {
+            entryId: entryId
+        }
+    }));
+    return result.Item || null;
+};
+
+const getHeldAppointment = (entry) => appointmentRepository.getById(entry.appointmentId);
+
+// A location's entries in the order they joined, through the locationQueue index
+const getQueue = async (locationId) => {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new QueryCommand({
+            TableName: process.env.WAITLIST_TABLE,
+            IndexName: 'locationQueue',
+            KeyConditionExpression: 'locationId = :loc',
+            ExpressionAttributeValues: {
+                ':loc': locationId
+            },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+};
+
+const isActive = (entry, now) => ACTIVE_STATUSES.includes(entry.status) && new Date(entry.windowEnd).getTime() > now;
+
+// 1-based place in the queue for waiting entries, null for the others
+const withPosition = (entry, queue) => {
+    const waiting = queue.filter(item => item.status === 'WAITING' && isActive(item, Date.now()));
+    const index = waiting.findIndex(item => item.entryId === entry.entryId);
+    return { ...entry, position: index === -1 ? null : index + 1 };
+};
+
+// Start times in the entry's window at which it would overlap the freed range, nearest to the
+// time originally asked for first. Each still has to pass the location's booking rules.
+const getCandidateTimes = (entry, freed, config) => {
+    const slotMs = config.slotMinutes * 60000;
+    const occupiedMs = getOccupiedMinutes(entry.durationMinutes, config) * 60000;
+    const windowStart = new Date(entry.windowStart).getTime();
+    const windowEnd = new Date(entry.windowEnd).getTime();
+    const requested = new Date(entry.requestedDateTime).getTime();
+    const candidates = [];
+    for (let start = freed.start - occupiedMs + slotMs; start < freed.end; start += slotMs) {
+        if (start >= windowStart && start <= windowEnd &&
+            isValidAppointmentTime(toUtcDateTime(start), config, entry.durationMinutes).valid) {
+            candidates.push(start);
+        }
+    }
+    return candidates.sort((a, b) => Math.abs(a - requested) - Math.abs(b - requested));
+};
+
+// Books the entry into a free time, as a hold that expires or outright depending on the location's
+// waitlist mode. The entry moves on in the same transaction as the appointment and its reservations.
+// Resolves to { appointment }, or to { failed } with 'entry' when the entry is no longer waiting
+// and 'slot' when another booking took the time first.
+const offerSlot = async (entry, appointmentTime, config) => {
+    const timestamp = new Date().getTime();
+    const hold = config.waitlist.mode === 'hold';
+    const holdExpiresAt = hold ? timestamp + config.waitlist.holdMinutes * 60000 : null;
+    const reservedSlots = getSlotIds(entry.locationId, appointmentTime, entry.durationMinutes, config);
+    const appointment = {
+        appointmentId: `appt_${randomUUID()}`,
+        customerName: entry.customerName,
+        ...(entry.customerId && { customerId: entry.customerId }),
+        locationId: entry.locationId,
+        appointmentDateTime: appointmentTime,
+        appointmentEndDateTime: getAppointmentEnd(appointmentTime, entry.durationMinutes, config),
+        durationMinutes: entry.durationMinutes,
+        vehicleDetails: entry.vehicleDetails,
+        ...(entry.vehicle && { vehicle: entry.vehicle }),
+        ...(entry.vin && { vin: entry.vin }),
+        servicesList: entry.servicesList,
+        serviceDetails: entry.serviceDetails,
+        reservedSlots,
+        status: hold ? 'HELD' : 'SCHEDULED',
+        ...(hold && { holdExpiresAt }),
+        waitlistEntryId: entry.entryId,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        version: 1
+    };
+
+    const values = {
+        ':status': hold ? 'OFFERED' : 'BOOKED',
+        ':waiting': 'WAITING',
+        ':appointmentId': appointment.appointmentId,
+        ':updatedAt': timestamp
+    };
+    if (hold) {
+        values[':holdExpiresAt'] = holdExpiresAt;
+    }
+    const failed = await writeWithReservations({
+        Update: {
+            TableName: process.env.WAITLIST_TABLE,
+            Key: {
+                entryId: entry.entryId
+            },
+            UpdateExpression: 'SET #status = :status, appointmentId = :appointmentId, updatedAt = :updatedAt' +
+                (hold ? ', holdExpiresAt = :holdExpiresAt' : ''),
+            ConditionExpression: '#status = :waiting',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: values
+        }
+    }, [
+        {
+            Put: {
+                TableName: process.env.APPOINTMENTS_TABLE,
+                Item: appointment,
+                ConditionExpression: 'attribute_not_exists(appointmentId)'
+            }
+        },
+        ...getReservationUpdates({ reserve: reservedSlots, services: entry.servicesList }, config)
+    ]);
+    if (failed) {
+        return { failed: failed === 'appointment' ? 'entry' : 'slot' };
+    }
+
+    // Nobody asked for this booking directly: the waitlist made it when another one was cancelled
+    await recordAudit('created', { after: appointment, principal: systemPrincipal('waitlist') });
+    await notifyAppointment(hold ? 'waitlistOffer' : 'confirmation', appointment);
+    return { appointment };
+};
+
+// Gives the time an appointment no longer needs to the first waiting entry it suits. Resolves to
+// the new appointment, or null when nobody in the queue can use it.
+const promoteWaitlist = async (freedAppointment) => {
+    const config = await getLocationConfig(freedAppointment.locationId);
+    const freed = getAppointmentRange(freedAppointment, config);
+    const queue = (await getQueue(freedAppointment.locationId)).filter(entry => entry.status === 'WAITING');
+    for (const entry of queue) {
+        for (const start of getCandidateTimes(entry, freed, config)) {
+            const appointmentTime = toUtcDateTime(start);
+            const capacity = await checkForConflicts(entry.locationId, appointmentTime, {
+                config,
+                services: entry.servicesList,
+                durationMinutes: entry.durationMinutes
+            });
+            if (capacity.hasConflict) {
+                continue;
+            }
+            const offer = await offerSlot(entry, appointmentTime, config);
+            if (offer.appointment) {
+                console.log(`⏳ Waitlist entry ${entry.entryId} got ${offer.appointment.appointmentId} (${offer.appointment.status})`);
+                return offer.appointment;
+            }
+            if (offer.failed === 'entry') {
+                break;
+            }
+        }
+    }
+    return null;
+};
+
+// Called once an appointment has been cancelled, with the appointment as it was before. Cancelling a
+// held appointment turns the offer down. Never throws, so a waitlist problem cannot fail a cancellation
+// that was already saved.
+const releaseToWaitlist = async (appointment) => {
+    try {
+        if (appointment.status === 'HELD' && appointment.waitlistEntryId) {
+            await dynamoDb.send(new UpdateCommand({
+                TableName: process.env.WAITLIST_TABLE,
+                Key: {
+                    entryId: appointment.waitlistEntryId
+                },
+                UpdateExpression: 'SET #status = :declined, updatedAt = :updatedAt',
+                ConditionExpression: '#status = :offered AND appointmentId = :appointmentId',
+                ExpressionAttributeNames: {
+                    '#status': 'status'
+                },
+                ExpressionAttributeValues: {
+                    ':declined': 'DECLINED',
+                    ':offered': 'OFFERED',
+                    ':appointmentId': appointment.appointmentId,
+                    ':updatedAt': new Date().getTime()
+                }
+            })).catch(error => {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+            });
+        }
+        await promoteWaitlist(appointment);
+    } catch (error) {
+        console.error(`❌ Could not offer the time of ${appointment.appointmentId} to the waitlist:`, error.message);
+    }
+};
+
+// Cancels an offered hold and moves its entry to status, in one transaction that also gives back
+// the held slots. The change is audited as made by principal. Resolves to false when the entry or
+// the appointment changed in between. The appointment's cancelledBy is the waitlist itself, whoever
+// turned the hold down.
+const cancelHold = async (entry, appointment, status, reason, { principal, event = null }) => {
+    const timestamp = new Date().getTime();
+    const cancelledBy = systemPrincipal('waitlist').principalId;
+    const failed = await writeWithReservations({
+        Update: {
+            TableName: process.env.WAITLIST_TABLE,
+            Key: {
+                entryId: entry.entryId
+            },
+            UpdateExpression: 'SET #status = :status, updatedAt = :updatedAt',
+            ConditionExpression: '#status = :offered AND appointmentId = :appointmentId',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':offered': 'OFFERED',
+                ':appointmentId': appointment.appointmentId,
+                ':updatedAt': timestamp
+            }
+        }
+    }, [
+        {
+            Update: {
+                TableName: process.env.APPOINTMENTS_TABLE,
+                Key: {
+                    appointmentId: appointment.appointmentId
+                },
+                UpdateExpression: 'SET #status = :cancelled, #version = :nextVersion, updatedAt = :updatedAt, ' +
+                    'cancelledAt = :updatedAt, cancelledBy = :cancelledBy, cancellationReason = :reason',
+                ConditionExpression: '#status = :held AND #version = :currentVersion',
+                ExpressionAttributeNames: {
+                    '#status': 'status',
+                    '#version': 'version'
+                },
+                ExpressionAttributeValues: {
+                    ':cancelled': 'CANCELLED',
+                    ':held': 'HELD',
+                    ':currentVersion': appointment.version,
+                    ':nextVersion': appointment.version + 1,
+                    ':updatedAt': timestamp,
+                    ':cancelledBy': cancelledBy,
+                    ':reason': reason
+                }
+            }
+        },
+        ...getReservationUpdates({ release: appointment.reservedSlots || [], releasedServices: appointment.servicesList || [] })
+    ]);
+    if (failed) {
+        return false;
+    }
+
+    await recordAudit('cancelled', {
+        before: appointment,
+        after: {
+            ...appointment,
+            status: 'CANCELLED',
+            version: appointment.version + 1,
+            updatedAt: timestamp,
+            cancelledAt: timestamp,
+            cancelledBy,
+            cancellationReason: reason
+        },
+        principal,
+        event
+    });
+    return true;
+};
+
+module.exports.parseWaitlistOption = parseWaitlistOption;
+module.exports.addToWaitlist = addToWaitlist;
+module.exports.releaseToWaitlist = releaseToWaitlist;
+
+module.exports.listWaitlist = async (event) => {
+    console.log('🔄 [START] Processing waitlist listing request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const { location } = event.queryStringParameters || {};
+        if (!location) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'location query parameter is required'
+                })
+            };
+        }
+
+        const locationError = checkLocationAccess(auth.principal, location);
+        if (locationError) {
+            return locationError;
+        }
+
+        // Positions count everyone waiting, but customers only see their own entries
+        const now = Date.now();
+        const queue = await getQueue(location);
+        const items = queue
+            .filter(entry => isActive(entry, now))
+            .filter(entry => !auth.principal.customerId || entry.customerId === auth.principal.customerId)
+            .map(entry => withPosition(entry, queue));
+
+        console.log('✅ [200] Waitlist entries listed:', items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing the waitlist:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list the waitlist',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getWaitlistEntry = async (event) => {
+    console.log('🔄 [START] Processing waitlist entry lookup request');
+
+    try {
+        const auth = await authorize(event, 'read');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const entryId = (event.pathParameters || {}).id;
+        if (!entryId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Waitlist entry ID is required'
+                })
+            };
+        }
+
+        const entry = await getEntryById(entryId);
+        if (!entry) {
+            return notFound(entryId);
+        }
+
+        const accessError = checkWaitlistEntryAccess(auth.principal, entry);
+        if (accessError) {
+            return accessError;
+        }
+
+        console.log('✅ [200] Waitlist entry found');
+        return {
+            statusCode: 200,
+            body: JSON.stringify(entry.status === 'WAITING' ? withPosition(entry, await getQueue(entry.locationId)) : entry)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching waitlist entry:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the waitlist entry',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.leaveWaitlist = async (event) => {
+    console.log('🔄 [START] Processing waitlist leave request');
+
+    try {
+        const auth = await authorize(event, 'cancel');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const entryId = (event.pathParameters || {}).id;
+        if (!entryId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Waitlist entry ID is required'
+                })
+            };
+        }
+
+        const entry = await getEntryById(entryId);
+        if (!entry) {
+            return notFound(entryId);
+        }
+
+        const accessError = checkWaitlistEntryAccess(auth.principal, entry);
+        if (accessError) {
+            return accessError;
+        }
+
+        const conflict = (message) => {
+            console.log(`⚠️ [409] Conflict: ${message}`);
+            return {
+                statusCode: 409,
+                body: JSON.stringify({
+                    message: message
+                })
+            };
+        };
+
+        let left = false;
+        if (entry.status === 'WAITING') {
+            try {
+                await dynamoDb.send(new UpdateCommand({
+                    TableName: process.env.WAITLIST_TABLE,
+                    Key: {
+                        entryId: entryId
+                    },
+                    UpdateExpression: 'SET #status = :left, updatedAt = :updatedAt',
+                    ConditionExpression: '#status = :waiting',
+                    ExpressionAttributeNames: {
+                        '#status': 'status'
+                    },
+                    ExpressionAttributeValues: {
+                        ':left': 'LEFT',
+                        ':waiting': 'WAITING',
+                        ':updatedAt': new Date().getTime()
+                    }
+                }));
+                left = true;
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+            }
+        } else if (entry.status === 'OFFERED') {
+            // Leaving with an offer open gives the held time to the next in line
+            const appointment = await getHeldAppointment(entry);
+            left = Boolean(appointment) && await cancelHold(entry, appointment, 'LEFT', 'Left the waitlist', { principal: auth.principal, event });
+            if (left) {
+                await releaseToWaitlist({ ...appointment, status: 'CANCELLED' });
+            }
+        } else {
+            return conflict(`Cannot leave a waitlist entry that is ${entry.status}`);
+        }
+
+        if (!left) {
+            return conflict('Waitlist entry has been modified since it was read');
+        }
+
+        console.log('✅ [200] Left the waitlist');
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Left the waitlist successfully',
+                entry: { ...entry, status: 'LEFT' }
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error leaving the waitlist:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not leave the waitlist',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Customers answer their own offers, so accepting takes the same scope as turning one down
+module.exports.acceptWaitlistOffer = async (event) => {
+    console.log('🔄 [START] Processing waitlist offer acceptance');
+
+    try {
+        const auth = await authorize(event, 'cancel');
+        if (auth.error) {
+            return auth.error;
+        }
+
+        const entryId = (event.pathParameters || {}).id;
+        if (!entryId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Waitlist entry ID is required'
+                })
+            };
+        }
+
+        const entry = await getEntryById(entryId);
+        if (!entry) {
+            return notFound(entryId);
+        }
+
+        const accessError = checkWaitlistEntryAccess(auth.principal, entry);
+        if (accessError) {
+            return accessError;
+        }
+
+        const now = new Date().getTime();
+        if (entry.status !== 'OFFERED' || entry.holdExpiresAt <= now) {
+            const message = entry.status === 'OFFERED' ? 'The hold on this offer has expired' : `Waitlist entry is ${entry.status}, not OFFERED`;
+            console.log(`⚠️ [409] Conflict: ${message}`);
+            return {
+                statusCode: 409,
+                body: JSON.stringify({
+                    message: message
+                })
+            };
+        }
+
+        const appointment = await getHeldAppointment(entry);
+        // The entry and its held appointment are confirmed together, as long as the hold is still running
+        const failed = !appointment || await writeWithReservations({
+            Update: {
+                TableName: process.env.WAITLIST_TABLE,
+                Key: {
+                    entryId: entryId
+                },
+                UpdateExpression: 'SET #status = :booked, updatedAt = :updatedAt',
+                ConditionExpression: '#status = :offered AND holdExpiresAt > :updatedAt',
+                ExpressionAttributeNames: {
+                    '#status': 'status'
+                },
+                ExpressionAttributeValues: {
+                    ':booked': 'BOOKED',
+                    ':offered': 'OFFERED',
+                    ':updatedAt': now
+                }
+            }
+        }, [{
+            Update: {
+                TableName: process.env.APPOINTMENTS_TABLE,
+                Key: {
+                    appointmentId: appointment.appointmentId
+                },
+                UpdateExpression: 'SET #status = :scheduled, #version = :nextVersion, updatedAt = :updatedAt REMOVE holdExpiresAt',
+                ConditionExpression: '#status = :held AND #version = :currentVersion',
+                ExpressionAttributeNames: {
+                    '#status': 'status',
+                    '#version': 'version'
+                },
+                ExpressionAttributeValues: {
+                    ':scheduled': 'SCHEDULED',
+                    ':held': 'HELD',
+                    ':currentVersion': appointment.version,
+                    ':nextVersion': appointment.version + 1,
+                    ':updatedAt': now
+                }
+            }
+        }]);
+        if (failed) {
+            console.log('⚠️ [409] Conflict: Offer changed while accepting', entryId);
+            return {
+                statusCode: 409,
+                body: JSON.stringify({
+                    message: 'Waitlist offer is no longer available'
+                })
+            };
+        }
+
+        const booked = { ...appointment, status: 'SCHEDULED', version: appointment.version + 1, updatedAt: now };
+        delete booked.holdExpiresAt;
+        await recordAudit('status_changed', { before: appointment, after: booked, principal: auth.principal, event });
+        await notifyAppointment('confirmation', booked);
+
+        console.log('✅ [200] Waitlist offer accepted');
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                entry: { ...entry, status: 'BOOKED', updatedAt: now },
+                appointment: booked
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error accepting waitlist offer:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not accept the waitlist offer',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Scheduled: cancels holds that ran out and offers their time to the next in line. Expired offers are
+// rare, so a filtered scan is enough.
+module.exports.expireWaitlistHolds = async () => {
+    console.log('🔄 [START] Processing expired waitlist holds');
+
+    const now = Date.now();
+    const offers = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new ScanCommand({
+            TableName: process.env.WAITLIST_TABLE,
+            FilterExpression: '#status = :offered AND holdExpiresAt <= :now',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':offered': 'OFFERED',
+                ':now': now
+            },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        offers.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    let expired = 0;
+    let failed = 0;
+    for (const entry of offers) {
+        try {
+            const appointment = await getHeldAppointment(entry);
+            if (appointment && await cancelHold(entry, appointment, 'EXPIRED', 'Waitlist hold expired', {
+                principal: systemPrincipal('waitlist')
+            })) {
+                expired += 1;
+                await releaseToWaitlist({ ...appointment, status: 'CANCELLED' });
+            }
+        } catch (error) {
+            // One broken entry should not keep the other holds from expiring
+            console.error(`❌ Could not expire the hold of ${entry.entryId}:`, error.message);
+            failed += 1;
+        }
+    }
+
+    console.log('✅ Waitlist holds expired:', { expired, failed });
+    return { expired, failed };
+};
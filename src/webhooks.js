@@ -0,0 +1,755 @@
+'use strict';
+const { randomUUID, randomBytes, createHmac } = require('crypto');
+const { GetCommand, PutCommand, ScanCommand, QueryCommand, UpdateCommand, DeleteCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDb } = require('./db');
+const { authorize, checkGlobalAccess } = require('./auth');
+const { registerFormat, validationError, validateBody } = require('./validation');
+
+// Webhook subscriptions and their deliveries. Every saved change to an appointment queues a delivery
+// for each subscription to its event (see audit.js), and the scheduled deliverWebhooks function POSTs
+// them, signed with the subscription's secret. Failed deliveries are retried with exponential backoff
+// until MAX_ATTEMPTS, after which they are dead-lettered and kept for a manual retry.
+//
+// WEBHOOK_SUBSCRIPTIONS_TABLE holds an item for each event a subscription wants, so a change only
+// queries the subscriptions to its own event rather than reading them all.
+
+// Appointments are never removed, since DELETE /appointments/{id} cancels them and sends
+// appointment.cancelled. appointment.deleted can be subscribed to for when records are purged.
+const WEBHOOK_EVENTS = ['appointment.created', 'appointment.updated', 'appointment.cancelled', 'appointment.deleted'];
+
+// The event each audit action (see audit.js) sends
+const AUDIT_EVENTS = {
+    created: 'appointment.created',
+    updated: 'appointment.updated',
+    status_changed: 'appointment.updated',
+    cancelled: 'appointment.cancelled'
+};
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'DEAD_LETTER', 'DISCARDED'];
+
+const MAX_ATTEMPTS = 8;
+// Waits after each failure: 1, 2, 4 ... 64 minutes, about two hours in all before dead-lettering
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// A run that dies mid-delivery leaves its claim, which runs out after this so the next run retries
+const CLAIM_MS = 5 * 60 * 1000;
+// Deliveries are deleted this long after they were queued, through the expiresAt TTL attribute
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+// Enough of a receiver's response to see what went wrong, without filling the log
+const MAX_RESPONSE_LENGTH = 500;
+const DEFAULT_LOG_SIZE = 50;
+const MAX_LOG_SIZE = 100;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Receivers must use TLS, except on this machine for local testing
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+registerFormat('webhook-url', (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'must be an absolute URL';
+    }
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))
+        ? null
+        : 'must be an https URL';
+});
+
+// POST /webhooks
+const WEBHOOK_SCHEMA = {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+        url: { type: 'string', maxLength: 2048, format: 'webhook-url' },
+        events: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+        description: { type: ['string', 'null'], maxLength: 200 }
+    }
+};
+
+// Fields returned to admins; the secret is only shown when the subscription is created
+const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+// The log leaves out the payload, which can be large; eventId and appointmentId identify it
+const toLogEntry = ({ payload, ...delivery }) => delivery;
+
+// The signature receivers check: HMAC-SHA256 of "<timestamp>.<body>" with the subscription's secret, in
+// hex. The timestamp is in the header too, so receivers can reject old deliveries being replayed.
+const signPayload = (secret, timestamp, body) => createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+const notFound = (message, id) => {
+    console.log(`🔍 [404] ${message}:`, id);
+    return {
+        statusCode: 404,
+        body: JSON.stringify({
+            message: message
+        })
+    };
+};
+
+const webhookIdRequired = () => ({
+    statusCode: 400,
+    body: JSON.stringify({
+        message: 'Webhook ID is required'
+    })
+});
+
+const getWebhookById = async (webhookId) => {
+    const result = await dynamoDb.send(new GetCommand({
+        TableName: process.env.WEBHOOKS_TABLE,
+        Key: {
+            webhookId: webhookId
+        }
+    }));
+    return result.Item || null;
+};
+
+const scanWebhooks = async () => {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new ScanCommand({
+            TableName: process.env.WEBHOOKS_TABLE,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+};
+
+// The IDs of the subscriptions to an event. Read on every change rather than kept, so a subscription
+// created or deleted through any instance counts from the next change on.
+const getSubscriberIds = async (type) => {
+    const webhookIds = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new QueryCommand({
+            TableName: process.env.WEBHOOK_SUBSCRIPTIONS_TABLE,
+            KeyConditionExpression: '#event = :event',
+            ExpressionAttributeNames: {
+                '#event': 'event'
+            },
+            ExpressionAttributeValues: {
+                ':event': type
+            },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        webhookIds.push(...(result.Items || []).map(item => item.webhookId));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return webhookIds;
+};
+
+// Queues a delivery of a saved change to every subscription to its event. Called by recordAudit with
+// the audit action, the appointment as it is now and the entry's changes. Like notifications, a failure
+// is logged and never fails the request. Resolves to the queued deliveries.
+const enqueueAppointmentEvent = async (action, appointment, changes = {}) => {
+    const type = AUDIT_EVENTS[action];
+    try {
+        const webhookIds = await getSubscriberIds(type);
+        if (webhookIds.length === 0) {
+            return [];
+        }
+
+        const now = Date.now();
+        const eventId = `evt_${randomUUID()}`;
+        const payload = JSON.stringify({
+            id: eventId,
+            type,
+            createdAt: new Date(now).toISOString(),
+            data: { appointment, changes }
+        });
+        const deliveries = webhookIds.map(webhookId => ({
+            deliveryId: `dlv_${randomUUID()}`,
+            webhookId,
+            eventId,
+            event: type,
+            appointmentId: appointment.appointmentId,
+            payload,
+            status: 'PENDING',
+            attempts: 0,
+            attemptLog: [],
+            nextAttemptAt: now,
+            createdAt: now,
+            expiresAt: Math.floor(now / 1000) + DELIVERY_RETENTION_SECONDS
+        }));
+        for (const delivery of deliveries) {
+            await dynamoDb.send(new PutCommand({
+                TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+                Item: delivery
+            }));
+        }
+        console.log(`📨 Webhook event ${type} queued for ${deliveries.length} subscription(s):`, eventId);
+        return deliveries;
+    } catch (error) {
+        console.error(`❌ Could not queue the webhook event ${type} for ${appointment.appointmentId}:`, error.message);
+        return [];
+    }
+};
+
+// Deliveries whose next attempt is due, oldest first. The statusDue index only holds PENDING ones,
+// since the others have no nextAttemptAt.
+const getDueDeliveries = async (now) => {
+    const items = [];
+    let exclusiveStartKey;
+    do {
+        const result = await dynamoDb.send(new QueryCommand({
+            TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+            IndexName: 'statusDue',
+            KeyConditionExpression: '#status = :pending AND nextAttemptAt <= :now',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':pending': 'PENDING',
+                ':now': now
+            },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+};
+
+// Moves the next attempt past this run, so a run that overlaps it skips the delivery. Resolves to
+// false when another run claimed it first.
+const claimDelivery = async (delivery, now) => {
+    try {
+        await dynamoDb.send(new UpdateCommand({
+            TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+            Key: {
+                deliveryId: delivery.deliveryId
+            },
+            UpdateExpression: 'SET nextAttemptAt = :claimedUntil',
+            ConditionExpression: '#status = :pending AND nextAttemptAt = :due',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':claimedUntil': now + CLAIM_MS,
+                ':pending': 'PENDING',
+                ':due': delivery.nextAttemptAt
+            }
+        }));
+        return true;
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// POSTs a delivery to its subscription's URL. Resolves to the attempt for the delivery's log; any
+// 2xx answer is a success, and everything else, including no answer in time, is a failure.
+const sendDelivery = async (webhook, delivery) => {
+    const attemptedAt = Date.now();
+    const timestamp = Math.floor(attemptedAt / 1000);
+    const attempt = { attempt: delivery.attempts + 1, attemptedAt };
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': delivery.deliveryId,
+                'X-Webhook-Event': delivery.event,
+                [SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+            },
+            body: delivery.payload,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        const text = await response.text();
+        return {
+            ...attempt,
+            ok: response.ok,
+            statusCode: response.status,
+            response: text.slice(0, MAX_RESPONSE_LENGTH),
+            durationMs: Date.now() - attemptedAt
+        };
+    } catch (error) {
+        return { ...attempt, ok: false, statusCode: null, error: error.message, durationMs: Date.now() - attemptedAt };
+    }
+};
+
+// Saves an attempt: the delivery is DELIVERED, PENDING again after its backoff, or DEAD_LETTER once
+// it has failed MAX_ATTEMPTS times. Resolves to the new status.
+const recordAttempt = async (delivery, { ok, ...attempt }) => {
+    const attempts = delivery.attempts + 1;
+    let status = 'PENDING';
+    if (ok) {
+        status = 'DELIVERED';
+    } else if (attempts >= MAX_ATTEMPTS) {
+        status = 'DEAD_LETTER';
+    }
+
+    const values = {
+        ':status': status,
+        ':attempts': attempts,
+        ':attempt': [attempt],
+        ':empty': [],
+        ':updatedAt': attempt.attemptedAt
+    };
+    let updateExpression = 'SET #status = :status, attempts = :attempts, attemptLog = list_append(if_not_exists(attemptLog, :empty), :attempt), ' +
+        'updatedAt = :updatedAt';
+    if (status === 'PENDING') {
+        updateExpression += ', nextAttemptAt = :nextAttemptAt';
+        values[':nextAttemptAt'] = Date.now() + getRetryDelay(attempts);
+    } else {
+        updateExpression += ' REMOVE nextAttemptAt';
+    }
+
+    await dynamoDb.send(new UpdateCommand({
+        TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+        Key: {
+            deliveryId: delivery.deliveryId
+        },
+        UpdateExpression: updateExpression,
+        ExpressionAttributeNames: {
+            '#status': 'status'
+        },
+        ExpressionAttributeValues: values
+    }));
+    return status;
+};
+
+// A delivery for a subscription that has been deleted is dropped rather than retried
+const discardDelivery = (delivery, now) => dynamoDb.send(new UpdateCommand({
+    TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+    Key: {
+        deliveryId: delivery.deliveryId
+    },
+    UpdateExpression: 'SET #status = :discarded, updatedAt = :updatedAt REMOVE nextAttemptAt',
+    ExpressionAttributeNames: {
+        '#status': 'status'
+    },
+    ExpressionAttributeValues: {
+        ':discarded': 'DISCARDED',
+        ':updatedAt': now
+    }
+}));
+
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.WEBHOOK_SCHEMA = WEBHOOK_SCHEMA;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.signPayload = signPayload;
+module.exports.getRetryDelay = getRetryDelay;
+module.exports.enqueueAppointmentEvent = enqueueAppointmentEvent;
+
+module.exports.createWebhook = async (event) => {
+    console.log('🔄 [START] Processing webhook creation request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        // Subscriptions see every location's appointments
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const request = validateBody(event, WEBHOOK_SCHEMA);
+        if (request.error) {
+            return request.error;
+        }
+        const { url, events, description } = request.body;
+
+        const timestamp = Date.now();
+        const webhook = {
+            webhookId: `whk_${randomUUID()}`,
+            url: url.trim(),
+            events,
+            description: description ? description.trim() : null,
+            secret: `whsec_${randomBytes(24).toString('base64url')}`,
+            createdAt: timestamp,
+            createdBy: auth.principal.principalId
+        };
+
+        await dynamoDb.send(new TransactWriteCommand({
+            TransactItems: [
+                {
+                    Put: {
+                        TableName: process.env.WEBHOOKS_TABLE,
+                        Item: webhook,
+                        ConditionExpression: 'attribute_not_exists(webhookId)'
+                    }
+                },
+                ...events.map(type => ({
+                    Put: {
+                        TableName: process.env.WEBHOOK_SUBSCRIPTIONS_TABLE,
+                        Item: { event: type, webhookId: webhook.webhookId }
+                    }
+                }))
+            ]
+        }));
+
+        // The secret is stored to sign deliveries, but only shown here
+        console.log('✅ [200] Webhook created:', webhook.webhookId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify(webhook)
+        };
+    } catch (error) {
+        console.error('❌ [500] Error creating webhook:', {
+            message: error.message,
+            stack: error.stack,
+            eventBody: event.body
+        });
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not create the webhook',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.listWebhooks = async (event) => {
+    console.log('🔄 [START] Processing webhook listing request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const items = (await scanWebhooks()).map(toPublicWebhook);
+
+        console.log('✅ [200] Webhooks listed:', items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                items
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing webhooks:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list webhooks',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.getWebhook = async (event) => {
+    console.log('🔄 [START] Processing webhook lookup request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const webhookId = (event.pathParameters || {}).id;
+        if (!webhookId) {
+            return webhookIdRequired();
+        }
+
+        const webhook = await getWebhookById(webhookId);
+        if (!webhook) {
+            return notFound('Webhook not found', webhookId);
+        }
+
+        console.log('✅ [200] Webhook found:', webhookId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify(toPublicWebhook(webhook))
+        };
+    } catch (error) {
+        console.error('❌ [500] Error fetching webhook:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not fetch the webhook',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.deleteWebhook = async (event) => {
+    console.log('🔄 [START] Processing webhook deletion request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const webhookId = (event.pathParameters || {}).id;
+        if (!webhookId) {
+            return webhookIdRequired();
+        }
+
+        // Deliveries still queued are discarded when they come due, and the log stays readable until it expires
+        const result = await dynamoDb.send(new DeleteCommand({
+            TableName: process.env.WEBHOOKS_TABLE,
+            Key: {
+                webhookId: webhookId
+            },
+            ReturnValues: 'ALL_OLD'
+        }));
+        if (!result.Attributes) {
+            return notFound('Webhook not found', webhookId);
+        }
+        // Changes stop going to it from here. Any queued in between are discarded like the rest.
+        for (const type of result.Attributes.events) {
+            await dynamoDb.send(new DeleteCommand({
+                TableName: process.env.WEBHOOK_SUBSCRIPTIONS_TABLE,
+                Key: {
+                    event: type,
+                    webhookId: webhookId
+                }
+            }));
+        }
+
+        console.log('✅ [200] Webhook deleted:', webhookId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Webhook deleted successfully'
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error deleting webhook:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not delete the webhook',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.listWebhookDeliveries = async (event) => {
+    console.log('🔄 [START] Processing webhook delivery log request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const webhookId = (event.pathParameters || {}).id;
+        if (!webhookId) {
+            return webhookIdRequired();
+        }
+
+        const { status, limit } = event.queryStringParameters || {};
+        const errors = [];
+        if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+            errors.push({ field: 'status', code: 'enum', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+        }
+        const pageSize = limit === undefined ? DEFAULT_LOG_SIZE : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LOG_SIZE) {
+            errors.push({ field: 'limit', code: 'too_large', message: `limit must be an integer between 1 and ${MAX_LOG_SIZE}` });
+        }
+        if (errors.length > 0) {
+            return validationError(errors);
+        }
+
+        if (!await getWebhookById(webhookId)) {
+            return notFound('Webhook not found', webhookId);
+        }
+
+        // Newest first. Limit counts the items read before the filter, so keep reading until the page is full.
+        const items = [];
+        let exclusiveStartKey;
+        do {
+            const result = await dynamoDb.send(new QueryCommand({
+                TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+                IndexName: 'webhookTime',
+                KeyConditionExpression: 'webhookId = :webhookId',
+                ...(status && {
+                    FilterExpression: '#status = :status',
+                    ExpressionAttributeNames: { '#status': 'status' }
+                }),
+                ExpressionAttributeValues: {
+                    ':webhookId': webhookId,
+                    ...(status && { ':status': status })
+                },
+                ScanIndexForward: false,
+                Limit: pageSize,
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+            items.push(...(result.Items || []).map(toLogEntry));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey && items.length < pageSize);
+
+        console.log('✅ [200] Webhook deliveries listed:', items.length);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                webhookId,
+                items: items.slice(0, pageSize)
+            })
+        };
+    } catch (error) {
+        console.error('❌ [500] Error listing webhook deliveries:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not list the webhook deliveries',
+                error: error.message
+            })
+        };
+    }
+};
+
+module.exports.retryWebhookDelivery = async (event) => {
+    console.log('🔄 [START] Processing webhook delivery retry request');
+
+    try {
+        const auth = await authorize(event, 'admin');
+        if (auth.error) {
+            return auth.error;
+        }
+        const globalError = checkGlobalAccess(auth.principal);
+        if (globalError) {
+            return globalError;
+        }
+
+        const { id: webhookId, deliveryId } = event.pathParameters || {};
+        if (!webhookId || !deliveryId) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({
+                    message: 'Webhook ID and delivery ID are required'
+                })
+            };
+        }
+
+        const result = await dynamoDb.send(new GetCommand({
+            TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+            Key: {
+                deliveryId: deliveryId
+            }
+        }));
+        const delivery = result.Item;
+        if (!delivery || delivery.webhookId !== webhookId) {
+            return notFound('Webhook delivery not found', deliveryId);
+        }
+
+        // A dead-lettered delivery gets a fresh set of attempts, starting with the next deliverWebhooks run
+        const now = Date.now();
+        let updated;
+        try {
+            updated = await dynamoDb.send(new UpdateCommand({
+                TableName: process.env.WEBHOOK_DELIVERIES_TABLE,
+                Key: {
+                    deliveryId: deliveryId
+                },
+                UpdateExpression: 'SET #status = :pending, attempts = :zero, nextAttemptAt = :now, updatedAt = :now',
+                ConditionExpression: '#status = :deadLetter',
+                ExpressionAttributeNames: {
+                    '#status': 'status'
+                },
+                ExpressionAttributeValues: {
+                    ':pending': 'PENDING',
+                    ':zero': 0,
+                    ':now': now,
+                    ':deadLetter': 'DEAD_LETTER'
+                },
+                ReturnValues: 'ALL_NEW'
+            }));
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                console.log('⚠️ [409] Conflict: Webhook delivery is not dead-lettered:', deliveryId);
+                return {
+                    statusCode: 409,
+                    body: JSON.stringify({
+                        message: `Webhook delivery is ${delivery.status}, only DEAD_LETTER deliveries can be retried`
+                    })
+                };
+            }
+            throw error;
+        }
+
+        console.log('✅ [200] Webhook delivery queued for retry:', deliveryId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify(toLogEntry(updated.Attributes))
+        };
+    } catch (error) {
+        console.error('❌ [500] Error retrying webhook delivery:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                message: 'Could not retry the webhook delivery',
+                error: error.message
+            })
+        };
+    }
+};
+
+// Scheduled: sends every delivery that has come due, one at a time
+module.exports.deliverWebhooks = async () => {
+    console.log('🔄 [START] Processing webhook deliveries');
+
+    const now = Date.now();
+    const counts = { delivered: 0, retrying: 0, deadLettered: 0, discarded: 0, failed: 0 };
+    const webhooks = new Map();
+    const deliveries = await getDueDeliveries(now);
+    for (const delivery of deliveries) {
+        try {
+            if (!await claimDelivery(delivery, now)) {
+                continue;
+            }
+            if (!webhooks.has(delivery.webhookId)) {
+                webhooks.set(delivery.webhookId, await getWebhookById(delivery.webhookId));
+            }
+            const webhook = webhooks.get(delivery.webhookId);
+            if (!webhook) {
+                await discardDelivery(delivery, now);
+                counts.discarded += 1;
+                continue;
+            }
+
+            const status = await recordAttempt(delivery, await sendDelivery(webhook, delivery));
+            if (status === 'DELIVERED') {
+                counts.delivered += 1;
+            } else if (status === 'DEAD_LETTER') {
+                console.error(`❌ Webhook delivery ${delivery.deliveryId} dead-lettered after ${MAX_ATTEMPTS} attempts`);
+                counts.deadLettered += 1;
+            } else {
+                counts.retrying += 1;
+            }
+        } catch (error) {
+            // One broken delivery should not hold up the others; its claim runs out and it is retried
+            console.error(`❌ Could not deliver ${delivery.deliveryId}:`, error.message);
+            counts.failed += 1;
+        }
+    }
+
+    console.log('✅ Webhook deliveries processed:', counts);
+    return counts;
+};